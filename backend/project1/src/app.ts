@@ -1,4 +1,14 @@
-import express, { Application, Request, Response } from "express";
+import express, { Application, Request } from "express";
+import { auth } from "./auth";
+import { config } from "./config";
+import { healthRoutes } from "./health";
+import { errorHandler, notFound } from "./http/error-handler";
+import { requestScope } from "./http/request-context";
+import { requestId } from "./http/request-id";
+import { concurrencyLimit, failureLimit, rateLimit, rateLimitStore } from "./ratelimit";
+import { payloads, typedJson } from "./serialize";
+import { users, usersRoutes } from "./users";
+import { jsonBody } from "./validation";
 // After npm i express run npm i -D typescript ts-node @types/node @types/express
 // @types/node allows you to run ts files directly
 // @types/express TypeScript type declarations of express
@@ -10,18 +20,68 @@ import express, { Application, Request, Response } from "express";
  * - creating the Express instance
  * - registering global middleware
  * - mounting routes
+ * - turning unknown routes and errors into JSON (http/error-handler.ts)
  * 
  * It does NOT start the server — that’s handled in server.ts.
  */
 // This is an Application module of express. 
 const app: Application = express(); 
 
-// Built-in middleware to parse JSON request bodies
-app.use(express.json());
+// Every request gets an id first, so even a body-parsing error can report it
+app.use(requestId);
+// ...then a log context of its own, and an access-log line when it's done
+app.use(requestScope);
 
-// Basic endpoint for a healthcheck
-app.get("/health", (_req: Request, res: Response) => {
-  res.json({ ok: true, message: "Server is healthy" });
-});
+// Probes must keep answering, however busy or rate-limited the API is
+const isHealthCheck = (req: Request) => req.path === "/health" || req.path.startsWith("/health/");
 
-export default app;
\ No newline at end of file
+// Shed load early: past maxInFlight, answer 503 instead of queueing
+app.use(concurrencyLimit({ max: config.limits.maxInFlight, skip: isHealthCheck }));
+
+// Credential guessing: every 401 costs the caller's IP a token, and an IP
+// that has run out gets 429 before its credentials are even looked at.
+// Health checks aren't skipped: a wrong key is a guess wherever it's sent.
+app.use(failureLimit({
+  name: "auth",
+  policy: { limit: config.limits.authFailureLimit, windowSec: config.limits.authFailureWindowSec },
+  store: rateLimitStore,
+  failed: (res) => res.statusCode === 401,
+}));
+
+// Who is calling (req.principal). Wrong credentials are rejected here;
+// missing ones only on routes that require them (auth.require*)
+app.use(auth.authenticate);
+
+// Per-client token bucket, keyed by principal (else IP), so it runs after auth
+app.use(rateLimit({
+  name: "api",
+  policy: { limit: config.limits.rateLimit, windowSec: config.limits.rateWindowSec },
+  store: rateLimitStore,
+  skip: isHealthCheck,
+}));
+
+// Parse JSON request bodies (express.json() plus a nesting-depth limit).
+// Routes check the shape with validate() from ./validation.
+app.use(jsonBody({ limitBytes: config.http.bodyLimitBytes, maxDepth: config.http.bodyMaxDepth }));
+// Clients can opt in to typed payloads (Maps, Dates, BigInts, registered
+// classes) with application/vnd.typed+json, both ways. See ./serialize.
+app.use(typedJson(payloads, { limitBytes: config.http.bodyLimitBytes, maxDepth: config.http.bodyMaxDepth }));
+
+// Liveness and readiness probes (checks are registered in health/)
+app.use("/health", healthRoutes());
+
+// Resources
+app.use("/users", usersRoutes(users, {
+  auth,
+  writeLimit: rateLimit({
+    name: "users:write",
+    policy: { limit: config.limits.writeRateLimit, windowSec: config.limits.writeRateWindowSec },
+    store: rateLimitStore,
+  }),
+}));
+
+// Nothing above matched: 404. These two must stay last.
+app.use(notFound);
+app.use(errorHandler);
+
+export default app;
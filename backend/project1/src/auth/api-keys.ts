@@ -0,0 +1,71 @@
+/**
+ * auth/api-keys.ts
+ * --------
+ * API keys for machine clients (CI jobs, other services). Only a SHA-256
+ * of each key is kept in memory, so a heap dump or a stray log line
+ * doesn't hand out working keys; a lookup hashes the presented key and
+ * finds it by hash.
+ *
+ * Keys come from config as
+ *   [{ "id": "ci", "key": "…", "roles": ["admin"], "scopes": ["users:read"] }]
+ */
+import { createHash } from "node:crypto";
+import type { Principal } from "./principal";
+
+export interface ApiKeyRecord {
+  /** Names the client in logs and is the principal's id; never the key itself. */
+  id: string;
+  key: string;
+  roles?: readonly string[];
+  scopes?: readonly string[];
+}
+
+const sha256 = (key: string) => createHash("sha256").update(key).digest("hex");
+
+export class ApiKeyRegistry {
+  private readonly byHash = new Map<string, Principal>();
+
+  constructor(records: readonly ApiKeyRecord[] = []) {
+    for (const record of records) this.add(record);
+  }
+
+  add({ id, key, roles = [], scopes = [] }: ApiKeyRecord): void {
+    if (key.length < 24) throw new Error(`API key "${id}" is too short (min 24 characters)`);
+    const hash = sha256(key);
+    if (this.byHash.has(hash)) throw new Error(`API key "${id}" duplicates another key`);
+    this.byHash.set(hash, { id, via: "apiKey", roles: [...roles], scopes: [...scopes] });
+  }
+
+  lookup(key: string): Principal | undefined {
+    return this.byHash.get(sha256(key));
+  }
+
+  get size(): number {
+    return this.byHash.size;
+  }
+}
+
+const isStringArray = (v: unknown): v is string[] => Array.isArray(v) && v.every((x) => typeof x === "string");
+
+/** Config parser for the key list: a JSON array (a JSON string when it comes from the env). */
+export function parseApiKeys(raw: unknown): ApiKeyRecord[] {
+  let list = raw;
+  if (typeof raw === "string") {
+    try {
+      list = JSON.parse(raw);
+    } catch {
+      // JSON.parse quotes the text around the error, i.e. part of a key.
+      throw new Error("API_KEYS is not valid JSON");
+    }
+  }
+  if (!Array.isArray(list)) throw new Error("expected a JSON array of { id, key, roles?, scopes? }");
+  return list.map((entry: unknown, i) => {
+    const e = entry as Partial<Record<keyof ApiKeyRecord, unknown>>;
+    if (typeof e !== "object" || e === null || typeof e.id !== "string" || typeof e.key !== "string") {
+      throw new Error(`entry ${i}: expected { id: string, key: string }`);
+    }
+    if (e.roles !== undefined && !isStringArray(e.roles)) throw new Error(`entry ${i}: roles must be an array of strings`);
+    if (e.scopes !== undefined && !isStringArray(e.scopes)) throw new Error(`entry ${i}: scopes must be an array of strings`);
+    return { id: e.id, key: e.key, ...(e.roles ? { roles: e.roles } : {}), ...(e.scopes ? { scopes: e.scopes } : {}) };
+  });
+}
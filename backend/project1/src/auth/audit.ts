@@ -0,0 +1,52 @@
+/**
+ * auth/audit.ts
+ * --------
+ * Every rejected request (bad credentials, missing credentials where they
+ * are required, not enough rights) becomes an AuditEvent. The default
+ * sink writes it as a warn-level log line with `audit: true`, so it can
+ * be filtered out of the stream and alerted on; MemoryAuditSink keeps
+ * them for tests.
+ *
+ * Events never contain the credential itself, only what kind it was.
+ */
+import { rootLogger, type Logger } from "../log";
+import type { AuthFailure } from "./authenticators";
+
+export interface AuditEvent {
+  type: "auth.failed" | "auth.forbidden";
+  reason: AuthFailure;
+  message: string;
+  requestId: string;
+  method: string;
+  path: string;
+  ip: string | undefined;
+  /** Which credential was presented, if any. */
+  scheme?: string;
+  /** Who, when they did authenticate (forbidden). */
+  principalId?: string;
+  at: string;
+}
+
+export interface AuditSink {
+  record(event: AuditEvent): void;
+}
+
+export function logAuditSink(logger: Logger = rootLogger): AuditSink {
+  return {
+    record(event) {
+      logger.warn(event.type, { audit: true, ...event });
+    },
+  };
+}
+
+export class MemoryAuditSink implements AuditSink {
+  readonly events: AuditEvent[] = [];
+
+  record(event: AuditEvent): void {
+    this.events.push(event);
+  }
+
+  clear(): void {
+    this.events.length = 0;
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * auth/authenticators.ts
+ * --------
+ * An Authenticator looks for one kind of credential on a request:
+ *
+ *   - returns null when the request doesn't carry that kind at all
+ *     (the next authenticator gets a look);
+ *   - returns a Principal when the credential is valid;
+ *   - throws AuthError when it's there but wrong (expired, bad
+ *     signature, unknown key): the request fails, no fallback.
+ *
+ * New schemes (sessions, mTLS) are just more Authenticators.
+ */
+import type { Request } from "express";
+import type { ApiKeyRegistry } from "./api-keys";
+import { JwtError, verifyJwt, type VerifyOptions } from "./jwt";
+import type { Principal } from "./principal";
+
+export type AuthFailure =
+  | JwtError["reason"]
+  | "invalid_claims"
+  | "unknown_api_key"
+  | "missing_credentials"
+  | "forbidden";
+
+export class AuthError extends Error {
+  override name = "AuthError";
+
+  constructor(readonly reason: AuthFailure, message: string, readonly scheme?: string) {
+    super(message);
+  }
+}
+
+export interface Authenticator {
+  /** "jwt", "apiKey", ... — shows up in audit events. */
+  readonly scheme: Principal["via"];
+  authenticate(req: Request): Principal | null | Promise<Principal | null>;
+}
+
+const isStringArray = (v: unknown): v is string[] => Array.isArray(v) && v.every((x) => typeof x === "string");
+
+/**
+ * Authorization: Bearer <jwt>. `sub` becomes the principal id, `roles`
+ * (an array) its roles, and `scope` (space-separated, as in OAuth) its
+ * scopes.
+ */
+export function jwtAuthenticator(options: VerifyOptions): Authenticator {
+  return {
+    scheme: "jwt",
+    authenticate(req) {
+      const header = req.get("Authorization");
+      const match = header?.match(/^Bearer\s+(\S+)$/i);
+      if (!match) return null;
+      let claims;
+      try {
+        claims = verifyJwt(match[1]!, options);
+      } catch (err) {
+        if (err instanceof JwtError) throw new AuthError(err.reason, err.message, "jwt");
+        throw err;
+      }
+      const { sub, roles = [], scope = "" } = claims;
+      if (typeof sub !== "string" || sub === "" || !isStringArray(roles) || typeof scope !== "string") {
+        throw new AuthError("invalid_claims", "token claims are malformed", "jwt");
+      }
+      return { id: sub, via: "jwt", roles, scopes: scope.split(" ").filter(Boolean) };
+    },
+  };
+}
+
+/** X-API-Key: <key>. */
+export function apiKeyAuthenticator(registry: ApiKeyRegistry): Authenticator {
+  return {
+    scheme: "apiKey",
+    authenticate(req) {
+      const key = req.get("X-API-Key");
+      if (key === undefined) return null;
+      const principal = registry.lookup(key);
+      if (!principal) throw new AuthError("unknown_api_key", "API key is not recognized", "apiKey");
+      return principal;
+    },
+  };
+}
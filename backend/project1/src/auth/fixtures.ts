@@ -0,0 +1,40 @@
+/**
+ * auth/fixtures.ts
+ * --------
+ * Known keys for tests and local runs — never for a deployed service.
+ * With these, every auth path can be exercised offline:
+ *
+ *   Object.assign(process.env, FIXTURE_ENV);           // before importing app
+ *   const token = fixtureToken({ sub: "u1", scope: "users:read" });
+ *   fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+ *   fetch(url, { headers: { "X-API-Key": FIXTURE_API_KEYS.admin.key } });
+ */
+import { signJwt, type JwtClaims, type SignOptions } from "./jwt";
+
+export const FIXTURE_JWT_SECRET = "fixture-secret-do-not-use-in-production-0123456789";
+export const FIXTURE_ISSUER = "project1";
+export const FIXTURE_AUDIENCE = "project1-api";
+
+export const FIXTURE_API_KEYS = {
+  admin: { id: "fixture-admin", key: "fixture-admin-key-000000000000", roles: ["admin"] },
+  reader: { id: "fixture-reader", key: "fixture-reader-key-00000000000", scopes: ["users:read"] },
+} as const;
+
+/** Environment for the config module that turns both kinds of fixture credentials on. */
+export const FIXTURE_ENV: Readonly<Record<string, string>> = {
+  JWT_SECRET: FIXTURE_JWT_SECRET,
+  JWT_ISSUER: FIXTURE_ISSUER,
+  JWT_AUDIENCE: FIXTURE_AUDIENCE,
+  API_KEYS: JSON.stringify(Object.values(FIXTURE_API_KEYS)),
+};
+
+/** A token the fixture config accepts: one hour, right issuer and audience. */
+export function fixtureToken(claims: JwtClaims, options: Partial<SignOptions> = {}): string {
+  return signJwt(claims, {
+    secret: FIXTURE_JWT_SECRET,
+    issuer: FIXTURE_ISSUER,
+    audience: FIXTURE_AUDIENCE,
+    expiresInSec: 3600,
+    ...options,
+  });
+}
@@ -0,0 +1,38 @@
+/**
+ * auth/index.ts
+ * --------
+ * The service's auth, built from config:
+ *
+ *   - JWTs (Authorization: Bearer) when JWT_SECRET is set
+ *   - API keys (X-API-Key) from API_KEYS
+ *   - failures audited to the log
+ *
+ * With neither configured, nothing can authenticate and every protected
+ * route answers 401. auth/fixtures.ts has known keys for tests.
+ */
+import { config } from "../config";
+import { ApiKeyRegistry } from "./api-keys";
+import { logAuditSink } from "./audit";
+import { apiKeyAuthenticator, jwtAuthenticator, type Authenticator } from "./authenticators";
+import { createAuth } from "./middleware";
+
+export { ApiKeyRegistry, parseApiKeys, type ApiKeyRecord } from "./api-keys";
+export { logAuditSink, MemoryAuditSink, type AuditEvent, type AuditSink } from "./audit";
+export { apiKeyAuthenticator, AuthError, jwtAuthenticator, type AuthFailure, type Authenticator } from "./authenticators";
+export { JwtError, signJwt, verifyJwt, type JwtClaims, type SignOptions, type VerifyOptions } from "./jwt";
+export { createAuth, type Auth, type AuthOptions, type Guard } from "./middleware";
+export { hasRole, hasScope, SUPERUSER_ROLE, type Principal } from "./principal";
+
+const authenticators: Authenticator[] = [];
+if (config.auth.jwtSecret !== undefined) {
+  authenticators.push(jwtAuthenticator({
+    secrets: { default: config.auth.jwtSecret },
+    issuer: config.auth.jwtIssuer,
+    audience: config.auth.jwtAudience,
+  }));
+}
+if (config.auth.apiKeys !== undefined) {
+  authenticators.push(apiKeyAuthenticator(new ApiKeyRegistry(config.auth.apiKeys)));
+}
+
+export const auth = createAuth({ authenticators, audit: logAuditSink() });
@@ -0,0 +1,116 @@
+/**
+ * auth/jwt.ts
+ * --------
+ * JSON Web Tokens signed and verified locally with HMAC-SHA256 (HS256):
+ * no identity provider, no network, just a shared secret.
+ *
+ *   const token = signJwt({ sub: "u1", roles: ["admin"] }, { secret, expiresInSec: 3600 });
+ *   const claims = verifyJwt(token, { secrets: { default: secret } });
+ *
+ * verifyJwt() accepts HS256 only (never "none", never an algorithm the
+ * token picks for itself), compares signatures in constant time, and
+ * checks exp/nbf (with a little clock skew), iss and aud. Several secrets
+ * can be live at once, chosen by the token's `kid` header, so a secret
+ * can be rotated without logging everyone out.
+ */
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+export interface JwtClaims {
+  sub?: string;
+  iss?: string;
+  aud?: string | string[];
+  exp?: number;
+  nbf?: number;
+  iat?: number;
+  [claim: string]: unknown;
+}
+
+export type JwtFailure = "malformed" | "unsupported_alg" | "unknown_kid" | "bad_signature" | "expired" | "not_yet_valid" | "wrong_issuer" | "wrong_audience";
+
+export class JwtError extends Error {
+  override name = "JwtError";
+
+  constructor(readonly reason: JwtFailure, message: string) {
+    super(message);
+  }
+}
+
+export interface SignOptions {
+  secret: string;
+  /** Goes in the header; verifyJwt() picks the secret by it. */
+  kid?: string;
+  expiresInSec?: number;
+  issuer?: string;
+  audience?: string;
+  /** Seconds since the epoch. Default: now. */
+  now?: number;
+}
+
+export interface VerifyOptions {
+  /** kid → secret. A token without a kid uses "default". */
+  secrets: Readonly<Record<string, string>>;
+  issuer?: string;
+  audience?: string;
+  clockSkewSec?: number;
+  /** Reject tokens without an exp claim. Default true: a leaked token shouldn't work forever. */
+  requireExp?: boolean;
+  now?: number;
+}
+
+const b64url = (data: string | Buffer) => Buffer.from(data).toString("base64url");
+const hmac = (secret: string, input: string) => createHmac("sha256", secret).update(input).digest();
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+export function signJwt(claims: JwtClaims, options: SignOptions): string {
+  const { secret, kid, expiresInSec, issuer, audience, now = nowSec() } = options;
+  const header = { alg: "HS256", typ: "JWT", ...(kid === undefined ? {} : { kid }) };
+  const payload: JwtClaims = {
+    iat: now,
+    ...(expiresInSec === undefined ? {} : { exp: now + expiresInSec }),
+    ...(issuer === undefined ? {} : { iss: issuer }),
+    ...(audience === undefined ? {} : { aud: audience }),
+    ...claims,
+  };
+  const input = `${b64url(JSON.stringify(header))}.${b64url(JSON.stringify(payload))}`;
+  return `${input}.${b64url(hmac(secret, input))}`;
+}
+
+function decodePart(part: string, what: string): Record<string, unknown> {
+  let value: unknown;
+  try {
+    value = JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+  } catch {
+    throw new JwtError("malformed", `token ${what} is not valid JSON`);
+  }
+  if (typeof value !== "object" || value === null || Array.isArray(value)) throw new JwtError("malformed", `token ${what} is not an object`);
+  return value as Record<string, unknown>;
+}
+
+export function verifyJwt(token: string, options: VerifyOptions): JwtClaims {
+  const { secrets, issuer, audience, clockSkewSec = 30, requireExp = true, now = nowSec() } = options;
+  const parts = token.split(".");
+  if (parts.length !== 3 || parts.some((p) => !/^[\w-]*$/.test(p))) throw new JwtError("malformed", "token is not a JWT");
+  const [h, p, s] = parts as [string, string, string];
+
+  const header = decodePart(h, "header");
+  if (header.alg !== "HS256") throw new JwtError("unsupported_alg", `algorithm ${JSON.stringify(header.alg)} is not accepted`);
+  const kid = typeof header.kid === "string" ? header.kid : "default";
+  const secret = Object.hasOwn(secrets, kid) ? secrets[kid] : undefined;
+  if (secret === undefined) throw new JwtError("unknown_kid", `no key for kid ${JSON.stringify(kid)}`);
+
+  const expected = hmac(secret, `${h}.${p}`);
+  const actual = Buffer.from(s, "base64url");
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) throw new JwtError("bad_signature", "signature does not match");
+
+  // Only now is the payload trustworthy enough to look at.
+  const claims = decodePart(p, "payload") as JwtClaims;
+  if (requireExp && typeof claims.exp !== "number") throw new JwtError("malformed", "token has no expiry");
+  if (typeof claims.exp === "number" && now > claims.exp + clockSkewSec) throw new JwtError("expired", "token has expired");
+  if (typeof claims.nbf === "number" && now < claims.nbf - clockSkewSec) throw new JwtError("not_yet_valid", "token is not valid yet");
+  if (issuer !== undefined && claims.iss !== issuer) throw new JwtError("wrong_issuer", "token was issued by someone else");
+  if (audience !== undefined) {
+    const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!aud.includes(audience)) throw new JwtError("wrong_audience", "token is meant for someone else");
+  }
+  return claims;
+}
@@ -0,0 +1,110 @@
+/**
+ * auth/middleware.ts
+ * --------
+ * createAuth() ties authenticators and an audit sink together and hands
+ * out the middleware:
+ *
+ *   app.use(auth.authenticate);                      // sets req.principal, or not
+ *   router.get("/", auth.requireScope("users:read"), handler);
+ *   router.delete("/:id", auth.requireRole("admin"), handler);
+ *
+ * authenticate never rejects a request that has no credentials — public
+ * routes stay public — but it does reject wrong ones (401). The guards
+ * then answer 401 without a principal and 403 without the role/scope.
+ * Every rejection is audited.
+ */
+import type { NextFunction, Request, RequestHandler, Response } from "express";
+import { ForbiddenError, UnauthorizedError } from "../http/errors";
+import { requestContext } from "../log";
+import type { AuditEvent, AuditSink } from "./audit";
+import { AuthError, type Authenticator } from "./authenticators";
+import { hasRole, hasScope, type Principal } from "./principal";
+
+export interface AuthOptions {
+  authenticators: readonly Authenticator[];
+  audit: AuditSink;
+  /** Realm in the WWW-Authenticate header. */
+  realm?: string;
+}
+
+/**
+ * A guard works on any route, so its request types are left open: that
+ * way it doesn't pin down the types validate() infers further along.
+ */
+export type Guard = RequestHandler<any, any, any, any>;
+
+export interface Auth {
+  readonly authenticate: RequestHandler;
+  requireAuth(): Guard;
+  /** Needs every listed role. */
+  requireRole(...roles: string[]): Guard;
+  /** Needs every listed scope (admins have them all). */
+  requireScope(...scopes: string[]): Guard;
+}
+
+export function createAuth(options: AuthOptions): Auth {
+  const { authenticators, audit, realm = "project1" } = options;
+
+  const record = (req: Request, type: AuditEvent["type"], err: AuthError) => {
+    audit.record({
+      type,
+      reason: err.reason,
+      message: err.message,
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split("?", 1)[0]!,
+      ip: req.ip,
+      ...(err.scheme === undefined ? {} : { scheme: err.scheme }),
+      ...(req.principal ? { principalId: req.principal.id } : {}),
+      at: new Date().toISOString(),
+    });
+  };
+
+  const unauthorized = (req: Request, res: Response, err: AuthError) => {
+    record(req, "auth.failed", err);
+    res.setHeader("WWW-Authenticate", `Bearer realm="${realm}"`);
+    // The reason is safe to share (clients need "expired" to refresh); the details aren't.
+    return new UnauthorizedError(err.reason === "missing_credentials" ? "Authentication required" : "Invalid credentials", { reason: err.reason });
+  };
+
+  const authenticate = async (req: Request, res: Response, next: NextFunction) => {
+    for (const authenticator of authenticators) {
+      let principal: Principal | null;
+      try {
+        principal = await authenticator.authenticate(req);
+      } catch (err) {
+        if (!(err instanceof AuthError)) throw err;
+        next(unauthorized(req, res, err));
+        return;
+      }
+      if (principal) {
+        req.principal = principal;
+        // Everything logged from here on says who it was for.
+        const store = requestContext.getStore();
+        if (store) req.log = store.logger = store.logger.child({ principalId: principal.id });
+        break;
+      }
+    }
+    next();
+  };
+
+  const guard = (allowed: (p: Principal) => boolean, denied: string): Guard => (req, res, next) => {
+    if (!req.principal) {
+      next(unauthorized(req, res, new AuthError("missing_credentials", "no credentials")));
+      return;
+    }
+    if (!allowed(req.principal)) {
+      record(req, "auth.forbidden", new AuthError("forbidden", denied, req.principal.via));
+      next(new ForbiddenError(denied));
+      return;
+    }
+    next();
+  };
+
+  return {
+    authenticate,
+    requireAuth: () => guard(() => true, ""),
+    requireRole: (...roles) => guard((p) => roles.every((r) => hasRole(p, r)), `requires role ${roles.join(", ")}`),
+    requireScope: (...scopes) => guard((p) => scopes.every((s) => hasScope(p, s)), `requires scope ${scopes.join(" ")}`),
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * auth/principal.ts
+ * --------
+ * Who is making a request, once an authenticator has vouched for them.
+ * Handlers behind requireAuth() read it from req.principal.
+ */
+
+export interface Principal {
+  /** Stable id: the JWT's `sub`, or the API key's id. */
+  id: string;
+  /** How they proved it. */
+  via: "jwt" | "apiKey";
+  roles: readonly string[];
+  scopes: readonly string[];
+}
+
+declare global {
+  namespace Express {
+    interface Request {
+      /** Set by the authenticate middleware when the request carried valid credentials. */
+      principal?: Principal;
+    }
+  }
+}
+
+/** "admin" can do anything a scope allows. */
+export const SUPERUSER_ROLE = "admin";
+
+export function hasRole(principal: Principal, role: string): boolean {
+  return principal.roles.includes(role);
+}
+
+export function hasScope(principal: Principal, scope: string): boolean {
+  return hasRole(principal, SUPERUSER_ROLE) || principal.scopes.includes(scope);
+}
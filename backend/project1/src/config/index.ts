@@ -0,0 +1,123 @@
+/**
+ * config/index.ts
+ * --------
+ * The service's configuration: one typed, frozen object, read once at
+ * startup. Each setting comes from (first match wins)
+ *
+ *   1) an environment variable          PORT=3000 npm start
+ *   2) config.local.json                { "server": { "port": 3000 } }
+ *   3) the default below
+ *
+ * config.local.json lives next to package.json and is not committed;
+ * CONFIG_FILE points at a different file. If the result is invalid the
+ * process prints every problem and exits before anything starts.
+ *
+ * Secrets (`secret: true`) are shown as "[redacted]" whenever the config
+ * is logged or serialized.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { ApiKeyRegistry, parseApiKeys, type ApiKeyRecord } from "../auth/api-keys";
+import { ExitCode } from "../lifecycle";
+import { ConfigError, integer, loadConfig, oneOf, string, type Infer, type Schema } from "./schema";
+
+export { ConfigError, type ConfigIssue } from "./schema";
+
+// Parsed and checked here (length, duplicates) so a bad key list fails at startup.
+function apiKeys(raw: unknown): ApiKeyRecord[] {
+  const records = parseApiKeys(raw);
+  new ApiKeyRegistry(records);
+  return records;
+}
+
+export const schema = {
+  env: { env: "NODE_ENV", default: "development", parse: oneOf(["development", "test", "production"]) },
+  server: {
+    port: { env: "PORT", default: 8080, parse: integer({ min: 0, max: 65535 }) },
+    // Unset: listen on all interfaces.
+    host: { env: "HOST", optional: true, parse: string({ nonEmpty: true }) },
+    shutdownTimeoutMs: { env: "SHUTDOWN_TIMEOUT_MS", default: 10_000, parse: integer({ min: 0 }) },
+  },
+  http: {
+    // Largest JSON body express.json() accepts, in bytes.
+    bodyLimitBytes: { env: "BODY_LIMIT_BYTES", default: 100 * 1024, parse: integer({ min: 1 }) },
+    // Deepest nesting accepted in a JSON body ({"a":{"b":1}} is 2).
+    bodyMaxDepth: { env: "BODY_MAX_DEPTH", default: 32, parse: integer({ min: 1 }) },
+  },
+  db: {
+    // Connection string for a real driver (the fake one ignores it).
+    url: { env: "DATABASE_URL", optional: true, secret: true, parse: string({ nonEmpty: true }) },
+    poolMax: { env: "DB_POOL_MAX", default: 10, parse: integer({ min: 1 }) },
+    acquireTimeoutMs: { env: "DB_ACQUIRE_TIMEOUT_MS", default: 2000, parse: integer({ min: 1 }) },
+    healthTimeoutMs: { env: "DB_HEALTH_TIMEOUT_MS", default: 1000, parse: integer({ min: 1 }) },
+    // The fake driver's simulated round trip.
+    fakeLatencyMs: { env: "DB_FAKE_LATENCY_MS", default: 5, parse: integer({ min: 0 }) },
+  },
+  auth: {
+    // HMAC secret for signing/verifying JWTs. Unset: JWT auth is off.
+    jwtSecret: { env: "JWT_SECRET", optional: true, secret: true, parse: string({ minLength: 32 }) },
+    jwtIssuer: { env: "JWT_ISSUER", default: "project1", parse: string({ nonEmpty: true }) },
+    jwtAudience: { env: "JWT_AUDIENCE", default: "project1-api", parse: string({ nonEmpty: true }) },
+    // [{ "id": "ci", "key": "…", "roles": [...], "scopes": [...] }]. Unset: no API keys.
+    apiKeys: { env: "API_KEYS", optional: true, secret: true, parse: apiKeys },
+  },
+  limits: {
+    // Token bucket per client (principal, else IP) across the whole API...
+    rateLimit: { env: "RATE_LIMIT", default: 300, parse: integer({ min: 1 }) },
+    rateWindowSec: { env: "RATE_WINDOW_SEC", default: 60, parse: integer({ min: 1 }) },
+    // ...and a tighter one for writes.
+    writeRateLimit: { env: "WRITE_RATE_LIMIT", default: 30, parse: integer({ min: 1 }) },
+    writeRateWindowSec: { env: "WRITE_RATE_WINDOW_SEC", default: 60, parse: integer({ min: 1 }) },
+    // Rejected credentials (401s) per IP before that IP gets 429 on
+    // everything, so keys and tokens can't be guessed at full speed.
+    authFailureLimit: { env: "AUTH_FAILURE_LIMIT", default: 10, parse: integer({ min: 1 }) },
+    authFailureWindowSec: { env: "AUTH_FAILURE_WINDOW_SEC", default: 60, parse: integer({ min: 1 }) },
+    // Requests in flight before new ones get 503.
+    maxInFlight: { env: "MAX_IN_FLIGHT", default: 200, parse: integer({ min: 1 }) },
+  },
+  log: {
+    level: { env: "LOG_LEVEL", default: "info", parse: oneOf(["debug", "info", "warn", "error", "silent"]) },
+  },
+} as const satisfies Schema;
+
+export type Config = Infer<typeof schema>;
+
+const DEFAULT_FILE = path.resolve(__dirname, "../../config.local.json");
+
+/** Read and parse the config file. A missing default file is fine; a missing CONFIG_FILE is not. */
+export function readConfigFile(file: string, required: boolean): unknown {
+  let text: string;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (!required && (err as NodeJS.ErrnoException).code === "ENOENT") return undefined;
+    throw new ConfigError([{ path: "(file)", source: file, message: (err as Error).message }]);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new ConfigError([{ path: "(file)", source: file, message: `not valid JSON: ${(err as Error).message}` }]);
+  }
+}
+
+/** Build the config from an environment (process.env by default). Throws ConfigError. */
+export function configFrom(env: NodeJS.ProcessEnv = process.env): Config {
+  const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : DEFAULT_FILE;
+  return loadConfig(schema, {
+    env,
+    file: readConfigFile(file, Boolean(env.CONFIG_FILE)),
+    fileName: path.basename(file),
+  });
+}
+
+function loadOrExit(): Config {
+  try {
+    return configFrom();
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    process.exit(ExitCode.StartupFailed);
+  }
+}
+
+export const config: Config = loadOrExit();
@@ -0,0 +1,210 @@
+/**
+ * config/schema.ts
+ * --------
+ * The machinery behind config/index.ts: a schema is a tree of plain
+ * objects whose leaves are Settings. loadConfig() walks it and, for every
+ * leaf, takes the first value it finds in
+ *
+ *   1) the environment variable named by `env`
+ *   2) the config file, at the leaf's path ({ "server": { "port": 3000 } })
+ *   3) the leaf's `default`
+ *
+ * then runs it through `parse`. Every problem (a missing value, a value
+ * that doesn't parse, an unknown key in the file) is collected, so one
+ * ConfigError lists them all instead of making you fix them one by one.
+ *
+ * The result is deep-frozen, and logging it (console.log, util.inspect,
+ * JSON.stringify) shows "[redacted]" in place of `secret` settings.
+ */
+import { inspect } from "node:util";
+
+export interface Setting<T> {
+  /** Turns a raw value (a string from the env, any JSON from the file) into T, or throws. */
+  readonly parse: (raw: unknown) => T;
+  readonly env?: string;
+  readonly default?: T;
+  /** Without a default, an optional setting is undefined instead of an error. */
+  readonly optional?: boolean;
+  readonly secret?: boolean;
+}
+
+export interface Schema {
+  readonly [key: string]: Setting<unknown> | Schema;
+}
+
+type Value<S> = S extends { optional: true } & Setting<infer T> ? T | undefined : S extends Setting<infer T> ? T : never;
+
+/** The config type a schema describes. */
+export type Infer<S extends Schema> = {
+  readonly [K in keyof S]: S[K] extends Setting<unknown> ? Value<S[K]> : S[K] extends Schema ? Infer<S[K]> : never;
+};
+
+export interface ConfigIssue {
+  /** Dotted path of the setting, e.g. "server.port". */
+  path: string;
+  /** Where the bad value came from: "env PORT", "config.local.json" or "default". */
+  source: string;
+  message: string;
+}
+
+export class ConfigError extends Error {
+  override name = "ConfigError";
+
+  constructor(readonly issues: readonly ConfigIssue[]) {
+    super(
+      `Invalid configuration (${issues.length} problem${issues.length === 1 ? "" : "s"}):\n` +
+      issues.map((i) => `  - ${i.path} (${i.source}): ${i.message}`).join("\n"),
+    );
+  }
+}
+
+/* ===== Parsers ===== */
+
+function fail(message: string): never {
+  throw new Error(message);
+}
+
+export function string(options: { nonEmpty?: boolean; minLength?: number } = {}): (raw: unknown) => string {
+  return (raw) => {
+    if (typeof raw !== "string") fail(`expected a string, got ${JSON.stringify(raw)}`);
+    if (options.nonEmpty && raw.trim() === "") fail("must not be empty");
+    if (options.minLength !== undefined && raw.length < options.minLength) fail(`must be at least ${options.minLength} characters`);
+    return raw;
+  };
+}
+
+export function integer(options: { min?: number; max?: number } = {}): (raw: unknown) => number {
+  const { min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER } = options;
+  return (raw) => {
+    const n = typeof raw === "string" && /^\s*-?\d+\s*$/.test(raw) ? Number(raw) : raw;
+    if (typeof n !== "number" || !Number.isSafeInteger(n)) fail(`expected an integer, got ${JSON.stringify(raw)}`);
+    if (n < min || n > max) fail(`expected an integer from ${min} to ${max}, got ${n}`);
+    return n;
+  };
+}
+
+export function boolean(): (raw: unknown) => boolean {
+  return (raw) => {
+    if (typeof raw === "boolean") return raw;
+    if (raw === "true" || raw === "1") return true;
+    if (raw === "false" || raw === "0") return false;
+    return fail(`expected true/false, got ${JSON.stringify(raw)}`);
+  };
+}
+
+export function oneOf<const T extends string>(values: readonly T[]): (raw: unknown) => T {
+  return (raw) => {
+    if (typeof raw !== "string" || !(values as readonly string[]).includes(raw)) {
+      fail(`expected one of ${values.map((v) => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(raw)}`);
+    }
+    return raw as T;
+  };
+}
+
+/* ===== Loading ===== */
+
+export interface LoadOptions {
+  /** Usually process.env. */
+  env: Readonly<Record<string, string | undefined>>;
+  /** The parsed config file, if there is one. */
+  file?: unknown;
+  /** Name to use for the file in error messages. */
+  fileName?: string;
+}
+
+const REDACTED = "[redacted]";
+
+function isSetting(node: Setting<unknown> | Schema): node is Setting<unknown> {
+  return typeof node.parse === "function";
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+export function loadConfig<S extends Schema>(schema: S, options: LoadOptions): Infer<S> {
+  const { env, file = {}, fileName = "config file" } = options;
+  const issues: ConfigIssue[] = [];
+
+  const walk = (node: Schema, fileNode: unknown, path: string[]): Record<string, unknown> => {
+    const out: Record<string, unknown> = {};
+    const fromFile = isPlainObject(fileNode) ? fileNode : {};
+    if (fileNode !== undefined && !isPlainObject(fileNode)) {
+      issues.push({ path: path.join(".") || "(root)", source: fileName, message: "expected an object" });
+    }
+    for (const key of Object.keys(fromFile)) {
+      if (!Object.hasOwn(node, key)) {
+        issues.push({ path: [...path, key].join("."), source: fileName, message: "unknown setting" });
+      }
+    }
+
+    for (const [key, child] of Object.entries(node)) {
+      const here = [...path, key];
+      if (!isSetting(child)) {
+        out[key] = walk(child, fromFile[key], here);
+        continue;
+      }
+      const envValue = child.env === undefined ? undefined : env[child.env];
+      const [raw, source] =
+        envValue !== undefined && envValue !== "" ? [envValue, `env ${child.env}`]
+        : fromFile[key] !== undefined ? [fromFile[key], fileName]
+        : [child.default, "default"];
+
+      if (raw === undefined) {
+        if (!child.optional) {
+          const hint = child.env ? `set ${child.env} or "${here.join(".")}" in ${fileName}` : `set "${here.join(".")}" in ${fileName}`;
+          issues.push({ path: here.join("."), source: "missing", message: `required: ${hint}` });
+        }
+        out[key] = undefined;
+        continue;
+      }
+      try {
+        // Defaults are already the right type; they still go through parse
+        // so that a bad default is caught too.
+        out[key] = child.parse(raw);
+      } catch (err) {
+        // A parser's message may quote any part of the value (JSON.parse
+        // does), so for a secret none of it is passed on.
+        const message = child.secret ? "invalid value (details withheld: the setting is secret)"
+          : err instanceof Error ? err.message : String(err);
+        issues.push({ path: here.join("."), source, message });
+      }
+    }
+    return out;
+  };
+
+  const config = walk(schema, file, []);
+  if (issues.length) throw new ConfigError(issues);
+  return seal(config, redact(schema, config)) as Infer<S>;
+}
+
+/** A copy of the config with every secret that is set replaced by "[redacted]". */
+export function redact(schema: Schema, config: Readonly<Record<string, unknown>>): Record<string, unknown> {
+  const out: Record<string, unknown> = {};
+  for (const [key, child] of Object.entries(schema)) {
+    const value = config[key];
+    if (isSetting(child)) out[key] = child.secret && value !== undefined ? REDACTED : value;
+    else out[key] = redact(child, isPlainObject(value) ? value : {});
+  }
+  return out;
+}
+
+// Deep-freeze the config, and make the ways it usually gets logged show
+// the redacted copy instead.
+function seal(config: Record<string, unknown>, redacted: Record<string, unknown>): Readonly<Record<string, unknown>> {
+  for (const [key, value] of Object.entries(config)) {
+    if (isPlainObject(value)) seal(value, redacted[key] as Record<string, unknown>);
+    else if (Array.isArray(value)) deepFreeze(value);
+  }
+  Object.defineProperties(config, {
+    toJSON: { value: () => redacted },
+    [inspect.custom]: { value: (_depth: number, options: object) => inspect(redacted, options) },
+  });
+  return Object.freeze(config);
+}
+
+function deepFreeze(value: unknown): void {
+  if (typeof value !== "object" || value === null || Object.isFrozen(value)) return;
+  for (const child of Object.values(value)) deepFreeze(child);
+  Object.freeze(value);
+}
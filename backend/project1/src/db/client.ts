@@ -0,0 +1,142 @@
+/**
+ * client.ts
+ * --------
+ * DBClient: the two-phase init() pattern from syntax/oop, grown into a
+ * client with a full lifecycle:
+ *
+ *   idle → connecting → ready → closing → closed
+ *
+ * - init() is idempotent and safe to call concurrently: every caller
+ *   awaits the same attempt. If it fails the client is idle again, so a
+ *   later init() retries.
+ * - query() borrows a connection from a bounded Pool and gives it back.
+ *   A connection that fails with ConnectionError is destroyed rather than
+ *   returned, along with the idle ones (a lost connection usually means
+ *   the server dropped them all). The query still fails; the next one
+ *   gets a new connection.
+ * - health() pings the database through the pool, with a timeout.
+ * - close() waits for queries in flight, then closes every connection.
+ */
+import { withTimeout } from "../timeout";
+import { ConnectionError, Pool, type Connection, type Driver, type PoolOptions, type PoolStats } from "./pool";
+
+export type ClientState = "idle" | "connecting" | "ready" | "closing" | "closed";
+
+export interface DBClientOptions {
+  driver: Driver;
+  pool?: Partial<PoolOptions>;
+  /** How long health() waits for a ping. */
+  healthTimeoutMs?: number;
+}
+
+export interface HealthReport {
+  ok: boolean;
+  state: ClientState;
+  latencyMs: number;
+  pool: PoolStats;
+  error?: string;
+}
+
+const POOL_DEFAULTS: PoolOptions = { max: 10, acquireTimeoutMs: 2000 };
+const NO_POOL: PoolStats = { size: 0, idle: 0, inUse: 0, waiting: 0 };
+
+export class DBClient {
+  state: ClientState = "idle";
+  private pool: Pool | null = null;
+  private initializing: Promise<this> | null = null;
+  private closing: Promise<void> | null = null;
+  private readonly healthTimeoutMs: number;
+
+  constructor(private readonly options: DBClientOptions) {
+    this.healthTimeoutMs = options.healthTimeoutMs ?? 1000;
+  }
+
+  get connected(): boolean {
+    return this.state === "ready";
+  }
+
+  init(): Promise<this> {
+    if (this.closing) return Promise.reject(new Error("client is closed"));
+    this.initializing ??= this.connect();
+    return this.initializing;
+  }
+
+  // One connection is opened and pinged up front, so init() fails fast
+  // when the database is unreachable.
+  private async connect(): Promise<this> {
+    this.state = "connecting";
+    const pool = new Pool(this.options.driver, { ...POOL_DEFAULTS, ...this.options.pool });
+    let conn: Connection | undefined;
+    try {
+      conn = await pool.acquire();
+      await conn.ping();
+      pool.release(conn);
+    } catch (err) {
+      if (conn) await pool.destroy(conn);
+      await pool.close();
+      if (this.state === "connecting") this.state = "idle";
+      this.initializing = null;
+      throw err;
+    }
+    this.pool = pool;
+    if (this.state === "connecting") this.state = "ready";
+    return this;
+  }
+
+  private requirePool(): Pool {
+    if (this.state !== "ready" || !this.pool) throw new Error("not connected");
+    return this.pool;
+  }
+
+  /** Run fn with a connection of its own, then give the connection back. */
+  async withConnection<T>(fn: (conn: Connection) => Promise<T>): Promise<T> {
+    const pool = this.requirePool();
+    const conn = await pool.acquire();
+    try {
+      const result = await fn(conn);
+      pool.release(conn);
+      return result;
+    } catch (err) {
+      if (err instanceof ConnectionError) {
+        await Promise.all([pool.destroy(conn), pool.evictIdle()]);
+      } else {
+        pool.release(conn);
+      }
+      throw err;
+    }
+  }
+
+  query<Row = Record<string, unknown>>(sql: string, params?: readonly unknown[]): Promise<Row[]> {
+    return this.withConnection((conn) => conn.query<Row>(sql, params));
+  }
+
+  async health(): Promise<HealthReport> {
+    const started = performance.now();
+    const report = (error?: string): HealthReport => ({
+      ok: error === undefined,
+      state: this.state,
+      latencyMs: Math.round(performance.now() - started),
+      pool: this.pool?.stats ?? NO_POOL,
+      ...(error === undefined ? {} : { error }),
+    });
+
+    if (this.state !== "ready") return report(`client is ${this.state}`);
+    try {
+      await withTimeout(this.withConnection((conn) => conn.ping()), this.healthTimeoutMs, "ping");
+      return report();
+    } catch (err) {
+      return report(err instanceof Error ? err.message : String(err));
+    }
+  }
+
+  close(): Promise<void> {
+    this.closing ??= (async () => {
+      this.state = "closing";
+      await this.initializing?.catch(() => {});
+      await this.pool?.close();
+      this.pool = null;
+      this.state = "closed";
+    })();
+    return this.closing;
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * db/demo.ts
+ * --------
+ * The DBClient lifecycle against the fake backend, step by step:
+ *
+ *   npm run demo:db
+ *
+ * 1) concurrent init() calls share one connect
+ * 2) more queries than connections: the pool queues them
+ * 3) a caller that waits too long gets a PoolTimeoutError
+ * 4) the server restarts: broken connections are replaced
+ * 5) an outage shows up in health()
+ * 6) close() waits for the query in flight
+ */
+import { DBClient } from "./client";
+import { FakeDriver } from "./fake";
+import { PoolTimeoutError } from "./pool";
+
+const driver = new FakeDriver({ latencyMs: 20 });
+const client = new DBClient({ driver, pool: { max: 2, acquireTimeoutMs: 100 }, healthTimeoutMs: 200 });
+
+async function main() {
+  console.log("-- 1) idempotent, concurrent-safe init --");
+  const [a, b] = await Promise.all([client.init(), client.init()]);
+  console.log("same client:", a === b, "| state:", client.state, "| server connections:", driver.open.size);
+
+  console.log("\n-- 2) bounded pool: 5 queries, 2 connections --");
+  const started = performance.now();
+  await Promise.all(Array.from({ length: 5 }, () => client.query("SELECT 1")));
+  console.log(`5 queries in ~${Math.round(performance.now() - started)}ms (3 rounds of 20ms) | server connections: ${driver.open.size}`);
+
+  console.log("\n-- 3) acquire timeout --");
+  const hog = (ms: number) => client.withConnection(() => new Promise((r) => setTimeout(r, ms)));
+  const results = await Promise.allSettled([hog(300), hog(300), client.query("SELECT 1")]);
+  const third = results[2];
+  console.log("third caller:", third.status === "rejected" && third.reason instanceof PoolTimeoutError ? third.reason.message : third.status);
+
+  console.log("\n-- 4) server restart --");
+  driver.dropConnections();
+  const afterDrop = await client.query("SELECT 1").catch((err: Error) => err.message);
+  console.log("first query after restart:", afterDrop);
+  console.log("next query:", await client.query("SELECT 1"), "| server connections:", driver.open.size);
+
+  console.log("\n-- 5) health probe --");
+  console.log("healthy:", await client.health());
+  driver.down = true;
+  console.log("outage:", await client.health());
+  driver.down = false;
+
+  console.log("\n-- 6) graceful close --");
+  const slow = client.withConnection(async (conn) => {
+    await new Promise((r) => setTimeout(r, 50));
+    return conn.query("SELECT 1");
+  });
+  await client.close();
+  console.log("in-flight query finished:", await slow, "| state:", client.state, "| server connections:", driver.open.size);
+  console.log("query after close:", await client.query("SELECT 1").catch((err: Error) => err.message));
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
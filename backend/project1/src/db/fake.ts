@@ -0,0 +1,82 @@
+/**
+ * fake.ts
+ * --------
+ * A local stand-in for a real database server, so the client and pool can
+ * be run (and broken on purpose) without installing anything.
+ *
+ * Every connection answers queries after `latencyMs`. The knobs:
+ * - `maxConnections`: the "server" refuses connections beyond this.
+ * - `down = true`: connects and queries fail, like an outage.
+ * - `dropConnections()`: every open connection breaks, like a server
+ *   restart; the pool has to replace them.
+ *
+ * Queries understand just enough SQL to be useful in demos:
+ * "SELECT 1" returns [{ "?column?": 1 }], anything else returns [].
+ */
+import { ConnectionError, type Connection, type Driver } from "./pool";
+
+export interface FakeDriverOptions {
+  latencyMs?: number;
+  maxConnections?: number;
+}
+
+const sleep = (ms: number) => new Promise<void>((resolve) => setTimeout(resolve, ms));
+
+class FakeConnection implements Connection {
+  broken = false;
+  closed = false;
+
+  constructor(private readonly server: FakeDriver, readonly id: number) {}
+
+  private async roundTrip(): Promise<void> {
+    await sleep(this.server.latencyMs);
+    if (this.closed) throw new ConnectionError(`connection ${this.id} is closed`);
+    if (this.broken || this.server.down) throw new ConnectionError(`connection ${this.id} lost`);
+  }
+
+  async query<Row = Record<string, unknown>>(sql: string): Promise<Row[]> {
+    await this.roundTrip();
+    this.server.queries++;
+    return (/^\s*select\s+1\s*;?\s*$/i.test(sql) ? [{ "?column?": 1 }] : []) as Row[];
+  }
+
+  async ping(): Promise<void> {
+    await this.roundTrip();
+  }
+
+  async close(): Promise<void> {
+    if (this.closed) return;
+    this.closed = true;
+    this.server.open.delete(this);
+  }
+}
+
+export class FakeDriver implements Driver {
+  latencyMs: number;
+  maxConnections: number;
+  down = false;
+  /** Queries answered so far. */
+  queries = 0;
+  readonly open = new Set<FakeConnection>();
+  private nextId = 1;
+
+  constructor({ latencyMs = 5, maxConnections = 100 }: FakeDriverOptions = {}) {
+    this.latencyMs = latencyMs;
+    this.maxConnections = maxConnections;
+  }
+
+  async connect(): Promise<Connection> {
+    await sleep(this.latencyMs);
+    if (this.down) throw new ConnectionError("connection refused (fake server is down)");
+    if (this.open.size >= this.maxConnections) throw new ConnectionError("too many connections");
+    const conn = new FakeConnection(this, this.nextId++);
+    this.open.add(conn);
+    return conn;
+  }
+
+  /** Break every open connection, as if the server restarted. */
+  dropConnections(): void {
+    for (const conn of this.open) conn.broken = true;
+    this.open.clear();
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * db/index.ts
+ * --------
+ * The service's one database client, the connectDB()/disconnectDB()
+ * pair server.ts calls around the server's lifetime, and the "database"
+ * readiness check.
+ *
+ * There is no real database yet, so the client talks to the local
+ * FakeDriver. Swapping in a real driver only means passing a different
+ * `driver` here: anything with connect() → Connection works.
+ */
+import { config } from "../config";
+import { health } from "../health";
+import { DBClient } from "./client";
+import { FakeDriver } from "./fake";
+
+export { DBClient, type ClientState, type DBClientOptions, type HealthReport } from "./client";
+export { FakeDriver, type FakeDriverOptions } from "./fake";
+export {
+  ConnectionError, Pool, PoolClosedError, PoolTimeoutError,
+  type Connection, type Driver, type PoolOptions, type PoolStats,
+} from "./pool";
+
+export const db = new DBClient({
+  driver: new FakeDriver({ latencyMs: config.db.fakeLatencyMs }),
+  pool: { max: config.db.poolMax, acquireTimeoutMs: config.db.acquireTimeoutMs },
+  healthTimeoutMs: config.db.healthTimeoutMs,
+});
+
+health.register({
+  name: "database",
+  critical: true,
+  // db.health() has its own ping timeout; this one is just a backstop.
+  timeoutMs: config.db.healthTimeoutMs * 2,
+  check: async () => {
+    const report = await db.health();
+    if (!report.ok) throw new Error(report.error);
+    return { state: report.state, pool: report.pool };
+  },
+});
+
+/** Connect (or join a connect already in progress). */
+export function connectDB(): Promise<DBClient> {
+  return db.init();
+}
+
+export function disconnectDB(): Promise<void> {
+  return db.close();
+}
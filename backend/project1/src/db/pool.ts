@@ -0,0 +1,184 @@
+/**
+ * pool.ts
+ * --------
+ * A bounded pool of connections from any Driver.
+ *
+ * - acquire() hands out an idle connection, opens a new one while the pool
+ *   is below `max`, and otherwise waits (first come, first served) up to
+ *   `acquireTimeoutMs` before failing with a PoolTimeoutError.
+ * - release() gives a connection back; a waiting caller gets it directly.
+ * - destroy() throws a broken connection away instead, so the next
+ *   acquire() opens a fresh one — that is how the pool reconnects.
+ *   evictIdle() does the same for every idle connection.
+ * - close() refuses new acquire() calls. Callers already waiting are
+ *   still served (or time out), and it resolves once every connection
+ *   has been given back and closed.
+ *
+ * Drivers signal a dead connection by throwing a ConnectionError.
+ */
+
+export interface Connection {
+  query<Row = Record<string, unknown>>(sql: string, params?: readonly unknown[]): Promise<Row[]>;
+  ping(): Promise<void>;
+  close(): Promise<void>;
+}
+
+export interface Driver {
+  connect(): Promise<Connection>;
+}
+
+export interface PoolOptions {
+  /** Most connections open at once. */
+  max: number;
+  /** How long acquire() may wait for a free connection. */
+  acquireTimeoutMs: number;
+}
+
+export interface PoolStats {
+  size: number;
+  idle: number;
+  inUse: number;
+  waiting: number;
+}
+
+/** The connection (or the server behind it) is gone; don't reuse it. */
+export class ConnectionError extends Error {
+  override name = "ConnectionError";
+}
+
+export class PoolTimeoutError extends Error {
+  override name = "PoolTimeoutError";
+}
+
+export class PoolClosedError extends Error {
+  override name = "PoolClosedError";
+  constructor() {
+    super("pool is closed");
+  }
+}
+
+interface Waiter {
+  resolve(conn: Connection): void;
+  reject(err: Error): void;
+  timer: NodeJS.Timeout;
+}
+
+export class Pool {
+  private readonly idle: Connection[] = [];
+  private readonly inUse = new Set<Connection>();
+  private readonly waiters: Waiter[] = [];
+  private opening = 0; // connects in progress count towards `max`
+  private closing: Promise<void> | null = null;
+  private onDrained: (() => void) | null = null;
+
+  constructor(private readonly driver: Driver, private readonly options: PoolOptions) {
+    if (!Number.isInteger(options.max) || options.max < 1) {
+      throw new RangeError("pool max must be a positive integer");
+    }
+  }
+
+  get stats(): PoolStats {
+    return {
+      size: this.idle.length + this.inUse.size + this.opening,
+      idle: this.idle.length,
+      inUse: this.inUse.size,
+      waiting: this.waiters.length,
+    };
+  }
+
+  async acquire(): Promise<Connection> {
+    if (this.closing) throw new PoolClosedError();
+
+    const idle = this.idle.pop();
+    if (idle) {
+      this.inUse.add(idle);
+      return idle;
+    }
+    if (this.stats.size < this.options.max) return this.open();
+
+    return new Promise<Connection>((resolve, reject) => {
+      const waiter: Waiter = {
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          this.waiters.splice(this.waiters.indexOf(waiter), 1);
+          reject(new PoolTimeoutError(`no connection free after ${this.options.acquireTimeoutMs}ms (max ${this.options.max})`));
+          this.checkDrained();
+        }, this.options.acquireTimeoutMs),
+      };
+      this.waiters.push(waiter);
+    });
+  }
+
+  private async open(): Promise<Connection> {
+    this.opening++;
+    let conn: Connection;
+    try {
+      conn = await this.driver.connect();
+    } catch (err) {
+      this.opening--;
+      this.slotFreed();
+      throw err;
+    }
+    this.opening--;
+    this.inUse.add(conn);
+    return conn;
+  }
+
+  release(conn: Connection): void {
+    if (!this.inUse.has(conn)) return;
+
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(conn); // stays in use, new owner
+      return;
+    }
+    this.inUse.delete(conn);
+    if (this.closing) {
+      void conn.close().catch(() => {}).finally(() => this.checkDrained());
+    } else {
+      this.idle.push(conn);
+    }
+  }
+
+  /** Drop a connection that is no longer usable; the slot frees up. */
+  async destroy(conn: Connection): Promise<void> {
+    if (!this.inUse.delete(conn)) return;
+    try {
+      await conn.close();
+    } catch {
+      // it was broken already
+    }
+    this.slotFreed();
+  }
+
+  /** Close every idle connection, e.g. after one of them turned out dead. */
+  async evictIdle(): Promise<void> {
+    await Promise.allSettled(this.idle.splice(0).map((conn) => conn.close()));
+  }
+
+  // A slot opened up: the first waiter gets a new connection through it.
+  private slotFreed(): void {
+    const waiter = this.waiters.shift();
+    if (!waiter) return this.checkDrained();
+    clearTimeout(waiter.timer);
+    this.open().then(waiter.resolve, waiter.reject);
+  }
+
+  close(): Promise<void> {
+    this.closing ??= (async () => {
+      await this.evictIdle();
+      if (this.inUse.size || this.opening || this.waiters.length) {
+        await new Promise<void>((resolve) => {
+          this.onDrained = resolve;
+        });
+      }
+    })();
+    return this.closing;
+  }
+
+  private checkDrained(): void {
+    if (this.onDrained && !this.inUse.size && !this.opening && !this.waiters.length) this.onDrained();
+  }
+}
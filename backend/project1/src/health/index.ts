@@ -0,0 +1,43 @@
+/**
+ * health/index.ts
+ * --------
+ * The service's health registry and its routes:
+ *
+ *   GET /health/live   200 as long as the process can answer at all.
+ *                      Restart the service if this fails.
+ *   GET /health/ready  runs every registered check: 200 when ready,
+ *                      503 when a critical check fails or the server is
+ *                      draining. Stop sending traffic if this fails.
+ *   GET /health        same as /health/live. It was the liveness probe
+ *                      before readiness existed, and probes still point
+ *                      at it; a dependency outage mustn't restart pods.
+ */
+import { Router, type RequestHandler } from "express";
+import { HealthRegistry } from "./registry";
+
+export { HealthRegistry, type CheckResult, type HealthCheck, type HealthReport, type HealthStatus } from "./registry";
+
+export const health = new HealthRegistry();
+
+export function healthRoutes(registry: HealthRegistry = health): Router {
+  const router = Router();
+
+  // Probes must never see a cached answer.
+  router.use((_req, res, next) => {
+    res.setHeader("Cache-Control", "no-store");
+    next();
+  });
+
+  const live: RequestHandler = (_req, res) => {
+    res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+  };
+  router.get("/live", live);
+  router.get("/", live);
+
+  router.get("/ready", async (_req, res) => {
+    const report = await registry.run();
+    res.status(report.ready ? 200 : 503).json(report);
+  });
+
+  return router;
+}
@@ -0,0 +1,92 @@
+/**
+ * health/registry.ts
+ * --------
+ * Modules register named checks here; GET /health/ready runs them all.
+ *
+ *   health.register({ name: "database", check: () => db.ping(), timeoutMs: 500 });
+ *
+ * A check passes if it resolves (with optional details to show) and
+ * fails if it throws or takes longer than its timeout. Checks run in
+ * parallel, so a slow one only costs its own timeout.
+ *
+ * The overall status is
+ *   - "ok":       every check passed
+ *   - "degraded": only non-critical checks failed (still ready)
+ *   - "fail":     a critical check failed (not ready)
+ *   - "draining": the server is shutting down (not ready, checks skipped)
+ */
+import { withTimeout } from "../timeout";
+
+export interface HealthCheck {
+  name: string;
+  /** Resolve (optionally with details for the report) if healthy; throw if not. */
+  check: () => Promise<unknown> | unknown;
+  /** Default 1000ms. */
+  timeoutMs?: number;
+  /** A failing critical check makes the service not ready. Default true. */
+  critical?: boolean;
+}
+
+export interface CheckResult {
+  status: "pass" | "fail";
+  critical: boolean;
+  latencyMs: number;
+  details?: unknown;
+  error?: string;
+}
+
+export type HealthStatus = "ok" | "degraded" | "fail" | "draining";
+
+export interface HealthReport {
+  status: HealthStatus;
+  /** Whether the service should get traffic. */
+  ready: boolean;
+  checks: Record<string, CheckResult>;
+}
+
+export class HealthRegistry {
+  private readonly checks = new Map<string, Required<HealthCheck>>();
+  private drainingSince: Date | null = null;
+
+  register(check: HealthCheck): this {
+    if (this.checks.has(check.name)) throw new Error(`health check "${check.name}" is already registered`);
+    this.checks.set(check.name, { timeoutMs: 1000, critical: true, ...check });
+    return this;
+  }
+
+  unregister(name: string): boolean {
+    return this.checks.delete(name);
+  }
+
+  /** Called when shutdown starts: from now on the service reports not ready. */
+  markDraining(): void {
+    this.drainingSince ??= new Date();
+  }
+
+  get draining(): boolean {
+    return this.drainingSince !== null;
+  }
+
+  async run(): Promise<HealthReport> {
+    if (this.draining) return { status: "draining", ready: false, checks: {} };
+
+    const entries = await Promise.all(
+      [...this.checks.values()].map(async (c): Promise<[string, CheckResult]> => [c.name, await runCheck(c)]),
+    );
+    const checks = Object.fromEntries(entries);
+    const failed = entries.filter(([, r]) => r.status === "fail");
+    const status: HealthStatus = failed.some(([, r]) => r.critical) ? "fail" : failed.length ? "degraded" : "ok";
+    return { status, ready: status !== "fail", checks };
+  }
+}
+
+async function runCheck(c: Required<HealthCheck>): Promise<CheckResult> {
+  const started = performance.now();
+  const latency = () => Math.round(performance.now() - started);
+  try {
+    const details = await withTimeout(Promise.resolve().then(c.check), c.timeoutMs, `check "${c.name}"`);
+    return { status: "pass", critical: c.critical, latencyMs: latency(), ...(details === undefined ? {} : { details }) };
+  } catch (err) {
+    return { status: "fail", critical: c.critical, latencyMs: latency(), error: err instanceof Error ? err.message : String(err) };
+  }
+}
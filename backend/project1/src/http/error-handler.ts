@@ -0,0 +1,60 @@
+/**
+ * http/error-handler.ts
+ * --------
+ * The last two middlewares in app.ts:
+ *
+ * - notFound: nothing matched the route, so it's a NotFoundError.
+ * - errorHandler: turns any error into the one JSON error shape clients
+ *   get from this API:
+ *
+ *     { "error": { "code": "NOT_FOUND", "message": "...", "details": null,
+ *                  "requestId": "...", "stack": "..." } }
+ *
+ *   `stack` is only there outside production. 5xx errors are logged
+ *   with their cause; 4xx ones are the client's business.
+ */
+import type { NextFunction, Request, Response } from "express";
+import { config } from "../config";
+import { NotFoundError, toHttpError } from "./errors";
+
+export interface ErrorBody {
+  error: {
+    code: string;
+    message: string;
+    details: unknown;
+    requestId: string;
+    stack?: string;
+  };
+}
+
+export function notFound(req: Request, _res: Response, next: NextFunction): void {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+}
+
+export function errorHandler(err: unknown, req: Request, res: Response, next: NextFunction): void {
+  // Too late for a JSON body: let Express cut the connection.
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+
+  const error = toHttpError(err);
+  if (error.status >= 500) {
+    req.log.error("request failed", { err: error.cause ?? error });
+  }
+
+  const body: ErrorBody = {
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details ?? null,
+      requestId: req.id,
+    },
+  };
+  if (config.env !== "production") {
+    // The original error's stack is the one worth reading.
+    const stack = error.cause instanceof Error ? error.cause.stack : error.stack;
+    if (stack !== undefined) body.error.stack = stack;
+  }
+  res.status(error.status).json(body);
+}
@@ -0,0 +1,152 @@
+/**
+ * http/errors.ts
+ * --------
+ * The errors a handler can throw (or pass to next()) to produce a
+ * specific response. Each one carries its HTTP status and a stable,
+ * machine-readable `code`; `details` is optional extra data for the
+ * client, e.g. which fields failed validation.
+ *
+ *   throw new NotFoundError(`user ${id} not found`);
+ *   throw new ValidationError("invalid body", [{ path: "email", message: "required" }]);
+ *
+ * Anything else that reaches the error handler is an InternalError: the
+ * client sees a generic message, the log gets the real one.
+ */
+
+export class HttpError extends Error {
+  override name = "HttpError";
+
+  constructor(
+    readonly status: number,
+    readonly code: string,
+    message: string,
+    readonly details?: unknown,
+    options?: ErrorOptions,
+  ) {
+    super(message, options);
+  }
+}
+
+/** 400: the request itself is wrong (bad body, params or query). */
+export class ValidationError extends HttpError {
+  override name = "ValidationError";
+
+  constructor(message = "Request validation failed", details?: unknown, options?: ErrorOptions) {
+    super(400, "VALIDATION_FAILED", message, details, options);
+  }
+}
+
+/** 401: missing or invalid credentials. */
+export class UnauthorizedError extends HttpError {
+  override name = "UnauthorizedError";
+
+  constructor(message = "Authentication required", details?: unknown, options?: ErrorOptions) {
+    super(401, "UNAUTHORIZED", message, details, options);
+  }
+}
+
+/** 403: authenticated, but not allowed to do this. */
+export class ForbiddenError extends HttpError {
+  override name = "ForbiddenError";
+
+  constructor(message = "Forbidden", details?: unknown, options?: ErrorOptions) {
+    super(403, "FORBIDDEN", message, details, options);
+  }
+}
+
+/** 404: no such route or resource. */
+export class NotFoundError extends HttpError {
+  override name = "NotFoundError";
+
+  constructor(message = "Not found", details?: unknown, options?: ErrorOptions) {
+    super(404, "NOT_FOUND", message, details, options);
+  }
+}
+
+/** 409: the request clashes with the current state (e.g. a duplicate key). */
+export class ConflictError extends HttpError {
+  override name = "ConflictError";
+
+  constructor(message = "Conflict", details?: unknown, options?: ErrorOptions) {
+    super(409, "CONFLICT", message, details, options);
+  }
+}
+
+/** 412: an If-Match precondition failed: the resource changed since the client read it. */
+export class PreconditionFailedError extends HttpError {
+  override name = "PreconditionFailedError";
+
+  constructor(message = "Precondition failed", details?: unknown, options?: ErrorOptions) {
+    super(412, "PRECONDITION_FAILED", message, details, options);
+  }
+}
+
+/** 428: the request must be conditional (If-Match) so it can't overwrite a change it never saw. */
+export class PreconditionRequiredError extends HttpError {
+  override name = "PreconditionRequiredError";
+
+  constructor(message = "Precondition required", details?: unknown, options?: ErrorOptions) {
+    super(428, "PRECONDITION_REQUIRED", message, details, options);
+  }
+}
+
+/** 429: the client is over its rate limit; see Retry-After. */
+export class TooManyRequestsError extends HttpError {
+  override name = "TooManyRequestsError";
+
+  constructor(message = "Too many requests", details?: unknown, options?: ErrorOptions) {
+    super(429, "RATE_LIMITED", message, details, options);
+  }
+}
+
+/** 503: the service is overloaded or not ready; the client may retry later. */
+export class ServiceUnavailableError extends HttpError {
+  override name = "ServiceUnavailableError";
+
+  constructor(message = "Service unavailable", details?: unknown, options?: ErrorOptions) {
+    super(503, "UNAVAILABLE", message, details, options);
+  }
+}
+
+/** 500: a bug or an unexpected failure. Wraps the original as `cause`. */
+export class InternalError extends HttpError {
+  override name = "InternalError";
+
+  constructor(message = "Internal server error", options?: ErrorOptions) {
+    super(500, "INTERNAL", message, undefined, options);
+  }
+}
+
+// express.json() (body-parser) reports its failures as errors with a
+// `type` and a `status`. The ones a client can cause get their own code.
+const BODY_PARSER_CODES: Record<string, string> = {
+  "entity.parse.failed": "MALFORMED_JSON",
+  "entity.too.large": "PAYLOAD_TOO_LARGE",
+  "encoding.unsupported": "UNSUPPORTED_ENCODING",
+  "charset.unsupported": "UNSUPPORTED_CHARSET",
+  "request.aborted": "REQUEST_ABORTED",
+  "request.size.invalid": "BAD_REQUEST",
+};
+
+interface BodyParserError extends Error {
+  type: string;
+  status: number;
+}
+
+function isBodyParserError(err: unknown): err is BodyParserError {
+  return err instanceof Error && typeof (err as Partial<BodyParserError>).type === "string"
+    && typeof (err as Partial<BodyParserError>).status === "number";
+}
+
+/** Whatever was thrown, as an HttpError. */
+export function toHttpError(err: unknown): HttpError {
+  if (err instanceof HttpError) return err;
+  if (isBodyParserError(err)) {
+    const code = BODY_PARSER_CODES[err.type];
+    if (code) {
+      const message = code === "MALFORMED_JSON" ? "Request body is not valid JSON" : err.message;
+      return new HttpError(err.status, code, message, undefined, { cause: err });
+    }
+  }
+  return new InternalError(undefined, { cause: err });
+}
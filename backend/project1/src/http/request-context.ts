@@ -0,0 +1,62 @@
+/**
+ * http/request-context.ts
+ * --------
+ * Runs the rest of the request inside its own log context (see log/) and
+ * writes one access-log line when the response is done:
+ *
+ *   {"level":"info","msg":"request","requestId":"…","method":"GET",
+ *    "path":"/health/ready","status":200,"durationMs":3.2,"bytes":412}
+ *
+ * 5xx responses log at "error", 4xx at "warn". A client that hangs up
+ * before the response finishes is logged as "aborted". Mount it right
+ * after requestId.
+ */
+import type { NextFunction, Request, Response } from "express";
+import { requestContext, rootLogger, type Logger } from "../log";
+
+declare global {
+  namespace Express {
+    interface Request {
+      /** This request's logger (carries requestId). Set by requestScope. */
+      log: Logger;
+    }
+  }
+}
+
+export function requestScope(req: Request, res: Response, next: NextFunction): void {
+  const started = performance.now();
+  const logger = rootLogger.child({ requestId: req.id });
+  req.log = logger;
+
+  // Count body bytes as they're written: Content-Length isn't set for
+  // streamed or chunked responses.
+  let bytes = 0;
+  const count = (chunk: unknown, encoding?: unknown) => {
+    if (typeof chunk === "string") bytes += Buffer.byteLength(chunk, typeof encoding === "string" ? (encoding as BufferEncoding) : "utf8");
+    else if (chunk instanceof Uint8Array) bytes += chunk.byteLength;
+  };
+  const { write, end } = res;
+  res.write = function (this: Response, chunk: unknown, ...rest: unknown[]) {
+    count(chunk, rest[0]);
+    return (write as (...args: unknown[]) => boolean).call(this, chunk, ...rest);
+  } as Response["write"];
+  res.end = function (this: Response, chunk?: unknown, ...rest: unknown[]) {
+    if (typeof chunk !== "function") count(chunk, rest[0]);
+    return (end as (...args: unknown[]) => Response).call(this, chunk, ...rest);
+  } as Response["end"];
+
+  res.once("close", () => {
+    const status = res.writableFinished ? res.statusCode : undefined;
+    const level = status === undefined ? "warn" : status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+    logger.log(level, status === undefined ? "request aborted" : "request", {
+      method: req.method,
+      // No query string: it can carry tokens.
+      path: req.originalUrl.split("?", 1)[0],
+      status: status ?? null,
+      durationMs: Math.round((performance.now() - started) * 10) / 10,
+      bytes,
+    });
+  });
+
+  requestContext.run({ requestId: req.id, logger }, next);
+}
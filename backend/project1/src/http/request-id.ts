@@ -0,0 +1,31 @@
+/**
+ * http/request-id.ts
+ * --------
+ * Gives every request an id (req.id) so a response, and anything logged
+ * while handling it, can be traced back to it. A well-formed incoming
+ * X-Request-Id (e.g. from a proxy) is kept; otherwise a UUID is made.
+ * The id is echoed back in the X-Request-Id response header.
+ */
+import { randomUUID } from "node:crypto";
+import type { NextFunction, Request, Response } from "express";
+
+declare global {
+  namespace Express {
+    interface Request {
+      /** Set by the requestId middleware. */
+      id: string;
+    }
+  }
+}
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Printable ASCII without spaces, and short enough to log.
+const VALID_ID = /^[\x21-\x7e]{1,128}$/;
+
+export function requestId(req: Request, res: Response, next: NextFunction): void {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : randomUUID();
+  res.setHeader(REQUEST_ID_HEADER, req.id);
+  next();
+}
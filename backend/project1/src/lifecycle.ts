@@ -0,0 +1,232 @@
+/**
+ * lifecycle.ts
+ * --------
+ * Starting and stopping the HTTP server without dropping requests.
+ *
+ * Startup:
+ *   1) run the startup hooks in order (e.g. connect to the DB) — each
+ *      must succeed, within `hookTimeoutMs`;
+ *   2) listen on host:port. EADDRINUSE and friends fail startup with a
+ *      readable message instead of an unhandled 'error' event.
+ *   If either step fails, the teardown hooks still run, so whatever did
+ *   start gets cleaned up.
+ *
+ * Shutdown (shutdown(), or SIGTERM/SIGINT under runServer()):
+ *   1) call `onDrain`, stop accepting connections and close idle
+ *      keep-alive ones;
+ *   2) let in-flight requests finish (their responses say
+ *      "Connection: close"), close the connections they leave idle, and
+ *      wait for the server to close — all within `shutdownTimeoutMs`,
+ *      after which whatever is left is cut off;
+ *   3) run the teardown hooks in reverse order, each within `hookTimeoutMs`.
+ *
+ * The result is an exit code (see ExitCode) that says how it went.
+ */
+import http, { type RequestListener, type ServerResponse } from "node:http";
+import type { AddressInfo } from "node:net";
+import { withTimeout } from "./timeout";
+
+export const ExitCode = {
+  /** Drained and tore down cleanly. */
+  Ok: 0,
+  /** A startup hook failed or the server could not listen. */
+  StartupFailed: 1,
+  /** In-flight requests were cut off (drain timeout or a second signal). */
+  RequestsCutOff: 2,
+  /** A teardown hook failed or timed out. */
+  TeardownFailed: 3,
+} as const;
+export type ExitCode = (typeof ExitCode)[keyof typeof ExitCode];
+
+export interface Hook {
+  name: string;
+  run: () => unknown;
+}
+
+export interface LifecycleOptions {
+  port: number;
+  host?: string;
+  startup?: readonly Hook[];
+  teardown?: readonly Hook[];
+  shutdownTimeoutMs?: number;
+  hookTimeoutMs?: number;
+  /** Called as soon as shutdown starts, e.g. to start failing readiness checks. */
+  onDrain?: () => void;
+  /** Default: console. */
+  log?: LifecycleLog;
+}
+
+export interface LifecycleLog {
+  info(message: string, fields?: Record<string, unknown>): void;
+  warn(message: string, fields?: Record<string, unknown>): void;
+  error(message: string, fields?: Record<string, unknown>): void;
+}
+
+export type LifecycleState = "starting" | "running" | "draining" | "stopped";
+
+export interface RunningServer {
+  readonly server: http.Server;
+  readonly address: AddressInfo;
+  readonly state: LifecycleState;
+  /** Requests whose response hasn't finished yet. */
+  readonly inFlight: number;
+  /** Idempotent: every call gets the same result. */
+  shutdown(reason: string): Promise<ExitCode>;
+  /** Stop waiting for in-flight requests and cut them off now. */
+  forceClose(): void;
+}
+
+export class StartupError extends Error {
+  override name = "StartupError";
+}
+
+async function runTeardown(hooks: readonly Hook[], timeoutMs: number, log: LifecycleLog): Promise<Error[]> {
+  const failures: Error[] = [];
+  for (const hook of hooks) {
+    try {
+      await withTimeout(Promise.resolve().then(hook.run), timeoutMs, `teardown hook "${hook.name}"`);
+    } catch (err) {
+      log.error(`teardown hook "${hook.name}" failed`, { err });
+      failures.push(err instanceof Error ? err : new Error(String(err)));
+    }
+  }
+  return failures;
+}
+
+function listen(server: http.Server, port: number, host: string | undefined): Promise<AddressInfo> {
+  return new Promise((resolve, reject) => {
+    const onError = (err: NodeJS.ErrnoException) => {
+      const where = `${host ?? "*"}:${port}`;
+      const message = err.code === "EADDRINUSE" ? `port ${port} is already in use (${where})`
+        : err.code === "EACCES" ? `no permission to listen on ${where}`
+        : `cannot listen on ${where}: ${err.message}`;
+      reject(new StartupError(message, { cause: err }));
+    };
+    server.once("error", onError);
+    server.listen(port, host, () => {
+      server.off("error", onError);
+      resolve(server.address() as AddressInfo);
+    });
+  });
+}
+
+/** Run the startup hooks, then listen. Rejects with a StartupError. */
+export async function startServer(handler: RequestListener, options: LifecycleOptions): Promise<RunningServer> {
+  const {
+    port, host, startup = [], teardown = [],
+    shutdownTimeoutMs = 10_000, hookTimeoutMs = 5_000, onDrain,
+    log = console,
+  } = options;
+  const teardownOrder = [...teardown].reverse();
+
+  let state: LifecycleState = "starting";
+  const inFlight = new Set<ServerResponse>();
+  let onIdle: (() => void) | null = null;
+
+  const server = http.createServer((req, res) => {
+    inFlight.add(res);
+    res.once("close", () => {
+      inFlight.delete(res);
+      if (inFlight.size === 0) onIdle?.();
+    });
+    if (state === "draining") res.setHeader("Connection", "close");
+    handler(req, res);
+  });
+
+  let address: AddressInfo;
+  try {
+    for (const hook of startup) {
+      await withTimeout(Promise.resolve().then(hook.run), hookTimeoutMs, `startup hook "${hook.name}"`).catch((err: unknown) => {
+        throw new StartupError(`startup hook "${hook.name}" failed: ${err instanceof Error ? err.message : String(err)}`, { cause: err });
+      });
+    }
+    address = await listen(server, port, host);
+  } catch (err) {
+    await runTeardown(teardownOrder, hookTimeoutMs, log);
+    throw err;
+  }
+  state = "running";
+
+  let cutOff = false;
+  const forceClose = () => {
+    cutOff ||= inFlight.size > 0;
+    server.closeAllConnections();
+    onIdle?.();
+  };
+
+  let shuttingDown: Promise<ExitCode> | null = null;
+  const shutdown = (reason: string): Promise<ExitCode> => {
+    shuttingDown ??= (async () => {
+      log.info(`shutting down (${reason})`, { inFlight: inFlight.size });
+      state = "draining";
+      onDrain?.();
+      for (const res of inFlight) if (!res.headersSent) res.setHeader("Connection", "close");
+
+      const closed = new Promise<void>((resolve) => server.close(() => resolve()));
+      server.closeIdleConnections();
+
+      // One deadline for all of it: the requests in flight, and then the
+      // connections still open once they're done.
+      const timer = setTimeout(() => {
+        log.warn(`drain timed out after ${shutdownTimeoutMs}ms; cutting off what's left`, { inFlight: inFlight.size });
+        forceClose();
+      }, shutdownTimeoutMs);
+      if (inFlight.size > 0) {
+        await new Promise<void>((resolve) => {
+          onIdle = resolve;
+        });
+        // A keep-alive connection whose response went out before the drain
+        // began (so without "Connection: close") is idle now, not closed.
+        server.closeIdleConnections();
+      }
+      await closed;
+      clearTimeout(timer);
+
+      const failures = await runTeardown(teardownOrder, hookTimeoutMs, log);
+      state = "stopped";
+      const code = cutOff ? ExitCode.RequestsCutOff : failures.length ? ExitCode.TeardownFailed : ExitCode.Ok;
+      log.info("stopped", { exitCode: code });
+      return code;
+    })();
+    return shuttingDown;
+  };
+
+  return {
+    server,
+    address,
+    get state() { return state; },
+    get inFlight() { return inFlight.size; },
+    shutdown,
+    forceClose,
+  };
+}
+
+/**
+ * Start the server for real: exit with StartupFailed if it can't start,
+ * and shut down gracefully on SIGTERM/SIGINT. A second signal while
+ * draining cuts the remaining requests off.
+ */
+export async function runServer(handler: RequestListener, options: LifecycleOptions): Promise<void> {
+  const log = options.log ?? console;
+  let running: RunningServer;
+  try {
+    running = await startServer(handler, options);
+  } catch (err) {
+    log.error(`Failed to start server: ${err instanceof Error ? err.message : String(err)}`, { err });
+    process.exit(ExitCode.StartupFailed);
+  }
+
+  const { address, port } = running.address;
+  log.info(`Server running on http://${address.includes(":") ? `[${address}]` : address}:${port}`);
+
+  const onSignal = (signal: NodeJS.Signals) => {
+    if (running.state === "draining") {
+      log.warn(`${signal} again: not waiting any longer`);
+      running.forceClose();
+      return;
+    }
+    running.shutdown(signal).then((code) => process.exit(code));
+  };
+  process.on("SIGTERM", onSignal);
+  process.on("SIGINT", onSignal);
+}
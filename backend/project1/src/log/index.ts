@@ -0,0 +1,44 @@
+/**
+ * log/index.ts
+ * --------
+ * The service's root logger, and the request-scoped one.
+ *
+ * While a request is being handled, the requestScope middleware
+ * (http/request-context.ts) keeps a child logger carrying its requestId
+ * in an AsyncLocalStorage. `log` always writes through the current one,
+ * so code deep inside a handler, after any number of awaits, logs with
+ * the right request id without having it passed down:
+ *
+ *   import { log } from "../log";
+ *   log.info("charging card", { amount });   // → …,"requestId":"…"
+ *
+ * Outside a request (startup, shutdown, timers) `log` is the root logger.
+ */
+import { AsyncLocalStorage } from "node:async_hooks";
+import { config } from "../config";
+import { Logger, type Fields, type Level } from "./logger";
+
+export { LEVELS, Logger, serializeError, type Fields, type Level, type LevelName, type LoggerOptions } from "./logger";
+
+export const rootLogger = new Logger({ level: config.log.level, bindings: { pid: process.pid } });
+
+export interface RequestContext {
+  requestId: string;
+  logger: Logger;
+}
+
+export const requestContext = new AsyncLocalStorage<RequestContext>();
+
+/** The current request's logger, or the root logger outside a request. */
+export function currentLogger(): Logger {
+  return requestContext.getStore()?.logger ?? rootLogger;
+}
+
+const to = (level: Level) => (msg: string, fields?: Fields) => currentLogger().log(level, msg, fields);
+
+export const log = {
+  debug: to("debug"),
+  info: to("info"),
+  warn: to("warn"),
+  error: to("error"),
+};
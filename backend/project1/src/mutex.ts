@@ -0,0 +1,21 @@
+/**
+ * mutex.ts
+ * --------
+ * Run async sections one at a time. Anything that reads, checks and then
+ * writes across an await (a uniqueness check, an If-Match comparison)
+ * needs this, or two requests can both pass the check before either
+ * writes.
+ *
+ *   const lock = new Mutex();
+ *   await lock.run(async () => { ...read, check, write... });
+ */
+export class Mutex {
+  private tail: Promise<unknown> = Promise.resolve();
+
+  run<T>(section: () => Promise<T>): Promise<T> {
+    const result = this.tail.then(section);
+    // The next section waits for this one whether it succeeds or fails.
+    this.tail = result.catch(() => {});
+    return result;
+  }
+}
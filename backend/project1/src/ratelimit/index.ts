@@ -0,0 +1,16 @@
+/**
+ * ratelimit/index.ts
+ * --------
+ * Rate and concurrency limiting (see middleware.ts), and the buckets the
+ * app's limiters share. Kept in memory, so each instance limits on its
+ * own; pass another RateLimitStore to share limits across instances.
+ */
+import { MemoryStore } from "./store";
+
+export {
+  clientKey, concurrencyLimit, failureLimit, rateLimit,
+  type ConcurrencyLimiter, type ConcurrencyLimitOptions, type FailureLimitOptions, type RateLimitOptions,
+} from "./middleware";
+export { checkTake, MemoryStore, type Policy, type RateLimitStore, type TakeResult } from "./store";
+
+export const rateLimitStore = new MemoryStore();
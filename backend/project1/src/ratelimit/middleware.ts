@@ -0,0 +1,160 @@
+/**
+ * ratelimit/middleware.ts
+ * --------
+ * rateLimit(): token-bucket limiting per client, mountable app-wide or on
+ * a single route, each limiter with its own `name` so their buckets stay
+ * apart:
+ *
+ *   app.use(rateLimit({ name: "global", policy: { limit: 100, windowSec: 60 } }));
+ *   router.post("/", rateLimit({ name: "users:write", policy: { limit: 10, windowSec: 60 } }), ...);
+ *
+ * The client key is the authenticated principal when there is one (so an
+ * API key gets its own budget wherever it calls from), else the IP.
+ * `policy` can be a function of the request, e.g. to give a trusted key
+ * a bigger budget. Every response carries
+ *
+ *   RateLimit-Policy: 100;w=60
+ *   RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset (seconds)
+ *
+ * and a 429 adds Retry-After.
+ *
+ * failureLimit() counts only the requests that fail (say, with a 401)
+ * and turns a client away once it has failed too often, so credential
+ * guessing is throttled while well-behaved traffic spends nothing:
+ *
+ *   app.use(failureLimit({ name: "auth", policy: { limit: 10, windowSec: 60 }, failed: (res) => res.statusCode === 401 }));
+ *   app.use(auth.authenticate);
+ *
+ * concurrencyLimit() is the other half: it caps requests in flight and
+ * answers 503 (with Retry-After) beyond that, so a traffic spike sheds
+ * load instead of queuing until everything times out.
+ */
+import type { NextFunction, Request, RequestHandler, Response } from "express";
+import { ServiceUnavailableError, TooManyRequestsError } from "../http/errors";
+import { checkTake, MemoryStore, type Policy, type RateLimitStore } from "./store";
+
+export interface RateLimitOptions {
+  /** Keeps this limiter's buckets apart from other limiters'. */
+  name: string;
+  policy: Policy | ((req: Request) => Policy);
+  store?: RateLimitStore;
+  /** Who is being limited. Default: principal id, else IP. */
+  key?: (req: Request) => string;
+  /** Tokens this request costs. Default 1. */
+  cost?: (req: Request) => number;
+  /** Requests that aren't limited at all (health checks). */
+  skip?: (req: Request) => boolean;
+  now?: () => number;
+}
+
+export function clientKey(req: Request): string {
+  return req.principal ? `principal:${req.principal.id}` : `ip:${req.ip ?? "unknown"}`;
+}
+
+const seconds = (ms: number) => Math.ceil(ms / 1000);
+
+export function rateLimit(options: RateLimitOptions): RequestHandler {
+  const {
+    name, policy, store = new MemoryStore(), key = clientKey,
+    cost = () => 1, skip = () => false, now = Date.now,
+  } = options;
+  // A fixed policy is checked now, so a bad one fails at startup rather than on a request.
+  if (typeof policy !== "function") checkTake(policy, 0);
+
+  return async (req: Request, res: Response, next: NextFunction) => {
+    if (skip(req)) {
+      next();
+      return;
+    }
+    const p = typeof policy === "function" ? policy(req) : policy;
+    const result = await store.take(`${name}:${key(req)}`, p, cost(req), now());
+
+    res.setHeader("RateLimit-Policy", `${p.limit};w=${p.windowSec}`);
+    res.setHeader("RateLimit-Limit", String(p.limit));
+    res.setHeader("RateLimit-Remaining", String(result.remaining));
+    res.setHeader("RateLimit-Reset", String(seconds(result.resetMs)));
+    if (result.allowed) {
+      next();
+      return;
+    }
+    res.setHeader("Retry-After", String(seconds(result.retryAfterMs)));
+    next(new TooManyRequestsError(`Rate limit exceeded; retry in ${seconds(result.retryAfterMs)}s`, { limiter: name }));
+  };
+}
+
+export interface FailureLimitOptions {
+  name: string;
+  /** `limit` failures, refilling over `windowSec`. */
+  policy: Policy;
+  store?: RateLimitStore;
+  /** Who is being limited. Default: the IP, since a failing client hasn't proved who it is. */
+  key?: (req: Request) => string;
+  /** Whether the finished response counts as a failure. */
+  failed: (res: Response) => boolean;
+  skip?: (req: Request) => boolean;
+  now?: () => number;
+}
+
+export function failureLimit(options: FailureLimitOptions): RequestHandler {
+  const {
+    name, policy, store = new MemoryStore(), key = (req) => `ip:${req.ip ?? "unknown"}`,
+    failed, skip = () => false, now = Date.now,
+  } = options;
+  checkTake(policy, 1);
+  const msPerToken = (policy.windowSec * 1000) / policy.limit;
+
+  return async (req: Request, res: Response, next: NextFunction) => {
+    if (skip(req)) {
+      next();
+      return;
+    }
+    const bucket = `${name}:${key(req)}`;
+    // A cost of 0 only looks: the bucket is charged once a request has failed.
+    const { remaining, resetMs } = await store.take(bucket, policy, 0, now());
+    if (remaining < 1) {
+      // resetMs is how far the bucket is from full; one token is (limit - 1) tokens closer.
+      const retryAfterSec = Math.max(1, seconds(resetMs - (policy.limit - 1) * msPerToken));
+      res.setHeader("Retry-After", String(retryAfterSec));
+      next(new TooManyRequestsError(`Too many failed requests; retry in ${retryAfterSec}s`, { limiter: name }));
+      return;
+    }
+    res.once("finish", () => {
+      if (failed(res)) void store.take(bucket, policy, 1, now()).catch(() => {});
+    });
+    next();
+  };
+}
+
+export interface ConcurrencyLimitOptions {
+  /** Requests allowed in flight at once. */
+  max: number;
+  /** Seconds suggested in Retry-After. Default 1. */
+  retryAfterSec?: number;
+  skip?: (req: Request) => boolean;
+}
+
+export interface ConcurrencyLimiter extends RequestHandler {
+  readonly inFlight: number;
+}
+
+export function concurrencyLimit(options: ConcurrencyLimitOptions): ConcurrencyLimiter {
+  const { max, retryAfterSec = 1, skip = () => false } = options;
+  let inFlight = 0;
+
+  const limiter = (req: Request, res: Response, next: NextFunction) => {
+    if (skip(req)) {
+      next();
+      return;
+    }
+    if (inFlight >= max) {
+      res.setHeader("Retry-After", String(retryAfterSec));
+      next(new ServiceUnavailableError("Server is busy; retry shortly", { reason: "overloaded" }));
+      return;
+    }
+    inFlight++;
+    // "close" fires once the response is done or the client went away.
+    res.once("close", () => inFlight--);
+    next();
+  };
+  return Object.defineProperty(limiter, "inFlight", { get: () => inFlight }) as ConcurrencyLimiter;
+}
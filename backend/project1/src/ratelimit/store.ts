@@ -0,0 +1,96 @@
+/**
+ * ratelimit/store.ts
+ * --------
+ * Token buckets: each client key has a bucket of `limit` tokens that
+ * refills at limit/windowSec tokens per second. A request takes a token
+ * (or `cost` tokens); an empty bucket means 429. Unlike a fixed window,
+ * there is no burst of 2× the limit at a window boundary, and a client
+ * that has been quiet gets its full burst back.
+ *
+ * Buckets live in a RateLimitStore. MemoryStore is per process; a shared
+ * store (Redis, say) implements the same take() to limit across
+ * instances — it must do the refill-and-take atomically.
+ */
+
+export interface Policy {
+  /** Bucket size: requests allowed in a burst. */
+  limit: number;
+  /** Seconds for an empty bucket to refill completely. */
+  windowSec: number;
+}
+
+export interface TakeResult {
+  allowed: boolean;
+  /** Whole tokens left after this request. */
+  remaining: number;
+  /** Ms until the bucket is full again. */
+  resetMs: number;
+  /** Ms until `cost` tokens are available (0 when allowed). */
+  retryAfterMs: number;
+}
+
+export interface RateLimitStore {
+  /** Rejects (RangeError) a cost the bucket could never hold: no wait would ever let it through. */
+  take(key: string, policy: Policy, cost: number, now: number): Promise<TakeResult>;
+  /** Forget every bucket (tests). */
+  reset(): Promise<void>;
+}
+
+/** Throws RangeError unless `cost` tokens fit in a bucket the policy describes. */
+export function checkTake(policy: Policy, cost: number): void {
+  if (!(policy.limit > 0) || !(policy.windowSec > 0)) {
+    throw new RangeError(`rate limit policy needs a positive limit and windowSec, got ${policy.limit};w=${policy.windowSec}`);
+  }
+  if (!(cost >= 0) || cost > policy.limit) throw new RangeError(`cost ${cost} is outside 0..${policy.limit}, the bucket size`);
+}
+
+interface Bucket {
+  tokens: number;
+  updatedAt: number;
+  policy: Policy;
+}
+
+export class MemoryStore implements RateLimitStore {
+  private readonly buckets = new Map<string, Bucket>();
+  private takes = 0;
+
+  /** @param sweepEvery Drop full (idle) buckets every this many take() calls, so memory tracks active clients. */
+  constructor(private readonly sweepEvery = 1000) {}
+
+  async take(key: string, policy: Policy, cost: number, now: number): Promise<TakeResult> {
+    checkTake(policy, cost);
+    if (++this.takes % this.sweepEvery === 0) this.sweep(now);
+
+    const perMs = policy.limit / (policy.windowSec * 1000);
+    const bucket = this.buckets.get(key) ?? { tokens: policy.limit, updatedAt: now, policy };
+    bucket.tokens = Math.min(policy.limit, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+    bucket.policy = policy;
+
+    const allowed = bucket.tokens >= cost;
+    if (allowed) bucket.tokens -= cost;
+    this.buckets.set(key, bucket);
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetMs: Math.ceil((policy.limit - bucket.tokens) / perMs),
+      retryAfterMs: allowed ? 0 : Math.ceil((cost - bucket.tokens) / perMs),
+    };
+  }
+
+  async reset(): Promise<void> {
+    this.buckets.clear();
+  }
+
+  get size(): number {
+    return this.buckets.size;
+  }
+
+  private sweep(now: number): void {
+    for (const [key, b] of this.buckets) {
+      const refilled = b.tokens + (now - b.updatedAt) * (b.policy.limit / (b.policy.windowSec * 1000));
+      if (refilled >= b.policy.limit) this.buckets.delete(key);
+    }
+  }
+}
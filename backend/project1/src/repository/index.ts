@@ -0,0 +1,2 @@
+export { MemoryRepository } from "./memory";
+export type { Entity, FilterValue, Id, OrderBy, Query, Repository, Where } from "./repository";
@@ -0,0 +1,18 @@
+/**
+ * repository/memory.ts
+ * --------
+ * MemoryRepository: syntax/repository's MemoryRepo — a Map in insertion
+ * order, with the same query handling as its other backends — typed for
+ * the service. Nothing survives a restart, which makes it the default for
+ * development and tests. Entities go in and out through structuredClone,
+ * so callers never share state with the store.
+ */
+import { MemoryRepo } from "syntax/repository";
+import type { Entity, Repository } from "./repository";
+
+export class MemoryRepository<T extends Entity> extends MemoryRepo<T> implements Repository<T> {
+  /** Drop everything (tests). */
+  async clear(): Promise<void> {
+    this.store.clear();
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * repository/repository.ts
+ * --------
+ * The Repository contract from syntax/repository (itself grown out of the
+ * Repository/MemoryRepo sketch in syntax/oop.js), typed for the service:
+ *
+ *   save(entity)       → stored copy; inserts, or replaces by id
+ *   findById(id)       → copy, or undefined
+ *   findAll(query)     → array of copies
+ *   update(id, patch)  → shallow-merged copy, or undefined if missing;
+ *                        the id itself cannot be patched
+ *   delete(id)         → true if something was removed
+ *   count(where)       → number of matching entities
+ *
+ * A query is { where, orderBy, offset, limit }, all optional. `where`
+ * fields must equal their value (===; null also matches a missing field);
+ * orderBy is "field" or "-field", with ties kept in insertion order.
+ *
+ * The query types and their semantics (validation, matching, cross-type
+ * ordering) are syntax/repository's own. Unlike the syntax version, ids
+ * are always given by the caller: the service decides what an id looks
+ * like. Routes depend on this interface only, so a SQL or file-backed
+ * store can replace MemoryRepository without touching them.
+ */
+import type { Id, Query, Where } from "syntax/repository";
+
+export type { FilterValue, Id, OrderBy, Query, Where } from "syntax/repository";
+
+export interface Entity {
+  id: Id;
+}
+
+export interface Repository<T extends Entity> {
+  save(entity: T): Promise<T>;
+  findById(id: T["id"]): Promise<T | undefined>;
+  findAll(query?: Query<T>): Promise<T[]>;
+  update(id: T["id"], patch: Partial<Omit<T, "id">>): Promise<T | undefined>;
+  delete(id: T["id"]): Promise<boolean>;
+  count(where?: Where<T>): Promise<number>;
+}
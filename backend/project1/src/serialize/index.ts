@@ -0,0 +1,16 @@
+/**
+ * serialize/index.ts
+ * --------
+ * Typed request and response payloads. `payloads` is the app's
+ * Serializer (syntax/serialize's, with a registry of its own): register
+ * a class there and routes can take and return its instances from
+ * clients that speak application/vnd.typed+json.
+ *
+ *   payloads.register(Money, { encode: (m) => m.cents, decode: (cents) => new Money(cents) });
+ */
+import { Serializer } from "syntax/serialize";
+
+export { DecodeError, Serializer, TAG, type Class, type Fields, type TypeOptions } from "syntax/serialize";
+export { TYPED_JSON, typedJson } from "./middleware";
+
+export const payloads = new Serializer();
@@ -0,0 +1,62 @@
+/**
+ * serialize/middleware.ts
+ * --------
+ * typedJson() lets a client opt in to typed payloads, where Maps, Sets,
+ * Dates, BigInts and registered classes survive the trip (syntax/serialize):
+ *
+ * - A body sent as application/vnd.typed+json is decoded into req.body,
+ *   under the same size and depth limits as jsonBody(). Plain
+ *   application/json bodies are left to jsonBody().
+ * - A client whose Accept header prefers application/vnd.typed+json gets
+ *   res.json() written through the serializer, with that Content-Type.
+ *   Everyone else gets plain JSON, as before.
+ *
+ * A body that isn't JSON is a 400 MALFORMED_JSON, like any other; one
+ * that is JSON but can't be decoded (an unknown tag, a malformed tagged
+ * value) is a 400 BAD_TYPE_TAG. The depth limit counts the tagged form:
+ * each Map adds three levels ({ "$type", "value": [[key, value]] }).
+ */
+import express, { type NextFunction, type Request, type RequestHandler, type Response } from "express";
+import { DecodeError, type Serializer } from "syntax/serialize";
+import { HttpError } from "../http/errors";
+import { jsonDepth, type BodyLimits } from "../validation";
+
+export const TYPED_JSON = "application/vnd.typed+json";
+
+export function typedJson(serializer: Serializer, limits: BodyLimits): RequestHandler[] {
+  const decodeBody = (req: Request, _res: Response, next: NextFunction) => {
+    if (typeof req.body !== "string" || !req.is(TYPED_JSON)) {
+      next();
+      return;
+    }
+    let tree: unknown;
+    try {
+      tree = JSON.parse(req.body);
+    } catch (err) {
+      next(new HttpError(400, "MALFORMED_JSON", "Request body is not valid JSON", undefined, { cause: err }));
+      return;
+    }
+    if (jsonDepth(tree, limits.maxDepth) > limits.maxDepth) {
+      next(new HttpError(400, "BODY_TOO_DEEP", `Request body is nested deeper than ${limits.maxDepth} levels`));
+      return;
+    }
+    try {
+      req.body = serializer.revive(tree);
+    } catch (err) {
+      if (!(err instanceof DecodeError)) throw err;
+      next(new HttpError(400, "BAD_TYPE_TAG", err.message, undefined, { cause: err }));
+      return;
+    }
+    next();
+  };
+
+  const negotiate = (req: Request, res: Response, next: NextFunction) => {
+    res.vary("Accept");
+    if (req.accepts(["application/json", TYPED_JSON]) === TYPED_JSON) {
+      res.json = (body?: unknown) => res.type(TYPED_JSON).send(serializer.stringify(body));
+    }
+    next();
+  };
+
+  return [express.text({ type: TYPED_JSON, limit: limits.limitBytes }), decodeBody, negotiate];
+}
@@ -1,35 +1,33 @@
 import app from "./app";
+import { config } from "./config";
+import { connectDB, disconnectDB } from "./db";
+import { health } from "./health";
+import { runServer } from "./lifecycle";
+import { rootLogger } from "./log";
 
 /**
  * server.ts
  * ----------
  * This file is responsible for *starting* the HTTP server.
- * It imports the configured Express app and tells it to listen
- * on a specific port.
+ * It imports the configured Express app and hands it to runServer()
+ * (lifecycle.ts), together with what must happen before it listens
+ * and after it stops.
+ *
+ * Port, host and timeouts come from ./config (env, config.local.json,
+ * defaults).
  */
 
-const PORT = 8080;
+// Secrets in config log as "[redacted]"
+rootLogger.info("config loaded", { config });
 
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+runServer(app, {
+  port: config.server.port,
+  ...(config.server.host === undefined ? {} : { host: config.server.host }),
+  // ⏳ Server startup depends on the DB connection: listen only once it's up
+  startup: [{ name: "database", run: connectDB }],
+  teardown: [{ name: "database", run: disconnectDB }],
+  shutdownTimeoutMs: config.server.shutdownTimeoutMs,
+  // Readiness goes 503 first, so load balancers stop sending traffic
+  onDrain: () => health.markDraining(),
+  log: rootLogger.child({ component: "lifecycle" }),
 });
-
-// When your server startup depends on other async operations (e.g., DB connection)
-/*
-import app from "./app";
-import { connectDB } from "./db";
-
-const PORT = process.env.PORT || 8080;
-
-async function startServer() {
-  try {
-    await connectDB(); // ⏳ Wait for DB to connect
-    app.listen(PORT, () => console.log(`Server on http://localhost:${PORT}`));
-  } catch (err) {
-    console.error("Failed to start server:", err);
-    process.exit(1);
-  }
-}
-
-startServer();
-*/
\ No newline at end of file
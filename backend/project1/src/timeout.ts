@@ -0,0 +1,18 @@
+/**
+ * timeout.ts
+ * --------
+ * Race a promise against a timer. The timer is cleared either way, so it
+ * never keeps the process alive on its own.
+ */
+
+export class TimeoutError extends Error {
+  override name = "TimeoutError";
+}
+
+export function withTimeout<T>(promise: Promise<T>, ms: number, what: string): Promise<T> {
+  let timer: NodeJS.Timeout | undefined;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,16 @@
+/**
+ * users/index.ts
+ * --------
+ * The /users resource. Users live in a MemoryRepository for now; any
+ * Repository<User> can be passed to UserService instead.
+ */
+import { MemoryRepository } from "../repository";
+import type { User } from "./model";
+import { UserService } from "./service";
+
+export * from "./model";
+export { usersRoutes, type UsersRoutesOptions } from "./routes";
+export { etag, ifMatchAllows, UserService, type UserPage } from "./service";
+
+export const usersRepository = new MemoryRepository<User>();
+export const users = new UserService(usersRepository);
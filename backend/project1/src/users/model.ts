@@ -0,0 +1,53 @@
+/**
+ * users/model.ts
+ * --------
+ * What a user is, and the request schemas for /users. The writable fields
+ * are declared once and reused by create, replace and patch, so the three
+ * can't disagree about what a valid email is.
+ */
+import { v, type Infer } from "../validation";
+
+export const ROLES = ["user", "admin"] as const;
+export type Role = (typeof ROLES)[number];
+
+export interface User {
+  id: string;
+  email: string;
+  name: string;
+  role: Role;
+  createdAt: string;
+  updatedAt: string;
+  /** Bumped on every change; the ETag is derived from it. */
+  version: number;
+}
+
+const email = v.string({ format: "email", max: 254, trim: true });
+const name = v.string({ min: 1, max: 100, trim: true });
+const role = v.oneOf(ROLES);
+
+export const UserIdParams = v.object({ id: v.string({ format: "uuid" }) });
+
+export const CreateUserBody = v.object({ email, name, role: v.withDefault(role, "user") }, { unknownKeys: "reject" });
+export type CreateUserInput = Infer<typeof CreateUserBody>;
+
+/** PUT: every writable field, nothing else. */
+export const ReplaceUserBody = v.object({ email, name, role }, { unknownKeys: "reject" });
+export type ReplaceUserInput = Infer<typeof ReplaceUserBody>;
+
+/** PATCH: any writable fields, but at least one. */
+export const PatchUserBody = v.refine(
+  v.object({ email: v.optional(email), name: v.optional(name), role: v.optional(role) }, { unknownKeys: "reject" }),
+  (patch) => (Object.keys(patch).length === 0 ? "must change at least one field" : undefined),
+);
+export type PatchUserInput = Infer<typeof PatchUserBody>;
+
+export const SORTS = ["createdAt", "-createdAt", "name", "-name", "email", "-email"] as const;
+
+export const ListUsersQuery = v.object({
+  limit: v.withDefault(v.integer({ min: 1, max: 100 }), 20),
+  offset: v.withDefault(v.integer({ min: 0 }), 0),
+  sort: v.withDefault(v.oneOf(SORTS), "createdAt"),
+  role: v.optional(role),
+  email: v.optional(v.string({ trim: true })),
+});
+export type ListUsersQuery = Infer<typeof ListUsersQuery>;
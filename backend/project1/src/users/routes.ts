@@ -0,0 +1,71 @@
+/**
+ * users/routes.ts
+ * --------
+ *   POST   /users        201 + Location + ETag, 409 if the email is taken
+ *   GET    /users        ?limit&offset&sort&role&email → { items, total, limit, offset }
+ *   GET    /users/:id    200 + ETag (304 for a matching If-None-Match), 404
+ *   PUT    /users/:id    replace every writable field
+ *   PATCH  /users/:id    change some of them
+ *   DELETE /users/:id    204
+ *
+ * PUT, PATCH and DELETE require If-Match: send the ETag you read and get a
+ * 412 instead of overwriting someone else's change. Without it they're a
+ * 428; "If-Match: *" overwrites on purpose.
+ *
+ * Reading needs the "users:read" scope, writing "users:write", and
+ * deleting the "admin" role. Writes also pass through `writeLimit`.
+ */
+import { Router, type Response } from "express";
+import type { Auth, Guard } from "../auth";
+import { validate } from "../validation";
+import { CreateUserBody, ListUsersQuery, PatchUserBody, ReplaceUserBody, UserIdParams, type User } from "./model";
+import { etag, type UserService } from "./service";
+
+function sendUser(res: Response, user: User, status = 200): void {
+  // With an ETag set, Express answers a matching If-None-Match with 304.
+  res.status(status).setHeader("ETag", etag(user));
+  res.json(user);
+}
+
+export interface UsersRoutesOptions {
+  auth: Auth;
+  /** Extra limiter for POST/PUT/PATCH/DELETE (see ratelimit/). */
+  writeLimit?: Guard;
+}
+
+export function usersRoutes(users: UserService, options: UsersRoutesOptions): Router {
+  const { auth, writeLimit = (_req, _res, next) => next() } = options;
+  const router = Router();
+  const canRead = auth.requireScope("users:read");
+  const canWrite = auth.requireScope("users:write");
+  const canDelete = auth.requireRole("admin");
+
+  router.post("/", canWrite, writeLimit, validate({ body: CreateUserBody }), async (req, res) => {
+    const user = await users.create(req.body);
+    res.location(`${req.baseUrl}/${user.id}`);
+    sendUser(res, user, 201);
+  });
+
+  router.get("/", canRead, validate({ query: ListUsersQuery }), async (req, res) => {
+    res.json(await users.list(req.query));
+  });
+
+  router.get("/:id", canRead, validate({ params: UserIdParams }), async (req, res) => {
+    sendUser(res, await users.get(req.params.id));
+  });
+
+  router.put("/:id", canWrite, writeLimit, validate({ params: UserIdParams, body: ReplaceUserBody }), async (req, res) => {
+    sendUser(res, await users.replace(req.params.id, req.body, req.get("If-Match")));
+  });
+
+  router.patch("/:id", canWrite, writeLimit, validate({ params: UserIdParams, body: PatchUserBody }), async (req, res) => {
+    sendUser(res, await users.patch(req.params.id, req.body, req.get("If-Match")));
+  });
+
+  router.delete("/:id", canDelete, writeLimit, validate({ params: UserIdParams }), async (req, res) => {
+    await users.remove(req.params.id, req.get("If-Match"));
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -0,0 +1,117 @@
+/**
+ * users/service.ts
+ * --------
+ * The rules for users, independent of HTTP and of where users are stored:
+ *
+ * - emails are unique (compared lowercased): ConflictError otherwise
+ * - every change bumps `version`; etag(user) is derived from it
+ * - replace/patch/remove need the client's If-Match value: without one
+ *   they fail with PreconditionRequiredError (428), and with a stale one
+ *   with PreconditionFailedError (412) — the "lost update" two editors
+ *   would otherwise cause. "*" overwrites on purpose
+ *
+ * Writes run one at a time (see Mutex) so a check and the write that
+ * depends on it can't interleave with another request's.
+ */
+import { randomUUID } from "node:crypto";
+import { ConflictError, NotFoundError, PreconditionFailedError, PreconditionRequiredError } from "../http/errors";
+import { Mutex } from "../mutex";
+import type { Repository } from "../repository";
+import type { CreateUserInput, ListUsersQuery, PatchUserInput, ReplaceUserInput, User } from "./model";
+
+export interface UserPage {
+  items: User[];
+  total: number;
+  limit: number;
+  offset: number;
+}
+
+export function etag(user: User): string {
+  return `"v${user.version}"`;
+}
+
+/** Does an If-Match header value allow changing `user`? (Strong comparison, so W/ tags never match.) */
+export function ifMatchAllows(ifMatch: string, user: User): boolean {
+  const tags = ifMatch.split(",").map((t) => t.trim());
+  return tags.includes("*") || tags.includes(etag(user));
+}
+
+export class UserService {
+  private readonly writes = new Mutex();
+
+  constructor(
+    private readonly repo: Repository<User>,
+    private readonly now: () => Date = () => new Date(),
+  ) {}
+
+  async get(id: string): Promise<User> {
+    const user = await this.repo.findById(id);
+    if (!user) throw new NotFoundError(`user ${id} not found`);
+    return user;
+  }
+
+  async list(query: ListUsersQuery): Promise<UserPage> {
+    const where = {
+      ...(query.role === undefined ? {} : { role: query.role }),
+      ...(query.email === undefined ? {} : { email: query.email.toLowerCase() }),
+    };
+    const [items, total] = await Promise.all([
+      this.repo.findAll({ where, orderBy: query.sort, offset: query.offset, limit: query.limit }),
+      this.repo.count(where),
+    ]);
+    return { items, total, limit: query.limit, offset: query.offset };
+  }
+
+  create(input: CreateUserInput): Promise<User> {
+    return this.writes.run(async () => {
+      const email = input.email.toLowerCase();
+      await this.assertEmailFree(email);
+      const at = this.now().toISOString();
+      return this.repo.save({ id: randomUUID(), email, name: input.name, role: input.role, createdAt: at, updatedAt: at, version: 1 });
+    });
+  }
+
+  replace(id: string, input: ReplaceUserInput, ifMatch?: string): Promise<User> {
+    return this.change(id, ifMatch, () => ({ email: input.email, name: input.name, role: input.role }));
+  }
+
+  patch(id: string, input: PatchUserInput, ifMatch?: string): Promise<User> {
+    return this.change(id, ifMatch, () => input);
+  }
+
+  remove(id: string, ifMatch?: string): Promise<void> {
+    return this.writes.run(async () => {
+      const user = await this.get(id);
+      this.assertMatch(user, ifMatch);
+      await this.repo.delete(id);
+    });
+  }
+
+  private change(id: string, ifMatch: string | undefined, fields: () => PatchUserInput): Promise<User> {
+    return this.writes.run(async () => {
+      const user = await this.get(id);
+      this.assertMatch(user, ifMatch);
+      const patch = { ...fields() };
+      if (patch.email !== undefined) {
+        patch.email = patch.email.toLowerCase();
+        if (patch.email !== user.email) await this.assertEmailFree(patch.email);
+      }
+      const updated = await this.repo.update(id, { ...patch, updatedAt: this.now().toISOString(), version: user.version + 1 });
+      if (!updated) throw new NotFoundError(`user ${id} not found`);
+      return updated;
+    });
+  }
+
+  private assertMatch(user: User, ifMatch: string | undefined): void {
+    if (ifMatch === undefined) {
+      throw new PreconditionRequiredError(`changing user ${user.id} needs If-Match: send the ETag you read, or "*"`, { etag: etag(user) });
+    }
+    if (!ifMatchAllows(ifMatch, user)) {
+      throw new PreconditionFailedError(`user ${user.id} has changed`, { etag: etag(user) });
+    }
+  }
+
+  private async assertEmailFree(email: string): Promise<void> {
+    if (await this.repo.count({ email })) throw new ConflictError(`email ${email} is already in use`, { field: "email" });
+  }
+}
@@ -0,0 +1,8 @@
+export {
+  v, type ArrayOptions, type Infer, type Issue, type NumberOptions, type ObjectOf, type ObjectOptions,
+  type ObjectSchema, type OptionalSchema, type ParseContext, type Result, type Schema, type Shape, type StringOptions,
+} from "./schema";
+export {
+  jsonBody, jsonDepth, validate,
+  type BodyLimits, type FieldError, type Location, type RequestSchemas, type ValidatedHandler,
+} from "./middleware";
@@ -0,0 +1,112 @@
+/**
+ * validation/middleware.ts
+ * --------
+ * validate() checks the parts of a request a route declares and hands
+ * the handler typed, cleaned-up values:
+ *
+ *   app.get("/users/:id", validate({ params: v.object({ id: v.integer({ min: 1 }) }) }),
+ *     (req, res) => { req.params.id }   // number
+ *   );
+ *
+ * params, query and headers are coerced from strings (see ParseContext);
+ * the body is JSON and taken as is. Header names are lowercase, as Node
+ * gives them. If anything is invalid the request fails with a 400
+ * ValidationError whose details list every bad field:
+ *
+ *   [{ "in": "body", "path": "email", "message": "must be a valid email" }]
+ *
+ * jsonBody() is express.json() plus a nesting-depth limit, since a deeply
+ * nested body is cheap to send and expensive to walk.
+ */
+import express, { type NextFunction, type Request, type RequestHandler, type Response } from "express";
+import type { ParamsDictionary } from "express-serve-static-core";
+import type { ParsedQs } from "qs";
+import { HttpError, ValidationError } from "../http/errors";
+import type { Infer, Issue, Schema } from "./schema";
+
+export type Location = "params" | "query" | "headers" | "body";
+
+export interface RequestSchemas {
+  params?: Schema<unknown>;
+  query?: Schema<unknown>;
+  headers?: Schema<unknown>;
+  body?: Schema<unknown>;
+}
+
+export interface FieldError extends Issue {
+  in: Location;
+}
+
+type Part<S extends RequestSchemas, K extends Location, Fallback> = S[K] extends Schema<unknown> ? Infer<S[K]> : Fallback;
+
+/** The handler type a validate(schemas) middleware leads to. */
+export type ValidatedHandler<S extends RequestSchemas> = RequestHandler<
+  Part<S, "params", ParamsDictionary>,
+  unknown,
+  Part<S, "body", unknown>,
+  Part<S, "query", ParsedQs>
+>;
+
+const ORDER: readonly Location[] = ["params", "query", "headers", "body"];
+
+export function validate<const S extends RequestSchemas>(schemas: S): ValidatedHandler<S> {
+  return (req, _res, next) => {
+    const errors: FieldError[] = [];
+    const parsed: Partial<Record<Location, unknown>> = {};
+    for (const location of ORDER) {
+      const s = schemas[location];
+      if (!s) continue;
+      // express.json() leaves req.body undefined when there was no JSON body.
+      const raw = location === "body" ? req.body : req[location];
+      const r = s.parse(raw, { coerce: location !== "body" });
+      if (r.ok) parsed[location] = r.value;
+      else errors.push(...r.issues.map((issue) => ({ in: location, ...issue })));
+    }
+    if (errors.length) {
+      next(new ValidationError(`Invalid request: ${errors.length} field error(s)`, errors));
+      return;
+    }
+
+    if ("params" in parsed) req.params = parsed.params as typeof req.params;
+    if ("body" in parsed) req.body = parsed.body as typeof req.body;
+    // In Express 5 req.query is a getter on the prototype; shadow it.
+    if ("query" in parsed) Object.defineProperty(req, "query", { value: parsed.query, writable: true, configurable: true, enumerable: true });
+    if ("headers" in parsed) Object.assign(req.headers, parsed.headers);
+    next();
+  };
+}
+
+/* ===== JSON bodies with limits ===== */
+
+export interface BodyLimits {
+  /** Largest accepted body, in bytes. */
+  limitBytes: number;
+  /** Deepest accepted nesting: 1 for {"a":1}, 2 for {"a":{"b":1}}. */
+  maxDepth: number;
+}
+
+/** Nesting depth of a parsed JSON value, without recursion; stops early once past `max`. */
+export function jsonDepth(value: unknown, max = Infinity): number {
+  let deepest = 0;
+  const stack: Array<[unknown, number]> = [[value, 0]];
+  while (stack.length) {
+    const [node, depth] = stack.pop()!;
+    if (typeof node !== "object" || node === null) continue;
+    const here = depth + 1;
+    if (here > deepest) deepest = here;
+    if (deepest > max) return deepest;
+    for (const child of Object.values(node)) stack.push([child, here]);
+  }
+  return deepest;
+}
+
+export function jsonBody(limits: BodyLimits): RequestHandler[] {
+  const checkDepth = (req: Request, _res: Response, next: NextFunction) => {
+    if (req.body !== undefined && jsonDepth(req.body, limits.maxDepth) > limits.maxDepth) {
+      next(new HttpError(400, "BODY_TOO_DEEP", `Request body is nested deeper than ${limits.maxDepth} levels`));
+      return;
+    }
+    next();
+  };
+  return [express.json({ limit: limits.limitBytes }), checkDepth];
+}
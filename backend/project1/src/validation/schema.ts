@@ -0,0 +1,255 @@
+/**
+ * validation/schema.ts
+ * --------
+ * Small composable schemas that check a value and infer its TS type, so
+ * a route's declared shape and its handler's types can't drift apart:
+ *
+ *   const NewUser = v.object({
+ *     name: v.string({ min: 1, max: 100 }),
+ *     email: v.string({ format: "email" }),
+ *     age: v.optional(v.integer({ min: 0 })),
+ *   });
+ *   type NewUser = Infer<typeof NewUser>;
+ *   //   { name: string; email: string; age?: number }
+ *
+ * v.optional() makes the *key* optional (`age?: number`, never
+ * `age: undefined`), which is what exactOptionalPropertyTypes expects.
+ *
+ * parse() never throws: it returns the value (possibly converted, see
+ * `coerce`) or every issue found, each with the path to the bad field.
+ */
+
+export interface Issue {
+  /** Path inside the validated value, e.g. "address.zip" or "tags.2"; "" for the value itself. */
+  path: string;
+  message: string;
+}
+
+export interface ParseContext {
+  /**
+   * Values from params, query and headers are always strings; with coerce
+   * on, "42" passes as a number and "true" as a boolean.
+   */
+  coerce: boolean;
+}
+
+export type Result<T> = { ok: true; value: T } | { ok: false; issues: Issue[] };
+
+export interface Schema<T> {
+  /** Only in the types: lets Infer<> read T. */
+  readonly _type?: T;
+  readonly optional?: boolean;
+  parse(value: unknown, ctx?: ParseContext, path?: string): Result<T>;
+}
+
+export type Infer<S> = S extends Schema<infer T> ? T : never;
+
+const STRICT: ParseContext = { coerce: false };
+
+function schema<T>(check: (value: unknown, ctx: ParseContext, path: string) => Result<T>): Schema<T> {
+  return { parse: (value, ctx = STRICT, path = "") => check(value, ctx, path) };
+}
+
+const ok = <T>(value: T): Result<T> => ({ ok: true, value });
+const fail = (path: string, message: string): Result<never> => ({ ok: false, issues: [{ path, message }] });
+const join = (path: string, key: string | number) => (path === "" ? String(key) : `${path}.${key}`);
+
+function describe(value: unknown): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  return typeof value === "object" ? "an object" : JSON.stringify(value) ?? typeof value;
+}
+
+/* ===== Primitives ===== */
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+} as const;
+
+export interface StringOptions {
+  min?: number;
+  max?: number;
+  pattern?: RegExp;
+  format?: keyof typeof FORMATS;
+  /** Trim before checking. */
+  trim?: boolean;
+}
+
+function string(options: StringOptions = {}): Schema<string> {
+  const { min, max, pattern, format, trim = false } = options;
+  return schema((value, _ctx, path) => {
+    if (typeof value !== "string") return fail(path, `expected a string, got ${describe(value)}`);
+    const s = trim ? value.trim() : value;
+    if (min !== undefined && s.length < min) return fail(path, min === 1 ? "must not be empty" : `must be at least ${min} characters`);
+    if (max !== undefined && s.length > max) return fail(path, `must be at most ${max} characters`);
+    if (format && !FORMATS[format].test(s)) return fail(path, `must be a valid ${format}`);
+    if (pattern && !pattern.test(s)) return fail(path, `must match ${pattern}`);
+    return ok(s);
+  });
+}
+
+export interface NumberOptions {
+  min?: number;
+  max?: number;
+}
+
+function numberSchema(options: NumberOptions, integerOnly: boolean): Schema<number> {
+  const { min, max } = options;
+  const kind = integerOnly ? "an integer" : "a number";
+  return schema((value, ctx, path) => {
+    const n = ctx.coerce && typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof n !== "number" || !Number.isFinite(n)) return fail(path, `expected ${kind}, got ${describe(value)}`);
+    if (integerOnly && !Number.isSafeInteger(n)) return fail(path, `expected ${kind}, got ${describe(value)}`);
+    if (min !== undefined && n < min) return fail(path, `must be at least ${min}`);
+    if (max !== undefined && n > max) return fail(path, `must be at most ${max}`);
+    return ok(n);
+  });
+}
+
+const number = (options: NumberOptions = {}) => numberSchema(options, false);
+const integer = (options: NumberOptions = {}) => numberSchema(options, true);
+
+function boolean(): Schema<boolean> {
+  return schema((value, ctx, path) => {
+    if (typeof value === "boolean") return ok(value);
+    if (ctx.coerce && (value === "true" || value === "false")) return ok(value === "true");
+    return fail(path, `expected a boolean, got ${describe(value)}`);
+  });
+}
+
+/** One of a fixed set of strings (or numbers). */
+function oneOf<const T extends string | number>(values: readonly T[]): Schema<T> {
+  return schema((value, ctx, path) => {
+    const v = ctx.coerce && typeof value === "string" && values.some((x) => typeof x === "number") ? Number(value) : value;
+    if (values.includes(v as T)) return ok(v as T);
+    if (values.includes(value as T)) return ok(value as T);
+    return fail(path, `expected one of ${values.map((x) => JSON.stringify(x)).join(", ")}, got ${describe(value)}`);
+  });
+}
+
+/* ===== Modifiers ===== */
+
+export interface OptionalSchema<T> extends Schema<T> {
+  readonly optional: true;
+}
+
+/**
+ * In an object: the key may be missing. A key set to `undefined` counts as
+ * missing and is left out of the result, so the output still suits
+ * exactOptionalPropertyTypes.
+ */
+function optional<T>(inner: Schema<T>): OptionalSchema<T> {
+  return { optional: true, parse: (value, ctx, path) => inner.parse(value, ctx, path) };
+}
+
+/** In an object: a missing key (or one set to `undefined`) becomes `fallback`. */
+function withDefault<T>(inner: Schema<T>, fallback: T): Schema<T> {
+  return { parse: (value, ctx, path) => (value === undefined ? ok(structuredClone(fallback)) : inner.parse(value, ctx, path)) };
+}
+
+function nullable<T>(inner: Schema<T>): Schema<T | null> {
+  return schema((value, ctx, path) => (value === null ? ok(null) : inner.parse(value, ctx, path)));
+}
+
+/* ===== Containers ===== */
+
+export interface ArrayOptions {
+  min?: number;
+  max?: number;
+}
+
+function array<T>(item: Schema<T>, options: ArrayOptions = {}): Schema<T[]> {
+  const { min, max } = options;
+  return schema((value, ctx, path) => {
+    // A repeated query parameter (?tag=a&tag=b) is an array, a single one isn't.
+    const list = ctx.coerce && typeof value === "string" ? [value] : value;
+    if (!Array.isArray(list)) return fail(path, `expected an array, got ${describe(value)}`);
+    if (min !== undefined && list.length < min) return fail(path, `must have at least ${min} item(s)`);
+    if (max !== undefined && list.length > max) return fail(path, `must have at most ${max} item(s)`);
+    const out: T[] = [];
+    const issues: Issue[] = [];
+    list.forEach((element, i) => {
+      const r = item.parse(element, ctx, join(path, i));
+      if (r.ok) out.push(r.value);
+      else issues.push(...r.issues);
+    });
+    return issues.length ? { ok: false, issues } : ok(out);
+  });
+}
+
+export type Shape = Record<string, Schema<unknown>>;
+
+type OptionalKeys<S extends Shape> = { [K in keyof S]: S[K] extends OptionalSchema<unknown> ? K : never }[keyof S];
+type Flatten<T> = { [K in keyof T]: T[K] } & {};
+
+export type ObjectOf<S extends Shape> = Flatten<
+  { [K in Exclude<keyof S, OptionalKeys<S>>]: Infer<S[K]> } & { [K in OptionalKeys<S>]?: Infer<S[K]> }
+>;
+
+export interface ObjectOptions {
+  /**
+   * Keys not in the shape:
+   *   "strip" (default) drops them, "reject" fails, "passthrough" keeps
+   *   them unchecked (headers, say).
+   */
+  unknownKeys?: "strip" | "reject" | "passthrough";
+}
+
+export interface ObjectSchema<S extends Shape> extends Schema<ObjectOf<S>> {
+  readonly shape: S;
+}
+
+function object<S extends Shape>(shape: S, options: ObjectOptions = {}): ObjectSchema<S> {
+  const { unknownKeys = "strip" } = options;
+  return {
+    shape,
+    parse(value, ctx = STRICT, path = "") {
+      if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        return fail(path, `expected an object, got ${describe(value)}`);
+      }
+      const input = value as Record<string, unknown>;
+      const out: Record<string, unknown> = unknownKeys === "passthrough" ? { ...input } : {};
+      const issues: Issue[] = [];
+      for (const [key, field] of Object.entries(shape)) {
+        const here = join(path, key);
+        // A key set to undefined is as good as missing (see optional()).
+        if (!Object.hasOwn(input, key) || input[key] === undefined) {
+          if (field.optional) continue;
+          // withDefault() turns a missing value into its fallback.
+          const r = field.parse(undefined, ctx, here);
+          if (r.ok && r.value !== undefined) out[key] = r.value;
+          else issues.push({ path: here, message: "is required" });
+          continue;
+        }
+        const r = field.parse(input[key], ctx, here);
+        if (r.ok) out[key] = r.value;
+        else issues.push(...r.issues);
+      }
+      if (unknownKeys === "reject") {
+        for (const key of Object.keys(input)) {
+          if (!Object.hasOwn(shape, key)) issues.push({ path: join(path, key), message: "is not allowed" });
+        }
+      }
+      return issues.length ? { ok: false, issues } : ok(out as ObjectOf<S>);
+    },
+  };
+}
+
+/* ===== Refinement ===== */
+
+/** An extra check on an already valid value; `check` returns an error message or nothing. */
+function refine<T>(inner: Schema<T>, check: (value: T) => string | undefined): Schema<T> {
+  return schema((value, ctx, path) => {
+    const r = inner.parse(value, ctx, path);
+    if (!r.ok) return r;
+    const message = check(r.value);
+    return message === undefined ? r : fail(path, message);
+  });
+}
+
+export const v = {
+  string, number, integer, boolean, oneOf,
+  optional, withDefault, nullable,
+  array, object, refine,
+};
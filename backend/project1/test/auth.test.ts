@@ -0,0 +1,175 @@
+import assert from "node:assert/strict";
+import express from "express";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { apiKeyAuthenticator, ApiKeyRegistry, createAuth, jwtAuthenticator, MemoryAuditSink, parseApiKeys } from "../src/auth";
+import { FIXTURE_API_KEYS, FIXTURE_AUDIENCE, FIXTURE_ISSUER, FIXTURE_JWT_SECRET, fixtureToken } from "../src/auth/fixtures";
+import { ConfigError, schema } from "../src/config";
+import { loadConfig } from "../src/config/schema";
+import { errorHandler, notFound } from "../src/http/error-handler";
+import { requestScope } from "../src/http/request-context";
+import { requestId } from "../src/http/request-id";
+import { users, usersRoutes } from "../src/users";
+import { as, connect, disconnect, expectError, expectHeader, expectStatus, inject, listen, resetState, seedUsers, type TestClient } from "./harness";
+
+after(disconnect);
+
+const bearer = (token: string) => ({ authorization: `Bearer ${token}` });
+const HOUR = 3600;
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+describe("auth in the app", () => {
+  let api: TestClient;
+  before(async () => {
+    await connect();
+    api = inject();
+  });
+  beforeEach(resetState);
+  after(() => api.close());
+
+  describe("401", () => {
+    test("without credentials, with a WWW-Authenticate challenge", async () => {
+      const res = await api.get("/users");
+      const error = expectError(res, 401, "UNAUTHORIZED");
+      expectHeader(res, "www-authenticate", 'Bearer realm="project1"');
+      assert.equal(error.message, "Authentication required");
+      assert.deepEqual(error.details, { reason: "missing_credentials" });
+    });
+
+    const rejected: [string, Record<string, string>, string][] = [
+      ["an unknown API key", { "x-api-key": "not-a-key-anyone-was-given" }, "unknown_api_key"],
+      ["a token that isn't a JWT", bearer("nope"), "malformed"],
+      ["a token signed with another secret", bearer(fixtureToken({ sub: "u1" }, { secret: "x".repeat(40) })), "bad_signature"],
+      ["an expired token", bearer(fixtureToken({ sub: "u1" }, { now: nowSec() - 2 * HOUR })), "expired"],
+      ["a token for another audience", bearer(fixtureToken({ sub: "u1" }, { audience: "someone-else" })), "wrong_audience"],
+      ["a token from another issuer", bearer(fixtureToken({ sub: "u1" }, { issuer: "someone-else" })), "wrong_issuer"],
+      ["a token without a subject", bearer(fixtureToken({ scope: "users:read" })), "invalid_claims"],
+    ];
+    for (const [what, headers, reason] of rejected) {
+      test(`with ${what}`, async () => {
+        const res = await api.get("/users", { headers });
+        const error = expectError(res, 401, "UNAUTHORIZED");
+        expectHeader(res, "www-authenticate", /^Bearer /);
+        assert.equal(error.message, "Invalid credentials");
+        assert.deepEqual(error.details, { reason });
+      });
+    }
+
+    test("wrong credentials are rejected even on a public route", async () => {
+      expectError(await api.get("/health/live", { headers: { "x-api-key": "not-a-key-anyone-was-given" } }), 401, "UNAUTHORIZED");
+    });
+  });
+
+  describe("403", () => {
+    test("without the scope", async () => {
+      const error = expectError(await api.post("/users", { email: "a@example.test", name: "A" }, { headers: as.reader }), 403, "FORBIDDEN");
+      assert.equal(error.message, "requires scope users:write");
+    });
+
+    test("without the role", async () => {
+      const [user] = await seedUsers(1);
+      const error = expectError(await api.delete(`/users/${user!.id}`, { headers: as.writer }), 403, "FORBIDDEN");
+      assert.equal(error.message, "requires role admin");
+    });
+
+    test("another scope doesn't stand in for the one required", async () => {
+      const token = fixtureToken({ sub: "u1", roles: ["auditor"], scope: "users:write" });
+      expectError(await api.get("/users", { headers: bearer(token) }), 403, "FORBIDDEN");
+    });
+  });
+
+  describe("allowed", () => {
+    test("a reader can read", async () => {
+      await seedUsers(2);
+      const res = await api.get("/users", { headers: as.reader });
+      expectStatus(res, 200);
+      assert.equal(res.json().total, 2);
+    });
+
+    test("a writer can write", async () => {
+      expectStatus(await api.post("/users", { email: "w@example.test", name: "W" }, { headers: as.writer }), 201);
+    });
+
+    test("an admin has every scope and can delete", async () => {
+      const [user] = await seedUsers(1);
+      const res = await api.get(`/users/${user!.id}`, { headers: as.admin });
+      expectStatus(res, 200);
+      expectStatus(await api.delete(`/users/${user!.id}`, { headers: { ...as.admin, "if-match": res.headers.etag! } }), 204);
+    });
+  });
+});
+
+describe("audit events", () => {
+  const sink = new MemoryAuditSink();
+  const auth = createAuth({
+    authenticators: [
+      jwtAuthenticator({ secrets: { default: FIXTURE_JWT_SECRET }, issuer: FIXTURE_ISSUER, audience: FIXTURE_AUDIENCE }),
+      apiKeyAuthenticator(new ApiKeyRegistry(Object.values(FIXTURE_API_KEYS))),
+    ],
+    audit: sink,
+  });
+  // The users routes behind an auth that records into `sink`.
+  const audited = express();
+  audited.use(requestId, requestScope, express.json(), auth.authenticate);
+  audited.use("/users", usersRoutes(users, { auth }));
+  audited.use(notFound, errorHandler);
+
+  let api: TestClient;
+  before(async () => {
+    api = await listen({ handler: audited });
+  });
+  beforeEach(async () => {
+    sink.clear();
+    await resetState();
+  });
+  after(() => api.close());
+
+  test("a failed authentication is recorded, without the credential", async () => {
+    const key = "not-a-key-anyone-was-given";
+    const res = await api.get("/users?limit=5", { headers: { "x-api-key": key } });
+    expectStatus(res, 401);
+    assert.equal(sink.events.length, 1);
+    const [event] = sink.events;
+    assert.deepEqual(
+      { type: event!.type, reason: event!.reason, scheme: event!.scheme, method: event!.method, path: event!.path, requestId: event!.requestId },
+      { type: "auth.failed", reason: "unknown_api_key", scheme: "apiKey", method: "GET", path: "/users", requestId: res.headers["x-request-id"] },
+    );
+    assert.ok(!JSON.stringify(sink.events).includes(key));
+  });
+
+  test("so are missing credentials and an expired token", async () => {
+    await api.get("/users");
+    await api.get("/users", { headers: bearer(fixtureToken({ sub: "u1" }, { now: nowSec() - 2 * HOUR })) });
+    assert.deepEqual(sink.events.map((e) => [e.type, e.reason]), [["auth.failed", "missing_credentials"], ["auth.failed", "expired"]]);
+  });
+
+  test("a forbidden request says who it was", async () => {
+    expectStatus(await api.post("/users", { email: "a@example.test", name: "A" }, { headers: as.reader }), 403);
+    assert.equal(sink.events.length, 1);
+    assert.equal(sink.events[0]!.type, "auth.forbidden");
+    assert.equal(sink.events[0]!.principalId, FIXTURE_API_KEYS.reader.id);
+  });
+
+  test("a request that gets through records nothing", async () => {
+    expectStatus(await api.get("/users", { headers: as.reader }), 200);
+    assert.deepEqual(sink.events, []);
+  });
+});
+
+describe("API_KEYS", () => {
+  const secret = "supersecretkey-0123456789abcdef";
+
+  test("invalid JSON is reported without quoting it", () => {
+    const raw = `[{"id":"ci","key":${secret}}]`;
+    assert.throws(() => parseApiKeys(raw), { message: "API_KEYS is not valid JSON" });
+  });
+
+  test("no part of a secret setting reaches the config error", () => {
+    const env = { API_KEYS: `[{"id":"ci","key":${secret}}]`, JWT_SECRET: secret.slice(0, 20) };
+    assert.throws(() => loadConfig(schema, { env }), (err) => {
+      assert.ok(err instanceof ConfigError);
+      assert.deepEqual(err.issues.map((i) => i.path), ["auth.jwtSecret", "auth.apiKeys"]);
+      for (const fragment of [secret.slice(0, 10), secret.slice(0, 20)]) assert.ok(!err.message.includes(fragment), err.message);
+      return true;
+    });
+  });
+});
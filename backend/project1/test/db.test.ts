@@ -0,0 +1,235 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { DBClient } from "../src/db/client";
+import { FakeDriver } from "../src/db/fake";
+import { ConnectionError, Pool, PoolClosedError, PoolTimeoutError, type Connection } from "../src/db/pool";
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("Pool", () => {
+  const pool = (max: number, acquireTimeoutMs = 1000) => {
+    const driver = new FakeDriver({ latencyMs: 0 });
+    return { driver, pool: new Pool(driver, { max, acquireTimeoutMs }) };
+  };
+
+  test("opens at most `max` connections, then makes callers wait", async () => {
+    const { driver, pool: p } = pool(2);
+    const a = await p.acquire();
+    const b = await p.acquire();
+    assert.notEqual(a, b);
+    const third = p.acquire();
+    await tick();
+    assert.deepEqual(p.stats, { size: 2, idle: 0, inUse: 2, waiting: 1 });
+    assert.equal(driver.open.size, 2);
+
+    p.release(a);
+    assert.equal(await third, a, "the waiter gets the released connection, not a new one");
+    assert.equal(driver.open.size, 2);
+  });
+
+  test("reuses an idle connection before opening another", async () => {
+    const { driver, pool: p } = pool(5);
+    const a = await p.acquire();
+    p.release(a);
+    assert.equal(await p.acquire(), a);
+    assert.equal(driver.open.size, 1);
+  });
+
+  test("serves waiters first come, first served", async () => {
+    const { pool: p } = pool(1);
+    const conn = await p.acquire();
+    const order: number[] = [];
+    const waiting = [1, 2, 3].map((n) => p.acquire().then((c) => {
+      order.push(n);
+      return c;
+    }));
+    await tick();
+    for (const next of waiting) {
+      p.release(conn);
+      assert.equal(await next, conn);
+    }
+    assert.deepEqual(order, [1, 2, 3]);
+  });
+
+  test("a waiter gives up after acquireTimeoutMs", async () => {
+    const { pool: p } = pool(1, 20);
+    const conn = await p.acquire();
+    await assert.rejects(p.acquire(), { name: "PoolTimeoutError", message: "no connection free after 20ms (max 1)" });
+    assert.equal(p.stats.waiting, 0);
+
+    p.release(conn);
+    assert.equal(await p.acquire(), conn, "a timed-out waiter doesn't swallow the next release");
+  });
+
+  test("destroy() frees the slot, and a waiter gets a fresh connection through it", async () => {
+    const { driver, pool: p } = pool(1);
+    const broken = await p.acquire();
+    const next = p.acquire();
+    await tick();
+    await p.destroy(broken);
+    const fresh = await next;
+    assert.notEqual(fresh, broken);
+    assert.equal(driver.open.size, 1);
+    assert.deepEqual(p.stats, { size: 1, idle: 0, inUse: 1, waiting: 0 });
+  });
+
+  test("a failed connect frees its slot", async () => {
+    const { driver, pool: p } = pool(1);
+    driver.down = true;
+    await assert.rejects(p.acquire(), ConnectionError);
+    driver.down = false;
+    assert.equal(p.stats.size, 0);
+    await p.acquire();
+  });
+
+  test("close() refuses new callers, serves the queued ones, and waits for every connection", async () => {
+    const { driver, pool: p } = pool(1);
+    const conn = await p.acquire();
+    const queued = p.acquire();
+    await tick();
+
+    let closed = false;
+    const closing = p.close().then(() => {
+      closed = true;
+    });
+    await assert.rejects(p.acquire(), PoolClosedError);
+
+    p.release(conn);
+    assert.equal(await queued, conn);
+    await tick();
+    assert.equal(closed, false, "still draining: the queued caller has the connection");
+
+    p.release(conn);
+    await closing;
+    assert.equal(closed, true);
+    assert.equal(driver.open.size, 0);
+    assert.deepEqual(p.stats, { size: 0, idle: 0, inUse: 0, waiting: 0 });
+  });
+
+  test("close() closes idle connections straight away", async () => {
+    const { driver, pool: p } = pool(2);
+    const a = await p.acquire();
+    p.release(a);
+    await p.close();
+    assert.equal(driver.open.size, 0);
+  });
+
+  test("max must be a positive integer", () => {
+    const driver = new FakeDriver();
+    for (const max of [0, -1, 1.5, NaN]) {
+      assert.throws(() => new Pool(driver, { max, acquireTimeoutMs: 10 }), RangeError);
+    }
+  });
+});
+
+describe("DBClient", () => {
+  const client = (pool: { max?: number; acquireTimeoutMs?: number } = {}) => {
+    const driver = new FakeDriver({ latencyMs: 0 });
+    return { driver, db: new DBClient({ driver, pool, healthTimeoutMs: 50 }) };
+  };
+
+  test("init() is shared by concurrent callers, and retried after a failure", async () => {
+    const { driver, db } = client();
+    driver.down = true;
+    const [a, b] = [db.init(), db.init()];
+    assert.equal(a, b);
+    await assert.rejects(a, ConnectionError);
+    assert.equal(db.state, "idle");
+
+    driver.down = false;
+    await db.init();
+    assert.equal(db.state, "ready");
+    await db.close();
+  });
+
+  test("query() gives the connection back when it succeeds and when it throws", async () => {
+    const { driver, db } = client({ max: 1 });
+    await db.init();
+    assert.deepEqual(await db.query("SELECT 1"), [{ "?column?": 1 }]);
+
+    await assert.rejects(db.withConnection(async () => {
+      throw new Error("bad row");
+    }), /bad row/);
+    const { pool } = await db.health();
+    assert.deepEqual(pool, { size: 1, idle: 1, inUse: 0, waiting: 0 });
+    assert.equal(driver.open.size, 1, "an ordinary error leaves the connection usable");
+    await db.close();
+  });
+
+  test("a lost connection is destroyed; the next query gets a new one", async () => {
+    const { driver, db } = client();
+    await db.init();
+    let first: Connection | undefined;
+    await db.withConnection(async (conn) => {
+      first = conn;
+    });
+
+    driver.dropConnections();
+    await assert.rejects(db.query("SELECT 1"), ConnectionError);
+    await db.withConnection(async (conn) => {
+      assert.notEqual(conn, first);
+    });
+    assert.equal(driver.open.size, 1);
+    await db.close();
+  });
+
+  test("a query waits for a free connection, up to acquireTimeoutMs", async () => {
+    const { db } = client({ max: 1, acquireTimeoutMs: 20 });
+    await db.init();
+    let release!: () => void;
+    const holding = db.withConnection(() => new Promise<void>((resolve) => {
+      release = resolve;
+    }));
+    await tick();
+    await assert.rejects(db.query("SELECT 1"), PoolTimeoutError);
+
+    const queued = db.query("SELECT 1");
+    release();
+    await holding;
+    assert.equal((await queued).length, 1);
+    await db.close();
+  });
+
+  test("health() reports the pool, and an outage as not ok", async () => {
+    const { driver, db } = client();
+    assert.deepEqual(await db.health().then((r) => [r.ok, r.error]), [false, "client is idle"]);
+    await db.init();
+    const ok = await db.health();
+    assert.equal(ok.ok, true);
+    assert.equal(ok.pool.size, 1);
+
+    driver.down = true;
+    const down = await db.health();
+    assert.equal(down.ok, false);
+    assert.match(down.error!, /lost/);
+    await db.close();
+  });
+
+  test("close() lets queries in flight finish, then closes every connection", async () => {
+    const driver = new FakeDriver({ latencyMs: 20 });
+    const db = new DBClient({ driver });
+    await db.init();
+    const inFlight = db.query("SELECT 1");
+    await tick();
+
+    const closing = db.close();
+    assert.equal(db.state, "closing");
+    assert.deepEqual(await inFlight, [{ "?column?": 1 }]);
+    await closing;
+    assert.equal(db.state, "closed");
+    assert.equal(driver.open.size, 0);
+
+    await assert.rejects(db.query("SELECT 1"), /not connected/);
+    await assert.rejects(db.init(), /client is closed/);
+  });
+
+  test("close() during init() waits for it, and leaves nothing open", async () => {
+    const driver = new FakeDriver({ latencyMs: 10 });
+    const db = new DBClient({ driver });
+    const init = db.init();
+    await db.close();
+    await init;
+    assert.equal(db.state, "closed");
+    assert.equal(driver.open.size, 0);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Integration test harness: the real app (src/app.ts), in this process.
+ *
+ *   const api = await listen();     // on an ephemeral port, through real sockets
+ *   const api = inject();           // no socket at all: an in-memory stream pair
+ *
+ *   const res = await api.get("/users", { headers: as.reader });
+ *   expectStatus(res, 200);
+ *   expectError(await api.get("/nope"), 404, "NOT_FOUND");
+ *
+ * Both clients send real HTTP through Node's own client and server, so
+ * headers, status codes and body parsing behave exactly as in production.
+ * The DB client can't be reopened once closed, so it's per test file
+ * (each file runs in its own process) rather than per server: listen()
+ * connects it, inject() callers that need it call connect(), and the
+ * file closes it with a top-level after(disconnect).
+ *
+ * resetState() puts the app's in-memory state (users, rate-limit buckets)
+ * back to empty between tests; seedUsers() fills it.
+ */
+import assert from "node:assert/strict";
+import http, { type IncomingHttpHeaders, type RequestListener } from "node:http";
+import { Duplex } from "node:stream";
+import app from "../src/app";
+import { FIXTURE_API_KEYS, fixtureToken } from "../src/auth/fixtures";
+import { connectDB, disconnectDB } from "../src/db";
+import { startServer, type RunningServer } from "../src/lifecycle";
+import { rateLimitStore } from "../src/ratelimit";
+import { users, usersRepository, type CreateUserInput, type User } from "../src/users";
+
+/* ===== Responses ===== */
+
+export interface TestResponse {
+  status: number;
+  headers: IncomingHttpHeaders;
+  text: string;
+  /** The parsed body; throws if it isn't JSON. */
+  json<T = any>(): T;
+}
+
+export interface RequestOptions {
+  headers?: Record<string, string>;
+  /** Sent as JSON (with Content-Type) unless it's already a string. */
+  body?: unknown;
+}
+
+export interface TestClient {
+  request(method: string, path: string, options?: RequestOptions): Promise<TestResponse>;
+  get(path: string, options?: RequestOptions): Promise<TestResponse>;
+  post(path: string, body?: unknown, options?: RequestOptions): Promise<TestResponse>;
+  put(path: string, body?: unknown, options?: RequestOptions): Promise<TestResponse>;
+  patch(path: string, body?: unknown, options?: RequestOptions): Promise<TestResponse>;
+  delete(path: string, options?: RequestOptions): Promise<TestResponse>;
+  close(): Promise<void>;
+}
+
+// Where http.request sends it: a host and port, or (with no agent) a ready-made connection.
+type Connect = () => { createConnection: () => Duplex } | { host: string; port: number; agent: false };
+
+function send(connect: Connect, method: string, path: string, options: RequestOptions = {}): Promise<TestResponse> {
+  const { headers = {}, body } = options;
+  const payload = body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body);
+  const allHeaders: Record<string, string> = {
+    ...(payload !== undefined && typeof body !== "string" ? { "content-type": "application/json" } : {}),
+    ...(payload !== undefined ? { "content-length": String(Buffer.byteLength(payload)) } : {}),
+    connection: "close",
+    ...headers,
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({ ...connect(), method, path, headers: allHeaders }, (res) => {
+      const chunks: Buffer[] = [];
+      res.on("data", (chunk: Buffer) => chunks.push(chunk));
+      res.on("error", reject);
+      res.on("end", () => {
+        const text = Buffer.concat(chunks).toString("utf8");
+        resolve({
+          status: res.statusCode ?? 0,
+          headers: res.headers,
+          text,
+          json() {
+            try {
+              return JSON.parse(text);
+            } catch {
+              throw new assert.AssertionError({ message: `expected a JSON body, got: ${text.slice(0, 200)}` });
+            }
+          },
+        });
+      });
+    });
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+function client(connect: Connect, close: () => Promise<void>): TestClient {
+  const request = (method: string, path: string, options?: RequestOptions) => send(connect, method, path, options);
+  const withBody = (method: string) => (path: string, body?: unknown, options: RequestOptions = {}) =>
+    request(method, path, { ...options, body });
+  return {
+    request,
+    get: (path, options) => request("GET", path, options),
+    post: withBody("POST"),
+    put: withBody("PUT"),
+    patch: withBody("PATCH"),
+    delete: (path, options) => request("DELETE", path, options),
+    close,
+  };
+}
+
+/* ===== Servers ===== */
+
+export interface ListenOptions {
+  /** Default 1000. */
+  shutdownTimeoutMs?: number;
+  /** Serve this instead of the app, e.g. the app behind a test-only route. */
+  handler?: RequestListener;
+}
+
+/** The app on 127.0.0.1 and a free port, started like server.ts starts it. */
+export async function listen(options: ListenOptions = {}): Promise<TestClient & { port: number; running: RunningServer }> {
+  const running = await startServer(options.handler ?? app, {
+    port: 0,
+    host: "127.0.0.1",
+    startup: [{ name: "database", run: connectDB }],
+    shutdownTimeoutMs: options.shutdownTimeoutMs ?? 1000,
+    log: { info() {}, warn() {}, error() {} },
+  });
+  const { port } = running.address;
+  const api = client(() => ({ host: "127.0.0.1", port, agent: false }), async () => {
+    await running.shutdown("test finished");
+  });
+  return { ...api, port, running };
+}
+
+// One end of an in-memory connection: what's written to it comes out of its peer.
+class Pipe extends Duplex {
+  peer!: Pipe;
+  readonly remoteAddress = "127.0.0.1";
+  readonly remotePort = 0;
+
+  override _read(): void {}
+  override _write(chunk: Buffer, _encoding: BufferEncoding, done: () => void): void {
+    this.peer.push(chunk);
+    done();
+  }
+  override _final(done: () => void): void {
+    this.peer.push(null);
+    done();
+  }
+  // The parts of net.Socket that http's client and server call.
+  setTimeout(): this { return this; }
+  setNoDelay(): this { return this; }
+  setKeepAlive(): this { return this; }
+  ref(): this { return this; }
+  unref(): this { return this; }
+}
+
+/** The app without any socket: each request gets its own in-memory connection. */
+export function inject(): TestClient {
+  const server = http.createServer(app);
+  return client(() => ({
+    createConnection() {
+      const clientEnd = new Pipe({ allowHalfOpen: true });
+      const serverEnd = new Pipe({ allowHalfOpen: true });
+      clientEnd.peer = serverEnd;
+      serverEnd.peer = clientEnd;
+      server.emit("connection", serverEnd);
+      return clientEnd;
+    },
+  }), async () => {});
+}
+
+/** Connect the DB (idempotent); for inject() tests that need it, readiness say. */
+export const connect = connectDB;
+
+/** Close the DB; once per test file, after everything else. */
+export const disconnect = disconnectDB;
+
+/* ===== State ===== */
+
+export async function resetState(): Promise<void> {
+  await Promise.all([usersRepository.clear(), rateLimitStore.reset()]);
+}
+
+let seeded = 0;
+
+/** Create users through the service (so they get ids, versions and timestamps). */
+export async function seedUsers(input: number | Partial<CreateUserInput>[]): Promise<User[]> {
+  const list = typeof input === "number" ? Array.from({ length: input }, () => ({})) : input;
+  const created: User[] = [];
+  for (const partial of list) {
+    const n = ++seeded;
+    created.push(await users.create({ email: `user${n}@example.test`, name: `User ${n}`, role: "user", ...partial }));
+  }
+  return created;
+}
+
+/* ===== Credentials ===== */
+
+/** Headers for the fixture principals. */
+export const as = {
+  admin: { "x-api-key": FIXTURE_API_KEYS.admin.key },
+  reader: { "x-api-key": FIXTURE_API_KEYS.reader.key },
+  writer: { authorization: `Bearer ${fixtureToken({ sub: "writer", scope: "users:read users:write" })}` },
+} as const;
+
+/* ===== Assertions ===== */
+
+function describe(res: TestResponse): string {
+  return `${res.status} ${res.text.length > 300 ? res.text.slice(0, 300) + "…" : res.text}`;
+}
+
+export function expectStatus(res: TestResponse, status: number): void {
+  assert.equal(res.status, status, `expected status ${status}, got ${describe(res)}`);
+}
+
+export function expectHeader(res: TestResponse, name: string, expected: string | RegExp): void {
+  const value = res.headers[name.toLowerCase()];
+  assert.ok(value !== undefined, `expected a ${name} header; got ${Object.keys(res.headers).join(", ")}`);
+  const text = Array.isArray(value) ? value.join(", ") : value;
+  if (typeof expected === "string") assert.equal(text, expected, `${name} header`);
+  else assert.match(text, expected, `${name} header`);
+}
+
+/** The JSON error envelope from src/http/error-handler.ts, with this status and code. */
+export function expectError(res: TestResponse, status: number, code: string): { code: string; message: string; details: unknown; requestId: string; stack?: string } {
+  expectStatus(res, status);
+  expectHeader(res, "content-type", /^application\/json/);
+  const { error } = res.json();
+  assert.ok(error, `expected an { error } body, got ${describe(res)}`);
+  assert.equal(error.code, code, `error code; body: ${res.text}`);
+  assert.equal(typeof error.message, "string");
+  assert.ok("details" in error, "error.details is always present");
+  assert.equal(error.requestId, res.headers["x-request-id"], "error.requestId matches X-Request-Id");
+  return error;
+}
@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { health } from "../src/health";
+import { connect, disconnect, expectError, expectHeader, expectStatus, inject, listen, type TestClient } from "./harness";
+
+after(disconnect);
+
+// The same checks through a real socket and through inject().
+for (const [mode, open] of [["listen", listen], ["inject", async () => { await connect(); return inject(); }]] as const) {
+  describe(`app basics (${mode})`, () => {
+    let api: TestClient;
+    before(async () => {
+      api = await open();
+    });
+    after(() => api.close());
+
+    describe("/health", () => {
+      test("live answers 200 and is never cached", async () => {
+        const res = await api.get("/health/live");
+        expectStatus(res, 200);
+        expectHeader(res, "cache-control", "no-store");
+        assert.equal(res.json().status, "ok");
+      });
+
+      test("ready reports each check with its latency", async () => {
+        const res = await api.get("/health/ready");
+        expectStatus(res, 200);
+        const report = res.json();
+        assert.equal(report.status, "ok");
+        assert.equal(report.ready, true);
+        assert.equal(report.checks.database.status, "pass");
+        assert.equal(report.checks.database.critical, true);
+        assert.equal(typeof report.checks.database.latencyMs, "number");
+      });
+
+      test("/health is the liveness probe", async () => {
+        const res = await api.get("/health");
+        expectStatus(res, 200);
+        expectHeader(res, "cache-control", "no-store");
+        assert.equal(res.json().status, "ok");
+      });
+
+      test("a failing critical check makes ready 503, but not live", async () => {
+        health.register({ name: "broken", check: () => { throw new Error("down"); } });
+        try {
+          const res = await api.get("/health/ready");
+          expectStatus(res, 503);
+          const report = res.json();
+          assert.equal(report.status, "fail");
+          assert.deepEqual({ status: report.checks.broken.status, error: report.checks.broken.error }, { status: "fail", error: "down" });
+          expectStatus(await api.get("/health"), 200);
+          expectStatus(await api.get("/health/live"), 200);
+        } finally {
+          health.unregister("broken");
+        }
+      });
+
+      test("a failing non-critical check only degrades it", async () => {
+        health.register({ name: "optional", critical: false, check: () => { throw new Error("meh"); } });
+        try {
+          const res = await api.get("/health/ready");
+          expectStatus(res, 200);
+          assert.equal(res.json().status, "degraded");
+        } finally {
+          health.unregister("optional");
+        }
+      });
+
+      test("is not rate limited or authenticated", async () => {
+        const res = await api.get("/health/live");
+        assert.equal(res.headers["ratelimit-limit"], undefined);
+      });
+    });
+
+    describe("unknown routes", () => {
+      test("get a JSON 404", async () => {
+        const error = expectError(await api.get("/nope"), 404, "NOT_FOUND");
+        assert.equal(error.message, "Route GET /nope not found");
+        assert.equal(error.details, null);
+      });
+
+      test("include the method", async () => {
+        const error = expectError(await api.delete("/health/live"), 404, "NOT_FOUND");
+        assert.match(error.message, /^Route DELETE /);
+      });
+
+      test("carry a stack outside production", async () => {
+        const error = expectError(await api.get("/nope"), 404, "NOT_FOUND");
+        assert.equal(typeof error.stack, "string");
+      });
+    });
+
+    describe("request ids", () => {
+      test("a well-formed incoming X-Request-Id is kept", async () => {
+        const res = await api.get("/nope", { headers: { "x-request-id": "trace-123" } });
+        expectHeader(res, "x-request-id", "trace-123");
+        assert.equal(res.json().error.requestId, "trace-123");
+      });
+
+      test("otherwise one is made up", async () => {
+        const res = await api.get("/health/live", { headers: { "x-request-id": "has spaces" } });
+        expectHeader(res, "x-request-id", /^[0-9a-f-]{36}$/);
+      });
+    });
+
+    describe("malformed JSON", () => {
+      test("gets a JSON 400, not an HTML page", async () => {
+        const res = await api.post("/users", '{"email": "a@b.io",', { headers: { "content-type": "application/json" } });
+        const error = expectError(res, 400, "MALFORMED_JSON");
+        assert.equal(error.message, "Request body is not valid JSON");
+      });
+
+      test("too deep a body is rejected", async () => {
+        const deep = "[".repeat(100) + "]".repeat(100);
+        expectError(await api.post("/users", deep, { headers: { "content-type": "application/json" } }), 400, "BODY_TOO_DEEP");
+      });
+
+      test("too large a body is rejected", async () => {
+        const big = JSON.stringify({ name: "x".repeat(200 * 1024) });
+        expectError(await api.post("/users", big, { headers: { "content-type": "application/json" } }), 413, "PAYLOAD_TOO_LARGE");
+      });
+    });
+  });
+}
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import net from "node:net";
+import { after, describe, test } from "node:test";
+import app from "../src/app";
+import { ExitCode } from "../src/lifecycle";
+import { disconnect, expectStatus, listen } from "./harness";
+
+after(disconnect);
+
+const SHUTDOWN_TIMEOUT_MS = 300;
+// Well under Node's keepAliveTimeout (5s) and headersTimeout (60s), which
+// are what shutdown used to end up waiting for.
+const DEADLINE_MS = SHUTDOWN_TIMEOUT_MS + 700;
+
+async function timed<T>(work: Promise<T>): Promise<{ result: T; ms: number }> {
+  const start = performance.now();
+  const result = await work;
+  return { result, ms: performance.now() - start };
+}
+
+describe("graceful shutdown", () => {
+  test("lets an in-flight request finish, then closes its keep-alive connection", async () => {
+    let release!: () => void;
+    const released = new Promise<void>((resolve) => {
+      release = resolve;
+    });
+    const api = await listen({
+      shutdownTimeoutMs: SHUTDOWN_TIMEOUT_MS,
+      handler: (req, res) => {
+        if (req.url !== "/slow") return app(req, res);
+        // Headers go out now, before the drain, so without "Connection: close"
+        res.writeHead(200, { "content-type": "text/plain" });
+        res.write("started…");
+        void released.then(() => res.end("done"));
+      },
+    });
+
+    const agent = new http.Agent({ keepAlive: true });
+    try {
+      let started!: () => void;
+      const headersSent = new Promise<void>((resolve) => {
+        started = resolve;
+      });
+      const body = new Promise<string>((resolve, reject) => {
+        http.get({ host: "127.0.0.1", port: api.port, path: "/slow", agent }, (res) => {
+          let text = "";
+          res.setEncoding("utf8");
+          res.on("data", (chunk: string) => {
+            text += chunk;
+            started();
+          });
+          res.on("end", () => resolve(text));
+          res.on("error", reject);
+        }).on("error", reject);
+      });
+
+      await headersSent;
+      const stopping = timed(api.running.shutdown("test"));
+      setTimeout(release, 50);
+      assert.equal(await body, "started…done");
+      const { result, ms } = await stopping;
+      assert.equal(result, ExitCode.Ok, "the request finished; nothing was cut off");
+      assert.ok(ms < DEADLINE_MS, `shutdown took ${Math.round(ms)}ms`);
+    } finally {
+      agent.destroy();
+    }
+  });
+
+  test("shutdownTimeoutMs bounds the wait for connections that aren't requests yet", async () => {
+    const api = await listen({ shutdownTimeoutMs: SHUTDOWN_TIMEOUT_MS });
+    expectStatus(await api.get("/health/live"), 200);
+
+    // Half a request: not idle, so closeIdleConnections() leaves it alone,
+    // and not in flight either, since the handler hasn't seen it.
+    const socket = net.connect(api.port, "127.0.0.1");
+    await new Promise<void>((resolve) => socket.once("connect", resolve));
+    socket.write("GET /health/live HTTP/1.1\r\nHost: localhost\r\n");
+    const socketClosed = new Promise<void>((resolve) => socket.once("close", () => resolve()));
+    socket.on("error", () => {});
+
+    const { result, ms } = await timed(api.running.shutdown("test"));
+    assert.equal(result, ExitCode.Ok);
+    assert.ok(ms >= SHUTDOWN_TIMEOUT_MS - 20 && ms < DEADLINE_MS, `shutdown took ${Math.round(ms)}ms`);
+    await socketClosed;
+  });
+});
@@ -0,0 +1,143 @@
+import assert from "node:assert/strict";
+import express from "express";
+import { setTimeout as sleep } from "node:timers/promises";
+import { after, before, beforeEach, describe, mock, test } from "node:test";
+import { errorHandler } from "../src/http/error-handler";
+import { requestScope } from "../src/http/request-context";
+import { requestId } from "../src/http/request-id";
+import { log, Logger, rootLogger, type Fields } from "../src/log";
+import { disconnect, expectHeader, expectStatus, listen, type TestClient } from "./harness";
+
+after(disconnect);
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// Every line written, parsed back.
+const lines: Fields[] = [];
+const capture = new Logger({ level: "debug", write: (line) => lines.push(JSON.parse(line)) });
+
+describe("Logger", () => {
+  beforeEach(() => {
+    lines.length = 0;
+  });
+
+  test("writes one JSON object per line, with the child's fields on each", () => {
+    capture.child({ module: "billing" }).info("charged", { amount: 5, msg: "not this" });
+    assert.equal(lines.length, 1);
+    const { time, ...rest } = lines[0]!;
+    assert.match(String(time), /^\d{4}-\d\d-\d\dT/);
+    assert.deepEqual(rest, { level: "info", msg: "charged", module: "billing", amount: 5 });
+  });
+
+  test("drops lines below its level", () => {
+    const quiet = new Logger({ level: "warn", write: (line) => lines.push(JSON.parse(line)) });
+    quiet.info("dropped");
+    quiet.child({ a: 1 }).debug("dropped too");
+    quiet.error("kept");
+    assert.deepEqual(lines.map((l) => l.msg), ["kept"]);
+  });
+
+  test("writes an Error as its fields, cause included", () => {
+    capture.error("failed", { err: new Error("outer", { cause: new Error("inner") }), big: 2n ** 64n });
+    const err = lines[0]!.err as Fields;
+    assert.equal(err.message, "outer");
+    assert.equal((err.cause as Fields).message, "inner");
+    assert.equal(lines[0]!.big, "18446744073709551616");
+  });
+});
+
+describe("request logging", () => {
+  // requestScope builds each request's logger from rootLogger, which the
+  // tests keep silent; point it at `capture` instead.
+  before(() => {
+    mock.method(rootLogger, "child", (bindings: Fields) => capture.child(bindings));
+  });
+  after(() => mock.restoreAll());
+  beforeEach(() => {
+    lines.length = 0;
+  });
+
+  const app = express();
+  app.use(requestId, requestScope);
+  app.get("/work", async (req, res) => {
+    log.info("started");
+    await sleep(Number(req.query.ms ?? 1));
+    await Promise.resolve();
+    log.info("after await", { step: 2 });
+    res.json({ ok: true });
+  });
+  app.use(errorHandler);
+
+  let api: TestClient;
+  before(async () => {
+    api = await listen({ handler: app });
+  });
+  after(() => api.close());
+
+  // The access-log line is written on "close", which can come just after the response.
+  const settle = async (count: number) => {
+    while (lines.length < count) await sleep(1);
+  };
+
+  test("every line carries the request id, even after an await", async () => {
+    const res = await api.get("/work");
+    expectStatus(res, 200);
+    await settle(3);
+    const id = res.headers["x-request-id"];
+    assert.match(String(id), UUID);
+    assert.deepEqual(lines.map((l) => [l.msg, l.requestId]), [["started", id], ["after await", id], ["request", id]]);
+    assert.deepEqual({ method: lines[2]!.method, path: lines[2]!.path, status: lines[2]!.status }, { method: "GET", path: "/work", status: 200 });
+  });
+
+  test("requests in flight together keep their own ids", async () => {
+    const [slow, fast] = await Promise.all([
+      api.get("/work?ms=30", { headers: { "x-request-id": "slow" } }),
+      api.get("/work?ms=1", { headers: { "x-request-id": "fast" } }),
+    ]);
+    expectStatus(slow, 200);
+    expectStatus(fast, 200);
+    await settle(6);
+    const ids = (msg: string) => lines.filter((l) => l.msg === msg).map((l) => l.requestId);
+    assert.deepEqual(ids("started").sort(), ["fast", "slow"]);
+    assert.deepEqual(ids("after await"), ["fast", "slow"], "the fast one finishes first, with its own id");
+  });
+
+  test("outside a request, log writes through the root logger", () => {
+    const write = mock.method(rootLogger, "log", () => {});
+    log.warn("at startup");
+    assert.equal(write.mock.callCount(), 1);
+    assert.deepEqual(write.mock.calls[0]!.arguments, ["warn", "at startup", undefined]);
+    write.mock.restore();
+  });
+
+  describe("an incoming X-Request-Id", () => {
+    test("is kept when it's short printable ASCII", async () => {
+      const res = await api.get("/work", { headers: { "x-request-id": "edge-7f3a:42" } });
+      expectHeader(res, "x-request-id", "edge-7f3a:42");
+      await settle(3);
+      assert.ok(lines.every((l) => l.requestId === "edge-7f3a:42"));
+    });
+
+    for (const [what, sent] of [
+      ["with a space", "two words"],
+      ["with a tab", "tab\there"],
+      ["longer than 128 characters", "x".repeat(129)],
+      ["with non-ASCII", "café"],
+    ]) {
+      test(`is replaced when it's ${what}`, async () => {
+        const res = await api.get("/work", { headers: { "x-request-id": sent! } });
+        const id = String(res.headers["x-request-id"]);
+        assert.match(id, UUID);
+        await settle(3);
+        assert.ok(lines.every((l) => l.requestId === id));
+      });
+    }
+
+    test("can't break out of its field in the log line", async () => {
+      const sneaky = '","level":"error","msg":"forged';
+      await api.get("/work", { headers: { "x-request-id": sneaky } });
+      await settle(3);
+      assert.deepEqual(lines.map((l) => [l.level, l.requestId]), [["info", sneaky], ["info", sneaky], ["info", sneaky]]);
+    });
+  });
+});
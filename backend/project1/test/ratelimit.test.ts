@@ -0,0 +1,206 @@
+import assert from "node:assert/strict";
+import express from "express";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { errorHandler } from "../src/http/error-handler";
+import { requestScope } from "../src/http/request-context";
+import { requestId } from "../src/http/request-id";
+import { concurrencyLimit, MemoryStore, rateLimit } from "../src/ratelimit";
+import { as, connect, disconnect, expectError, expectHeader, expectStatus, inject, listen, resetState, type TestClient } from "./harness";
+
+after(disconnect);
+
+describe("MemoryStore", () => {
+  const policy = { limit: 3, windowSec: 3 }; // one token a second
+
+  test("allows a burst of `limit`, then says how long to wait", async () => {
+    const store = new MemoryStore();
+    for (const remaining of [2, 1, 0]) {
+      assert.deepEqual(await store.take("k", policy, 1, 0), { allowed: true, remaining, resetMs: (3 - remaining) * 1000, retryAfterMs: 0 });
+    }
+    assert.deepEqual(await store.take("k", policy, 1, 250), { allowed: false, remaining: 0, resetMs: 2750, retryAfterMs: 750 });
+  });
+
+  test("refills at limit/windowSec, up to the limit", async () => {
+    const store = new MemoryStore();
+    await store.take("k", policy, 3, 0);
+    assert.equal((await store.take("k", policy, 1, 1000)).allowed, true);
+    assert.equal((await store.take("k", policy, 1, 1000)).allowed, false);
+    assert.equal((await store.take("k", policy, 1, 60_000)).remaining, 2, "a quiet client gets its burst back, no more");
+  });
+
+  test("a denied take costs nothing", async () => {
+    const store = new MemoryStore();
+    await store.take("k", policy, 2, 0);
+    assert.equal((await store.take("k", policy, 2, 0)).allowed, false);
+    assert.equal((await store.take("k", policy, 1, 0)).allowed, true);
+  });
+
+  test("keys have buckets of their own", async () => {
+    const store = new MemoryStore();
+    await store.take("a", policy, 3, 0);
+    assert.equal((await store.take("b", policy, 1, 0)).allowed, true);
+  });
+
+  test("refuses a cost bigger than the bucket, and a policy without one", async () => {
+    const store = new MemoryStore();
+    await assert.rejects(store.take("k", policy, 4, 0), RangeError);
+    await assert.rejects(store.take("k", policy, -1, 0), RangeError);
+    await assert.rejects(store.take("k", { limit: 0, windowSec: 1 }, 0, 0), RangeError);
+    await assert.rejects(store.take("k", { limit: 1, windowSec: 0 }, 1, 0), RangeError);
+    assert.equal(store.size, 0);
+  });
+
+  test("sweeps out buckets that have refilled", async () => {
+    const store = new MemoryStore(2);
+    await store.take("idle", policy, 1, 0);
+    assert.equal(store.size, 1);
+    await store.take("busy", policy, 1, 5000);
+    assert.equal(store.size, 1);
+  });
+});
+
+describe("rateLimit()", () => {
+  let clock = 0;
+  const limited = express();
+  limited.use(requestId, requestScope);
+  limited.use(rateLimit({
+    name: "test",
+    policy: { limit: 2, windowSec: 10 },
+    key: () => "everyone",
+    skip: (req) => req.path === "/health",
+    now: () => clock,
+  }));
+  limited.get(["/", "/health"], (_req, res) => {
+    res.json({ ok: true });
+  });
+  limited.use(errorHandler);
+
+  let api: TestClient;
+  before(async () => {
+    api = await listen({ handler: limited });
+  });
+  beforeEach(() => {
+    clock += 60_000; // long enough to refill
+  });
+  after(() => api.close());
+
+  test("sets the RateLimit-* headers on every response", async () => {
+    const res = await api.get("/");
+    expectStatus(res, 200);
+    expectHeader(res, "ratelimit-policy", "2;w=10");
+    expectHeader(res, "ratelimit-limit", "2");
+    expectHeader(res, "ratelimit-remaining", "1");
+    expectHeader(res, "ratelimit-reset", "5");
+    assert.equal(res.headers["retry-after"], undefined);
+  });
+
+  test("answers 429 with Retry-After once the bucket is empty", async () => {
+    await api.get("/");
+    await api.get("/");
+    clock += 1500;
+    const res = await api.get("/");
+    const error = expectError(res, 429, "RATE_LIMITED");
+    expectHeader(res, "retry-after", "4");
+    expectHeader(res, "ratelimit-remaining", "0");
+    assert.deepEqual(error.details, { limiter: "test" });
+  });
+
+  test("skipped requests are neither limited nor counted", async () => {
+    for (let i = 0; i < 3; i++) {
+      const res = await api.get("/health");
+      expectStatus(res, 200);
+      assert.equal(res.headers["ratelimit-limit"], undefined);
+    }
+    expectHeader(await api.get("/"), "ratelimit-remaining", "1");
+  });
+
+  test("refuses a fixed policy it could never satisfy", () => {
+    assert.throws(() => rateLimit({ name: "bad", policy: { limit: 0, windowSec: 60 } }), RangeError);
+  });
+});
+
+describe("concurrencyLimit()", () => {
+  let release!: () => void;
+  const limiter = concurrencyLimit({ max: 1, retryAfterSec: 2, skip: (req) => req.path === "/health" });
+  const busy = express();
+  busy.use(requestId, requestScope, limiter);
+  busy.get("/slow", async (_req, res) => {
+    await new Promise<void>((resolve) => {
+      release = resolve;
+    });
+    res.json({ ok: true });
+  });
+  busy.get(["/", "/health"], (_req, res) => {
+    res.json({ ok: true });
+  });
+  busy.use(errorHandler);
+
+  let api: TestClient;
+  before(async () => {
+    api = await listen({ handler: busy });
+  });
+  after(() => api.close());
+
+  test("answers 503 with Retry-After past `max` in flight, and recovers", async () => {
+    const slow = api.get("/slow");
+    while (limiter.inFlight < 1) await new Promise((resolve) => setImmediate(resolve));
+
+    const res = await api.get("/");
+    const error = expectError(res, 503, "UNAVAILABLE");
+    expectHeader(res, "retry-after", "2");
+    assert.deepEqual(error.details, { reason: "overloaded" });
+    expectStatus(await api.get("/health"), 200);
+
+    release();
+    expectStatus(await slow, 200);
+    while (limiter.inFlight > 0) await new Promise((resolve) => setImmediate(resolve));
+    expectStatus(await api.get("/"), 200);
+  });
+});
+
+describe("limits in the app", () => {
+  let api: TestClient;
+  before(async () => {
+    await connect();
+    api = inject();
+  });
+  beforeEach(resetState);
+  after(() => api.close());
+
+  test("/users writes get 429 past the write limit, per client", async () => {
+    // limits.writeRateLimit: 30 a minute by default
+    for (let i = 0; i < 30; i++) {
+      expectStatus(await api.post("/users", { email: `w${i}@example.test`, name: `W ${i}` }, { headers: as.writer }), 201);
+    }
+    const res = await api.post("/users", { email: "one-more@example.test", name: "One more" }, { headers: as.writer });
+    const error = expectError(res, 429, "RATE_LIMITED");
+    assert.deepEqual(error.details, { limiter: "users:write" });
+    expectHeader(res, "retry-after", /^[1-9]\d*$/);
+
+    expectStatus(await api.get("/users", { headers: as.writer }), 200);
+    expectStatus(await api.post("/users", { email: "admin@example.test", name: "Admin" }, { headers: as.admin }), 201);
+  });
+
+  test("repeated bad credentials end in 429 for that IP", async () => {
+    // limits.authFailureLimit: 10 a minute by default
+    const guess = { "x-api-key": "not-a-key-anyone-was-given" };
+    for (let i = 0; i < 10; i++) expectError(await api.get("/users", { headers: guess }), 401, "UNAUTHORIZED");
+    const res = await api.get("/users", { headers: guess });
+    const error = expectError(res, 429, "RATE_LIMITED");
+    assert.deepEqual(error.details, { limiter: "auth" });
+    expectHeader(res, "retry-after", /^[1-9]\d*$/);
+    // The key isn't even checked any more, so a right one doesn't help.
+    expectError(await api.get("/users", { headers: as.reader }), 429, "RATE_LIMITED");
+  });
+
+  test("requests that authenticate cost nothing against the failure budget", async () => {
+    for (let i = 0; i < 15; i++) expectStatus(await api.get("/users", { headers: as.reader }), 200);
+    expectError(await api.get("/users", { headers: { "x-api-key": "not-a-key-anyone-was-given" } }), 401, "UNAUTHORIZED");
+  });
+
+  test("health checks are never limited", async () => {
+    const res = await api.get("/health/ready");
+    expectStatus(res, 200);
+    assert.equal(res.headers["ratelimit-limit"], undefined);
+  });
+});
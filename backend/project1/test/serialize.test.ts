@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import { Animal, Lion } from "syntax/oop";
+import { DecodeError, Serializer, TYPED_JSON } from "../src/serialize";
+import { as, connect, disconnect, expectError, expectHeader, expectStatus, inject, resetState, type TestClient } from "./harness";
+
+after(disconnect);
+
+describe("Serializer", () => {
+  let s: Serializer;
+  beforeEach(() => {
+    s = new Serializer();
+    s.register(Animal, { decode: ({ name, age }) => new Animal(name, age) });
+    s.register(Lion, { decode: ({ name, age }) => new Lion(name, age) });
+  });
+
+  const roundTrip = <T>(value: T): T => s.parse<T>(s.stringify(value));
+
+  test("round-trips the built-ins, nested in each other", () => {
+    const value = {
+      when: new Date("2024-05-06T07:08:09.010Z"),
+      big: 2n ** 70n,
+      missing: undefined,
+      list: [1, undefined, 3],
+      byId: new Map<unknown, unknown>([[1, new Set(["a", "b"])], [{ compound: true }, new Map([["deep", -5n]])]]),
+    };
+    assert.deepEqual(roundTrip(value), value);
+    assert.ok("missing" in roundTrip(value));
+  });
+
+  test("an invalid date and a top-level undefined survive too", () => {
+    assert.ok(Number.isNaN(roundTrip(new Date(NaN)).getTime()));
+    assert.equal(s.stringify(undefined), '{"$type":"undefined"}');
+    assert.equal(roundTrip(undefined), undefined);
+  });
+
+  test("a Lion stays a Lion, though it inherits Animal's toJSON()", () => {
+    const text = s.stringify([new Animal("Generic", 3), new Lion("Simba", 5)]);
+    assert.match(text, /"\$type":"Lion","value":\{"name":"Simba","age":5\}/);
+    const [animal, lion] = s.parse<[Animal, Lion]>(text);
+    assert.equal(Object.getPrototypeOf(animal), Animal.prototype);
+    assert.ok(lion instanceof Lion);
+    assert.equal(lion.speak(), "Simba roars!");
+    assert.equal(lion.hunt(), "Simba hunted (#1).", "decode() ran the constructor, so private fields exist");
+  });
+
+  test("an unregistered subclass is written as plain JSON would write it", () => {
+    class Cub extends Lion {}
+    assert.equal(s.stringify(new Cub("Kiara", 1)), '{"type":"Animal","name":"Kiara","age":1}');
+  });
+
+  test("the default decode() rebuilds the prototype without running the constructor", () => {
+    class Point {
+      constructor(readonly x = 0, readonly y = 0) {}
+      len() {
+        return Math.hypot(this.x, this.y);
+      }
+    }
+    s.register(Point);
+    const p = roundTrip(new Point(3, 4));
+    assert.ok(p instanceof Point);
+    assert.equal(p.len(), 5);
+  });
+
+  test("a plain object with its own $type key is escaped, and comes back unchanged", () => {
+    const value = { $type: "Lion", value: { name: "not a lion" } };
+    assert.deepEqual(roundTrip(value), value);
+    assert.equal(Object.getPrototypeOf(roundTrip(value)), Object.prototype);
+  });
+
+  test("is strict about tags", () => {
+    assert.throws(() => s.parse('{"$type":"Zebra","value":{}}'), DecodeError);
+    assert.throws(() => s.parse('{"$type":"Map","value":[],"extra":1}'), /malformed Map/);
+    assert.throws(() => s.parse('{"$type":"Map","value":[1]}'), /Map: expected/);
+    assert.throws(() => s.parse('{"$type":"BigInt","value":"1e3"}'), DecodeError);
+    assert.throws(() => s.parse('{"$type":42}'), /unknown type tag 42/);
+  });
+
+  test("tags belong to one class, and built-ins can't be replaced", () => {
+    class Other {}
+    assert.throws(() => s.register(Other, { tag: "Lion" }), /already registered/);
+    assert.throws(() => s.register(Other, { tag: "Map" }), /already built in/);
+    assert.throws(() => s.register(Map), /built-in codec/);
+    assert.equal(s.unregister(Lion), true);
+    assert.equal(s.unregister(Lion), false);
+    s.register(Other, { tag: "Lion" });
+  });
+
+  test("each Serializer has its own registry", () => {
+    assert.throws(() => new Serializer().parse(s.stringify(new Lion("Nala", 4))), /unknown type tag "Lion"/);
+  });
+
+  test("a cycle through a Map is caught, like any other", () => {
+    const m = new Map<string, unknown>();
+    m.set("self", m);
+    assert.throws(() => s.stringify(m), /circular/);
+    assert.equal(s.stringify(new Map([["ok", 1]])), '{"$type":"Map","value":[["ok",1]]}', "the next call starts afresh");
+  });
+
+  test("replacer and reviver work with JSON itself", () => {
+    const value = { at: new Date(0), tags: new Set(["x"]) };
+    assert.deepEqual(JSON.parse(JSON.stringify(value, s.replacer), s.reviver), value);
+    assert.deepEqual(s.revive(JSON.parse(s.stringify(value))), value);
+  });
+});
+
+describe("typed payloads in the app", () => {
+  let api: TestClient;
+  before(async () => {
+    await connect();
+    api = inject();
+  });
+  beforeEach(resetState);
+  after(() => api.close());
+
+  const typed = { "content-type": TYPED_JSON, accept: TYPED_JSON };
+  const payloads = new Serializer();
+
+  test("a client that asks for typed JSON gets it", async () => {
+    const res = await api.post("/users", payloads.stringify({ email: "leo@example.test", name: "Leo" }), { headers: { ...as.writer, ...typed } });
+    expectStatus(res, 201);
+    expectHeader(res, "content-type", /^application\/vnd\.typed\+json/);
+    expectHeader(res, "vary", /Accept/);
+    assert.equal(payloads.parse<{ name: string }>(res.text).name, "Leo");
+  });
+
+  test("everyone else still gets plain JSON", async () => {
+    const res = await api.get("/health/live");
+    expectHeader(res, "content-type", /^application\/json/);
+    expectHeader(res, "vary", /Accept/);
+  });
+
+  test("a typed body reaches the route decoded", async () => {
+    const res = await api.post("/users", payloads.stringify({ email: "leo@example.test", name: new Date(0) }), { headers: { ...as.writer, "content-type": TYPED_JSON } });
+    const error = expectError(res, 400, "VALIDATION_FAILED");
+    assert.deepEqual(error.details, [{ in: "body", path: "name", message: "expected a string, got an object" }]);
+  });
+
+  test("an unknown tag is a 400 BAD_TYPE_TAG", async () => {
+    const res = await api.post("/users", '{"$type":"Zebra","value":{}}', { headers: { ...as.writer, "content-type": TYPED_JSON } });
+    assert.match(expectError(res, 400, "BAD_TYPE_TAG").message, /Zebra/);
+  });
+
+  test("typed bodies get the usual JSON and depth errors", async () => {
+    const headers = { ...as.writer, "content-type": TYPED_JSON };
+    expectError(await api.post("/users", "{nope", { headers }), 400, "MALFORMED_JSON");
+    expectError(await api.post("/users", "[".repeat(40) + "]".repeat(40), { headers }), 400, "BODY_TOO_DEEP");
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Loaded (with --require) before any test file, so it runs before the
+ * config module reads the environment: quiet logs, and the fixture keys
+ * from src/auth/fixtures.ts so every auth path works offline.
+ */
+import { FIXTURE_ENV } from "../src/auth/fixtures";
+
+Object.assign(process.env, FIXTURE_ENV, {
+  NODE_ENV: "test",
+  LOG_LEVEL: process.env.TEST_LOG_LEVEL ?? "silent",
+  // A config.local.json on a developer's machine must not leak into tests.
+  CONFIG_FILE: require.resolve("./config.test.json"),
+});
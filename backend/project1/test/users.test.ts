@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+import type { User } from "../src/users";
+import { as, connect, disconnect, expectError, expectHeader, expectStatus, inject, resetState, seedUsers, type TestClient } from "./harness";
+
+after(disconnect);
+
+const MISSING = "00000000-0000-4000-8000-000000000000";
+
+describe("/users", () => {
+  let api: TestClient;
+  before(async () => {
+    await connect();
+    api = inject();
+  });
+  beforeEach(resetState);
+  after(() => api.close());
+
+  describe("POST", () => {
+    test("201 with a Location and an ETag", async () => {
+      const res = await api.post("/users", { email: " New@Example.test ", name: "New" }, { headers: as.writer });
+      expectStatus(res, 201);
+      const user = res.json();
+      assert.deepEqual({ email: user.email, name: user.name, role: user.role, version: user.version }, { email: "new@example.test", name: "New", role: "user", version: 1 });
+      expectHeader(res, "location", `/users/${user.id}`);
+      expectHeader(res, "etag", '"v1"');
+      expectStatus(await api.get(res.headers.location!, { headers: as.reader }), 200);
+    });
+
+    test("409 on an email already in use, whatever its case", async () => {
+      await seedUsers([{ email: "taken@example.test" }]);
+      const error = expectError(await api.post("/users", { email: "TAKEN@example.test", name: "Again" }, { headers: as.writer }), 409, "CONFLICT");
+      assert.deepEqual(error.details, { field: "email" });
+    });
+
+    test("400 on an unknown field", async () => {
+      expectError(await api.post("/users", { email: "a@example.test", name: "A", admin: true }, { headers: as.writer }), 400, "VALIDATION_FAILED");
+    });
+  });
+
+  describe("GET /:id", () => {
+    test("304 when If-None-Match has the current ETag", async () => {
+      const [user] = await seedUsers(1);
+      const first = await api.get(`/users/${user!.id}`, { headers: as.reader });
+      expectStatus(first, 200);
+      const res = await api.get(`/users/${user!.id}`, { headers: { ...as.reader, "if-none-match": first.headers.etag! } });
+      expectStatus(res, 304);
+      assert.equal(res.text, "");
+    });
+
+    test("404 for an id nobody has, 400 for one that isn't a uuid", async () => {
+      expectError(await api.get(`/users/${MISSING}`, { headers: as.reader }), 404, "NOT_FOUND");
+      expectError(await api.get("/users/42", { headers: as.reader }), 400, "VALIDATION_FAILED");
+    });
+  });
+
+  describe("writes need If-Match", () => {
+    test("428 without it, and nothing changes", async () => {
+      const [user] = await seedUsers(1);
+      const path = `/users/${user!.id}`;
+      const writes = [
+        api.put(path, { email: "p@example.test", name: "P", role: "user" }, { headers: as.writer }),
+        api.patch(path, { name: "P" }, { headers: as.writer }),
+        api.delete(path, { headers: as.admin }),
+      ];
+      for (const res of await Promise.all(writes)) {
+        const error = expectError(res, 428, "PRECONDITION_REQUIRED");
+        assert.deepEqual(error.details, { etag: '"v1"' });
+      }
+      assert.equal((await api.get(path, { headers: as.reader })).json().version, 1);
+    });
+
+    test("412 with a stale ETag: the second of two editors loses", async () => {
+      const [user] = await seedUsers(1);
+      const path = `/users/${user!.id}`;
+      const read = await api.get(path, { headers: as.reader });
+      const ifMatch = { "if-match": read.headers.etag! };
+
+      const first = await api.patch(path, { name: "First" }, { headers: { ...as.writer, ...ifMatch } });
+      expectStatus(first, 200);
+      expectHeader(first, "etag", '"v2"');
+
+      const error = expectError(await api.patch(path, { name: "Second" }, { headers: { ...as.writer, ...ifMatch } }), 412, "PRECONDITION_FAILED");
+      assert.deepEqual(error.details, { etag: '"v2"' });
+      assert.equal((await api.get(path, { headers: as.reader })).json().name, "First");
+    });
+
+    test("PUT with the current ETag replaces every field", async () => {
+      const [user] = await seedUsers([{ role: "admin" }]);
+      const res = await api.put(`/users/${user!.id}`, { email: "put@example.test", name: "Put", role: "user" }, { headers: { ...as.writer, "if-match": '"v1"' } });
+      expectStatus(res, 200);
+      assert.deepEqual({ ...res.json<User>(), updatedAt: user!.updatedAt }, { ...user!, email: "put@example.test", name: "Put", role: "user", version: 2 });
+    });
+
+    test("If-Match: * overwrites whatever is there", async () => {
+      const [user] = await seedUsers(1);
+      expectStatus(await api.patch(`/users/${user!.id}`, { role: "admin" }, { headers: { ...as.writer, "if-match": "*" } }), 200);
+    });
+
+    test("204 on delete, then 404", async () => {
+      const [user] = await seedUsers(1);
+      const path = `/users/${user!.id}`;
+      const res = await api.delete(path, { headers: { ...as.admin, "if-match": '"v1"' } });
+      expectStatus(res, 204);
+      assert.equal(res.text, "");
+      expectError(await api.get(path, { headers: as.reader }), 404, "NOT_FOUND");
+      expectError(await api.delete(path, { headers: { ...as.admin, "if-match": "*" } }), 404, "NOT_FOUND");
+    });
+  });
+
+  describe("GET / pages", () => {
+    test("limit and offset pick the page; total counts them all", async () => {
+      const seeded = await seedUsers(5);
+      const res = await api.get("/users?limit=2&offset=3", { headers: as.reader });
+      expectStatus(res, 200);
+      const page = res.json();
+      assert.deepEqual({ total: page.total, limit: page.limit, offset: page.offset }, { total: 5, limit: 2, offset: 3 });
+      assert.deepEqual(page.items.map((u: { id: string }) => u.id), seeded.slice(3).map((u) => u.id));
+    });
+
+    test("defaults to the first 20, oldest first", async () => {
+      await seedUsers(21);
+      const page = (await api.get("/users", { headers: as.reader })).json();
+      assert.deepEqual({ total: page.total, limit: page.limit, offset: page.offset, items: page.items.length }, { total: 21, limit: 20, offset: 0, items: 20 });
+    });
+
+    test("an offset past the end is an empty page, not an error", async () => {
+      await seedUsers(2);
+      const page = (await api.get("/users?offset=10", { headers: as.reader })).json();
+      assert.deepEqual({ total: page.total, items: page.items }, { total: 2, items: [] });
+    });
+
+    for (const query of ["limit=0", "limit=101", "limit=1.5", "offset=-1", "sort=age"]) {
+      test(`400 on ${query}`, async () => {
+        expectError(await api.get(`/users?${query}`, { headers: as.reader }), 400, "VALIDATION_FAILED");
+      });
+    }
+  });
+});
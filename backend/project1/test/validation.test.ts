@@ -0,0 +1,187 @@
+import assert from "node:assert/strict";
+import express from "express";
+import { after, before, describe, test } from "node:test";
+import { errorHandler } from "../src/http/error-handler";
+import { requestScope } from "../src/http/request-context";
+import { requestId } from "../src/http/request-id";
+import { jsonBody, v, validate, type Issue, type Result } from "../src/validation";
+import { disconnect, expectError, expectStatus, listen, type TestClient } from "./harness";
+
+after(disconnect);
+
+const COERCE = { coerce: true };
+
+function issues(result: Result<unknown>): Issue[] {
+  assert.equal(result.ok, false, "expected the value to be rejected");
+  return (result as { issues: Issue[] }).issues;
+}
+
+function value<T>(result: Result<T>): T {
+  assert.ok(result.ok, `expected the value to pass: ${JSON.stringify(result)}`);
+  return result.value;
+}
+
+describe("primitives", () => {
+  test("each says what it expected and what it got", () => {
+    assert.deepEqual(issues(v.string().parse(5)), [{ path: "", message: "expected a string, got 5" }]);
+    assert.deepEqual(issues(v.integer().parse(1.5)), [{ path: "", message: "expected an integer, got 1.5" }]);
+    assert.deepEqual(issues(v.number().parse(NaN)), [{ path: "", message: "expected a number, got null" }]);
+    assert.deepEqual(issues(v.boolean().parse("true")), [{ path: "", message: "expected a boolean, got \"true\"" }]);
+    assert.deepEqual(issues(v.oneOf(["a", "b"]).parse("c")), [{ path: "", message: 'expected one of "a", "b", got "c"' }]);
+    assert.deepEqual(issues(v.object({}).parse([])), [{ path: "", message: "expected an object, got an array" }]);
+  });
+
+  test("bounds and formats", () => {
+    assert.equal(issues(v.string({ min: 1, trim: true }).parse("  "))[0]!.message, "must not be empty");
+    assert.equal(issues(v.string({ max: 2 }).parse("abc"))[0]!.message, "must be at most 2 characters");
+    assert.equal(issues(v.string({ format: "email" }).parse("not-an-email"))[0]!.message, "must be a valid email");
+    assert.equal(issues(v.integer({ min: 1, max: 3 }).parse(4))[0]!.message, "must be at most 3");
+    assert.equal(value(v.string({ trim: true, format: "email" }).parse(" a@b.test ")), "a@b.test");
+  });
+
+  test("coerce turns strings into numbers and booleans, and only then", () => {
+    assert.equal(value(v.integer().parse("42", COERCE)), 42);
+    assert.equal(value(v.boolean().parse("false", COERCE)), false);
+    assert.equal(value(v.oneOf([1, 2]).parse("2", COERCE)), 2);
+    assert.deepEqual(value(v.array(v.string()).parse("one", COERCE)), ["one"]);
+    assert.equal(issues(v.integer().parse("", COERCE))[0]!.message, 'expected an integer, got ""');
+    assert.equal(v.integer().parse("42").ok, false);
+  });
+});
+
+describe("objects", () => {
+  const Address = v.object({ street: v.string({ min: 1 }), zip: v.string({ pattern: /^\d{5}$/ }) });
+  const Person = v.object({
+    name: v.string({ min: 1 }),
+    address: Address,
+    tags: v.array(v.string({ max: 3 }), { max: 3 }),
+    nickname: v.optional(v.string()),
+  }, { unknownKeys: "reject" });
+
+  test("every issue is reported, each with a dotted path to the field", () => {
+    const result = Person.parse({ name: "", address: { street: "Main", zip: "1" }, tags: ["ok", "long"], extra: true });
+    assert.deepEqual(issues(result), [
+      { path: "name", message: "must not be empty" },
+      { path: "address.zip", message: "must match /^\\d{5}$/" },
+      { path: "tags.1", message: "must be at most 3 characters" },
+      { path: "extra", message: "is not allowed" },
+    ]);
+  });
+
+  test("a path starts where the caller says it does", () => {
+    const result = v.array(Address).parse([{ street: "Main", zip: "12345" }, {}], undefined, "body.homes");
+    assert.deepEqual(issues(result).map((i) => i.path), ["body.homes.1.street", "body.homes.1.zip"]);
+  });
+
+  test("a required key can't be missing or undefined", () => {
+    assert.deepEqual(issues(Address.parse({ street: undefined, zip: "12345" })), [{ path: "street", message: "is required" }]);
+    assert.deepEqual(issues(Address.parse({ zip: "12345" })), [{ path: "street", message: "is required" }]);
+  });
+
+  test("an optional key may be missing; set to undefined it's left out", () => {
+    const base = { name: "Ann", address: { street: "Main", zip: "12345" }, tags: [] };
+    assert.deepEqual(value(Person.parse(base)), base);
+    const out = value(Person.parse({ ...base, nickname: undefined }));
+    assert.ok(!Object.hasOwn(out, "nickname"));
+    assert.equal(issues(Person.parse({ ...base, nickname: null }))[0]!.path, "nickname", "null is not undefined");
+  });
+
+  test("unknown keys are stripped by default, or passed through", () => {
+    assert.deepEqual(value(v.object({ a: v.integer() }).parse({ a: 1, b: 2 })), { a: 1 });
+    assert.deepEqual(value(v.object({ a: v.integer() }, { unknownKeys: "passthrough" }).parse({ a: 1, b: 2 })), { a: 1, b: 2 });
+  });
+
+  test("an array's own bounds come before its items", () => {
+    assert.deepEqual(issues(Person.shape.tags.parse(["a", "b", "c", "d"], undefined, "tags")), [{ path: "tags", message: "must have at most 3 item(s)" }]);
+  });
+});
+
+describe("withDefault()", () => {
+  const Query = v.object({ limit: v.withDefault(v.integer({ min: 1 }), 20), tags: v.withDefault(v.array(v.string()), []) });
+
+  test("fills in a missing or undefined key, and checks a present one", () => {
+    assert.deepEqual(value(Query.parse({})), { limit: 20, tags: [] });
+    assert.deepEqual(value(Query.parse({ limit: undefined })), { limit: 20, tags: [] });
+    assert.equal(value(Query.parse({ limit: "5" }, COERCE)).limit, 5);
+    assert.deepEqual(issues(Query.parse({ limit: 0 })), [{ path: "limit", message: "must be at least 1" }]);
+  });
+
+  test("hands out a copy of the fallback, never the fallback itself", () => {
+    const first = value(Query.parse({}));
+    first.tags.push("mutated");
+    assert.deepEqual(value(Query.parse({})).tags, []);
+  });
+});
+
+describe("refine()", () => {
+  const Range = v.refine(
+    v.object({ from: v.integer(), to: v.integer() }),
+    (r) => (r.from > r.to ? "from must not be after to" : undefined),
+  );
+
+  test("runs its check on a valid value, and fails at the value's own path", () => {
+    assert.deepEqual(value(Range.parse({ from: 1, to: 2 })), { from: 1, to: 2 });
+    assert.deepEqual(issues(Range.parse({ from: 3, to: 2 }, undefined, "window")), [{ path: "window", message: "from must not be after to" }]);
+  });
+
+  test("doesn't run it when the value is already invalid", () => {
+    let called = false;
+    const checked = v.refine(v.integer(), () => {
+      called = true;
+      return undefined;
+    });
+    assert.equal(checked.parse("x").ok, false);
+    assert.equal(called, false);
+  });
+
+  test("nests like any schema", () => {
+    const Booking = v.object({ stay: Range, guests: v.nullable(v.integer({ min: 1 })) });
+    assert.deepEqual(issues(Booking.parse({ stay: { from: 5, to: 1 }, guests: 0 })), [
+      { path: "stay", message: "from must not be after to" },
+      { path: "guests", message: "must be at least 1" },
+    ]);
+    assert.equal(value(Booking.parse({ stay: { from: 1, to: 1 }, guests: null })).guests, null);
+  });
+});
+
+describe("validate()", () => {
+  const app = express();
+  app.use(requestId, requestScope, jsonBody({ limitBytes: 1024, maxDepth: 4 }));
+  app.post(
+    "/things/:id",
+    validate({
+      params: v.object({ id: v.integer({ min: 1 }) }),
+      query: v.object({ dryRun: v.withDefault(v.boolean(), false) }),
+      body: v.object({ items: v.array(v.object({ qty: v.integer({ min: 1 }) })) }),
+    }),
+    (req, res) => {
+      res.json({ id: req.params.id, dryRun: req.query.dryRun, items: req.body.items });
+    },
+  );
+  app.use(errorHandler);
+
+  let api: TestClient;
+  before(async () => {
+    api = await listen({ handler: app });
+  });
+  after(() => api.close());
+
+  test("hands the handler coerced, defaulted values", async () => {
+    const res = await api.post("/things/7", { items: [{ qty: 2 }] });
+    expectStatus(res, 200);
+    assert.deepEqual(res.json(), { id: 7, dryRun: false, items: [{ qty: 2 }] });
+  });
+
+  test("a 400 lists every bad field, with where it was and its path", async () => {
+    const error = expectError(await api.post("/things/0?dryRun=maybe", { items: [{ qty: 1 }, { qty: 0 }] }), 400, "VALIDATION_FAILED");
+    assert.deepEqual(error.details, [
+      { in: "params", path: "id", message: "must be at least 1" },
+      { in: "query", path: "dryRun", message: 'expected a boolean, got "maybe"' },
+      { in: "body", path: "items.1.qty", message: "must be at least 1" },
+    ]);
+  });
+
+  test("a body nested past maxDepth is refused before it's validated", async () => {
+    expectError(await api.post("/things/1", { items: [{ qty: { a: { b: 1 } } }] }), 400, "BODY_TOO_DEEP");
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Collection: a set of items with a primary key and secondary indexes
+ * that stay correct through every insert, update and delete — the
+ * `byId` reduce from datastructures.js, without the staleness.
+ *
+ *   const zoo = new Collection({
+ *     indexes: {
+ *       name: { by: "name", unique: true },
+ *       species: { by: "species" },
+ *       decade: { by: (a) => Math.floor(a.age / 10) },
+ *     },
+ *   });
+ *   zoo.insert({ id: 1, name: "Leo", species: "lion", age: 5 });
+ *   zoo.get(1);                       // by primary key
+ *   zoo.lookup("name", "Leo");        // unique index → item or undefined
+ *   zoo.lookup("species", "lion");    // non-unique   → array of items
+ *
+ * Index keys come from a property path ("name", "owner.id") or a
+ * function; an undefined key leaves the item out of that index. Keys are
+ * compared like Map keys (SameValueZero, objects by identity).
+ *
+ * Items are treated as immutable: update() stores a new object and
+ * re-indexes it. Mutating a stored item directly bypasses the indexes —
+ * don't.
+ *
+ *   get / has / lookup(unique)   O(1)
+ *   lookup(non-unique)           O(k) for k results
+ *   insert / update / delete     O(number of indexes), plus O(log n + n)
+ *                                per live sorted() view
+ *   groupBy / countBy            O(groups) on an index, O(n) otherwise
+ *
+ * Every change is emitted (node:events) as "insert", "update" or
+ * "delete", and as "change", with { type, item, previous }.
+ */
+import { EventEmitter } from "node:events";
+import { getIn } from "../immutable/index.js";
+import { SortedView } from "./sorted-view.js";
+
+/** A unique index (or the primary key) already has an item with this key. */
+export class UniqueConstraintError extends Error {
+  constructor(index, key) {
+    super(`duplicate ${index}: ${typeof key === "string" ? JSON.stringify(key) : String(key)}`);
+    this.name = "UniqueConstraintError";
+    this.index = index;
+    this.key = key;
+  }
+}
+
+function keyFunction(by, what) {
+  if (typeof by === "function") return by;
+  if (typeof by === "string" && by !== "") return (item) => getIn(item, by);
+  throw new TypeError(`${what} must be a property path or a function`);
+}
+
+// One secondary index: key → primary key (unique) or → Set of primary keys.
+class Index {
+  constructor(name, { by, unique = false }) {
+    this.name = name;
+    this.keyOf = keyFunction(by, `index ${name}: by`);
+    this.unique = Boolean(unique);
+    this.entries = new Map();
+  }
+
+  add(key, id) {
+    if (key === undefined) return;
+    if (this.unique) this.entries.set(key, id);
+    else if (this.entries.has(key)) this.entries.get(key).add(id);
+    else this.entries.set(key, new Set([id]));
+  }
+
+  remove(key, id) {
+    if (key === undefined) return;
+    if (this.unique) {
+      this.entries.delete(key);
+      return;
+    }
+    const ids = this.entries.get(key);
+    ids?.delete(id);
+    if (ids?.size === 0) this.entries.delete(key);
+  }
+}
+
+export class Collection extends EventEmitter {
+  #items = new Map(); // primary key → item, in insertion order
+  #indexes = new Map(); // name → Index
+  #idOf;
+
+  /** Name (or path) of the primary key. */
+  idKey;
+
+  constructor({ idKey = "id", indexes = {}, items = [] } = {}) {
+    super();
+    this.idKey = idKey;
+    this.#idOf = keyFunction(idKey, "idKey");
+    for (const [name, spec] of Object.entries(indexes)) this.addIndex(name, spec);
+    for (const item of items) this.insert(item);
+  }
+
+  get size() {
+    return this.#items.size;
+  }
+
+  /** Add (and fill) another index; throws if existing items break its uniqueness. */
+  addIndex(name, spec) {
+    if (this.#indexes.has(name)) throw new Error(`index ${name} already exists`);
+    const index = new Index(name, spec);
+    for (const [id, item] of this.#items) {
+      const key = index.keyOf(item);
+      if (index.unique && key !== undefined && index.entries.has(key)) throw new UniqueConstraintError(name, key);
+      index.add(key, id);
+    }
+    this.#indexes.set(name, index);
+    return this;
+  }
+
+  #id(item) {
+    if (item === null || typeof item !== "object") throw new TypeError("items must be objects");
+    const id = this.#idOf(item);
+    if (id === undefined) throw new TypeError(`item has no ${this.idKey}`);
+    return id;
+  }
+
+  #index(name) {
+    const index = this.#indexes.get(name);
+    if (!index) throw new Error(`no index named ${name}`);
+    return index;
+  }
+
+  // The keys `item` would have in every index, after checking none of the
+  // unique ones belongs to another item — so a failed write changes nothing.
+  #keysFor(item, id) {
+    const keys = new Map();
+    for (const index of this.#indexes.values()) {
+      const key = index.keyOf(item);
+      if (index.unique && key !== undefined) {
+        const holder = index.entries.get(key);
+        if (holder !== undefined && !Object.is(holder, id)) throw new UniqueConstraintError(index.name, key);
+      }
+      keys.set(index, key);
+    }
+    return keys;
+  }
+
+  #emit(type, item, previous) {
+    const event = { type, item, previous };
+    this.emit(type, event);
+    this.emit("change", event);
+  }
+
+  get(id) {
+    return this.#items.get(id);
+  }
+
+  has(id) {
+    return this.#items.has(id);
+  }
+
+  /** Unique index: the item with this key, or undefined. Otherwise: every item with it. */
+  lookup(name, key) {
+    const index = this.#index(name);
+    const found = index.entries.get(key);
+    if (index.unique) return found === undefined ? undefined : this.#items.get(found);
+    return found === undefined ? [] : [...found].map((id) => this.#items.get(id));
+  }
+
+  /** The keys an index currently has items for. */
+  keys(name) {
+    return [...this.#index(name).entries.keys()];
+  }
+
+  insert(item) {
+    const id = this.#id(item);
+    if (this.#items.has(id)) throw new UniqueConstraintError(this.idKey, id);
+    const keys = this.#keysFor(item, id);
+    this.#items.set(id, item);
+    for (const [index, key] of keys) index.add(key, id);
+    this.#emit("insert", item, undefined);
+    return item;
+  }
+
+  /**
+   * Replace the item with `change(item)`, or with a shallow merge of
+   * `change` into it. The primary key can't change. Returns the new item,
+   * or undefined if there is no item with that id.
+   */
+  update(id, change) {
+    const previous = this.#items.get(id);
+    if (previous === undefined) return undefined;
+    const item = typeof change === "function" ? change(previous) : { ...previous, ...change };
+    if (!Object.is(this.#id(item), id)) throw new Error(`${this.idKey} can't be changed by update()`);
+    const keys = this.#keysFor(item, id);
+    this.#items.set(id, item);
+    for (const [index, key] of keys) {
+      const old = index.keyOf(previous);
+      if (Object.is(old, key)) continue;
+      index.remove(old, id);
+      index.add(key, id);
+    }
+    this.#emit("update", item, previous);
+    return item;
+  }
+
+  /** True if an item was removed. */
+  delete(id) {
+    const previous = this.#items.get(id);
+    if (previous === undefined) return false;
+    this.#items.delete(id);
+    for (const index of this.#indexes.values()) index.remove(index.keyOf(previous), id);
+    this.#emit("delete", undefined, previous);
+    return true;
+  }
+
+  clear() {
+    for (const id of [...this.#items.keys()]) this.delete(id);
+  }
+
+  [Symbol.iterator]() {
+    return this.#items.values();
+  }
+
+  values() {
+    return this.#items.values();
+  }
+
+  toArray() {
+    return [...this.#items.values()];
+  }
+
+  filter(predicate) {
+    return this.toArray().filter(predicate);
+  }
+
+  /**
+   * Map of key → items. `by` is an index name (answered from the index,
+   * groups in key order of first insertion), a property path or a function;
+   * items whose key is undefined are left out.
+   */
+  groupBy(by) {
+    const groups = new Map();
+    const index = typeof by === "string" ? this.#indexes.get(by) : undefined;
+    if (index) {
+      for (const [key, found] of index.entries) {
+        const ids = index.unique ? [found] : [...found];
+        groups.set(key, ids.map((id) => this.#items.get(id)));
+      }
+      return groups;
+    }
+    const keyOf = keyFunction(by, "groupBy");
+    for (const item of this.#items.values()) {
+      const key = keyOf(item);
+      if (key === undefined) continue;
+      if (groups.has(key)) groups.get(key).push(item);
+      else groups.set(key, [item]);
+    }
+    return groups;
+  }
+
+  /** Map of key → number of items, like groupBy(). */
+  countBy(by) {
+    const index = typeof by === "string" ? this.#indexes.get(by) : undefined;
+    if (index) return new Map([...index.entries].map(([key, found]) => [key, index.unique ? 1 : found.size]));
+    return new Map([...this.groupBy(by)].map(([key, items]) => [key, items.length]));
+  }
+
+  /** [items that pass, items that don't]. */
+  partition(predicate) {
+    const pass = [];
+    const fail = [];
+    for (const item of this.#items.values()) (predicate(item) ? pass : fail).push(item);
+    return [pass, fail];
+  }
+
+  /**
+   * A live view of the items in order, kept sorted as the collection
+   * changes. `order` is a property path to sort by, or a comparator
+   * (a, b) => number; { desc: true } reverses it. See sorted-view.js.
+   */
+  sorted(order, options) {
+    return new SortedView(this, order, options);
+  }
+}
@@ -0,0 +1,83 @@
+// Types for collection/index.js — keep in step with the implementation.
+import { EventEmitter } from "node:events";
+
+export type KeyOf<T> = (keyof T & string) | (string & {}) | ((item: T) => unknown);
+
+export interface IndexSpec<T> {
+  /** A property path ("name", "owner.id") or a function of the item. */
+  by: KeyOf<T>;
+  unique?: boolean;
+}
+
+export interface CollectionOptions<T, I extends Record<string, IndexSpec<T>>> {
+  /** Property path (or function) giving the primary key (default "id"). */
+  idKey?: KeyOf<T>;
+  indexes?: I;
+  items?: Iterable<T>;
+}
+
+export interface ChangeEvent<T> {
+  type: "insert" | "update" | "delete";
+  /** The new item; undefined for a delete. */
+  item: T | undefined;
+  /** The replaced or removed item; undefined for an insert. */
+  previous: T | undefined;
+}
+
+export class UniqueConstraintError extends Error {
+  readonly index: string;
+  readonly key: unknown;
+  constructor(index: string, key: unknown);
+}
+
+export interface SortOptions {
+  desc?: boolean;
+}
+
+export class SortedView<T> implements Iterable<T> {
+  constructor(collection: Collection<T, any>, order: KeyOf<T> | ((a: T, b: T) => number), options?: SortOptions);
+  readonly size: number;
+  at(index: number): T | undefined;
+  [Symbol.iterator](): IterableIterator<T>;
+  toArray(): T[];
+  dispose(): void;
+}
+
+/** What lookup() gives for an index; when its uniqueness isn't known statically, either. */
+type Found<T, Spec> = Spec extends { unique: true } ? T | undefined
+  : Spec extends { unique: false } ? T[]
+  : "unique" extends keyof Spec ? T | T[] | undefined
+  : T[];
+
+export class Collection<T = any, const I extends Record<string, IndexSpec<T>> = Record<string, IndexSpec<T>>> extends EventEmitter implements Iterable<T> {
+  constructor(options?: CollectionOptions<T, I>);
+  readonly idKey: KeyOf<T>;
+  readonly size: number;
+
+  addIndex<N extends string, S extends IndexSpec<T>>(name: N, spec: S): Collection<T, I & Record<N, S>>;
+
+  get(id: unknown): T | undefined;
+  has(id: unknown): boolean;
+  /** Unique index: the item or undefined. Non-unique: every item with the key. */
+  lookup<N extends keyof I & string>(name: N, key: unknown): Found<T, I[N]>;
+  keys(name: keyof I & string): unknown[];
+
+  insert(item: T): T;
+  update(id: unknown, change: Partial<T> | ((item: T) => T)): T | undefined;
+  delete(id: unknown): boolean;
+  clear(): void;
+
+  [Symbol.iterator](): IterableIterator<T>;
+  values(): IterableIterator<T>;
+  toArray(): T[];
+  filter(predicate: (item: T) => boolean): T[];
+
+  groupBy(by: (keyof I & string) | KeyOf<T>): Map<unknown, T[]>;
+  countBy(by: (keyof I & string) | KeyOf<T>): Map<unknown, number>;
+  partition(predicate: (item: T) => boolean): [T[], T[]];
+  sorted(order: KeyOf<T> | ((a: T, b: T) => number), options?: SortOptions): SortedView<T>;
+
+  on(event: "insert" | "update" | "delete" | "change", listener: (event: ChangeEvent<T>) => void): this;
+  once(event: "insert" | "update" | "delete" | "change", listener: (event: ChangeEvent<T>) => void): this;
+  off(event: "insert" | "update" | "delete" | "change", listener: (event: ChangeEvent<T>) => void): this;
+}
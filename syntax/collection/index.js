@@ -0,0 +1,17 @@
+/**
+ * ================================================================
+ *        INDEXED COLLECTIONS — the reduce-by-id pattern, kept live
+ * ================================================================
+ *
+ *   import { Collection } from "syntax/collection";
+ *
+ *   const zoo = new Collection({ indexes: { name: { by: "name", unique: true } } });
+ *   zoo.insert({ id: 2, name: "Tiger" });
+ *   zoo.update(2, { name: "Bengal Tiger" });
+ *   zoo.lookup("name", "Bengal Tiger");   // the updated item; "Tiger" is gone
+ *
+ * collection.js documents the indexes, queries, events and their costs;
+ * sorted-view.js the live sorted() views.
+ */
+export { Collection, UniqueConstraintError } from "./collection.js";
+export { SortedView } from "./sorted-view.js";
@@ -0,0 +1,88 @@
+/**
+ * SortedView: a collection's items in order, kept in order as it changes.
+ *
+ *   const byAge = zoo.sorted("age");                        // a property path
+ *   const newest = zoo.sorted((a, b) => b.born - a.born);   // a comparator
+ *   const oldest = zoo.sorted("age", { desc: true });
+ *   byAge.at(0); [...byAge]; byAge.toArray();
+ *   byAge.dispose();                                        // stop following
+ *
+ * The view listens to the collection's "change" event: an insert is a
+ * binary search plus a splice, an update removes the old item and
+ * inserts the new one. Equal items keep the order they were (last)
+ * changed in. A property path orders like the repository's orderBy
+ * (repository/query.js): undefined/null first, then numbers and booleans,
+ * then strings; anything else (Dates, say) needs a comparator.
+ */
+import { getIn } from "../immutable/index.js";
+import { compareValues } from "../repository/query.js";
+
+export class SortedView {
+  #items = [];
+  #compare;
+  #collection;
+  #onChange = ({ item, previous }) => {
+    if (previous !== undefined) this.#remove(previous);
+    if (item !== undefined) this.#insert(item);
+  };
+
+  constructor(collection, order, { desc = false } = {}) {
+    let compare;
+    if (typeof order === "string") compare = (a, b) => compareValues(getIn(a, order), getIn(b, order));
+    else if (typeof order === "function") compare = order;
+    else throw new TypeError("sorted() takes a property path or a comparator");
+    this.#compare = desc ? (a, b) => compare(b, a) : compare;
+    this.#collection = collection;
+    for (const item of collection) this.#insert(item);
+    collection.on("change", this.#onChange);
+  }
+
+  get size() {
+    return this.#items.length;
+  }
+
+  // The first position whose item sorts after `item`.
+  #upperBound(item) {
+    let lo = 0;
+    let hi = this.#items.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      if (this.#compare(this.#items[mid], item) <= 0) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  #insert(item) {
+    this.#items.splice(this.#upperBound(item), 0, item);
+  }
+
+  // `item` is in the run of equal items just before its upper bound.
+  #remove(item) {
+    for (let i = this.#upperBound(item) - 1; i >= 0; i--) {
+      if (this.#items[i] === item) {
+        this.#items.splice(i, 1);
+        return;
+      }
+      if (this.#compare(this.#items[i], item) < 0) return;
+    }
+  }
+
+  at(index) {
+    return this.#items.at(index);
+  }
+
+  [Symbol.iterator]() {
+    return this.#items[Symbol.iterator]();
+  }
+
+  /** A copy of the current order. */
+  toArray() {
+    return this.#items.slice();
+  }
+
+  /** Stop following the collection; the view keeps its last order. */
+  dispose() {
+    this.#collection.off("change", this.#onChange);
+  }
+}
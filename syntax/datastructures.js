@@ -18,8 +18,9 @@
 
     • .push(el)       → adds element at end (mutates)
     • .pop()          → removes last element (mutates)
-    • .shift()        → removes first element (mutates)
-    • .unshift(el)    → adds element at start (mutates)
+    • .shift()        → removes first element (mutates, O(n): re-indexes)
+    • .unshift(el)    → adds element at start (mutates, O(n))
+                      → a queue that shifts a lot wants a Deque (syntax/structures)
     • .splice(start, deleteCount, ...items)
                       → insert/remove elements anywhere (mutates)
     • .slice(start, end)
@@ -152,7 +153,11 @@
     - WeakMap / WeakSet → memory-safe references
     - String → text data (immutable)
     - Date / RegExp / TypedArray → specialized use cases
+    - Deque, priority queue, LRU cache, trie, linked list → syntax/structures
 */
+import { Collection } from "./collection/index.js";
+import { setIn } from "./immutable/index.js";
+import { Deque } from "./structures/index.js";
 
 // ------------------Practice: Arrays--------------------
 console.log("---------------ARRAYS---------------");
@@ -179,6 +184,10 @@ console.log(`shift() removes the first element of the array and returns it. shif
 console.log(`Unshift adds an element to the beginning of the array. Lets shift 1 back into ${arr}`);
 arr.unshift(1);
 console.log(`unshift() added element 1 to the beginning of the array: ${arr}`);
+// shift/unshift move every other element; a Deque does both ends in O(1)
+const queue = new Deque(arr);
+queue.pushFront(0);
+console.log(`Deque instead of shift/unshift:`, queue.popFront(), queue.popFront(), queue.toArray());
 // Splicing
 console.log(`splice(start, deleteCount, ...items) splices an array and returns removed items. First you add a start index, amount of elements to delete after the index, and which ...items to insert after deletion`);
 console.log(`arr.splice(1, 2, 21) - will remove two elements at the first index and one after, and insert 21 instead: ${arr}`);
@@ -253,7 +262,7 @@ console.log(`You can sort the array without mutation by creating a slice of it f
 const sorted = unsorted.sort((a, b) => a - b);
 console.log(`reverse() reverses the order of elements, mutates the original array`);
 console.log(`Lets reverse our sorted ${sorted} array: ${sorted.reverse()}`);
-console.log(`Spread operator creates a shallow copy of the new array which shares no reference with the old one.`);
+console.log(`Spread operator creates a new array (a shallow copy: objects inside it are still shared with the old one).`);
 const spreadArr1 = [1, 2];
 const spreadArr2 = [3, 4];
 const mixed = [0, ...spreadArr1, "middle", ...spreadArr2, 5];
@@ -323,6 +332,8 @@ deepCopy.nested.x = 123;
 console.log(`Deep copy via JSON trick: base=`, base, `deepCopy=`, deepCopy);
 
 // Better deep clone for structured data (Node 17+/modern browsers)
+// It still drops class prototypes and throws on functions; syntax/deep has a
+// deepClone() that keeps registered classes, and a deepEqual() to check it.
 const structClone = structuredClone({ d: new Date(), arr: [1,2], nested: { y: 7 } });
 structClone.nested.y = 100;
 console.log(`structuredClone result:`, structClone);
@@ -378,6 +389,12 @@ const zoo = [
 const byId = zoo.reduce((acc, cur) => (acc[cur.id] = cur, acc), {});
 console.log(`Index by id via reduce:`, byId, `→ byId[2]=`, byId[2]);
 
+// The reduce builds the index once; a Collection (syntax/collection) keeps it
+// current through updates, and can index other fields too.
+const zooIndex = new Collection({ items: zoo, indexes: { name: { by: "name", unique: true } } });
+zooIndex.update(2, { name: "Bengal Tiger" });
+console.log(`Collection after update: get(2)=`, zooIndex.get(2), `lookup("name", "Tiger")=`, zooIndex.lookup("name", "Tiger"));
+
 // Pattern: immutable update (don’t mutate original)
 const updatedZoo = zoo.map(a => a.id === 2 ? { ...a, name: "Bengal Tiger" } : a);
 console.log(`Immutable update with spread:`, updatedZoo, `original:`, zoo);
@@ -396,6 +413,11 @@ const newState = {
 };
 console.log(`Immutable nested update:`, newState);
 
+// The same update as a path (syntax/immutable): only the branch along the
+// path is copied, everything else is still shared with the old state.
+const viaPath = setIn(state, "user.prefs.theme", "dark");
+console.log(`Nested update via setIn:`, viaPath, `user copied:`, viaPath.user !== state.user);
+
 // JSON (serialize/parse)
 const json = JSON.stringify(obj);
 console.log(`JSON.stringify →`, json);
@@ -0,0 +1,122 @@
+/**
+ * deepClone(): a copy that shares nothing mutable with the original.
+ *
+ * Where JSON.parse(JSON.stringify(x)) and structuredClone(x) fall short
+ * (see datastructures.js):
+ *
+ *   - cycles and shared references survive: what was one object in the
+ *     original is one object in the copy
+ *   - Map keys and values, Set items, Dates, RegExps (with lastIndex),
+ *     ArrayBuffers and typed arrays (views of one buffer stay views of
+ *     one copied buffer), errors and boxed primitives are rebuilt
+ *   - symbol keys, non-enumerable properties, getters/setters, array
+ *     holes and null prototypes are kept
+ *   - instances of registered classes (registry.js) keep their prototype
+ *
+ * Primitives (BigInt and symbols included) are returned as they are, and
+ * so are functions: a closure can't be copied, only shared. Anything else
+ * — an unregistered class, a WeakMap, a Promise — throws a TypeError that
+ * names the path to it, rather than coming back silently as a plain object.
+ */
+import { describeProto, kindOf } from "./kinds.js";
+import { formatPath } from "./path.js";
+import { registrationFor } from "./registry.js";
+
+export function deepClone(value) {
+  const copies = new Map(); // original → copy
+  const hooked = new Set(); // originals inside a clone() hook right now
+  const path = [];
+
+  const at = (segment, v) => {
+    path.push(segment);
+    try {
+      return clone(v);
+    } finally {
+      path.pop();
+    }
+  };
+
+  // Own properties, by descriptor: accessors are copied as they are, data
+  // values are deep-copied.
+  const copyProps = (from, to, skip) => {
+    for (const key of Reflect.ownKeys(from)) {
+      if (key === skip) continue;
+      const descriptor = Object.getOwnPropertyDescriptor(from, key);
+      if ("value" in descriptor) descriptor.value = at(["prop", key], descriptor.value);
+      Object.defineProperty(to, key, descriptor);
+    }
+    return to;
+  };
+
+  const clone = (v) => {
+    if (v === null || typeof v !== "object") return v;
+    if (copies.has(v)) return copies.get(v);
+    const proto = Object.getPrototypeOf(v);
+
+    const registered = registrationFor(proto);
+    if (registered?.clone) {
+      if (hooked.has(v)) {
+        throw new TypeError(`deepClone: cycle back into the ${describeProto(proto)} clone() hook at ${formatPath(path)}`);
+      }
+      hooked.add(v);
+      try {
+        const copy = registered.clone(v, clone);
+        copies.set(v, copy);
+        return copy;
+      } finally {
+        hooked.delete(v);
+      }
+    }
+    if (registered) {
+      const copy = registered.create ? registered.create(v) : Object.create(proto);
+      copies.set(v, copy);
+      return copyProps(v, copy);
+    }
+
+    // The copy is recorded before its contents are, so cycles end on it.
+    const remember = (copy) => {
+      copies.set(v, copy);
+      return copy;
+    };
+    switch (kindOf(proto)) {
+      case "object":
+        return copyProps(v, remember(Object.create(proto)));
+      case "array":
+        return copyProps(v, remember(new Array(v.length)), "length");
+      case "date":
+        return copyProps(v, remember(new Date(v.getTime())));
+      case "regexp":
+        return copyProps(v, remember(new RegExp(v.source, v.flags)));
+      case "error": {
+        // Constructed, not Object.create()d, so the copy is a real error.
+        const copy = proto === AggregateError.prototype ? new AggregateError([]) : new proto.constructor();
+        return copyProps(v, remember(copy));
+      }
+      case "map": {
+        const copy = remember(new Map());
+        for (const [key, item] of v) copy.set(clone(key), at(["get", key], item));
+        return copyProps(v, copy);
+      }
+      case "set": {
+        const copy = remember(new Set());
+        for (const item of v) copy.add(clone(item));
+        return copyProps(v, copy);
+      }
+      case "arraybuffer":
+        return remember(v.slice(0));
+      case "typedarray":
+        return remember(new proto.constructor(clone(v.buffer), v.byteOffset, v.length));
+      case "dataview":
+        return remember(new DataView(clone(v.buffer), v.byteOffset, v.byteLength));
+      case "box":
+        return remember(Object(v.valueOf()));
+      default: {
+        const name = describeProto(proto);
+        const builtin = typeof proto.constructor === "function" && globalThis[name] === proto.constructor;
+        throw new TypeError(`deepClone: can't copy ${name} at ${formatPath(path)}${builtin ? "" : " (registerClass() it first)"}`);
+      }
+    }
+  };
+
+  return clone(value);
+}
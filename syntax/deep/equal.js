@@ -0,0 +1,199 @@
+/**
+ * deepEqual() and firstDifference(): structural equality that says where
+ * two values part ways.
+ *
+ *   firstDifference({ a: [1, 2] }, { a: [1, 3] })
+ *   // → { path: "$.a[1]", reason: "2 !== 3", left: 2, right: 3 }
+ *
+ * The rules, strict in the way node:assert's deepStrictEqual is:
+ *
+ *   - primitives compare with Object.is (NaN equals NaN, 0 and -0 differ)
+ *   - objects must have the same prototype, and the same own enumerable
+ *     keys (symbols included) with deep-equal values; a hole in an array
+ *     is not the same as an undefined element
+ *   - Dates by time, RegExps by source and flags, boxed primitives and
+ *     errors by value / name and message, typed arrays and ArrayBuffers
+ *     element by element
+ *   - Maps and Sets regardless of order; object keys and items match any
+ *     deep-equal counterpart
+ *   - functions only equal themselves
+ *   - cycles are fine: a pair of objects already being compared is taken
+ *     to be equal (so two differently-shaped cycles can still differ)
+ *   - a registered class with an equals() hook decides for its instances
+ *
+ * Private (#) fields can't be seen from outside a class and are ignored,
+ * unless an equals() hook compares them.
+ */
+import { AssertionError } from "node:assert";
+import { describeProto, kindOf } from "./kinds.js";
+import { formatPath, show } from "./path.js";
+import { registrationFor } from "./registry.js";
+
+const enumerableKeys = (v) => Reflect.ownKeys(v).filter((key) => Object.prototype.propertyIsEnumerable.call(v, key));
+const typeName = (v) => (v === null ? "null" : typeof v);
+const bytes = (view) => new Uint8Array(view.buffer ?? view, view.byteOffset ?? 0, view.byteLength);
+
+/**
+ * undefined when `left` and `right` are deep-equal; otherwise where the
+ * first difference is: { path, reason, left, right }, with `left` and
+ * `right` the two values found at `path`.
+ */
+export function firstDifference(left, right) {
+  const comparing = new Map(); // left object → right objects it's being compared with
+  const path = [];
+
+  const differ = (reason, a, b) => ({ path: formatPath(path), reason, left: a, right: b });
+
+  const at = (segment, a, b) => {
+    path.push(segment);
+    try {
+      return compare(a, b);
+    } finally {
+      path.pop();
+    }
+  };
+
+  // The first item of `candidates` deep-equal to `item`, taken out of it.
+  const takeMatch = (item, candidates) => {
+    for (const candidate of candidates) {
+      if (compare(item, candidate) === undefined) {
+        candidates.delete(candidate);
+        return { candidate };
+      }
+    }
+    return undefined;
+  };
+
+  const compareProps = (a, b) => {
+    const keysA = enumerableKeys(a);
+    const keysB = enumerableKeys(b);
+    for (const key of keysA) {
+      if (!Object.prototype.propertyIsEnumerable.call(b, key)) {
+        path.push(["prop", key]);
+        const difference = differ("missing on the right", a[key], undefined);
+        path.pop();
+        return difference;
+      }
+      const difference = at(["prop", key], a[key], b[key]);
+      if (difference) return difference;
+    }
+    if (keysB.length !== keysA.length) {
+      const extra = keysB.find((key) => !Object.prototype.propertyIsEnumerable.call(a, key));
+      path.push(["prop", extra]);
+      const difference = differ("missing on the left", undefined, b[extra]);
+      path.pop();
+      return difference;
+    }
+    return undefined;
+  };
+
+  const compareMaps = (a, b) => {
+    const unmatched = new Set([...b.keys()].filter((key) => !a.has(key)));
+    for (const [key, value] of a) {
+      let other = key;
+      if (!b.has(key)) {
+        const match = key !== null && typeof key === "object" ? takeMatch(key, unmatched) : undefined;
+        if (!match) return differ(`key ${show(key)} missing on the right`, a, b);
+        other = match.candidate;
+      }
+      const difference = at(["get", key], value, b.get(other));
+      if (difference) return difference;
+    }
+    return undefined;
+  };
+
+  const compareSets = (a, b) => {
+    const unmatched = new Set([...b].filter((item) => !a.has(item)));
+    for (const item of a) {
+      if (b.has(item)) continue;
+      const match = item !== null && typeof item === "object" ? takeMatch(item, unmatched) : undefined;
+      if (!match) return differ(`${show(item)} missing on the right`, a, b);
+    }
+    return undefined;
+  };
+
+  const compareElements = (a, b) => {
+    if (a.length !== b.length) return differ(`lengths ${a.length} and ${b.length}`, a, b);
+    for (let i = 0; i < a.length; i++) {
+      if (!Object.is(a[i], b[i])) return at(["prop", String(i)], a[i], b[i]);
+    }
+    return undefined;
+  };
+
+  // Everything beyond identity and prototypes, by kind.
+  const compareObjects = (a, b, proto) => {
+    const registered = registrationFor(proto);
+    if (registered?.equals) return registered.equals(a, b) ? undefined : differ(`not equal by ${describeProto(proto)}'s equals()`, a, b);
+
+    switch (kindOf(proto)) {
+      case "array":
+        if (a.length !== b.length) return differ(`lengths ${a.length} and ${b.length}`, a, b);
+        break;
+      case "date":
+        if (!Object.is(a.getTime(), b.getTime())) return differ(`${show(a)} !== ${show(b)}`, a, b);
+        break;
+      case "regexp":
+        if (a.source !== b.source || a.flags !== b.flags) return differ(`${a} !== ${b}`, a, b);
+        break;
+      case "error":
+        if (a.name !== b.name || a.message !== b.message) return differ(`${a} !== ${b}`, a, b);
+        break;
+      case "box":
+        if (!Object.is(a.valueOf(), b.valueOf())) return differ(`${show(a)} !== ${show(b)}`, a, b);
+        if (typeof a.valueOf() === "string") return undefined; // its "keys" are its characters
+        break;
+      case "map":
+        if (a.size !== b.size) return differ(`sizes ${a.size} and ${b.size}`, a, b);
+        return compareMaps(a, b) ?? compareProps(a, b);
+      case "set":
+        if (a.size !== b.size) return differ(`sizes ${a.size} and ${b.size}`, a, b);
+        return compareSets(a, b) ?? compareProps(a, b);
+      case "typedarray":
+        return compareElements(a, b);
+      case "arraybuffer":
+      case "dataview":
+        return compareElements(bytes(a), bytes(b));
+    }
+    return compareProps(a, b);
+  };
+
+  const compare = (a, b) => {
+    if (Object.is(a, b)) return undefined;
+    if (typeName(a) !== typeName(b)) return differ(`${typeName(a)} vs ${typeName(b)}`, a, b);
+    if (typeof a !== "object" || a === null) return differ(`${show(a)} !== ${show(b)}`, a, b);
+
+    const proto = Object.getPrototypeOf(a);
+    if (proto !== Object.getPrototypeOf(b)) {
+      return differ(`${describeProto(proto)} vs ${describeProto(Object.getPrototypeOf(b))}`, a, b);
+    }
+
+    let partners = comparing.get(a);
+    if (partners?.has(b)) return undefined;
+    if (!partners) comparing.set(a, (partners = new Set()));
+    partners.add(b);
+    try {
+      return compareObjects(a, b, proto);
+    } finally {
+      partners.delete(b);
+    }
+  };
+
+  return compare(left, right);
+}
+
+export function deepEqual(left, right) {
+  return firstDifference(left, right) === undefined;
+}
+
+/** Throws an AssertionError naming the first difference, for tests. */
+export function assertDeepEqual(actual, expected, message) {
+  const difference = firstDifference(actual, expected);
+  if (difference === undefined) return;
+  throw new AssertionError({
+    message: `${message ? `${message}: ` : ""}values differ at ${difference.path}: ${difference.reason}`,
+    actual,
+    expected,
+    operator: "deepEqual",
+    stackStartFn: assertDeepEqual,
+  });
+}
@@ -0,0 +1,36 @@
+// Types for deep/index.js — keep in step with the implementation.
+
+/** Copies everything but primitives and functions; see clone.js for what it can copy. */
+export function deepClone<T>(value: T): T;
+
+export interface Difference {
+  /** Where the values differ, e.g. "$.items[2]" or "$.byName.get(\"leo\").age". */
+  path: string;
+  /** What differs there, e.g. "2 !== 3" or "missing on the right". */
+  reason: string;
+  /** The two values found at `path`. */
+  left: unknown;
+  right: unknown;
+}
+
+export function deepEqual(left: unknown, right: unknown): boolean;
+/** undefined when the values are deep-equal. */
+export function firstDifference(left: unknown, right: unknown): Difference | undefined;
+/** Throws an AssertionError naming the first difference. */
+export function assertDeepEqual<T>(actual: unknown, expected: T, message?: string): asserts actual is T;
+
+/** Any class (or constructor function), abstract ones included. */
+export type Class<T = any> = abstract new (...args: any[]) => T;
+
+export interface ClassOptions<T> {
+  /** An empty instance to copy the own properties into (default: Object.create(Class.prototype)). */
+  create?: (source: T) => T;
+  /** Build the whole copy; `clone` deep-copies the parts. */
+  clone?: (source: T, clone: <U>(value: U) => U) => T;
+  /** Replaces the property-by-property comparison in deepEqual(). */
+  equals?: (a: T, b: T) => boolean;
+}
+
+export function registerClass<C extends Class>(Class: C, options?: ClassOptions<InstanceType<C>>): C;
+export function unregisterClass(Class: Class): boolean;
+export function isRegistered(Class: Class): boolean;
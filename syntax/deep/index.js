@@ -0,0 +1,21 @@
+/**
+ * ================================================================
+ *        DEEP COPY & DEEP EQUALITY — beyond the JSON trick
+ * ================================================================
+ *
+ *   import { deepClone, deepEqual, firstDifference, registerClass } from "syntax/deep";
+ *
+ *   registerClass(Box);                    // Box from syntax/oop; box = new Box("a")
+ *   const copy = deepClone(box);           // a Box, sharing nothing with `box`
+ *   firstDifference(copy, box);            // undefined
+ *   copy.add("x");
+ *   firstDifference(copy, box);            // { path: "$.items", reason: "lengths 2 and 1", ... }
+ *
+ * datastructures.js shows what JSON.parse(JSON.stringify()) loses and
+ * what structuredClone() still can't do; clone.js lists what deepClone()
+ * handles, equal.js the rules deepEqual() follows, and registry.js how
+ * classes opt in to keeping their prototype.
+ */
+export { deepClone } from "./clone.js";
+export { assertDeepEqual, deepEqual, firstDifference } from "./equal.js";
+export { isRegistered, registerClass, unregisterClass } from "./registry.js";
@@ -0,0 +1,45 @@
+/**
+ * The built-in object kinds deepClone() and deepEqual() know how to look
+ * inside, told apart by exact prototype, so a subclass of Map (say) is
+ * not mistaken for a plain Map — it needs registering like any class.
+ */
+const typedArrayPrototypes = new Set(
+  [Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array,
+    Float32Array, Float64Array, BigInt64Array, BigUint64Array].map((C) => C.prototype),
+);
+const errorPrototypes = new Set(
+  [Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError, AggregateError].map((C) => C.prototype),
+);
+const boxPrototypes = new Set([Number.prototype, String.prototype, Boolean.prototype, BigInt.prototype]);
+
+const kinds = new Map([
+  [Object.prototype, "object"],
+  [Array.prototype, "array"],
+  [Date.prototype, "date"],
+  [RegExp.prototype, "regexp"],
+  [Map.prototype, "map"],
+  [Set.prototype, "set"],
+  [ArrayBuffer.prototype, "arraybuffer"],
+  [DataView.prototype, "dataview"],
+]);
+
+/**
+ * "object" (plain, including null-prototype), "array", "date", "regexp",
+ * "map", "set", "arraybuffer", "dataview", "typedarray", "error", "box"
+ * (new Number(1) and friends) — or undefined for anything else.
+ */
+export function kindOf(proto) {
+  if (proto === null) return "object";
+  const kind = kinds.get(proto);
+  if (kind !== undefined) return kind;
+  if (typedArrayPrototypes.has(proto)) return "typedarray";
+  if (errorPrototypes.has(proto)) return "error";
+  if (boxPrototypes.has(proto)) return "box";
+  return undefined;
+}
+
+/** "Lion", "Map", "null-prototype object", ... for messages. */
+export function describeProto(proto) {
+  if (proto === null) return "null-prototype object";
+  return typeof proto.constructor === "function" && proto.constructor.name ? proto.constructor.name : "anonymous class";
+}
@@ -0,0 +1,32 @@
+/**
+ * Paths into a value, for error messages and deepEqual() reports:
+ *
+ *   $                 the value itself
+ *   $.nested.x        properties
+ *   $.items[0]        array indexes
+ *   $["odd key"]      keys that aren't identifiers
+ *   $[Symbol(tag)]    symbol keys
+ *   $.m.get("k")      a Map entry's value
+ */
+import { inspect } from "node:util";
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const INDEX = /^(0|[1-9]\d*)$/;
+
+/** A short one-line rendering of any value. */
+export function show(value) {
+  return inspect(value, { depth: 1, breakLength: Infinity, maxArrayLength: 5, maxStringLength: 40 });
+}
+
+/** Segments are ["prop", key] or ["get", mapKey]. */
+export function formatPath(segments) {
+  let out = "$";
+  for (const [kind, key] of segments) {
+    if (kind === "get") out += `.get(${typeof key === "string" ? JSON.stringify(key) : show(key)})`;
+    else if (typeof key === "symbol") out += `[${String(key)}]`;
+    else if (INDEX.test(key)) out += `[${key}]`;
+    else if (IDENTIFIER.test(key)) out += `.${key}`;
+    else out += `[${JSON.stringify(key)}]`;
+  }
+  return out;
+}
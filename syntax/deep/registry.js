@@ -0,0 +1,50 @@
+/**
+ * The classes deepClone() may rebuild, keyed by prototype. Only an exact
+ * prototype match counts: registering Animal says nothing about Lion,
+ * whose instances would otherwise come back as Animals.
+ */
+const classes = new Map(); // Class.prototype → { Class, create, clone, equals }
+
+/**
+ * Let deepClone() copy instances of `Class` with their prototype intact.
+ *
+ *   create(source)          an empty instance to copy the own properties
+ *                           into (default: Object.create(Class.prototype),
+ *                           which runs no constructor)
+ *   clone(source, clone)    build the whole copy yourself; `clone` deep
+ *                           copies the parts (cycle-aware)
+ *   equals(a, b)            replaces the property-by-property comparison
+ *                           in deepEqual()
+ *
+ * Private (#) fields are invisible from outside the class, so only the
+ * class can copy them: with the default create() they don't exist on the
+ * copy at all and methods that use them throw. `create: () => new Lion()`
+ * gives them their initial values; a clone() hook written inside the
+ * class can copy them for real.
+ *
+ * Registering a class again replaces its options. Returns `Class`.
+ */
+export function registerClass(Class, { create, clone, equals } = {}) {
+  if (typeof Class !== "function" || typeof Class.prototype !== "object" || Class.prototype === null) {
+    throw new TypeError("registerClass() needs a class or constructor function");
+  }
+  for (const [name, hook] of Object.entries({ create, clone, equals })) {
+    if (hook !== undefined && typeof hook !== "function") throw new TypeError(`${name} must be a function`);
+  }
+  classes.set(Class.prototype, { Class, create, clone, equals });
+  return Class;
+}
+
+/** Forget `Class`; true if it was registered. */
+export function unregisterClass(Class) {
+  return classes.delete(Class?.prototype);
+}
+
+export function isRegistered(Class) {
+  return classes.has(Class?.prototype);
+}
+
+/** The registration for objects with this exact prototype, if any. */
+export function registrationFor(proto) {
+  return classes.get(proto);
+}
@@ -0,0 +1,182 @@
+/**
+ * ================================================================
+ *          SIMULATED BROWSER EVENT LOOP (runs in plain Node)
+ * ================================================================
+ *
+ * A small model of the HTML event loop, good enough to replay the hood.js
+ * demos "as if in a browser" — in CI, with no real browser:
+ *
+ *   1) take the oldest task that is ready (one FIFO over all task sources,
+ *      on a virtual clock — a simplification, browsers may prioritize
+ *      sources differently),
+ *   2) run it, then perform a microtask checkpoint,
+ *   3) if a frame is due and requestAnimationFrame callbacks are waiting,
+ *      run a rendering step (each callback followed by a checkpoint).
+ *
+ * There is no nextTick queue and no Check phase. The Node-only APIs the
+ * demos use are replaced the way browser code usually replaces them, and
+ * every substitution is reported:
+ *
+ *   process.nextTick → queueMicrotask (what bundler `process` shims do)
+ *   setImmediate     → a postMessage-style task (the usual polyfill)
+ *   fs.readFile      → a networking task 1ms later (like a fetch completing)
+ *
+ * setTimeout follows the HTML rules: delays count in virtual time and are
+ * clamped to 4ms once timers nest more than 5 levels deep.
+ *
+ * Microtasks are the real ones: every simulated task runs inside its own
+ * real macrotask, so Promise reactions, queueMicrotask and `await` drain
+ * exactly as they would at a browser's microtask checkpoint.
+ */
+import fs from "node:fs";
+import { syncBuiltinESMExports } from "node:module";
+import timers from "node:timers";
+import { format } from "node:util";
+
+const CLAMP_NESTING = 5;
+const CLAMP_MS = 4;
+
+/**
+ * Run `body` as the script task of a simulated browser page.
+ * Resolves once no tasks or frame callbacks are left, with
+ *   { events: [{ type: "log", source, text } | { type: "render", frame, at }],
+ *     substitutions: [...] }
+ * where `source` is the task source ("script", "timer", "message",
+ * "networking", "render") or "microtask".
+ */
+export async function runInBrowser(body, { frameMs = 1000 / 60 } = {}) {
+  const realSetImmediate = timers.setImmediate; // captured before we patch it
+  const tasks = [];
+  const frameCallbacks = [];
+  const events = [];
+  const substitutions = new Set();
+  let now = 0;
+  let nextId = 1;
+  let nextFrameAt = frameMs;
+  let frame = 0;
+  let running = null; // source of the task on the stack, null = checkpoint
+  let nesting = 0; // timer nesting level of the running task
+  let firstError;
+
+  const queueTask = (source, fn, delay = 0, level = 0) => {
+    const id = nextId++;
+    tasks.push({ id, source, fn, readyAt: now + delay, nesting: level });
+    return id;
+  };
+
+  // Run fn in a real macrotask, and resolve only after the microtasks it
+  // queued (and the ones those queued...) have all drained.
+  const inMacrotask = (source, fn, level = 0) => new Promise((resolve) => {
+    realSetImmediate(() => {
+      running = source;
+      nesting = level;
+      try {
+        fn();
+      } catch (err) {
+        firstError ??= err;
+      } finally {
+        running = null;
+        nesting = 0;
+      }
+      realSetImmediate(resolve);
+    });
+  });
+
+  const host = {
+    setTimeout(fn, delay = 0, ...args) {
+      const level = nesting + 1;
+      let ms = Math.max(0, Number(delay) || 0);
+      if (level > CLAMP_NESTING && ms < CLAMP_MS) ms = CLAMP_MS;
+      return queueTask("timer", () => fn(...args), ms, level);
+    },
+    clearTimeout(id) {
+      const at = tasks.findIndex((t) => t.id === id);
+      if (at !== -1) tasks.splice(at, 1);
+    },
+    setImmediate(fn, ...args) {
+      substitutions.add("setImmediate → postMessage task (browsers have no Check phase)");
+      return queueTask("message", () => fn(...args));
+    },
+    nextTick(fn, ...args) {
+      substitutions.add("process.nextTick → queueMicrotask (browsers have no nextTick queue)");
+      queueMicrotask(() => fn(...args));
+    },
+    requestAnimationFrame(fn) {
+      frameCallbacks.push(fn);
+      return frameCallbacks.length;
+    },
+    readFile(path, ...rest) {
+      substitutions.add("fs.readFile → networking task 1ms later (like a fetch completing)");
+      const callback = rest.pop();
+      let result;
+      try {
+        result = [null, fs.readFileSync(path, rest[0])];
+      } catch (err) {
+        result = [err];
+      }
+      queueTask("networking", () => callback(...result), 1);
+    },
+    log(...args) {
+      events.push({ type: "log", source: running ?? "microtask", text: format(...args) });
+    },
+  };
+
+  const originals = {
+    setTimeout: globalThis.setTimeout,
+    clearTimeout: globalThis.clearTimeout,
+    setImmediate: globalThis.setImmediate,
+    requestAnimationFrame: globalThis.requestAnimationFrame,
+    nextTick: process.nextTick,
+    readFile: fs.readFile,
+    log: console.log,
+  };
+
+  globalThis.setTimeout = timers.setTimeout = host.setTimeout;
+  globalThis.clearTimeout = timers.clearTimeout = host.clearTimeout;
+  globalThis.setImmediate = timers.setImmediate = host.setImmediate;
+  globalThis.requestAnimationFrame = host.requestAnimationFrame;
+  process.nextTick = host.nextTick;
+  fs.readFile = host.readFile;
+  console.log = host.log;
+  syncBuiltinESMExports();
+
+  try {
+    await inMacrotask("script", body);
+
+    for (;;) {
+      if (frameCallbacks.length && now >= nextFrameAt) {
+        frame++;
+        events.push({ type: "render", frame, at: now });
+        for (const cb of frameCallbacks.splice(0)) await inMacrotask("render", () => cb(now));
+        nextFrameAt = (Math.floor(now / frameMs) + 1) * frameMs;
+        continue;
+      }
+
+      const ready = tasks.filter((t) => t.readyAt <= now).sort((a, b) => a.id - b.id)[0];
+      if (ready) {
+        tasks.splice(tasks.indexOf(ready), 1);
+        await inMacrotask(ready.source, ready.fn, ready.nesting);
+        continue;
+      }
+
+      // Nothing ready: jump the virtual clock to whatever comes next
+      const upcoming = tasks.map((t) => t.readyAt);
+      if (frameCallbacks.length) upcoming.push(nextFrameAt);
+      if (!upcoming.length) break;
+      now = Math.min(...upcoming);
+    }
+  } finally {
+    globalThis.setTimeout = timers.setTimeout = originals.setTimeout;
+    globalThis.clearTimeout = timers.clearTimeout = originals.clearTimeout;
+    globalThis.setImmediate = timers.setImmediate = originals.setImmediate;
+    if (originals.requestAnimationFrame) globalThis.requestAnimationFrame = originals.requestAnimationFrame;
+    else delete globalThis.requestAnimationFrame;
+    process.nextTick = originals.nextTick;
+    fs.readFile = originals.readFile;
+    console.log = originals.log;
+    syncBuiltinESMExports();
+  }
+
+  if (firstError) throw firstError;
+  return { events, substitutions: [...substitutions] };
+}
@@ -0,0 +1,127 @@
+/**
+ * ================================================================
+ *            NODE vs BROWSER: SAME DEMO, TWO EVENT LOOPS
+ * ================================================================
+ *
+ *   node eventloop/compare.js          # every demo with an EXPECTED ORDER
+ *   node eventloop/compare.js 1 3      # by number or name
+ *   node eventloop/compare.js -e "requestAnimationFrame(() => console.log('[raf]'))"
+ *
+ * Runs each demo twice — for real in Node (traced) and in the simulated
+ * browser host from browser.js — and prints the two orders side by side,
+ * diff-style:
+ *
+ *   same line, same place          "  "
+ *   only at this spot in Node      "<"
+ *   only at this spot in browser   ">"
+ *
+ * Each line carries where it ran: Node's queue/phase on the left, the
+ * browser task source (or "microtask") on the right.
+ */
+import fs from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { TEMP_FILE } from "../hood.js";
+import { runInBrowser } from "./browser.js";
+import { loadExpectedOrder } from "./expected.js";
+import { findDemo, recordDemo } from "./run.js";
+import { snippetDemo } from "./visualize.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Longest common subsequence of two line lists, as aligned rows
+// [{ left, right }] where a missing side is undefined.
+export function alignLines(left, right) {
+  const n = left.length;
+  const m = right.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = left[i].text === right[j].text
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const rows = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && left[i].text === right[j].text) rows.push({ left: left[i++], right: right[j++] });
+    else if (j >= m || (i < n && lcs[i + 1][j] >= lcs[i][j + 1])) rows.push({ left: left[i++] });
+    else rows.push({ right: right[j++] });
+  }
+  return rows;
+}
+
+// A side that throws (e.g. requestAnimationFrame in Node) shows the error
+// as its output instead of aborting the comparison.
+const failed = (err) => [{ text: `✗ ${err.name}: ${err.message}`, where: "error" }];
+
+/** Run one demo both ways. */
+export async function compareDemo(demo) {
+  let node;
+  try {
+    const trace = await recordDemo(demo);
+    node = trace.events.filter((e) => e.type === "log").map((e) => ({ text: e.text, where: e.queue }));
+  } catch (err) {
+    node = failed(err);
+  }
+
+  let web;
+  let substitutions = [];
+  try {
+    const browser = await runInBrowser(demo.run.body);
+    substitutions = browser.substitutions;
+    web = browser.events.map((e) => (e.type === "render"
+      ? { text: `── render step (frame ${e.frame}) ──`, where: "render" }
+      : { text: e.text, where: e.source }));
+  } catch (err) {
+    web = failed(err);
+  } finally {
+    fs.rmSync(TEMP_FILE, { force: true });
+  }
+
+  const rows = alignLines(node, web);
+  return { demo, rows, same: rows.every((r) => r.left && r.right), substitutions };
+}
+
+export function formatComparison({ demo, rows, same, substitutions }, width = 44) {
+  const cell = (line) => {
+    if (!line) return "".padEnd(width);
+    const text = `{${line.where}} ${line.text}`;
+    return (text.length > width ? text.slice(0, width - 1) + "…" : text).padEnd(width);
+  };
+  const out = [
+    "",
+    demo.title,
+    `  ${"Node".padEnd(width)}   Browser (simulated)`,
+    `  ${"─".repeat(width)}   ${"─".repeat(width)}`,
+  ];
+  for (const row of rows) {
+    const mark = row.left && row.right ? " " : row.left ? "<" : ">";
+    out.push(`  ${cell(row.left)} ${mark} ${cell(row.right).trimEnd()}`);
+  }
+  out.push(same ? "  → same order in both" : "  → order differs");
+  for (const s of substitutions) out.push(`  note: ${s}`);
+  return out.join("\n");
+}
+
+// ----------------------- CLI -----------------------
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  try {
+    const code = args.includes("-e") ? args[args.indexOf("-e") + 1] : undefined;
+    const keys = args.filter((a) => !a.startsWith("-") && a !== code);
+    const selected = code !== undefined
+      ? [snippetDemo(code)]
+      : keys.length
+        ? keys.map(findDemo)
+        : loadExpectedOrder(join(__dirname, "..", "hood.js")).map((d) => findDemo(d.demo));
+
+    for (const demo of selected) console.log(formatComparison(await compareDemo(demo)));
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
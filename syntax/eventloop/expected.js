@@ -0,0 +1,82 @@
+/**
+ * Reads the "EXPECTED ORDER HIGHLIGHTS" comment at the bottom of hood.js,
+ * so that comment stays the single source of truth for what each demo
+ * should print.
+ *
+ * Every listed line is treated as strictly ordered, EXCEPT the pairs in
+ * RELAXATIONS below — those are the places where Node does not guarantee
+ * an order and the comment only shows the *typical* one.
+ */
+import fs from "node:fs";
+
+/**
+ * Where Node allows either order.
+ *   demo    → which DEMO block the rule applies to
+ *   between → the two [labels] that may come out in either order
+ *   when    → optional: only relax if the trace says so
+ */
+export const RELAXATIONS = [
+  {
+    demo: 1,
+    between: ["timer", "check"],
+    why: "setTimeout(0) vs setImmediate from the main tick depends on how long the loop took to start (1ms timer threshold)",
+  },
+  {
+    demo: 1,
+    between: ["nextTick", "microtask"],
+    when: (trace) => trace.mainTick === "microtask",
+    why: "an ES module's main tick is itself a Promise job, so the microtask queue keeps draining before nextTick gets a turn",
+  },
+  {
+    demo: 4,
+    between: ["nextTick", "microtask"],
+    when: (trace) => trace.mainTick === "microtask",
+    why: "an ES module's main tick is itself a Promise job, so the microtask queue keeps draining before nextTick gets a turn",
+  },
+];
+
+/**
+ * The relaxation (if any) that lets two [labels] of `demo` come out in
+ * either order for this trace.
+ */
+export function findRelaxation(demo, labelA, labelB, trace, relaxations = RELAXATIONS) {
+  return relaxations.find((r) =>
+    r.demo === demo &&
+    ((r.between[0] === labelA && r.between[1] === labelB) ||
+      (r.between[0] === labelB && r.between[1] === labelA)) &&
+    (!r.when || r.when(trace))
+  );
+}
+
+/**
+ * Parse the EXPECTED ORDER block out of a source file.
+ * Returns [{ demo: 1, entries: [{ label: "sync", prefix: "[sync] start" }, ...] }, ...]
+ */
+export function parseExpectedOrder(source) {
+  const start = source.indexOf("EXPECTED ORDER HIGHLIGHTS");
+  if (start === -1) throw new Error("no EXPECTED ORDER HIGHLIGHTS block found");
+  const end = source.indexOf("Takeaways:", start);
+  const block = source.slice(start, end === -1 ? undefined : end);
+
+  const demos = [];
+  for (const raw of block.split("\n")) {
+    const line = raw.replace(/^\s*\*\s?/, "").trim();
+    const demoMatch = line.match(/^DEMO (\d+)\b.*:$/); // "DEMO 3 (inside I/O callback):"
+    if (demoMatch) {
+      demos.push({ demo: Number(demoMatch[1]), entries: [] });
+      continue;
+    }
+    const entryMatch = line.match(/^\[([^\]]+)\]/);
+    if (!entryMatch || !demos.length) continue;
+
+    // "[check] setImmediate inside I/O callback   <-- typically before timeout"
+    //   → drop the arrow note and any trailing "..."
+    const prefix = line.replace(/<--.*$/, "").replace(/\.{3}\s*$/, "").trim();
+    demos[demos.length - 1].entries.push({ label: entryMatch[1], prefix });
+  }
+  return demos;
+}
+
+export function loadExpectedOrder(file) {
+  return parseExpectedOrder(fs.readFileSync(file, "utf8"));
+}
@@ -0,0 +1,22 @@
+/**
+ * Preload for tracing a whole script:
+ *
+ *   EVENT_LOOP_TRACE=trace.json node --import ./eventloop/preload.js hood.js
+ *
+ * The tracer is installed before the script's first line runs, and the
+ * trace is written when the process exits — by then every timer, immediate
+ * and I/O callback the script scheduled has run.
+ */
+import fs from "node:fs";
+import { createTracer } from "./tracer.js";
+
+const tracer = createTracer();
+tracer.install();
+
+process.on("exit", () => {
+  tracer.uninstall();
+  const json = JSON.stringify(tracer.toJSON(), null, 2);
+  const target = process.env.EVENT_LOOP_TRACE;
+  if (target) fs.writeFileSync(target, json);
+  else process.stderr.write(json + "\n");
+});
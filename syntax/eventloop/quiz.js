@@ -0,0 +1,199 @@
+/**
+ * ================================================================
+ *             QUIZ: PREDICT THE ORDER BEFORE YOU RUN IT
+ * ================================================================
+ *
+ *   node eventloop/quiz.js                 # every quizzable demo in turn
+ *   node eventloop/quiz.js 3               # just DEMO 3
+ *   node eventloop/quiz.js 3 --answer "2 1 4 3 5"   # non-interactive:
+ *                                          # numbers refer to source order;
+ *                                          # one demo only, exits 1 if invalid
+ *   node eventloop/quiz.js --stats         # what people keep getting wrong
+ *
+ * Shows a demo's source (not the EXPECTED ORDER comment), lists its log
+ * lines shuffled, and asks for the order they'll print in. Then the demo
+ * runs for real and the answer is scored pair by pair against the actual
+ * trace: "did you put A before B when A really ran first?". Pairs where
+ * Node allows either order (see RELAXATIONS in expected.js) count as
+ * right both ways.
+ *
+ * Every attempt is appended to a local JSON file (.quiz-scores.json next
+ * to hood.js, or $HOOD_QUIZ_SCORES), tagged with the concepts that were
+ * missed — e.g. "nextTick before microtask".
+ */
+import fs from "node:fs";
+import { dirname, join } from "node:path";
+import readline from "node:readline/promises";
+import { fileURLToPath } from "node:url";
+import { demos } from "../hood.js";
+import { findRelaxation } from "./expected.js";
+import { findDemo, recordDemo } from "./run.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const SCORES_FILE = process.env.HOOD_QUIZ_SCORES ?? join(__dirname, "..", ".quiz-scores.json");
+
+const labelOf = (line) => line.match(/^\[([^\]]+)\]/)?.[1];
+
+/** The "[label] ..." lines a demo logs, straight from its source. */
+export function quizLines(demo) {
+  const source = String(demo.run.body);
+  return [...source.matchAll(/console\.log\((["'`])(\[.*?)\1\)/g)].map((m) => m[2]);
+}
+
+export const quizzable = () => demos.filter((d) => d.run.body && quizLines(d).length > 1);
+
+function shuffle(items) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Score a predicted order against a real trace.
+ * Returns { score (0..1), correct, total, mistakes: [{ said, actual, concept }] }.
+ */
+export function scoreAnswer(demo, predicted, trace) {
+  const logs = trace.events.filter((e) => e.type === "log").map((e) => e.text);
+  const position = (line) => logs.indexOf(line);
+
+  let correct = 0;
+  let total = 0;
+  const mistakes = [];
+  for (let i = 0; i < predicted.length; i++) {
+    for (let j = i + 1; j < predicted.length; j++) {
+      const [a, b] = [predicted[i], predicted[j]];
+      total++;
+      if (position(a) < position(b) || findRelaxation(demo.id, labelOf(a), labelOf(b), trace)) {
+        correct++;
+      } else {
+        mistakes.push({ said: [a, b], actual: [b, a], concept: `${labelOf(b)} before ${labelOf(a)}` });
+      }
+    }
+  }
+  return { score: total ? correct / total : 1, correct, total, mistakes };
+}
+
+export function loadScores(file = SCORES_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return { attempts: [] };
+    throw err;
+  }
+}
+
+export function saveAttempt(attempt, file = SCORES_FILE) {
+  const scores = loadScores(file);
+  scores.attempts.push(attempt);
+  fs.writeFileSync(file, JSON.stringify(scores, null, 2) + "\n");
+}
+
+/** Per-demo averages and the most-missed concepts across all attempts. */
+export function summarize({ attempts }) {
+  const byDemo = new Map();
+  const concepts = new Map();
+  for (const a of attempts) {
+    const d = byDemo.get(a.demo) ?? { demo: a.demo, attempts: 0, total: 0 };
+    d.attempts++;
+    d.total += a.score;
+    byDemo.set(a.demo, d);
+    for (const c of new Set(a.concepts)) concepts.set(c, (concepts.get(c) ?? 0) + 1);
+  }
+  return {
+    demos: [...byDemo.values()]
+      .sort((x, y) => x.demo - y.demo)
+      .map((d) => ({ demo: d.demo, attempts: d.attempts, average: d.total / d.attempts })),
+    concepts: [...concepts.entries()].sort((x, y) => y[1] - x[1]).map(([concept, misses]) => ({ concept, misses })),
+  };
+}
+
+function printStats() {
+  const { demos: perDemo, concepts } = summarize(loadScores());
+  if (!perDemo.length) return console.log(`No attempts recorded yet (${SCORES_FILE}).`);
+  console.log("Average score per demo:");
+  for (const d of perDemo) console.log(`  DEMO ${d.demo}: ${Math.round(d.average * 100)}% over ${d.attempts} attempt(s)`);
+  console.log("\nMost missed (\"X before Y\" = what really happens):");
+  for (const c of concepts) console.log(`  ${c.misses}× ${c.concept}`);
+}
+
+/**
+ * Parse "2 1 4 3" (or "2,1,4,3") into the lines those numbers point at in
+ * `shuffled`; null if it isn't a full permutation of 1..N.
+ */
+export function parseAnswer(text, shuffled) {
+  const picks = text.split(/[\s,]+/).filter(Boolean).map(Number);
+  const valid = picks.length === shuffled.length &&
+    new Set(picks).size === picks.length &&
+    picks.every((n) => Number.isInteger(n) && n >= 1 && n <= shuffled.length);
+  return valid ? picks.map((n) => shuffled[n - 1]) : null;
+}
+
+// Interactive: shuffle the lines and ask again until the answer is valid.
+// Otherwise (--answer) the lines keep source order and a bad answer throws,
+// since asking again would only get the same answer back.
+async function quiz(demo, ask, { interactive = true } = {}) {
+  const lines = quizLines(demo);
+  if (lines.length < 2) throw new Error(`${demo.title.replace(/:.*/, "")} has no [label] lines to put in order`);
+  const shuffled = interactive ? shuffle(lines) : lines;
+  console.log(`\n${demo.title.replace(/:.*/, "")}  (${demo.name})\n`);
+  console.log(String(demo.run.body));
+  console.log("\nIn which order do these print?");
+  shuffled.forEach((line, i) => console.log(`  ${i + 1}. ${line}`));
+
+  let predicted = null;
+  while (!predicted) {
+    predicted = parseAnswer(await ask(`Order (e.g. ${shuffled.map((_, i) => i + 1).join(" ")}): `), shuffled);
+    if (predicted) break;
+    const hint = `Use each number from 1 to ${shuffled.length} exactly once.`;
+    if (!interactive) throw new Error(`invalid answer — ${hint}`);
+    console.log(hint);
+  }
+
+  const trace = await recordDemo(demo);
+  const result = scoreAnswer(demo, predicted, trace);
+
+  console.log("\nWhat actually happened:");
+  trace.events.filter((e) => e.type === "log").forEach((e) => console.log(`  ${e.text}`));
+  console.log(`\nScore: ${result.correct}/${result.total} pairs (${Math.round(result.score * 100)}%)`);
+  for (const m of result.mistakes) console.log(`  ✗ "${m.actual[0]}" runs before "${m.actual[1]}"`);
+
+  saveAttempt({
+    demo: demo.id,
+    at: new Date().toISOString(),
+    score: result.score,
+    concepts: result.mistakes.map((m) => m.concept),
+  });
+  return result;
+}
+
+// ----------------------- CLI -----------------------
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const valueOf = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+
+  if (args.includes("--stats")) {
+    printStats();
+  } else {
+    const answer = valueOf("--answer");
+    const key = args.find((a) => !a.startsWith("--") && a !== answer);
+    const interactive = !args.includes("--answer");
+    const rl = interactive ? readline.createInterface({ input: process.stdin, output: process.stdout }) : null;
+    const ask = rl ? (q) => rl.question(q) : async () => answer ?? "";
+    try {
+      // One answer can only fit one demo.
+      if (!interactive && !key) throw new Error("--answer needs a demo: node eventloop/quiz.js 3 --answer \"2 1 4 3 5\"");
+      for (const demo of key ? [findDemo(key)] : quizzable()) {
+        await quiz(demo, ask, { interactive });
+      }
+    } catch (err) {
+      console.error(err.message);
+      process.exitCode = 1;
+    } finally {
+      rl?.close();
+    }
+  }
+}
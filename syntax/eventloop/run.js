@@ -0,0 +1,94 @@
+/**
+ * Runner for the hood.js demos.
+ *
+ *   node eventloop/run.js             # every demo, in order
+ *   node eventloop/run.js 1 3         # by number
+ *   node eventloop/run.js io-callback # by name
+ *
+ * Demos run one at a time: each gets its header, runs, and is fully
+ * settled before the next one starts, so the output under a header
+ * belongs to that demo only.
+ *
+ * The DEMO 3 temp file is removed after every demo, even a failing one,
+ * and once more on exit in case the process dies mid-demo.
+ */
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { TEMP_FILE, demos, header } from "../hood.js";
+import { createTracer } from "./tracer.js";
+
+const removeTempFile = () => fs.rmSync(TEMP_FILE, { force: true });
+
+/**
+ * Look a demo up by number (1, "1") or name ("io-callback").
+ * Throws with the list of valid choices when nothing matches.
+ */
+export function findDemo(key) {
+  const demo = demos.find((d) => String(d.id) === String(key) || d.name === key);
+  if (!demo) {
+    const choices = demos.map((d) => `${d.id} (${d.name})`).join(", ");
+    throw new Error(`unknown demo "${key}" — choose one of: ${choices}`);
+  }
+  return demo;
+}
+
+/**
+ * Run one demo and wait for it to settle.
+ * An exception thrown from one of its callbacks (e.g. DEMO 3's
+ * `if (err) throw err`) rejects here instead of crashing the process.
+ */
+export async function runDemo(demo) {
+  let onCrash;
+  const crashed = new Promise((_, reject) => {
+    onCrash = reject;
+    process.once("uncaughtException", onCrash);
+  });
+  try {
+    await Promise.race([demo.run(), crashed]);
+  } finally {
+    process.off("uncaughtException", onCrash);
+    removeTempFile();
+  }
+}
+
+/**
+ * Run a demo once with the tracer in main-tick scope, so only the demo's
+ * own work is recorded (not the runner's awaits or settle hops).
+ * Its output is captured in the trace instead of printed.
+ */
+export async function recordDemo(demo) {
+  const tracer = createTracer({ scope: "main-tick", quiet: true });
+  tracer.install();
+  try {
+    await runDemo(demo);
+  } finally {
+    tracer.uninstall();
+  }
+  return tracer.toJSON();
+}
+
+/**
+ * Run the selected demos (all of them when `keys` is empty) in sequence.
+ * Stops at the first demo that throws and rethrows its error.
+ */
+export async function runDemos(keys = []) {
+  const selected = keys.length ? keys.map(findDemo) : demos;
+  for (const demo of selected) {
+    header(demo.title);
+    await runDemo(demo);
+  }
+}
+
+export async function main(argv) {
+  process.once("exit", removeTempFile);
+  try {
+    await runDemos(argv);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
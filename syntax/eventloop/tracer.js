@@ -0,0 +1,255 @@
+/**
+ * ================================================================
+ *                 EVENT-LOOP TRACE RECORDER
+ * ================================================================
+ *
+ * Wraps the scheduling APIs that hood.js talks about while a demo runs:
+ *
+ *    process.nextTick   → "nextTick"  queue
+ *    queueMicrotask     → "microtask" queue
+ *    Promise#then       → "microtask" queue
+ *    setTimeout         → "timers"    phase
+ *    setImmediate       → "check"     phase
+ *
+ * Every wrapped call records a `schedule` event, every wrapped callback
+ * records a `run` event, and every console.log line records a `log` event
+ * tagged with the queue/phase it was printed from.
+ *
+ * Callbacks we don't wrap (fs I/O callbacks, `await` continuations) are
+ * attributed through async_hooks: the resource type of the current
+ * execution context tells us which phase we're in.
+ *
+ * hood.js imports setImmediate from "node:timers", so the timers module is
+ * patched too and its ESM named exports re-synced.
+ *
+ * Options:
+ *   scope: "main-tick" → only record what a MAIN_TICK callback (and
+ *                        everything it schedules, transitively) does.
+ *                        Lets a tool trace one demo in-process without
+ *                        recording its own awaits and settle hops.
+ *   quiet: true        → record console.log lines without printing them.
+ *
+ * The "sync" phase is a demo's own main tick: the callback hood.js marks
+ * with MAIN_TICK, or — for a plain script — the execution context of the
+ * first thing it does. Note: when a plain script is an ES module, that
+ * context is itself a Promise job — see `mainTick` below.
+ */
+import { createHook, executionAsyncId } from "node:async_hooks";
+import { syncBuiltinESMExports } from "node:module";
+import timers from "node:timers";
+import { format, inspect } from "node:util";
+
+// async_hooks resource type → queue/phase name
+const RESOURCE_QUEUES = {
+  TickObject: "nextTick",
+  Microtask: "microtask",
+  PROMISE: "microtask",
+  Timeout: "timers",
+  Immediate: "check",
+};
+
+// Same symbol as hood.js's MAIN_TICK (Symbol.for is shared by key)
+const MAIN_TICK = Symbol.for("hood.mainTick");
+
+// Queue/phase name → the [label] hood.js prints in front of its logs
+export const QUEUE_LABELS = {
+  sync: "sync",
+  nextTick: "nextTick",
+  microtask: "microtask",
+  timers: "timer",
+  check: "check",
+  poll: "I/O",
+};
+
+/**
+ * Short label for a scheduled callback: the first string it console.logs
+ * (that's how every hood.js demo callback identifies itself), else its name.
+ */
+export function describeCallback(fn) {
+  if (fn[MAIN_TICK]) return "main tick";
+  const logged = String(fn).match(/console\.log\((["'`])(.*?)\1/);
+  return logged?.[2] ?? (fn.name || "anonymous");
+}
+
+/**
+ * Create a tracer. Nothing is patched until install() is called,
+ * and uninstall() puts every original API back.
+ */
+export function createTracer({ scope = "all", quiet = false } = {}) {
+  const events = [];
+  const resourceTypes = new Map();
+  const scoped = new Set(); // async ids inside the main-tick scope
+  const stack = []; // wrapped callbacks currently running
+  const originals = {};
+  let nextId = 1;
+  let mainId; // executionAsyncId of the synchronous "main tick"
+  let mainType; // its async_hooks resource type (PROMISE for ES modules)
+  let sawMainTick = false; // did a MAIN_TICK-marked callback run?
+  let installed = false;
+
+  const hook = createHook({
+    init(asyncId, type, triggerAsyncId) {
+      resourceTypes.set(asyncId, type);
+      if (inScope() || scoped.has(triggerAsyncId)) scoped.add(asyncId);
+    },
+    destroy(asyncId) {
+      resourceTypes.delete(asyncId);
+      scoped.delete(asyncId);
+    },
+  });
+
+  // Is the code running right now something we should record?
+  function inScope() {
+    if (scope === "all") return true;
+    return stack.some((s) => s.scoped) || scoped.has(executionAsyncId());
+  }
+
+  function record(event) {
+    const full = { seq: events.length, ...event };
+    events.push(full);
+    return full;
+  }
+
+  // Which queue/phase is executing right now?
+  function currentQueue() {
+    if (stack.length) return stack[stack.length - 1].queue;
+    const eid = executionAsyncId();
+    // Plain scripts only: once a MAIN_TICK ran, "sync" means that callback
+    if (mainId === undefined && !sawMainTick) {
+      mainId = eid;
+      mainType = resourceTypes.get(eid);
+    }
+    if (eid === mainId) return "sync";
+    return RESOURCE_QUEUES[resourceTypes.get(eid)] ?? "poll";
+  }
+
+  function currentCallback() {
+    return stack.length ? stack[stack.length - 1].id : null;
+  }
+
+  // Node's own ESM loader chains promises before the script's first line;
+  // those aren't part of the demo, so they pass through untraced.
+  // (Internal frames are hidden, so such calls have no caller frame at all.)
+  function fromNodeInternals() {
+    const caller = new Error().stack.split("\n")[4];
+    return !caller || caller.includes("node:internal");
+  }
+
+  // Returns the callback id, or null when the call should not be traced.
+  function schedule(api, queue, fn, extra = {}) {
+    if (typeof fn !== "function" || fromNodeInternals()) return null;
+    const id = nextId++;
+    // The callback that starts a scoped trace is scheduled from outside it
+    if (!inScope() && !fn[MAIN_TICK]) return id;
+    record({
+      type: "schedule", api, queue, id,
+      label: describeCallback(fn),
+      from: currentQueue(), parent: currentCallback(),
+      ...extra,
+    });
+    return id;
+  }
+
+  // Wrap a callback so that running it is recorded and attributed to `queue`.
+  function wrap(fn, id, queue) {
+    if (id === null || typeof fn !== "function") return fn;
+    const main = fn[MAIN_TICK] === true;
+    return function traced(...args) {
+      const recorded = main || inScope();
+      if (recorded) record({ type: "run", queue, id });
+      if (main) sawMainTick = true;
+      stack.push({ id, queue: main ? "sync" : queue, scoped: main && scope === "main-tick" });
+      try {
+        return fn.apply(this, args);
+      } finally {
+        stack.pop();
+        if (recorded) record({ type: "done", id });
+      }
+    };
+  }
+
+  function install() {
+    if (installed) return;
+    installed = true;
+    hook.enable();
+
+    originals.nextTick = process.nextTick;
+    originals.queueMicrotask = globalThis.queueMicrotask;
+    originals.then = Promise.prototype.then;
+    originals.setTimeout = globalThis.setTimeout;
+    originals.setImmediate = globalThis.setImmediate;
+    originals.log = console.log;
+
+    process.nextTick = function nextTick(fn, ...args) {
+      const id = schedule("nextTick", "nextTick", fn);
+      return originals.nextTick.call(process, wrap(fn, id, "nextTick"), ...args);
+    };
+    globalThis.queueMicrotask = function queueMicrotask(fn) {
+      const id = schedule("queueMicrotask", "microtask", fn);
+      return originals.queueMicrotask.call(globalThis, wrap(fn, id, "microtask"));
+    };
+    Promise.prototype.then = function then(onFulfilled, onRejected) {
+      // A reaction on a still-pending promise isn't queued yet: it waits
+      // until that promise settles.
+      const handler = typeof onFulfilled === "function" ? onFulfilled : onRejected;
+      const id = schedule("then", "microtask", handler, { pending: inspect(this).includes("<pending>") });
+      return originals.then.call(this, wrap(onFulfilled, id, "microtask"), wrap(onRejected, id, "microtask"));
+    };
+    globalThis.setTimeout = timers.setTimeout = function setTimeout(fn, delay, ...args) {
+      const id = schedule("setTimeout", "timers", fn, { delay: delay ?? 0 });
+      return originals.setTimeout.call(globalThis, wrap(fn, id, "timers"), delay, ...args);
+    };
+    globalThis.setImmediate = timers.setImmediate = function setImmediate(fn, ...args) {
+      const id = schedule("setImmediate", "check", fn);
+      return originals.setImmediate.call(globalThis, wrap(fn, id, "check"), ...args);
+    };
+    syncBuiltinESMExports();
+    console.log = function log(...args) {
+      if (inScope()) {
+        record({ type: "log", queue: currentQueue(), callback: currentCallback(), text: format(...args) });
+      }
+      if (!quiet) return originals.log.apply(console, args);
+    };
+  }
+
+  function uninstall() {
+    if (!installed) return;
+    installed = false;
+    hook.disable();
+    process.nextTick = originals.nextTick;
+    globalThis.queueMicrotask = originals.queueMicrotask;
+    Promise.prototype.then = originals.then;
+    globalThis.setTimeout = timers.setTimeout = originals.setTimeout;
+    globalThis.setImmediate = timers.setImmediate = originals.setImmediate;
+    syncBuiltinESMExports();
+    console.log = originals.log;
+  }
+
+  /**
+   * Machine-readable trace.
+   * `mainTick` is "microtask" when the sync phase ran inside a Promise job
+   * (plain ES module script) and "macrotask" otherwise (CommonJS script, or
+   * demos started from their own MAIN_TICK immediate).
+   */
+  function toJSON() {
+    return {
+      node: process.version,
+      mainTick: !sawMainTick && mainType === "PROMISE" ? "microtask" : "macrotask",
+      events,
+    };
+  }
+
+  return { install, uninstall, toJSON, events };
+}
+
+/**
+ * Tagged, human-readable view of a trace: one line per console.log.
+ *   {timers    } [timer] T1 callback
+ */
+export function formatTrace(trace) {
+  const width = Math.max(...Object.keys(QUEUE_LABELS).map((q) => q.length));
+  return trace.events
+    .filter((e) => e.type === "log")
+    .map((e) => `{${e.queue.padEnd(width)}} ${e.text}`)
+    .join("\n");
+}
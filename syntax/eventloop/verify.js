@@ -0,0 +1,132 @@
+/**
+ * ================================================================
+ *        VERIFY hood.js AGAINST ITS "EXPECTED ORDER" COMMENT
+ * ================================================================
+ *
+ *   node eventloop/verify.js            # trace + verify hood.js
+ *   node eventloop/verify.js --show     # also print the tagged trace
+ *   node eventloop/verify.js --json     # print the raw trace as JSON
+ *
+ * For every DEMO block in the comment we check three things:
+ *   1) each listed line was actually printed,
+ *   2) it was printed from the queue/phase its [label] claims
+ *      ("[timer] ..." really ran in the Timers phase, etc.),
+ *   3) the lines came out in the listed order — strictly, except for the
+ *      pairs in RELAXATIONS where Node allows either order.
+ *
+ * Exit code is 1 if any demo fails, so this can run in CI.
+ */
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import { dirname, join, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { RELAXATIONS, findRelaxation, loadExpectedOrder } from "./expected.js";
+import { QUEUE_LABELS, formatTrace } from "./tracer.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Run `script` in a child process with the tracer preloaded.
+ * A separate process means the script runs exactly as `node script` would,
+ * and "settled" simply means "the process exited".
+ */
+export function traceScript(script) {
+  const out = join(os.tmpdir(), `event-loop-trace-${process.pid}-${Date.now()}.json`);
+  const preload = pathToFileURL(join(__dirname, "preload.js")).href;
+  const child = spawnSync(process.execPath, ["--import", preload, script], {
+    cwd: dirname(script),
+    env: { ...process.env, EVENT_LOOP_TRACE: out },
+    encoding: "utf8",
+  });
+  if (child.status !== 0) {
+    throw new Error(`${script} exited with code ${child.status}\n${child.stderr}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(out, "utf8"));
+  } finally {
+    fs.rmSync(out, { force: true });
+  }
+}
+
+// Assign every expected entry to the log line it refers to.
+// Longer prefixes claim first, so "[nextTick] A" is taken before the bare
+// "[nextTick]" of DEMO 1 gets to pick from what's left.
+function matchEntries(trace, expected) {
+  const logs = trace.events.filter((e) => e.type === "log");
+  const claimed = new Set();
+  const matches = new Map();
+  const all = expected.flatMap((d) => d.entries);
+  for (const entry of [...all].sort((a, b) => b.prefix.length - a.prefix.length)) {
+    const hit = logs.find((e) => !claimed.has(e) && e.text.startsWith(entry.prefix));
+    if (hit) {
+      claimed.add(hit);
+      matches.set(entry, hit);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Compare a trace with the expected ordering.
+ * Returns { ok, demos: [{ demo, ok, problems: [...], notes: [...] }] }.
+ */
+export function verify(trace, expected, relaxations = RELAXATIONS) {
+  const matches = matchEntries(trace, expected);
+
+  const demos = expected.map(({ demo, entries }) => {
+    const problems = [];
+    const notes = [];
+
+    for (const entry of entries) {
+      const hit = matches.get(entry);
+      if (!hit) {
+        problems.push(`missing: "${entry.prefix}"`);
+      } else if (QUEUE_LABELS[hit.queue] !== entry.label) {
+        problems.push(`"${hit.text}" ran in ${hit.queue}, not [${entry.label}]`);
+      }
+    }
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const a = matches.get(entries[i]);
+        const b = matches.get(entries[j]);
+        if (!a || !b || a.seq < b.seq) continue;
+
+        const relaxed = findRelaxation(demo, entries[i].label, entries[j].label, trace, relaxations);
+        if (relaxed) notes.push(`"${b.text}" came before "${a.text}" — allowed: ${relaxed.why}`);
+        else problems.push(`"${b.text}" came before "${a.text}"`);
+      }
+    }
+
+    return { demo, ok: problems.length === 0, problems, notes };
+  });
+
+  return { ok: demos.every((d) => d.ok), demos };
+}
+
+export function formatReport(report) {
+  const lines = [];
+  for (const d of report.demos) {
+    lines.push(`DEMO ${d.demo}: ${d.ok ? "PASS" : "FAIL"}`);
+    for (const p of d.problems) lines.push(`  ✗ ${p}`);
+    for (const n of d.notes) lines.push(`  ~ ${n}`);
+  }
+  return lines.join("\n");
+}
+
+// ----------------------- CLI -----------------------
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const script = resolve(args.find((a) => !a.startsWith("--")) ?? join(__dirname, "..", "hood.js"));
+
+  const trace = traceScript(script);
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(trace, null, 2));
+  } else {
+    if (args.includes("--show")) console.log(formatTrace(trace) + "\n");
+    const report = verify(trace, loadExpectedOrder(script));
+    console.log(formatReport(report));
+    process.exitCode = report.ok ? 0 : 1;
+  }
+}
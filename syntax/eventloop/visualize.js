@@ -0,0 +1,235 @@
+/**
+ * ================================================================
+ *              STEP-BY-STEP EVENT-LOOP VISUALIZER
+ * ================================================================
+ *
+ *   node eventloop/visualize.js 3                 # DEMO 3 (by number or name)
+ *   node eventloop/visualize.js --file snippet.js # your own code
+ *   node eventloop/visualize.js -e "setTimeout(() => console.log('hi'))"
+ *   node eventloop/visualize.js 3 --all           # print every step (no TTY needed)
+ *
+ * Keys:  → / n / space  next step     ← / p / b  previous step
+ *        g / G          first / last   q          quit
+ *
+ * The demo is run once for real with the tracer installed; every
+ * schedule / run / return / log it records becomes one step. Each step
+ * draws the call stack, the nextTick and microtask queues and the libuv
+ * phase queues as they were right after that event.
+ *
+ * Snippets run as a plain script (no `import`; `require` is available),
+ * started from their own main tick exactly like the hood.js demos.
+ *
+ * Not drawn: I/O that's still in flight (fs requests have no queue entry
+ * until their callback runs in the Poll phase).
+ */
+import fs from "node:fs";
+import { createRequire } from "node:module";
+import { resolve } from "node:path";
+import readline from "node:readline";
+import { fileURLToPath } from "node:url";
+import vm from "node:vm";
+import { isolated } from "../hood.js";
+import { findDemo, recordDemo } from "./run.js";
+
+const PHASES = ["timers", "pending", "poll", "check", "close"];
+
+const ROWS = [
+  ["nextTick", "nextTick queue"],
+  ["microtask", "Microtask queue"],
+  ["waiting", "Waiting on a promise"],
+  ["timers", "Timers (setTimeout)"],
+  ["check", "Check (setImmediate)"],
+];
+
+const CALLS = {
+  nextTick: "process.nextTick",
+  queueMicrotask: "queueMicrotask",
+  then: ".then",
+  setTimeout: "setTimeout",
+  setImmediate: "setImmediate",
+};
+
+// Where a callback runs when nothing we wrapped is on the stack
+const UNWRAPPED = {
+  poll: "I/O callback",
+  microtask: "await continuation",
+  sync: "main tick",
+};
+
+// Wrap a user snippet as a demo, so it runs like the hood.js ones.
+export function snippetDemo(source, filename = "snippet.js") {
+  const fn = vm.runInThisContext(`(function (require) {\n${source}\n})`, { filename });
+  return {
+    id: 0,
+    name: "snippet",
+    title: `SNIPPET: ${filename}`,
+    run: isolated(() => fn(createRequire(resolve(filename)))),
+  };
+}
+
+/**
+ * Replay a trace into frames: the state of the stack and every queue
+ * right after each event.
+ */
+export function buildFrames(trace) {
+  const stack = [];
+  const rows = Object.fromEntries(ROWS.map(([key]) => [key, []]));
+  const output = [];
+  const labels = new Map();
+  let phase = "main tick";
+  const frames = [];
+
+  const take = (id) => {
+    for (const row of Object.values(rows)) {
+      const at = row.findIndex((item) => item.id === id);
+      if (at !== -1) row.splice(at, 1);
+    }
+  };
+
+  for (const event of trace.events) {
+    let caption;
+    let note; // the "why" behind this step, when there's a rule worth naming
+    let context = event.from ?? event.queue; // where the event happened
+
+    switch (event.type) {
+      case "schedule": {
+        const row = event.pending ? "waiting" : event.queue;
+        const delay = event.delay !== undefined ? ` (${event.delay}ms)` : "";
+        labels.set(event.id, event.label);
+        rows[row].push({ id: event.id, label: event.label + delay });
+        if (event.pending) note = "a .then is only queued once its promise settles";
+        caption = event.pending
+          ? `${CALLS[event.api]}("${event.label}") waits for its promise`
+          : `${CALLS[event.api]}("${event.label}") → ${ROWS.find(([key]) => key === row)[1]}`;
+        break;
+      }
+      case "run": {
+        const label = labels.get(event.id) ?? "callback";
+        take(event.id);
+        stack.push({ id: event.id, label, queue: event.queue });
+        caption = label === "main tick"
+          ? "the demo's main tick starts (plain synchronous code)"
+          : `${event.queue} runs "${label}"`;
+        // The DEMO 3 question: why does setImmediate win inside I/O?
+        if (phase === "poll" && event.queue === "check") {
+          note = "Check follows Poll; Timers wait for the next loop iteration";
+        }
+        if (PHASES.includes(event.queue)) phase = event.queue;
+        context = event.queue;
+        break;
+      }
+      case "done": {
+        const frame = stack.pop();
+        const macrotask = frame && !["nextTick", "microtask"].includes(frame.queue);
+        caption = `"${frame?.label}" returned`;
+        if (macrotask) note = "after a macrotask: drain nextTick, then microtasks";
+        context = frame?.queue;
+        break;
+      }
+      case "log":
+        output.push(event.text);
+        if (event.queue === "poll") phase = "poll";
+        caption = `console.log → ${event.text.trim()}`;
+        break;
+    }
+
+    // I/O callbacks and await continuations aren't wrapped: show them anyway
+    const callStack = stack.map((f) => f.label);
+    if (!stack.length && UNWRAPPED[context]) callStack.push(`(${UNWRAPPED[context]})`);
+
+    frames.push({
+      event,
+      caption,
+      note,
+      phase,
+      callStack,
+      rows: Object.fromEntries(Object.entries(rows).map(([key, items]) => [key, items.map((i) => i.label)])),
+      output: [...output],
+    });
+  }
+  return frames;
+}
+
+function phaseBar(current) {
+  return PHASES.map((p) => (p === current ? `[${p.toUpperCase()}]` : p)).join(" → ");
+}
+
+export function renderFrame(frame, { title, index, total, width = 78 }) {
+  const clip = (s) => (s.length > width - 6 ? s.slice(0, width - 7) + "…" : s);
+  const lines = [
+    `${title}`.padEnd(width - 14) + `step ${index + 1}/${total}`.padStart(14),
+    "─".repeat(width),
+    `Loop:  ${phaseBar(frame.phase)}`,
+    `Event: ${clip(frame.caption)}`,
+  ];
+  if (frame.note) lines.push(`Why:   ${clip(frame.note)}`);
+  lines.push("", "Call stack");
+  const callStack = frame.callStack.length ? [...frame.callStack].reverse() : ["(empty)"];
+  for (const f of callStack) lines.push(`  ▸ ${clip(f)}`);
+
+  for (const [key, name] of ROWS) {
+    lines.push("", `${name}${frame.rows[key].length ? "" : ": (empty)"}`);
+    frame.rows[key].forEach((label, i) => lines.push(`  ${i + 1}. ${clip(label)}`));
+  }
+
+  lines.push("", "Output");
+  for (const text of frame.output.slice(-8)) lines.push(`  ${clip(text.trim())}`);
+  return lines.join("\n");
+}
+
+function printAll(frames, title) {
+  frames.forEach((frame, index) => {
+    console.log(renderFrame(frame, { title, index, total: frames.length }) + "\n");
+  });
+}
+
+function interactive(frames, title) {
+  let index = 0;
+  const draw = () => {
+    const width = Math.min(process.stdout.columns ?? 80, 100) - 2;
+    process.stdout.write("\x1b[2J\x1b[H");
+    console.log(renderFrame(frames[index], { title, index, total: frames.length, width }));
+    console.log("\n←/p back   →/n/space next   g/G first/last   q quit");
+  };
+
+  readline.emitKeypressEvents(process.stdin);
+  process.stdin.setRawMode(true);
+  return new Promise((done) => {
+    process.stdin.on("keypress", (str, key) => {
+      if (key.name === "q" || (key.ctrl && key.name === "c")) {
+        process.stdin.setRawMode(false);
+        process.stdin.pause();
+        return done();
+      }
+      if (["right", "n", "space"].includes(key.name)) index = Math.min(index + 1, frames.length - 1);
+      else if (["left", "p", "b"].includes(key.name)) index = Math.max(index - 1, 0);
+      else if (str === "g") index = 0;
+      else if (str === "G") index = frames.length - 1;
+      draw();
+    });
+    draw();
+  });
+}
+
+// ----------------------- CLI -----------------------
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const valueOf = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+
+  try {
+    const file = valueOf("--file");
+    const code = valueOf("-e");
+    const demo = file
+      ? snippetDemo(fs.readFileSync(file, "utf8"), file)
+      : code !== undefined
+        ? snippetDemo(code)
+        : findDemo(args.find((a) => !a.startsWith("-")) ?? 3);
+
+    const frames = buildFrames(await recordDemo(demo));
+    if (args.includes("--all") || !process.stdin.isTTY) printAll(frames, demo.title);
+    else await interactive(frames, demo.title);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+}
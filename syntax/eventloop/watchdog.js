@@ -0,0 +1,109 @@
+/**
+ * ================================================================
+ *                 EVENT-LOOP STARVATION WATCHDOG
+ * ================================================================
+ *
+ * A starved event loop can't run a timer that would stop it — that's the
+ * whole problem. So the watchdog works from both sides:
+ *
+ *   • A heartbeat (setImmediate, every loop iteration) records when the
+ *     loop last got a turn. The starving code calls `dog.tripped()`; once
+ *     the loop has been stuck longer than `thresholdMs`, it says so and
+ *     the demo stops itself. The longest gap between two heartbeats is
+ *     the event-loop delay.
+ *
+ *   • Probes — a setTimeout(0), a setImmediate and an fs.stat — are
+ *     scheduled at start(). Each would normally fire within a millisecond
+ *     or two; how late they actually fire is the damage done to timers
+ *     and I/O.
+ *
+ * Why not perf_hooks.monitorEventLoopDelay()? Its sampling timer only
+ * starts on the loop turn after enable(), so a stall that begins in the
+ * same tick (exactly what these demos do) never shows up in it.
+ */
+import fs from "node:fs";
+import { performance } from "node:perf_hooks";
+import { fileURLToPath } from "node:url";
+
+const ms = (n) => `${n.toFixed(1)}ms`;
+
+export function createWatchdog({ thresholdMs = 200 } = {}) {
+  const probes = {};
+  let startedAt;
+  let lastTurn;
+  let maxGapMs = 0;
+  let stoppedAt;
+  let reason;
+  let finish;
+  const done = new Promise((resolve) => { finish = resolve; });
+
+  function beat() {
+    const now = performance.now();
+    maxGapMs = Math.max(maxGapMs, now - lastTurn);
+    lastTurn = now;
+    if (stoppedAt === undefined) setImmediate(beat);
+    else settle();
+  }
+
+  function probe(name, schedule) {
+    const requested = performance.now();
+    probes[name] = null;
+    schedule(() => {
+      probes[name] = performance.now() - requested;
+      if (stoppedAt !== undefined) settle();
+    });
+  }
+
+  // Resolve `done` once stopped, every probe has reported in and the
+  // heartbeat has had its first turn after the stall (so it's measured).
+  function settle() {
+    if (Object.values(probes).some((delay) => delay === null)) return;
+    if (lastTurn < stoppedAt) return;
+    finish(report());
+  }
+
+  function report() {
+    return {
+      reason,
+      thresholdMs,
+      stoppedAfterMs: stoppedAt - startedAt,
+      loopDelayMs: maxGapMs,
+      probes: { ...probes },
+    };
+  }
+
+  return {
+    start() {
+      startedAt = lastTurn = performance.now();
+      setImmediate(beat);
+      probe("setTimeout(0)", (cb) => setTimeout(cb, 0));
+      probe("setImmediate", (cb) => setImmediate(cb));
+      probe("fs.stat", (cb) => fs.stat(fileURLToPath(import.meta.url), cb));
+    },
+
+    /** True once the loop hasn't had a turn for longer than the threshold. */
+    tripped() {
+      return performance.now() - lastTurn > thresholdMs;
+    },
+
+    /** Stop watching. `why` describes what the demo was doing. */
+    stop(why) {
+      if (stoppedAt !== undefined) return;
+      stoppedAt = performance.now();
+      reason = why;
+      settle();
+    },
+
+    /** Resolves with the report once stopped and all probes have fired. */
+    done,
+  };
+}
+
+/** The report as [watchdog] log lines. */
+export function formatWatchdogReport(r) {
+  return [
+    `[watchdog] ${r.reason}: stopped after ${ms(r.stoppedAfterMs)} (threshold ${r.thresholdMs}ms)`,
+    `[watchdog] event loop went ${ms(r.loopDelayMs)} without a turn`,
+    ...Object.entries(r.probes).map(([name, delay]) => `[watchdog] ${name} fired ${ms(delay)} after it was scheduled`),
+  ];
+}
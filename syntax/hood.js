@@ -33,6 +33,8 @@
  *          (a) process.nextTick queue (Node-specific; runs before microtasks)
  *          (b) Microtask queue (Promises, queueMicrotask)
  *      • In browsers: only microtasks (no nextTick).
+ *        `node eventloop/compare.js` replays the demos in a simulated
+ *        browser loop and diffs the order against Node's.
  *
  * 5) PROMISES & ASYNC/AWAIT
  *    - Promise callbacks (then/catch/finally) are *microtasks*.
@@ -52,6 +54,8 @@
  *    - process.nextTick can starve the event loop if you schedule it
  *      recursively; it always runs before microtasks and before yielding
  *      to the next macrotask. Use sparingly.
+ *    - A Promise chain that keeps queueing microtasks does the same, and a
+ *      long synchronous loop blocks everything. DEMO 6–8 measure all three.
  *
  * 8) Bottom line mental model
  *    - Sync code runs now.
@@ -63,126 +67,274 @@
  */
 
 // ----------------------- LIVE DEMOS -----------------------
+//
+// Each demo is its own unit: `await demo.run()` schedules the demo from a
+// fresh macrotask (so its "main tick" is a clean one, with nothing else in
+// the queues) and resolves only after every timer, immediate and I/O
+// callback it scheduled has run. Run them with:
+//
+//   node hood.js              # all demos, one after another
+//   node hood.js 3            # just DEMO 3
+//   node hood.js io-callback  # same, by name
+//
 import fs from "node:fs";
 import { setImmediate } from "node:timers";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
+import { createWatchdog, formatWatchdogReport } from "./eventloop/watchdog.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+export const TEMP_FILE = join(__dirname, ".event-loop-demo.tmp");
+
+// Marks a demo's own "main tick" callback, so tools such as
+// eventloop/tracer.js can tell it apart from the immediate that starts it.
+export const MAIN_TICK = Symbol.for("hood.mainTick");
+
 // Helper to print a header
-function header(title) {
+export function header(title) {
   console.log("\n" + "-".repeat(70));
   console.log(title);
   console.log("-".repeat(70));
 }
 
-// Demo 1: Synchronous vs microtasks vs timers vs immediate on main tick
-header("DEMO 1: main tick ordering (sync → nextTick → microtasks → timers/check)");
-
-console.log("[sync] start main script");
-
-process.nextTick(() => {
-  console.log("[nextTick] runs before microtasks");
-});
-
-queueMicrotask(() => {
-  console.log("[microtask] queueMicrotask");
-});
-
-Promise.resolve().then(() => {
-  console.log("[microtask] Promise.then #1");
-}).then(() => {
-  console.log("[microtask] Promise.then #2 (chained)");
-});
-
-setTimeout(() => {
-  console.log("[timer] setTimeout 0ms (Timers phase)");
-}, 0);
-
-setImmediate(() => {
-  console.log("[check] setImmediate (Check phase)");
-});
-
-console.log("[sync] end main script");
-
-// Demo 2: async/await resumes as a microtask
-header("DEMO 2: async/await resumes in microtasks");
-
-(async () => {
-  console.log("[sync] inside async IIFE before await");
-  await null; // same as Promise.resolve()
-  console.log("[microtask] async resumed after await");
-})();
-
-// Demo 3: I/O callback context: setImmediate vs setTimeout(0)
-header("DEMO 3: inside I/O callback → setImmediate beats setTimeout(0)");
-
-const tempFile = join(__dirname, ".event-loop-demo.tmp");
-fs.writeFileSync(tempFile, "hello");
-
-fs.readFile(tempFile, "utf8", (err, data) => {
-  if (err) throw err;
-  console.log("[I/O] fs.readFile callback");
-
-  setTimeout(() => {
-    console.log("[timer] setTimeout(0) inside I/O callback");
-  }, 0);
-
-  setImmediate(() => {
-    console.log("[check] setImmediate inside I/O callback (usually before timeout)");
-  });
-
-  // Microtasks inside an I/O callback:
-  process.nextTick(() => {
-    console.log("[nextTick] inside I/O callback (before microtasks)");
-  });
-
-  Promise.resolve().then(() => {
-    console.log("[microtask] Promise.then inside I/O callback");
-  });
-});
-
-// Demo 4: nextTick vs microtasks draining order (be careful!)
-header("DEMO 4: nextTick drains fully before microtasks; avoid starvation");
-
-process.nextTick(() => {
-  console.log("[nextTick] A");
-});
-process.nextTick(() => {
-  console.log("[nextTick] B (still before microtasks)");
-});
-
-Promise.resolve().then(() => {
-  console.log("[microtask] Promise.then after draining ALL nextTicks");
-});
-
-// Demo 5: Nested scheduling (show draining after each macrotask)
-header("DEMO 5: draining microtasks after each macrotask callback");
-
-setTimeout(() => {
-  console.log("[timer] T1 callback");
-  Promise.resolve().then(() => {
-    console.log("[microtask] after T1");
-  });
-  setTimeout(() => {
-    console.log("[timer] T2 callback (scheduled by T1)");
-    queueMicrotask(() => {
-      console.log("[microtask] after T2");
+// Resources that mean "a demo callback is still on its way"
+const PENDING_RESOURCES = new Set(["Timeout", "Immediate", "FSReqCallback", "FSReqPromise"]);
+
+// Resolves once nothing the demo scheduled is left in the loop.
+// Each check happens from a Check-phase hop, after the previous
+// macrotask and its nextTicks/microtasks have fully drained.
+async function settled() {
+  const busy = () => process.getActiveResourcesInfo().some((r) => PENDING_RESOURCES.has(r));
+  do {
+    await new Promise((resolve) => setImmediate(resolve));
+  } while (busy());
+}
+
+// Turn a demo body into an isolated, awaitable run().
+// Exported so tools can wrap user snippets the same way.
+export function isolated(body) {
+  const run = async () => {
+    await new Promise((resolve, reject) => {
+      const mainTick = () => {
+        try {
+          body();
+          resolve();
+        } catch (err) {
+          reject(err);
+        }
+      };
+      mainTick[MAIN_TICK] = true;
+      setImmediate(mainTick);
     });
-  }, 0);
-}, 0);
+    await settled();
+  };
+  run.body = body; // for tools that show the demo's source (eventloop/quiz.js)
+  return run;
+}
+
+export const demos = [
+  // Demo 1: Synchronous vs microtasks vs timers vs immediate on main tick
+  {
+    id: 1,
+    name: "main-tick",
+    title: "DEMO 1: main tick ordering (sync → nextTick → microtasks → timers/check)",
+    run: isolated(() => {
+      console.log("[sync] start main script");
+
+      process.nextTick(() => {
+        console.log("[nextTick] runs before microtasks");
+      });
+
+      queueMicrotask(() => {
+        console.log("[microtask] queueMicrotask");
+      });
+
+      Promise.resolve().then(() => {
+        console.log("[microtask] Promise.then #1");
+      }).then(() => {
+        console.log("[microtask] Promise.then #2 (chained)");
+      });
+
+      setTimeout(() => {
+        console.log("[timer] setTimeout 0ms (Timers phase)");
+      }, 0);
+
+      setImmediate(() => {
+        console.log("[check] setImmediate (Check phase)");
+      });
+
+      console.log("[sync] end main script");
+    }),
+  },
+
+  // Demo 2: async/await resumes as a microtask
+  {
+    id: 2,
+    name: "async-await",
+    title: "DEMO 2: async/await resumes in microtasks",
+    run: isolated(() => {
+      (async () => {
+        console.log("[sync] inside async IIFE before await");
+        await null; // same as Promise.resolve()
+        console.log("[microtask] async resumed after await");
+      })();
+    }),
+  },
+
+  // Demo 3: I/O callback context: setImmediate vs setTimeout(0)
+  {
+    id: 3,
+    name: "io-callback",
+    title: "DEMO 3: inside I/O callback → setImmediate beats setTimeout(0)",
+    run: isolated(() => {
+      fs.writeFileSync(TEMP_FILE, "hello");
+
+      fs.readFile(TEMP_FILE, "utf8", (err, data) => {
+        if (err) throw err;
+        console.log("[I/O] fs.readFile callback");
 
-// Clean up temp file eventually
-setTimeout(() => {
-  try { fs.unlinkSync(tempFile); } catch {}
-}, 50);
+        setTimeout(() => {
+          console.log("[timer] setTimeout(0) inside I/O callback");
+        }, 0);
+
+        setImmediate(() => {
+          console.log("[check] setImmediate inside I/O callback (usually before timeout)");
+        });
+
+        // Microtasks inside an I/O callback:
+        process.nextTick(() => {
+          console.log("[nextTick] inside I/O callback (before microtasks)");
+        });
+
+        Promise.resolve().then(() => {
+          console.log("[microtask] Promise.then inside I/O callback");
+        });
+      });
+    }),
+  },
+
+  // Demo 4: nextTick vs microtasks draining order (be careful!)
+  {
+    id: 4,
+    name: "nexttick-drain",
+    title: "DEMO 4: nextTick drains fully before microtasks; avoid starvation",
+    run: isolated(() => {
+      process.nextTick(() => {
+        console.log("[nextTick] A");
+      });
+      process.nextTick(() => {
+        console.log("[nextTick] B (still before microtasks)");
+      });
+
+      Promise.resolve().then(() => {
+        console.log("[microtask] Promise.then after draining ALL nextTicks");
+      });
+    }),
+  },
+
+  // Demo 5: Nested scheduling (show draining after each macrotask)
+  {
+    id: 5,
+    name: "nested-drain",
+    title: "DEMO 5: draining microtasks after each macrotask callback",
+    run: isolated(() => {
+      setTimeout(() => {
+        console.log("[timer] T1 callback");
+        Promise.resolve().then(() => {
+          console.log("[microtask] after T1");
+        });
+        setTimeout(() => {
+          console.log("[timer] T2 callback (scheduled by T1)");
+          queueMicrotask(() => {
+            console.log("[microtask] after T2");
+          });
+        }, 0);
+      }, 0);
+    }),
+  },
+
+  // Demos 6–8: the starvation gotchas from section 7, measured.
+  // Each one is stopped by a watchdog once the loop has been stuck for
+  // 200ms, then reports how late a timer, an immediate and an fs callback
+  // (all scheduled at the start) actually ran.
+
+  // Demo 6: recursive nextTick never lets the loop move on
+  {
+    id: 6,
+    name: "nexttick-starvation",
+    title: "DEMO 6: recursive process.nextTick starves timers and I/O",
+    run: isolated(() => {
+      const dog = createWatchdog({ thresholdMs: 200 });
+      dog.done.then((report) => formatWatchdogReport(report).forEach((line) => console.log(line)));
+      dog.start();
+
+      let ticks = 0;
+      const spin = () => {
+        ticks++;
+        if (dog.tripped()) return dog.stop(`nextTick recursion (${ticks} ticks)`);
+        process.nextTick(spin);
+      };
+      process.nextTick(spin);
+    }),
+  },
+
+  // Demo 7: a microtask that keeps queueing microtasks does the same
+  {
+    id: 7,
+    name: "microtask-starvation",
+    title: "DEMO 7: a runaway Promise chain starves timers and I/O too",
+    run: isolated(() => {
+      const dog = createWatchdog({ thresholdMs: 200 });
+      dog.done.then((report) => formatWatchdogReport(report).forEach((line) => console.log(line)));
+      dog.start();
+
+      let links = 0;
+      const spin = () => {
+        links++;
+        if (dog.tripped()) return dog.stop(`microtask chain (${links} links)`);
+        Promise.resolve().then(spin);
+      };
+      Promise.resolve().then(spin);
+    }),
+  },
+
+  // Demo 8: plain blocking code — no queue involved, just a busy stack
+  {
+    id: 8,
+    name: "blocking-loop",
+    title: "DEMO 8: a blocking synchronous loop stalls everything",
+    run: isolated(() => {
+      const dog = createWatchdog({ thresholdMs: 200 });
+      dog.done.then((report) => formatWatchdogReport(report).forEach((line) => console.log(line)));
+      dog.start();
+
+      let iterations = 0;
+      while (!dog.tripped()) iterations++;
+      dog.stop(`blocking loop (${iterations} iterations)`);
+    }),
+  },
+];
+
+// Run directly (`node hood.js [demo...]`) → hand off to the runner.
+// Not awaited on purpose: the runner imports this module, so it has to
+// finish evaluating first.
+if (process.argv[1] === __filename) {
+  import("./eventloop/run.js").then(({ main }) => main(process.argv.slice(2)));
+}
 
 /**
  * --------------------------------------------------------------
  * EXPECTED ORDER HIGHLIGHTS (typical in Node, may vary slightly):
  *
+ * Checked by `npm run verify:hood` (eventloop/verify.js), which traces
+ * which queue/phase each log really ran in. Where Node allows either
+ * order it says so instead of failing (setTimeout(0) vs setImmediate in
+ * DEMO 1). Each demo starts from its own setImmediate callback: a plain
+ * ES module's top level is itself a microtask, and there Promise
+ * callbacks would run before process.nextTick.
+ *
  * DEMO 1 (main tick):
  *   [sync] start
  *   [sync] end
@@ -0,0 +1,47 @@
+/**
+ * Dev-mode freezing: with freezeOutputs(true), everything the helpers
+ * return is deep-frozen, so code that mutates state it should be copying
+ * throws a TypeError (modules are strict) instead of quietly changing a
+ * branch the old and new state share.
+ *
+ * Only containers are frozen: plain objects, arrays, and Maps, whose
+ * set/delete/clear are replaced with ones that throw (Object.freeze alone
+ * doesn't stop them). Values already frozen are not descended into, so
+ * after the first update only the freshly copied path costs anything.
+ *
+ * Off by default: freezing walks the whole value the first time.
+ */
+let enabled = false;
+
+/** Turn dev-mode freezing on or off; returns the previous setting. */
+export function freezeOutputs(on = true) {
+  const previous = enabled;
+  enabled = Boolean(on);
+  return previous;
+}
+
+function refuse() {
+  throw new TypeError("Cannot modify a frozen Map (immutable dev mode)");
+}
+
+function deepFreeze(value) {
+  if (value === null || typeof value !== "object" || Object.isFrozen(value)) return;
+  const proto = Object.getPrototypeOf(value);
+  if (value instanceof Map) {
+    for (const method of ["set", "delete", "clear"]) Object.defineProperty(value, method, { value: refuse });
+    Object.freeze(value);
+    for (const [key, item] of value) {
+      deepFreeze(key);
+      deepFreeze(item);
+    }
+  } else if (Array.isArray(value) || proto === Object.prototype || proto === null) {
+    Object.freeze(value);
+    for (const key of Reflect.ownKeys(value)) deepFreeze(value[key]);
+  }
+}
+
+/** `value`, deep-frozen when dev mode is on. */
+export function frozen(value) {
+  if (enabled) deepFreeze(value);
+  return value;
+}
@@ -0,0 +1,80 @@
+// Types for immutable/index.js — keep in step with the implementation.
+//
+// Paths are checked against the target's type, up to 6 levels deep:
+//
+//   setIn(state, "user.prefs.theme", "dark");   // ok
+//   setIn(state, "user.prefs.theme", 1);        // error: theme is a string
+//   setIn(state, "user.perfs.theme", "dark");   // error: no such path
+//
+// Untyped (any/unknown) targets take any path and give back unknown.
+
+/** Values a path stops at: nothing inside them can be addressed. */
+type Leaf = string | number | boolean | bigint | symbol | null | undefined | Date | RegExp | ((...args: any[]) => unknown);
+
+type Depth = [never, 0, 1, 2, 3, 4, 5];
+type Keys<T> = keyof T & (string | number | symbol);
+
+/** Every path into T as an array of keys. */
+export type PathTuple<T, D extends number = 6> = [D] extends [never] ? never
+  : T extends Leaf ? never
+  : T extends ReadonlyMap<infer K, infer V> ? [K] | [K, ...PathTuple<NonNullable<V>, Depth[D]>]
+  : T extends readonly (infer E)[] ? [number] | [number, ...PathTuple<NonNullable<E>, Depth[D]>]
+  : { [K in Keys<T>]-?: [K] | [K, ...PathTuple<NonNullable<T[K]>, Depth[D]>] }[Keys<T>];
+
+/** Every path into T as a dotted string; only string Map keys can be spelled this way. */
+export type DottedPath<T, D extends number = 6> = [D] extends [never] ? never
+  : T extends Leaf ? never
+  : T extends ReadonlyMap<infer K, infer V> ? (K & string) | `${K & string}.${DottedPath<NonNullable<V>, Depth[D]>}`
+  : T extends readonly (infer E)[] ? `${number}` | `${number}.${DottedPath<NonNullable<E>, Depth[D]>}`
+  : { [K in keyof T & (string | number)]-?: `${K}` | `${K}.${DottedPath<NonNullable<T[K]>, Depth[D]>}` }[keyof T & (string | number)];
+
+export type LoosePath = string | readonly unknown[];
+export type Path<T> = unknown extends T ? LoosePath : PathTuple<T> | DottedPath<T>;
+
+type Split<S extends string> = S extends `${infer Head}.${infer Rest}` ? [Head, ...Split<Rest>] : [S];
+type Segments<P> = P extends string ? (P extends "" ? [] : Split<P>) : P;
+
+type Child<T, K, Missing> = T extends ReadonlyMap<any, infer V> ? V | Missing
+  : T extends readonly (infer E)[] ? E | Missing
+  : K extends keyof T ? T[K]
+  : K extends `${infer N extends number}` ? (N extends keyof T ? T[N] : never)
+  : never;
+
+type Read<T, P> = unknown extends T ? unknown
+  : P extends readonly [infer K, ...infer Rest]
+    ? Read<Child<NonNullable<T>, K, undefined>, Rest> | (T extends null | undefined ? undefined : never)
+    : T;
+
+type Write<T, P> = unknown extends T ? unknown
+  : P extends readonly [infer K, ...infer Rest] ? Write<Child<NonNullable<T>, K, never>, Rest> : T;
+
+/** What getIn() finds at P: undefined included wherever the path may not exist. */
+export type ValueAt<T, P> = Read<T, Segments<P>>;
+/** What setIn() accepts at P. */
+export type SettableAt<T, P> = Write<T, Segments<P>>;
+
+type MergeSource<V> = NonNullable<V> extends ReadonlyMap<infer K, infer X> ? ReadonlyMap<K, X> | (string extends K ? { [key: string]: X } : never)
+  : Partial<NonNullable<V>>;
+
+export function getIn<T, const P extends Path<T>>(target: T, path: P): ValueAt<T, P>;
+/** `notSetValue` stands in for a missing path (an explicit undefined still counts as there). */
+export function getIn<T, const P extends Path<T>, N>(target: T, path: P, notSetValue: N): Exclude<ValueAt<T, P>, undefined> | N;
+
+export function setIn<T, const P extends Path<T>>(target: T, path: P, value: SettableAt<T, P>): T;
+
+export function updateIn<T, const P extends Path<T>>(
+  target: T, path: P, fn: (current: ValueAt<T, P>) => SettableAt<T, P>,
+): T;
+export function updateIn<T, const P extends Path<T>, N>(
+  target: T, path: P, fn: (current: Exclude<ValueAt<T, P>, undefined> | N) => SettableAt<T, P>, notSetValue: N,
+): T;
+
+export function mergeIn<T, const P extends Path<T>>(target: T, path: P, source: MergeSource<SettableAt<T, P>>): T;
+
+export function removeIn<T, const P extends Path<T>>(target: T, path: P): T;
+
+/** "a.b.0" → ["a", "b", "0"]; arrays are returned as they are. */
+export function toPath<P extends LoosePath>(path: P): P extends string ? string[] : P;
+
+/** Deep-freeze everything the helpers return; returns the previous setting. */
+export function freezeOutputs(on?: boolean): boolean;
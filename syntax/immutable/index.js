@@ -0,0 +1,25 @@
+/**
+ * ================================================================
+ *     PATH-BASED IMMUTABLE UPDATES — no more nested spreads
+ * ================================================================
+ *
+ *   import { getIn, setIn, updateIn, mergeIn, removeIn } from "syntax/immutable";
+ *
+ *   const next = setIn(state, "user.prefs.theme", "dark");
+ *   // the "safe nested updates" from datastructures.js, in one line:
+ *   // next.user.prefs is a copy, and so are next.user and next itself,
+ *   // but every other branch of `state` is shared, not copied.
+ *
+ *   getIn(state, ["zoo", 0, "name"]);                // "Leo"
+ *   updateIn(state, "stats.visits", (n) => n + 1, 0);
+ *   mergeIn(state, "user.prefs", { lang: "fr" });
+ *   removeIn(state, ["sessions", token]);            // Map keys can be anything
+ *
+ * A path is an array of keys, or a dotted string of them ("zoo.0.name");
+ * the dotted form can't reach keys that contain a dot, symbol keys or
+ * non-string Map keys. Arrays, Maps and plain objects can all be walked
+ * through; update.js has the details, and freeze.js the dev-mode check
+ * (freezeOutputs()) that catches code mutating what it should copy.
+ */
+export { freezeOutputs } from "./freeze.js";
+export { getIn, mergeIn, removeIn, setIn, toPath, updateIn } from "./update.js";
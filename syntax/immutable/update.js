@@ -0,0 +1,187 @@
+/**
+ * The path helpers. Each one walks `path` from the root and, on the way
+ * back up, copies only the containers whose child actually changed:
+ * everything off the path is shared with the input, and an update that
+ * changes nothing hands back the input itself.
+ *
+ * Containers are plain objects (null-prototype ones too), arrays and
+ * Maps. Reading (getIn) goes through any object; writing through
+ * anything else — a class instance, a Set, a string — is a TypeError
+ * naming the path, as is writing through null.
+ */
+import { describeProto } from "../deep/kinds.js";
+import { formatPath } from "../deep/path.js";
+import { frozen } from "./freeze.js";
+
+/** "user.prefs.theme" → ["user", "prefs", "theme"]; arrays pass through. */
+export function toPath(path) {
+  if (typeof path === "string") return path === "" ? [] : path.split(".");
+  if (Array.isArray(path)) return path;
+  throw new TypeError("a path is an array of keys or a dotted string");
+}
+
+const containerOf = (node) => {
+  if (Array.isArray(node)) return "array";
+  if (node instanceof Map) return "map";
+  const proto = node !== null && typeof node === "object" ? Object.getPrototypeOf(node) : undefined;
+  return proto === Object.prototype || proto === null ? "object" : undefined;
+};
+
+const has = (node, key) => {
+  if (node === null || typeof node !== "object") return false;
+  if (node instanceof Map) return node.has(key);
+  return containerOf(node) ? Object.hasOwn(node, key) : key in node;
+};
+
+const read = (node, key) => (!has(node, key) ? undefined : node instanceof Map ? node.get(key) : node[key]);
+
+const segmentsOf = (keys, end) => keys.slice(0, end).map((key) => ["prop", typeof key === "symbol" ? key : String(key)]);
+
+function fail(fn, keys, depth, what) {
+  return new TypeError(`${fn}: ${what} at ${formatPath(segmentsOf(keys, depth))}`);
+}
+
+function containerAt(fn, node, keys, depth) {
+  const container = containerOf(node);
+  if (container) return container;
+  const what = node === null ? "null" : typeof node === "object" ? `a ${describeProto(Object.getPrototypeOf(node))}` : `a ${typeof node}`;
+  throw fail(fn, keys, depth, `can't update ${what}`);
+}
+
+function indexAt(fn, key, keys, depth) {
+  const index = typeof key === "string" && /^(0|[1-9]\d*)$/.test(key) ? Number(key) : key;
+  if (!Number.isSafeInteger(index) || index < 0) throw fail(fn, keys, depth, `${String(key)} is not an array index`);
+  return index;
+}
+
+// Copies keep the prototype and every own enumerable key, and define
+// (rather than assign) them, so a "__proto__" key stays a plain key.
+const define = (object, key, value) =>
+  Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+
+function copyObject(node, skip) {
+  const copy = Object.create(Object.getPrototypeOf(node));
+  for (const key of Reflect.ownKeys(node)) {
+    if (key !== skip && Object.prototype.propertyIsEnumerable.call(node, key)) define(copy, key, node[key]);
+  }
+  return copy;
+}
+
+function write(fn, node, key, value, keys, depth) {
+  switch (containerAt(fn, node, keys, depth)) {
+    case "map":
+      return new Map(node).set(key, value);
+    case "array": {
+      const copy = node.slice();
+      copy[indexAt(fn, key, keys, depth + 1)] = value;
+      return copy;
+    }
+    default:
+      return define(copyObject(node), key, value);
+  }
+}
+
+function remove(fn, node, key, keys, depth) {
+  switch (containerAt(fn, node, keys, depth)) {
+    case "map": {
+      const copy = new Map(node);
+      copy.delete(key);
+      return copy;
+    }
+    case "array": {
+      const copy = node.slice();
+      copy.splice(indexAt(fn, key, keys, depth + 1), 1);
+      return copy;
+    }
+    default:
+      return copyObject(node, typeof key === "symbol" ? key : String(key));
+  }
+}
+
+/**
+ * The value at `path`, or `notSetValue` if the path doesn't exist (an
+ * explicit undefined counts as existing).
+ */
+export function getIn(target, path, notSetValue) {
+  let node = target;
+  for (const key of toPath(path)) {
+    if (!has(node, key)) return notSetValue;
+    node = read(node, key);
+  }
+  return node;
+}
+
+function setAt(fn, node, keys, depth, value) {
+  if (depth === keys.length) return value;
+  const key = keys[depth];
+  // A missing container is created: an array for a number key, else an object.
+  if (node === undefined) node = typeof key === "number" ? [] : {};
+  containerAt(fn, node, keys, depth);
+  const child = read(node, key);
+  const next = setAt(fn, child, keys, depth + 1, value);
+  if (Object.is(next, child) && has(node, key)) return node;
+  return write(fn, node, key, next, keys, depth);
+}
+
+/** A copy of `target` with `value` at `path`; missing containers along the way are created. */
+export function setIn(target, path, value) {
+  return frozen(setAt("setIn", target, toPath(path), 0, value));
+}
+
+/** setIn() with `fn(current)`, where current is getIn(target, path, notSetValue). */
+export function updateIn(target, path, fn, notSetValue) {
+  if (typeof fn !== "function") throw new TypeError("updateIn: the updater must be a function");
+  const keys = toPath(path);
+  return frozen(setAt("updateIn", target, keys, 0, fn(getIn(target, keys, notSetValue))));
+}
+
+function merge(current, source, keys) {
+  const entries = source instanceof Map ? [...source] : Reflect.ownKeys(source)
+    .filter((key) => Object.prototype.propertyIsEnumerable.call(source, key))
+    .map((key) => [key, source[key]]);
+  if (current === undefined) current = source instanceof Map ? new Map() : {};
+  const container = containerAt("mergeIn", current, keys, keys.length);
+  if (container === "array") throw fail("mergeIn", keys, keys.length, "can't merge into an array");
+  if (containerOf(source) !== "object" && !(container === "map" && source instanceof Map)) {
+    const into = container === "map" ? "a Map" : "an object";
+    throw fail("mergeIn", keys, keys.length, `can't merge a ${describeProto(Object.getPrototypeOf(source))} into ${into}`);
+  }
+  let merged;
+  for (const [key, value] of entries) {
+    if (has(current, key) && Object.is(read(current, key), value)) continue;
+    merged ??= container === "map" ? new Map(current) : copyObject(current);
+    if (container === "map") merged.set(key, value);
+    else define(merged, key, value);
+  }
+  return merged ?? current;
+}
+
+/**
+ * Shallow-merges `source` into the object or Map at `path` (creating it
+ * if missing). Keys whose value is already identical don't cause a copy.
+ */
+export function mergeIn(target, path, source) {
+  if (source === null || typeof source !== "object") throw new TypeError("mergeIn: the source must be an object or a Map");
+  const keys = toPath(path);
+  return frozen(setAt("mergeIn", target, keys, 0, merge(getIn(target, keys), source, keys)));
+}
+
+function removeAt(node, keys, depth) {
+  const key = keys[depth];
+  if (!has(node, key)) return node;
+  if (depth === keys.length - 1) return remove("removeIn", node, key, keys, depth);
+  const child = read(node, key);
+  const next = removeAt(child, keys, depth + 1);
+  return next === child ? node : write("removeIn", node, key, next, keys, depth);
+}
+
+/**
+ * A copy of `target` without the key at the end of `path`: deleted from
+ * objects and Maps, spliced out of arrays (later elements shift down).
+ * A path that doesn't exist leaves `target` as it is.
+ */
+export function removeIn(target, path) {
+  const keys = toPath(path);
+  if (keys.length === 0) throw new TypeError("removeIn: can't remove the root");
+  return frozen(removeAt(target, keys, 0));
+}
@@ -0,0 +1,108 @@
+// Types for oop/index.js — keep in step with the implementation.
+
+export class Animal {
+  name: string;
+  age: number;
+  constructor(name: string, age: number);
+  speak(): string;
+  get secret(): string;
+  /** Writes are ignored (with a warning). */
+  set secret(val: unknown);
+  toString(): string;
+  toJSON(): { type: "Animal"; name: string; age: number };
+  static kingdom: string;
+  static describe(): string;
+}
+
+export class Lion extends Animal {
+  hunt(): string;
+  parentSpeak(): string;
+  static species(): string;
+}
+
+export class Engine {
+  hp: number;
+  constructor(hp: number);
+  start(): string;
+}
+
+export class Car {
+  engine: Engine;
+  constructor(hp: number);
+  drive(): string;
+}
+
+export interface OldSchoolPoint {
+  x: number;
+  y: number;
+  len(): number;
+}
+export const OldSchoolPoint: {
+  new (x: number, y: number): OldSchoolPoint;
+  prototype: OldSchoolPoint;
+};
+
+export class Button {
+  label: string;
+  onClick: () => string;
+  constructor(label: string);
+}
+
+export const CanRun: {
+  run(this: { name?: string | undefined }): string;
+};
+
+export class Box<T = unknown> {
+  items: T[];
+  constructor(seed?: T);
+  add(x: T): void;
+}
+
+export { MemoryRepo, Repository } from "../repository/index.js";
+
+export class Tagged {
+  get [Symbol.toStringTag](): "TaggedThing";
+}
+
+export interface AsyncCtor {
+  data: number;
+  getData(): number;
+}
+/** `new AsyncCtor(x)` is a Promise of the instance — always await it. */
+export const AsyncCtor: {
+  new (x: number): Promise<AsyncCtor>;
+  prototype: AsyncCtor;
+};
+
+export interface Profile {
+  handle: string;
+  karma: number;
+}
+
+export class User<P = Profile> {
+  id: number;
+  profile: P;
+  constructor(id: number, profile: P);
+  static create(id: number): Promise<User<Profile>>;
+  static create<P>(id: number, loadProfile: (id: number) => Promise<P>): Promise<User<P>>;
+}
+
+export class DBClient {
+  connected: boolean;
+  init(): Promise<this>;
+  /** Throws "not connected" before init() has resolved. */
+  query(q: string): string;
+}
+
+export interface CounterLike {
+  inc(): number;
+  readonly value: number;
+}
+
+export function makeCounter(start?: number): CounterLike;
+
+export class Counter implements CounterLike {
+  constructor(start?: number);
+  inc(): number;
+  get value(): number;
+}
@@ -0,0 +1,234 @@
+/**
+ * ================================================================
+ *              OOP PATTERNS — the importable version
+ * ================================================================
+ *
+ *   import { Animal, Lion, MemoryRepo, User, DBClient } from "syntax/oop";
+ *
+ * Every class and factory the oop.js playground walks through, with no
+ * side effects on import. oop.js itself is now just the demo: it imports
+ * from here and prints what each pattern does.
+ *
+ * Types for TypeScript consumers (backend/project1) live in index.d.ts
+ * next to this file.
+ */
+
+/**
+ * 1) CLASS BASICS: constructor, instance fields, methods, toString
+ */
+export class Animal {
+  // Public instance fields
+  name;
+  age;
+
+  // Private field (hard-private)
+  #secret = "I eat quietly";
+
+  constructor(name, age) {
+    this.name = name;
+    this.age = age;
+  }
+
+  speak() {
+    return `${this.name} makes a sound.`;
+  }
+
+  // Getter/Setter (encapsulation)
+  get secret() {
+    return `(redacted)`;
+  }
+  set secret(val) {
+    // pretend to validate or log; we won’t allow writes
+    console.warn("secret is read-only; ignoring", val);
+  }
+
+  // Customize stringification
+  toString() {
+    return `Animal(${this.name}, ${this.age})`;
+  }
+
+  // Custom JSON serialization. Subclasses inherit it, type and all; see
+  // syntax/serialize for JSON that reads back as the right class.
+  toJSON() {
+    return { type: "Animal", name: this.name, age: this.age };
+  }
+
+  // Static members (class-wide)
+  static kingdom = "Animalia";
+  static describe() {
+    return `All creatures belong to ${this.kingdom}.`;
+  }
+}
+
+/**
+ * 2) INHERITANCE & POLYMORPHISM: extends, super, override
+ */
+export class Lion extends Animal {
+  #kills = 0;
+
+  constructor(name, age) {
+    super(name, age); // must call before accessing this
+  }
+
+  hunt() {
+    this.#kills++;
+    return `${this.name} hunted (#${this.#kills}).`;
+  }
+
+  // Override
+  speak() {
+    return `${this.name} roars!`;
+  }
+
+  // Call parent version if you need to
+  parentSpeak() {
+    return super.speak();
+  }
+
+  // Private static field/method
+  static #species = "Panthera leo";
+  static species() {
+    return this.#species;
+  }
+}
+
+/**
+ * 3) COMPOSITION: “has-a” instead of “is-a”
+ */
+export class Engine {
+  constructor(hp) { this.hp = hp; }
+  start() { return `Engine(${this.hp}hp) started`; }
+}
+
+export class Car {
+  engine; // composed
+  constructor(hp) {
+    this.engine = new Engine(hp);
+  }
+  drive() { return `${this.engine.start()} → Car driving`; }
+}
+
+/**
+ * 4) PROTOTYPES: classic function constructor + prototype methods
+ * (Classes are sugar over prototypes.)
+ */
+export function OldSchoolPoint(x, y) {
+  this.x = x; this.y = y;
+}
+OldSchoolPoint.prototype.len = function () {
+  return Math.hypot(this.x, this.y);
+};
+
+/**
+ * 5) THIS BINDING: an arrow function field captures `this` for good,
+ * so the method survives being passed around as a callback.
+ */
+export class Button {
+  constructor(label) {
+    this.label = label;
+    // Arrow captures lexical this
+    this.onClick = () => `Clicked ${this.label}`;
+  }
+}
+
+/**
+ * 6) MIXINS: a bag of methods to copy into a prototype.
+ * Object.assign(SomeClass.prototype, CanRun) patches that class for every
+ * module that imports it — prefer applying it to your own subclass.
+ */
+export const CanRun = {
+  run() { return `${this.name ?? "It"} runs fast!`; }
+};
+
+/**
+ * 7) IMMUTABILITY & COPY: a class field holding a mutable array.
+ * Copying an instance shallowly shares `items`; deep copy what you own.
+ */
+export class Box {
+  items = [];
+  constructor(seed) { if (seed) this.items.push(seed); }
+  add(x) { this.items.push(x); }
+}
+
+/**
+ * 8) “ABSTRACT” PATTERN: emulate abstract methods with throws.
+ * The base Repository throws from every method and MemoryRepo overrides
+ * them all. Both grew into a full async contract with more backends, so
+ * they now live in ../repository/ — re-exported here under the same names.
+ */
+export { MemoryRepo } from "../repository/memory.js";
+export { Repository } from "../repository/repository.js";
+
+/**
+ * 9) SYMBOLS & BRANDING (custom tagging)
+ */
+export class Tagged { get [Symbol.toStringTag]() { return "TaggedThing"; } }
+
+/**
+ * 10) ASYNC INIT PATTERNS
+ * Constructors themselves cannot be `async` (no `await` there),
+ * but they *can* return an object. Returning a Promise “works”,
+ * yet it turns `new C()` into a Promise — surprising ergonomics.
+ * Prefer a static async factory or an async init() method.
+ */
+
+// 10a) “Async constructor” that returns a Promise.
+// ⚠ Caveat: `const inst = await new AsyncCtor()` works,
+// but without await you just have a Promise, not an instance.
+export class AsyncCtor {
+  data;
+  constructor(x) {
+    return (async () => {
+      await Promise.resolve(); // simulate async
+      this.data = x * 2;
+      return this;             // returning an object replaces `this`
+    })();
+  }
+  getData() { return this.data; }
+}
+
+// 10b) Preferred: static async factory (idiomatic).
+// The profile loader is a parameter so callers can plug in a real fetch;
+// the default pretends to fetch one.
+const fakeProfile = async () => ({ handle: "big-cat", karma: 9001 });
+
+export class User {
+  id; profile;
+  constructor(id, profile) {
+    this.id = id; this.profile = profile;
+  }
+  static async create(id, loadProfile = fakeProfile) {
+    const profile = await loadProfile(id);
+    return new User(id, profile);
+  }
+}
+
+// 10c) Alternative: 2-phase init (async init() returning this).
+// backend/project1/src/db/client.ts grows this into a pooled client with close().
+export class DBClient {
+  connected = false;
+  async init() {
+    await Promise.resolve();
+    this.connected = true;
+    return this; // allow chaining/awaiting
+  }
+  query(q) { if (!this.connected) throw new Error("not connected"); return `Result(${q})`; }
+}
+
+/**
+ * 11) PATTERN: FACTORY vs CLASS — same counter, two kinds of privacy
+ */
+export function makeCounter(start = 0) {
+  let n = start; // closure = private state
+  return {
+    inc() { n++; return n; },
+    get value() { return n; }
+  };
+}
+
+export class Counter {
+  #n;
+  constructor(start = 0) { this.#n = start; }
+  inc() { this.#n++; return this.#n; }
+  get value() { return this.#n; }
+}
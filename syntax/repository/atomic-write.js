@@ -0,0 +1,28 @@
+import fs from "node:fs/promises";
+import { dirname, join, basename } from "node:path";
+
+let seq = 0;
+
+/**
+ * Replace `file` with `data` so that readers (and a crash) only ever see
+ * the old content or the new one, never half of each: write a temp file
+ * next to it, flush it to disk, then rename it over the target.
+ */
+export async function writeFileAtomic(file, data) {
+  const dir = dirname(file);
+  await fs.mkdir(dir, { recursive: true });
+  const tmp = join(dir, `.${basename(file)}.${process.pid}.${++seq}.tmp`);
+  const handle = await fs.open(tmp, "w");
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.rename(tmp, file);
+  } catch (err) {
+    await fs.rm(tmp, { force: true });
+    throw err;
+  }
+}
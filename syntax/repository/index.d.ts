@@ -0,0 +1,60 @@
+// Types for repository/index.js — keep in step with the implementation.
+// The contract is documented in repository.js.
+
+export type Id = string | number;
+export type FilterValue = string | number | boolean | null;
+
+/** Every listed field must equal its value; null also matches a missing field. */
+export type Where<T> = { [K in keyof T]?: (T[K] & FilterValue) | null };
+
+/** "field" ascending, "-field" descending. */
+export type OrderBy<T> = (keyof T & string) | `-${keyof T & string}`;
+
+export interface Query<T> {
+  where?: Where<T>;
+  orderBy?: OrderBy<T>;
+  offset?: number;
+  limit?: number;
+}
+
+export interface RepositoryOptions {
+  /** Name of the id property (default "id"). */
+  idKey?: string;
+}
+
+/** An entity as passed to save(): the id may be left out and is then generated. */
+export type NewEntity<T extends { id: Id }> = Omit<T, "id"> & { id?: T["id"] };
+
+export class Repository<T extends { id: Id } = { id: Id; [field: string]: unknown }> {
+  readonly idKey: string;
+  constructor(options?: RepositoryOptions);
+  save(entity: NewEntity<T>): Promise<T>;
+  findById(id: T["id"]): Promise<T | undefined>;
+  findAll(query?: Query<T>): Promise<T[]>;
+  update(id: T["id"], patch: Partial<Omit<T, "id">>): Promise<T | undefined>;
+  delete(id: T["id"]): Promise<boolean>;
+  count(where?: Where<T>): Promise<number>;
+}
+
+export class MemoryRepo<T extends { id: Id } = { id: Id; [field: string]: unknown }> extends Repository<T> {
+  store: Map<T["id"], T>;
+}
+
+export class JsonFileRepo<T extends { id: Id } = { id: Id; [field: string]: unknown }> extends Repository<T> {
+  readonly file: string;
+  constructor(file: string, options?: RepositoryOptions);
+}
+
+export interface SqlRepoOptions extends RepositoryOptions {
+  /** Database file; in memory only when left out. */
+  file?: string;
+  /** Table name (default "entities"). */
+  table?: string;
+}
+
+export class SqlRepo<T extends { id: Id } = { id: Id; [field: string]: unknown }> extends Repository<T> {
+  readonly file: string | undefined;
+  readonly table: string;
+  constructor(options?: SqlRepoOptions);
+  close(): Promise<void>;
+}
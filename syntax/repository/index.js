@@ -0,0 +1,19 @@
+/**
+ * ================================================================
+ *            REPOSITORIES — one async contract, three backends
+ * ================================================================
+ *
+ *   import { MemoryRepo, JsonFileRepo, SqlRepo } from "syntax/repository";
+ *
+ *   MemoryRepo     a Map in this process
+ *   JsonFileRepo   one JSON file on disk, rewritten atomically
+ *   SqlRepo        embedded SQLite (sql.js), in memory or in a file
+ *
+ * The contract itself (methods, query options, copy semantics) is
+ * documented in repository.js. test/repository.test.js runs the same
+ * conformance suite against every backend.
+ */
+export { Repository } from "./repository.js";
+export { MemoryRepo } from "./memory.js";
+export { JsonFileRepo } from "./json-file.js";
+export { SqlRepo } from "./sql.js";
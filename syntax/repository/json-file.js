@@ -0,0 +1,112 @@
+/**
+ * JSON-file backend: every entity lives in one file on disk, as a JSON
+ * array in insertion order.
+ *
+ *   const repo = new JsonFileRepo("data/animals.json");
+ *
+ * The file is read on first use and rewritten atomically after every
+ * change (see atomic-write.js), so a crash mid-write leaves the previous
+ * version intact. Operations run one at a time, in call order, so two
+ * concurrent saves can't lose each other's writes. A missing file is an
+ * empty repository.
+ */
+import fs from "node:fs/promises";
+import { writeFileAtomic } from "./atomic-write.js";
+import { assertId, matches, parseQuery, parseWhere, patched, runQuery, withId } from "./query.js";
+import { Repository } from "./repository.js";
+
+export class JsonFileRepo extends Repository {
+  file;
+  #entities = null; // id → entity once loaded
+  #queue = Promise.resolve();
+
+  constructor(file, options) {
+    super(options);
+    this.file = file;
+  }
+
+  // Run fn after every operation queued before it; a failure doesn't
+  // block the ones queued after.
+  #exclusive(fn) {
+    const run = this.#queue.then(fn);
+    this.#queue = run.catch(() => {});
+    return run;
+  }
+
+  async #load() {
+    if (this.#entities) return this.#entities;
+    let list = [];
+    try {
+      list = JSON.parse(await fs.readFile(this.file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    if (!Array.isArray(list)) throw new Error(`${this.file} does not contain a JSON array`);
+    this.#entities = new Map(list.map((e) => [e[this.idKey], e]));
+    return this.#entities;
+  }
+
+  // Write `next` to disk, and only then make it the current state.
+  async #commit(next) {
+    await writeFileAtomic(this.file, JSON.stringify([...next.values()], null, 2) + "\n");
+    this.#entities = next;
+  }
+
+  async save(entity) {
+    return this.#exclusive(async () => {
+      const stored = JSON.parse(JSON.stringify(withId(entity, this.idKey)));
+      const next = new Map(await this.#load());
+      next.set(stored[this.idKey], stored);
+      await this.#commit(next);
+      return structuredClone(stored);
+    });
+  }
+
+  async findById(id) {
+    assertId(id);
+    return this.#exclusive(async () => {
+      const found = (await this.#load()).get(id);
+      return found && structuredClone(found);
+    });
+  }
+
+  async findAll(query) {
+    const parsed = parseQuery(query);
+    return this.#exclusive(async () => structuredClone(runQuery([...(await this.#load()).values()], parsed)));
+  }
+
+  async update(id, patch) {
+    assertId(id);
+    return this.#exclusive(async () => {
+      const current = await this.#load();
+      const found = current.get(id);
+      if (!found) return undefined;
+      const updated = JSON.parse(JSON.stringify(patched(found, patch, this.idKey)));
+      const next = new Map(current);
+      next.set(id, updated);
+      await this.#commit(next);
+      return structuredClone(updated);
+    });
+  }
+
+  async delete(id) {
+    assertId(id);
+    return this.#exclusive(async () => {
+      const current = await this.#load();
+      if (!current.has(id)) return false;
+      const next = new Map(current);
+      next.delete(id);
+      await this.#commit(next);
+      return true;
+    });
+  }
+
+  async count(where) {
+    const filter = parseWhere(where);
+    return this.#exclusive(async () => {
+      let n = 0;
+      for (const entity of (await this.#load()).values()) if (matches(entity, filter)) n++;
+      return n;
+    });
+  }
+}
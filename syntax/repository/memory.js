@@ -0,0 +1,45 @@
+/**
+ * In-memory backend: the Map-based MemoryRepo from oop.js, grown into the
+ * full async contract. Nothing survives the process — ideal for tests and
+ * as a default.
+ */
+import { assertId, matches, parseQuery, parseWhere, patched, runQuery, withId } from "./query.js";
+import { Repository } from "./repository.js";
+
+export class MemoryRepo extends Repository {
+  store = new Map(); // id → entity, in insertion order
+
+  async save(entity) {
+    const stored = structuredClone(withId(entity, this.idKey));
+    this.store.set(stored[this.idKey], stored);
+    return structuredClone(stored);
+  }
+
+  async findById(id) {
+    const found = this.store.get(assertId(id));
+    return found && structuredClone(found);
+  }
+
+  async findAll(query) {
+    return structuredClone(runQuery([...this.store.values()], parseQuery(query)));
+  }
+
+  async update(id, patch) {
+    const found = this.store.get(assertId(id));
+    if (!found) return undefined;
+    const updated = structuredClone(patched(found, patch, this.idKey));
+    this.store.set(id, updated);
+    return structuredClone(updated);
+  }
+
+  async delete(id) {
+    return this.store.delete(assertId(id));
+  }
+
+  async count(where) {
+    const filter = parseWhere(where);
+    let n = 0;
+    for (const entity of this.store.values()) if (matches(entity, filter)) n++;
+    return n;
+  }
+}
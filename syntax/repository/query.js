@@ -0,0 +1,93 @@
+/**
+ * Query handling shared by the backends: validation of the options
+ * described in repository.js, plus the in-process matching, ordering and
+ * paging used by the backends that don't have SQL to do it for them.
+ */
+import { randomUUID } from "node:crypto";
+
+const FIELD = /^[A-Za-z_$][\w$]*$/;
+
+export function assertField(name, what = "field") {
+  if (typeof name !== "string" || !FIELD.test(name)) {
+    throw new TypeError(`invalid ${what} name: ${JSON.stringify(name)}`);
+  }
+  return name;
+}
+
+export function assertId(id) {
+  if (typeof id !== "string" && typeof id !== "number") {
+    throw new TypeError(`id must be a string or a number, got ${id === null ? "null" : typeof id}`);
+  }
+  return id;
+}
+
+const isFilterValue = (v) => v === null || ["string", "number", "boolean"].includes(typeof v);
+
+/** Validate `where` and return its [field, value] pairs. */
+export function parseWhere(where = {}) {
+  if (where === null || typeof where !== "object" || Array.isArray(where)) {
+    throw new TypeError("where must be an object of { field: value }");
+  }
+  return Object.entries(where).map(([field, value]) => {
+    assertField(field);
+    if (!isFilterValue(value)) {
+      throw new TypeError(`where.${field} must be a string, number, boolean or null`);
+    }
+    return [field, value];
+  });
+}
+
+const isCount = (n) => Number.isInteger(n) && n >= 0;
+
+/** Validate a findAll() query and fill in the defaults. */
+export function parseQuery({ where, orderBy, offset = 0, limit = Infinity } = {}) {
+  let order = null;
+  if (orderBy !== undefined) {
+    const desc = typeof orderBy === "string" && orderBy.startsWith("-");
+    order = { field: assertField(desc ? orderBy.slice(1) : orderBy, "orderBy"), desc };
+  }
+  if (!isCount(offset)) throw new TypeError("offset must be a non-negative integer");
+  if (limit !== Infinity && !isCount(limit)) throw new TypeError("limit must be a non-negative integer");
+  return { where: parseWhere(where), order, offset, limit };
+}
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+/** Give the entity an id if it has none, and check the one it has. */
+export function withId(entity, idKey) {
+  if (!isPlainObject(entity)) throw new TypeError("an entity must be a plain object");
+  const id = entity[idKey] ?? randomUUID();
+  return { ...entity, [idKey]: assertId(id) };
+}
+
+/** The entity after update(id, patch): a shallow merge that keeps the id. */
+export function patched(entity, patch, idKey) {
+  if (!isPlainObject(patch)) throw new TypeError("a patch must be a plain object");
+  return { ...entity, ...patch, [idKey]: entity[idKey] };
+}
+
+export function matches(entity, where) {
+  return where.every(([field, value]) => (value === null ? entity[field] == null : entity[field] === value));
+}
+
+// SQLite's cross-type order: NULL < numbers < text < everything else.
+const rank = (v) => (v == null ? 0 : typeof v === "number" || typeof v === "boolean" ? 1 : typeof v === "string" ? 2 : 3);
+
+export function compareValues(a, b) {
+  const ra = rank(a);
+  const rb = rank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 1) return Number(a) - Number(b);
+  if (ra === 2) return a < b ? -1 : a > b ? 1 : 0;
+  return 0;
+}
+
+/** Filter, order and page entities held in insertion order. */
+export function runQuery(entities, { where, order, offset, limit }) {
+  const hits = entities.filter((e) => matches(e, where));
+  if (order) {
+    const sign = order.desc ? -1 : 1;
+    hits.sort((a, b) => sign * compareValues(a[order.field], b[order.field])); // stable: ties keep insertion order
+  }
+  return hits.slice(offset, offset + limit);
+}
@@ -0,0 +1,46 @@
+/**
+ * ================================================================
+ *                 THE REPOSITORY CONTRACT (async)
+ * ================================================================
+ *
+ * Grown out of the "abstract-ish" Repository in oop.js: the base class
+ * still throws for every method, and each backend overrides all of them.
+ *
+ *   save(entity)            → stored copy; inserts, or replaces by id.
+ *                             A missing id is generated (a UUID).
+ *   findById(id)            → copy, or undefined
+ *   findAll(query)          → array of copies
+ *   update(id, patch)       → shallow-merged copy, or undefined if missing.
+ *                             The id itself cannot be patched.
+ *   delete(id)              → true if something was removed
+ *   count(where)            → number of matching entities
+ *
+ * A query is { where, orderBy, offset, limit }, all optional:
+ *
+ *   where    { field: value, ... } — every field must equal its value
+ *            (===; null also matches a missing field). Values must be
+ *            strings, numbers, booleans or null.
+ *   orderBy  "field" ascending, "-field" descending. Mixed types sort
+ *            null/missing < numbers and booleans < strings, like SQLite.
+ *            Ties (and no orderBy at all) keep insertion order.
+ *   offset   entities to skip (default 0)
+ *   limit    max entities to return (default: all)
+ *
+ * Entities are plain JSON-compatible objects, and every method hands out
+ * copies: changing a returned object never changes what is stored.
+ */
+export class Repository {
+  /** Name of the id property on every entity. */
+  idKey;
+
+  constructor({ idKey = "id" } = {}) {
+    this.idKey = idKey;
+  }
+
+  async save() { throw new Error("save() must be implemented"); }
+  async findById() { throw new Error("findById() must be implemented"); }
+  async findAll() { throw new Error("findAll() must be implemented"); }
+  async update() { throw new Error("update() must be implemented"); }
+  async delete() { throw new Error("delete() must be implemented"); }
+  async count() { throw new Error("count() must be implemented"); }
+}
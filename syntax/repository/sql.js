@@ -0,0 +1,191 @@
+/**
+ * Embedded SQL backend: a real SQLite database (compiled to WebAssembly by
+ * sql.js), so it runs fully locally — no server, no native build.
+ *
+ *   const repo = new SqlRepo();                                  // in memory
+ *   const repo = new SqlRepo({ file: "data/zoo.sqlite", table: "animals" });
+ *
+ * Each entity is one row: its id in an untyped primary key column (so 1
+ * and "1" stay different ids, as in a Map) and the whole entity as JSON.
+ * Filtering and ordering happen in SQL, through json_extract().
+ *
+ * With a `file`, the database is loaded from it on first use and written
+ * back atomically after every change; close() releases the database.
+ */
+import fs from "node:fs/promises";
+import initSqlJs from "sql.js";
+import { writeFileAtomic } from "./atomic-write.js";
+import { assertField, assertId, parseQuery, parseWhere, patched, withId } from "./query.js";
+import { Repository } from "./repository.js";
+
+let engine; // the WebAssembly module, loaded once per process
+
+// A where clause that compares like ===: json_type() keeps 1 from
+// matching true, and "1" from matching 1.
+const JSON_TYPES = { string: "'text'", number: "'integer', 'real'" };
+
+function whereSql(where) {
+  if (!where.length) return { sql: "", params: [] };
+  const clauses = [];
+  const params = [];
+  for (const [field, value] of where) {
+    const path = `$.${field}`;
+    if (value === null) {
+      clauses.push("json_extract(data, ?) IS NULL");
+      params.push(path);
+    } else if (typeof value === "boolean") {
+      clauses.push("json_type(data, ?) = ?");
+      params.push(path, String(value));
+    } else {
+      clauses.push(`json_type(data, ?) IN (${JSON_TYPES[typeof value]}) AND json_extract(data, ?) = ?`);
+      params.push(path, path, value);
+    }
+  }
+  return { sql: ` WHERE ${clauses.join(" AND ")}`, params };
+}
+
+export class SqlRepo extends Repository {
+  file;
+  table;
+  #db = null; // Promise<Database> once opened
+  #queue = Promise.resolve();
+
+  constructor({ file, table = "entities", ...options } = {}) {
+    super(options);
+    this.file = file;
+    this.table = assertField(table, "table");
+  }
+
+  // Same idea as DBClient.init() in oop.js, but safe to call concurrently:
+  // everyone awaits the one open in progress.
+  #open() {
+    this.#db ??= (async () => {
+      engine ??= initSqlJs();
+      const SQL = await engine;
+      let bytes;
+      if (this.file) {
+        try {
+          bytes = await fs.readFile(this.file);
+        } catch (err) {
+          if (err.code !== "ENOENT") throw err;
+        }
+      }
+      const db = new SQL.Database(bytes);
+      db.run(`CREATE TABLE IF NOT EXISTS "${this.table}" (id PRIMARY KEY, data TEXT NOT NULL)`);
+      return db;
+    })().catch((err) => {
+      this.#db = null; // let the next operation try again
+      throw err;
+    });
+    return this.#db;
+  }
+
+  // Operations run one at a time, in call order, like JsonFileRepo — so a
+  // read never sees a half-persisted change and the file is saved in order.
+  #exclusive(fn) {
+    const run = this.#queue.then(async () => fn(await this.#open()));
+    this.#queue = run.catch(() => {});
+    return run;
+  }
+
+  // If the file can't be written, forget the in-memory database too: the
+  // next operation reopens from the file, so memory never runs ahead of disk.
+  async #persist(db) {
+    if (!this.file) return;
+    try {
+      await writeFileAtomic(this.file, db.export());
+    } catch (err) {
+      this.#db = null;
+      db.close();
+      throw err;
+    }
+  }
+
+  #rows(db, sql, params) {
+    const stmt = db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const rows = [];
+      while (stmt.step()) rows.push(stmt.get());
+      return rows;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  #get(db, id) {
+    const [row] = this.#rows(db, `SELECT data FROM "${this.table}" WHERE id = ?`, [id]);
+    return row && JSON.parse(row[0]);
+  }
+
+  async save(entity) {
+    return this.#exclusive(async (db) => {
+      const stored = withId(entity, this.idKey);
+      const id = stored[this.idKey];
+      db.run(
+        `INSERT INTO "${this.table}" (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`,
+        [id, JSON.stringify(stored)],
+      );
+      await this.#persist(db);
+      return this.#get(db, id);
+    });
+  }
+
+  async findById(id) {
+    assertId(id);
+    return this.#exclusive((db) => this.#get(db, id));
+  }
+
+  async findAll(query) {
+    const { where, order, offset, limit } = parseQuery(query);
+    const filter = whereSql(where);
+    const params = [...filter.params];
+    let orderBy = "rowid";
+    if (order) {
+      orderBy = `json_extract(data, ?) ${order.desc ? "DESC" : "ASC"}, rowid`;
+      params.push(`$.${order.field}`);
+    }
+    params.push(limit === Infinity ? -1 : limit, offset);
+    const sql = `SELECT data FROM "${this.table}"${filter.sql} ORDER BY ${orderBy} LIMIT ? OFFSET ?`;
+    return this.#exclusive((db) => this.#rows(db, sql, params).map((row) => JSON.parse(row[0])));
+  }
+
+  async update(id, patch) {
+    assertId(id);
+    return this.#exclusive(async (db) => {
+      const found = this.#get(db, id);
+      if (!found) return undefined;
+      const updated = patched(found, patch, this.idKey);
+      db.run(`UPDATE "${this.table}" SET data = ? WHERE id = ?`, [JSON.stringify(updated), id]);
+      await this.#persist(db);
+      return this.#get(db, id);
+    });
+  }
+
+  async delete(id) {
+    assertId(id);
+    return this.#exclusive(async (db) => {
+      db.run(`DELETE FROM "${this.table}" WHERE id = ?`, [id]);
+      const removed = db.getRowsModified() > 0;
+      if (removed) await this.#persist(db);
+      return removed;
+    });
+  }
+
+  async count(where) {
+    const filter = whereSql(parseWhere(where));
+    const sql = `SELECT COUNT(*) FROM "${this.table}"${filter.sql}`;
+    return this.#exclusive((db) => this.#rows(db, sql, filter.params)[0][0]);
+  }
+
+  /** Release the database once the operations queued so far are done. */
+  async close() {
+    const closing = this.#queue.then(async () => {
+      const db = await this.#db;
+      this.#db = null;
+      db?.close();
+    });
+    this.#queue = closing.catch(() => {});
+    return closing;
+  }
+}
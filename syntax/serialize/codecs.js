@@ -0,0 +1,75 @@
+/**
+ * Built-in codecs for what plain JSON loses. Each one encodes to JSON
+ * data, which may itself hold tagged values, and decodes from that data
+ * after everything inside it has already been decoded.
+ *
+ *   Map        [[key, value], ...]   keys of any type; insertion order kept
+ *   Set        [value, ...]
+ *   Date       ISO string, or null for an invalid date
+ *   BigInt     decimal string
+ *   undefined  no value at all:  { "$type": "undefined" }
+ *   Object     [[key, value], ...]   a plain object with its own "$type"
+ *                                    key, so it can't pass for a tag
+ *
+ * Data that doesn't fit its tag throws a DecodeError.
+ */
+
+/** Text that can't be read back: an unknown tag, or a tagged value of the wrong shape. */
+export class DecodeError extends TypeError {
+  constructor(message) {
+    super(message);
+    this.name = "DecodeError";
+  }
+}
+
+export const builtins = [
+  {
+    tag: "Map",
+    proto: Map.prototype,
+    encode: (map) => [...map],
+    decode: (entries) => new Map(checkEntries("Map", entries)),
+  },
+  {
+    tag: "Set",
+    proto: Set.prototype,
+    encode: (set) => [...set],
+    decode: (values) => new Set(checkArray("Set", values)),
+  },
+  {
+    tag: "Date",
+    proto: Date.prototype,
+    encode: (date) => (Number.isNaN(date.getTime()) ? null : date.toISOString()),
+    decode: (iso) => {
+      if (iso !== null && typeof iso !== "string") throw new DecodeError("Date: expected an ISO string or null");
+      return new Date(iso ?? NaN);
+    },
+  },
+  {
+    tag: "BigInt",
+    proto: null,
+    encode: (n) => n.toString(),
+    decode: (digits) => {
+      if (typeof digits !== "string" || !/^-?\d+$/.test(digits)) throw new DecodeError("BigInt: expected a string of digits");
+      return BigInt(digits);
+    },
+  },
+  { tag: "undefined", proto: null, encode: () => undefined, decode: () => undefined },
+  {
+    tag: "Object",
+    proto: null, // only used for plain objects that need escaping, see json.js
+    encode: (object) => Object.entries(object),
+    decode: (entries) => Object.fromEntries(checkEntries("Object", entries)),
+  },
+];
+
+function checkArray(tag, data) {
+  if (!Array.isArray(data)) throw new DecodeError(`${tag}: expected an array`);
+  return data;
+}
+
+function checkEntries(tag, data) {
+  if (!checkArray(tag, data).every((entry) => Array.isArray(entry) && entry.length === 2)) {
+    throw new DecodeError(`${tag}: expected [[key, value], ...]`);
+  }
+  return data;
+}
@@ -0,0 +1,54 @@
+// Types for serialize/index.js — keep in step with the implementation.
+
+import type { Class } from "../deep/index.js";
+
+export type { Class };
+
+/** The key that marks a tagged value: { "$type": "Map", "value": [...] }. */
+export const TAG: "$type";
+
+/** What the default encode() writes: the instance's data properties. */
+export type Fields<T> = { [K in keyof T as T[K] extends (...args: any[]) => any ? never : K]: T[K] };
+
+export interface TypeOptions<T, D> {
+  /** Written as "$type" (default: the class's name). */
+  tag?: string;
+  /** Instance → JSON data; tagged values inside it are encoded too (default: own enumerable properties). */
+  encode?: (value: T) => D;
+  /** Data → instance, with anything tagged inside it already decoded (default: copied onto Object.create(Class.prototype)). */
+  decode?: (data: D) => T;
+}
+
+/** Reading failed: an unknown tag, or a tagged value of the wrong shape. */
+export class DecodeError extends TypeError {}
+
+/** Class-aware JSON with a registry of its own. */
+export class Serializer {
+  /** Throws if the tag belongs to another class or a built-in. */
+  register<C extends Class, D = Fields<InstanceType<C>>>(Class: C, options?: TypeOptions<InstanceType<C>, D>): C;
+  unregister(Class: Class): boolean;
+  /** JSON.stringify(value, replacer, space). */
+  stringify(value: unknown, space?: string | number): string;
+  /** JSON.parse(text, reviver). Throws a DecodeError on unknown or malformed tags; the caller vouches for T. */
+  parse<T = unknown>(text: string): T;
+  /** Decodes a tree JSON.parse() produced without a reviver, in place. */
+  revive<T = unknown>(tree: unknown): T;
+  /** A JSON.stringify() replacer, e.g. for app.set("json replacer", serializer.replacer). */
+  readonly replacer: (this: unknown, key: string, value: unknown) => unknown;
+  /** A JSON.parse() reviver, e.g. for express.json({ reviver: serializer.reviver }). */
+  readonly reviver: (this: unknown, key: string, value: unknown) => unknown;
+}
+
+/** The shared Serializer's register(); throws if the tag belongs to another class or a built-in. */
+export function registerType<C extends Class, D = Fields<InstanceType<C>>>(Class: C, options?: TypeOptions<InstanceType<C>, D>): C;
+export function unregisterType(Class: Class): boolean;
+
+/** JSON.stringify(value, replacer, space). */
+export function stringify(value: unknown, space?: string | number): string;
+/** JSON.parse(text, reviver). Throws a DecodeError on unknown or malformed tags. */
+export function parse<T = unknown>(text: string): T;
+
+/** A JSON.stringify() replacer, e.g. for app.set("json replacer", replacer). */
+export function replacer(this: unknown, key: string, value: unknown): unknown;
+/** A JSON.parse() reviver, e.g. for express.json({ reviver }). */
+export function reviver(this: unknown, key: string, value: unknown): unknown;
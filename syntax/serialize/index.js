@@ -0,0 +1,24 @@
+/**
+ * ================================================================
+ *      CLASS-AWARE JSON — what Animal.toJSON() can't give back
+ * ================================================================
+ *
+ *   import { registerType, stringify, parse } from "syntax/serialize";
+ *
+ *   registerType(Lion, { decode: ({ name, age }) => new Lion(name, age) });
+ *   const text = stringify({ pride: new Map([["leader", new Lion("Simba", 5)]]) });
+ *   // {"pride":{"$type":"Map","value":[["leader",{"$type":"Lion","value":{"name":"Simba","age":5}}]]}}
+ *   parse(text).pride.get("leader").hunt();   // a real Lion again
+ *
+ * Map, Set, Date, BigInt and undefined work without registering
+ * anything (codecs.js); classes opt in with a tag and encode/decode hooks
+ * (registry.js). The functions above share one registry; a `new
+ * Serializer()` has its own, for when a library's types shouldn't meet
+ * an app's. json.js has the replacer/reviver pair underneath, which also
+ * plugs into Express:
+ *
+ *   app.set("json replacer", replacer);   // res.json() tags its output
+ *   app.use(express.json({ reviver }));   // req.body comes back typed
+ */
+export { DecodeError } from "./codecs.js";
+export { parse, registerType, replacer, reviver, Serializer, stringify, TAG, unregisterType } from "./json.js";
@@ -0,0 +1,167 @@
+import { DecodeError } from "./codecs.js";
+import { TypeRegistry } from "./registry.js";
+
+/** The key that marks a tagged value: { "$type": "Map", "value": [...] }. */
+export const TAG = "$type";
+
+// A reviver can't answer undefined without deleting the property it was
+// asked about, so a decoded undefined travels as this marker until the
+// array or object holding it swaps it back.
+const UNDEFINED = Symbol("undefined");
+
+const isPlain = (proto) => proto === Object.prototype || proto === null;
+
+/**
+ * Class-aware JSON with a registry of its own, so an app's payload types
+ * and a test's can't collide. The module-level functions in index.js use
+ * one shared Serializer.
+ */
+export class Serializer {
+  #types = new TypeRegistry();
+
+  // JSON.stringify() calls a replacer with `this` set to the object being
+  // written: the { "": value } wrapper around the root, or something the
+  // replacer handed back earlier in the same call. So each object handed
+  // back remembers its call's state, and a wrapper starts a new one.
+  // Calls share no state, so one nested inside an encode() hook can't
+  // disturb the call running the hook. stringify() has a replacer of its own.
+  #calls = new WeakMap(); // object handed back → its call's tagged map
+
+  /** See TypeRegistry#register in registry.js. */
+  register(Class, options) {
+    return this.#types.register(Class, options);
+  }
+
+  /** Forget `Class`; true if it was registered. Built-ins stay. */
+  unregister(Class) {
+    return this.#types.unregister(Class);
+  }
+
+  /* ===== Writing ===== */
+
+  /**
+   * A JSON.stringify() replacer that writes registered classes and the
+   * built-ins (see codecs.js) as tagged values. It reads `this[key]`, the
+   * value before toJSON() ran, so a Date is tagged rather than left as a
+   * string and a Lion is not mistaken for whatever Animal.toJSON() says.
+   *
+   * Instances of unregistered classes are written as plain JSON would.
+   * A plain object that happens to have a "$type" key is escaped, so
+   * parse() gives it back unchanged. Cycles throw a TypeError, as they do
+   * without a replacer.
+   */
+  replacer = (() => {
+    const serializer = this;
+    return function replacer(key, value) {
+      const tagged = serializer.#calls.get(this) ?? new WeakMap(); // original → its tagged form
+      const out = serializer.#encode(tagged, this[key], value);
+      if (typeof out === "object" && out !== null) serializer.#calls.set(out, tagged);
+      return out;
+    };
+  })();
+
+  #encode(tagged, raw, value) {
+    if (raw === undefined) return { [TAG]: "undefined" };
+    if (typeof raw === "bigint") return { [TAG]: "BigInt", value: this.#types.codecNamed("BigInt").encode(raw) };
+    if (typeof raw !== "object" || raw === null) return value;
+
+    // The same object again means the same tagged form, so a cycle running
+    // through a Map or a class is still caught by JSON.stringify().
+    const seen = tagged.get(raw);
+    if (seen) return seen;
+    const proto = Object.getPrototypeOf(raw);
+    const codec = this.#types.codecFor(proto) ?? (isPlain(proto) && Object.hasOwn(raw, TAG) ? this.#types.codecNamed("Object") : undefined);
+    if (codec === undefined) return value;
+    const out = { [TAG]: codec.tag, value: codec.encode(raw) };
+    tagged.set(raw, out);
+    return out;
+  }
+
+  /** JSON.stringify(value, replacer, space), with state for this call alone. */
+  stringify(value, space) {
+    const serializer = this;
+    const tagged = new WeakMap();
+    return JSON.stringify(value, function (key, v) {
+      return serializer.#encode(tagged, this[key], v);
+    }, space);
+  }
+
+  /* ===== Reading ===== */
+
+  /**
+   * A JSON.parse() reviver that turns tagged values back into what they
+   * were. It's strict: an unknown tag, or an object with a "$type" key
+   * that isn't a well-formed tagged value, throws a DecodeError rather
+   * than coming through as a plain object.
+   *
+   * Used on its own it can't tell the root of the document from a nested
+   * object whose only key is "", so { "": undefined } comes back as {}.
+   * parse() and revive() have no such blind spot.
+   */
+  reviver = (() => {
+    const serializer = this;
+    return function reviver(key, value) {
+      const out = serializer.#decode(value);
+      if (out !== UNDEFINED) return out;
+      const looksLikeRoot = key === "" && Object.getPrototypeOf(this) === Object.prototype && Object.keys(this).length === 1;
+      return looksLikeRoot ? undefined : out;
+    };
+  })();
+
+  /** JSON.parse(text, reviver), where even a top-level undefined survives. */
+  parse(text) {
+    const out = JSON.parse(text, (_key, value) => this.#decode(value));
+    return out === UNDEFINED ? undefined : out;
+  }
+
+  /**
+   * Decode a tree that JSON.parse() already produced without a reviver,
+   * e.g. to check its depth first. In place, so only pass a fresh one;
+   * recursive, so only pass one of a depth you've checked.
+   */
+  revive(tree) {
+    const walk = (value) => {
+      if (typeof value === "object" && value !== null) {
+        for (const key of Object.keys(value)) value[key] = walk(value[key]);
+      }
+      return this.#decode(value);
+    };
+    const out = walk(tree);
+    return out === UNDEFINED ? undefined : out;
+  }
+
+  #decode(value) {
+    if (typeof value !== "object" || value === null) return value;
+    if (!Object.hasOwn(value, TAG)) return restoreUndefined(value);
+
+    const tag = value[TAG];
+    const codec = typeof tag === "string" ? this.#types.codecNamed(tag) : undefined;
+    if (codec === undefined) throw new DecodeError(`unknown type tag ${JSON.stringify(tag)}`);
+    const keys = Object.keys(value);
+    const wellFormed = codec.tag === "undefined"
+      ? keys.length === 1
+      : keys.length === 2 && Object.hasOwn(value, "value");
+    if (!wellFormed) throw new DecodeError(`malformed ${tag} value: keys ${keys.join(", ")}`);
+    return codec.tag === "undefined" ? UNDEFINED : codec.decode(value.value);
+  }
+}
+
+// Children are revived before their parent, so by now any undefined among
+// them is a marker.
+function restoreUndefined(container) {
+  for (const key of Object.keys(container)) {
+    if (container[key] === UNDEFINED) container[key] = undefined;
+  }
+  return container;
+}
+
+/* ===== The shared Serializer ===== */
+
+const shared = new Serializer();
+
+/** Register `Class` with the shared Serializer; see TypeRegistry#register. */
+export const registerType = (Class, options) => shared.register(Class, options);
+export const unregisterType = (Class) => shared.unregister(Class);
+export const { replacer, reviver } = shared;
+export const stringify = (value, space) => shared.stringify(value, space);
+export const parse = (text) => shared.parse(text);
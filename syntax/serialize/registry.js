@@ -0,0 +1,96 @@
+import { builtins, DecodeError } from "./codecs.js";
+
+/**
+ * The types a Serializer may tag and will accept. A tag names one exact
+ * prototype, as in syntax/deep's registry: registering Animal says
+ * nothing about Lion, which needs a registration (and a tag) of its own.
+ * Built-in tags can't be replaced or removed.
+ */
+export class TypeRegistry {
+  #byTag = new Map(); // tag → { tag, proto, encode, decode, builtin }
+  #byProto = new Map(); // Class.prototype → the same entry
+
+  constructor() {
+    for (const codec of builtins) {
+      const entry = { ...codec, builtin: true };
+      this.#byTag.set(entry.tag, entry);
+      if (entry.proto) this.#byProto.set(entry.proto, entry);
+    }
+  }
+
+  /**
+   * Write instances of `Class` as { "$type": tag, "value": data } and read
+   * that back as an instance.
+   *
+   *   tag            what goes in "$type" (default: Class.name, which a
+   *                  minifier may change; pass one if the wire format matters)
+   *   encode(x)      instance → JSON data; tagged values inside it are
+   *                  encoded too (default: a copy of its own enumerable
+   *                  properties, so toJSON() is not consulted)
+   *   decode(data)   data → instance; tagged values inside `data` are
+   *                  already decoded (default: the properties copied onto
+   *                  Object.create(Class.prototype), running no constructor)
+   *
+   * Private (#) fields never leave the object with the default encode(),
+   * and the default decode() can't create them; a decode() that calls the
+   * constructor can: `decode: ({ name, age }) => new Lion(name, age)`.
+   *
+   * Registering a class again replaces its options. Returns `Class`.
+   */
+  register(Class, { tag = Class?.name, encode = ownFields, decode } = {}) {
+    if (typeof Class !== "function" || typeof Class.prototype !== "object" || Class.prototype === null) {
+      throw new TypeError("register() needs a class or constructor function");
+    }
+    for (const [name, hook] of Object.entries({ encode, decode })) {
+      if (hook !== undefined && typeof hook !== "function") throw new TypeError(`${name} must be a function`);
+    }
+    if (typeof tag !== "string" || tag === "") throw new TypeError("a type tag must be a non-empty string");
+    const proto = Class.prototype;
+    if (this.#byProto.get(proto)?.builtin) throw new Error(`${tag} has a built-in codec`);
+    const taken = this.#byTag.get(tag);
+    if (taken && taken.proto !== proto) {
+      throw new Error(`type tag "${tag}" is already ${taken.builtin ? "built in" : "registered"}`);
+    }
+
+    this.unregister(Class);
+    const entry = { tag, proto, encode, decode: decode ?? ((data) => copyOnto(Object.create(proto), data)), builtin: false };
+    this.#byTag.set(tag, entry);
+    this.#byProto.set(proto, entry);
+    return Class;
+  }
+
+  /** Forget `Class`; true if it was registered. Built-ins stay. */
+  unregister(Class) {
+    const entry = this.#byProto.get(Class?.prototype);
+    if (entry === undefined || entry.builtin) return false;
+    this.#byProto.delete(entry.proto);
+    this.#byTag.delete(entry.tag);
+    return true;
+  }
+
+  /** The codec for objects with this exact prototype, if any. */
+  codecFor(proto) {
+    return this.#byProto.get(proto);
+  }
+
+  /** The codec written as `tag`, if any. */
+  codecNamed(tag) {
+    return this.#byTag.get(tag);
+  }
+}
+
+function ownFields(instance) {
+  return { ...instance };
+}
+
+// defineProperty, not assignment: a "__proto__" key in the data must stay
+// a plain property rather than swap the instance's prototype.
+function copyOnto(target, data) {
+  if (typeof data !== "object" || data === null || Array.isArray(data)) {
+    throw new DecodeError("the default decode() expects an object of properties");
+  }
+  for (const key of Object.keys(data)) {
+    Object.defineProperty(target, key, { value: data[key], writable: true, enumerable: true, configurable: true });
+  }
+  return target;
+}
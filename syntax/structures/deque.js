@@ -0,0 +1,101 @@
+/**
+ * Deque: a double-ended queue on a ring buffer.
+ *
+ * arr.shift() and arr.unshift() move every element (O(n)); here both ends
+ * are O(1) because the front is just an index into a circular array. The
+ * buffer doubles when full (so pushes are amortized O(1)) and never
+ * shrinks; clear() releases it.
+ *
+ *   pushBack / pushFront / popBack / popFront   O(1) amortized
+ *   peekFront / peekBack / at(i) / size         O(1)
+ *   iteration (front to back)                   O(n)
+ */
+const MIN_CAPACITY = 8;
+
+export class Deque {
+  #buffer = new Array(MIN_CAPACITY);
+  #head = 0; // index of the front element
+  #size = 0;
+
+  constructor(items = []) {
+    for (const item of items) this.pushBack(item);
+  }
+
+  get size() {
+    return this.#size;
+  }
+
+  get [Symbol.toStringTag]() {
+    return "Deque";
+  }
+
+  // Capacity is a power of two, so wrapping around is a bit mask.
+  #slot(offset) {
+    return (this.#head + offset) & (this.#buffer.length - 1);
+  }
+
+  #grow() {
+    const buffer = new Array(this.#buffer.length * 2);
+    for (let i = 0; i < this.#size; i++) buffer[i] = this.#buffer[this.#slot(i)];
+    this.#buffer = buffer;
+    this.#head = 0;
+  }
+
+  pushBack(item) {
+    if (this.#size === this.#buffer.length) this.#grow();
+    this.#buffer[this.#slot(this.#size)] = item;
+    return ++this.#size;
+  }
+
+  pushFront(item) {
+    if (this.#size === this.#buffer.length) this.#grow();
+    this.#head = this.#slot(-1);
+    this.#buffer[this.#head] = item;
+    return ++this.#size;
+  }
+
+  popBack() {
+    if (this.#size === 0) return undefined;
+    const slot = this.#slot(--this.#size);
+    const item = this.#buffer[slot];
+    this.#buffer[slot] = undefined; // don't keep it alive
+    return item;
+  }
+
+  popFront() {
+    if (this.#size === 0) return undefined;
+    const item = this.#buffer[this.#head];
+    this.#buffer[this.#head] = undefined;
+    this.#head = this.#slot(1);
+    this.#size--;
+    return item;
+  }
+
+  peekFront() {
+    return this.#size === 0 ? undefined : this.#buffer[this.#head];
+  }
+
+  peekBack() {
+    return this.#size === 0 ? undefined : this.#buffer[this.#slot(this.#size - 1)];
+  }
+
+  /** The element `index` places from the front; negative counts from the back. */
+  at(index) {
+    const i = Math.trunc(index) < 0 ? this.#size + Math.trunc(index) : Math.trunc(index);
+    return i >= 0 && i < this.#size ? this.#buffer[this.#slot(i)] : undefined;
+  }
+
+  clear() {
+    this.#buffer = new Array(MIN_CAPACITY);
+    this.#head = 0;
+    this.#size = 0;
+  }
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.#size; i++) yield this.#buffer[this.#slot(i)];
+  }
+
+  toArray() {
+    return [...this];
+  }
+}
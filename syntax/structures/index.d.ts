@@ -0,0 +1,114 @@
+// Types for structures/index.js — keep in step with the implementation.
+
+export class Deque<T> implements Iterable<T> {
+  constructor(items?: Iterable<T>);
+  readonly size: number;
+  readonly [Symbol.toStringTag]: "Deque";
+  /** Returns the new size. */
+  pushBack(item: T): number;
+  pushFront(item: T): number;
+  popBack(): T | undefined;
+  popFront(): T | undefined;
+  peekFront(): T | undefined;
+  peekBack(): T | undefined;
+  at(index: number): T | undefined;
+  clear(): void;
+  [Symbol.iterator](): IterableIterator<T>;
+  toArray(): T[];
+}
+
+export type Comparator<T> = (a: T, b: T) => number;
+
+export class PriorityQueue<T> implements Iterable<T> {
+  /** Default comparator: < and >, smallest first. */
+  constructor(compare?: Comparator<T>);
+  static from<T>(items: Iterable<T>, compare?: Comparator<T>): PriorityQueue<T>;
+  readonly size: number;
+  readonly [Symbol.toStringTag]: "PriorityQueue";
+  /** Returns the new size. */
+  push(item: T): number;
+  pop(): T | undefined;
+  peek(): T | undefined;
+  clear(): void;
+  /** A sorted copy; the queue is untouched. */
+  [Symbol.iterator](): IterableIterator<T>;
+  toArray(): T[];
+}
+
+export type EvictReason = "capacity" | "expired";
+
+export interface LRUCacheOptions<K, V> {
+  max: number;
+  /** Default lifetime of an entry (default: forever). */
+  ttlMs?: number;
+  /** Clock, for tests (default Date.now). */
+  now?: () => number;
+  onEvict?: (key: K, value: V, reason: EvictReason) => void;
+}
+
+export class LRUCache<K, V> implements Iterable<[K, V]> {
+  constructor(options: LRUCacheOptions<K, V>);
+  /** May still count expired entries not yet dropped. */
+  readonly size: number;
+  readonly max: number;
+  readonly [Symbol.toStringTag]: "LRUCache";
+  get(key: K): V | undefined;
+  peek(key: K): V | undefined;
+  has(key: K): boolean;
+  set(key: K, value: V, options?: { ttlMs?: number }): this;
+  delete(key: K): boolean;
+  clear(): void;
+  prune(): number;
+  /** Least recently used first. */
+  [Symbol.iterator](): IterableIterator<[K, V]>;
+  keys(): IterableIterator<K>;
+  values(): IterableIterator<V>;
+}
+
+export class Trie<V = true> implements Iterable<[string, V]> {
+  constructor(entries?: Iterable<string | [string, V]>);
+  readonly size: number;
+  readonly [Symbol.toStringTag]: "Trie";
+  set(key: string, ...value: V extends true ? [value?: V] : [value: V]): this;
+  get(key: string): V | undefined;
+  has(key: string): boolean;
+  delete(key: string): boolean;
+  clear(): void;
+  hasPrefix(prefix: string): boolean;
+  longestPrefixOf(text: string): string | undefined;
+  withPrefix(prefix: string): IterableIterator<[string, V]>;
+  [Symbol.iterator](): IterableIterator<[string, V]>;
+  keys(): IterableIterator<string>;
+  values(): IterableIterator<V>;
+}
+
+export class ListNode<T> {
+  value: T;
+  readonly prev: ListNode<T> | null;
+  readonly next: ListNode<T> | null;
+  /** The list it's in, or null once removed. */
+  readonly list: LinkedList<T> | null;
+  constructor(value: T);
+}
+
+export class LinkedList<T> implements Iterable<T> {
+  constructor(values?: Iterable<T>);
+  readonly size: number;
+  readonly first: ListNode<T> | null;
+  readonly last: ListNode<T> | null;
+  readonly [Symbol.toStringTag]: "LinkedList";
+  push(value: T): ListNode<T>;
+  unshift(value: T): ListNode<T>;
+  insertBefore(node: ListNode<T>, value: T): ListNode<T>;
+  insertAfter(node: ListNode<T>, value: T): ListNode<T>;
+  remove(node: ListNode<T>): T;
+  pop(): T | undefined;
+  shift(): T | undefined;
+  find(predicate: (value: T) => boolean): ListNode<T> | null;
+  at(index: number): T | undefined;
+  clear(): void;
+  reverse(): this;
+  nodes(): IterableIterator<ListNode<T>>;
+  [Symbol.iterator](): IterableIterator<T>;
+  toArray(): T[];
+}
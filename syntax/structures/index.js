@@ -0,0 +1,22 @@
+/**
+ * ================================================================
+ *       DATA STRUCTURES — past the built-ins in datastructures.js
+ * ================================================================
+ *
+ *   import { Deque, PriorityQueue, LRUCache, Trie, LinkedList } from "syntax/structures";
+ *
+ *   Deque           O(1) at both ends (arr.shift/unshift are O(n))
+ *   PriorityQueue   binary heap: pop() the smallest by a comparator
+ *   LRUCache        bounded Map evicting the least recently used, with TTLs
+ *   Trie            string-keyed map with prefix search
+ *   LinkedList      doubly linked, O(1) insert/remove next to a node you hold
+ *
+ * Each file documents its operations' costs. All of them are iterable
+ * (for...of, spread) and tag themselves like oop.js's Tagged does:
+ * Object.prototype.toString.call(new Deque()) is "[object Deque]".
+ */
+export { Deque } from "./deque.js";
+export { LinkedList, ListNode } from "./linked-list.js";
+export { LRUCache } from "./lru-cache.js";
+export { PriorityQueue } from "./priority-queue.js";
+export { Trie } from "./trie.js";
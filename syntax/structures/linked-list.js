@@ -0,0 +1,155 @@
+/**
+ * LinkedList: a doubly linked list that hands out its nodes, so code
+ * holding a node can insert next to it or remove it in O(1) — the thing
+ * an array's splice() can only do in O(n).
+ *
+ *   const list = new LinkedList(["b"]);
+ *   const a = list.unshift("a");    // node
+ *   list.insertAfter(a, "a2");
+ *   list.remove(a);                 // "a"
+ *   [...list];                      // ["a2", "b"]
+ *
+ * A node belongs to one list; passing it to another list, or using it
+ * after it was removed, is an error.
+ *
+ *   push / pop / unshift / shift                O(1)
+ *   insertBefore / insertAfter / remove(node)   O(1)
+ *   find / at / iteration                       O(n)
+ */
+export class ListNode {
+  value;
+  prev = null;
+  next = null;
+  list = null; // the LinkedList it's in, or null once removed
+
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+export class LinkedList {
+  #head = null;
+  #tail = null;
+  #size = 0;
+
+  constructor(values = []) {
+    for (const value of values) this.push(value);
+  }
+
+  get size() {
+    return this.#size;
+  }
+
+  /** The first node, or null. */
+  get first() {
+    return this.#head;
+  }
+
+  /** The last node, or null. */
+  get last() {
+    return this.#tail;
+  }
+
+  get [Symbol.toStringTag]() {
+    return "LinkedList";
+  }
+
+  #own(node) {
+    if (!(node instanceof ListNode) || node.list !== this) throw new Error("node is not in this list");
+    return node;
+  }
+
+  // Link a new node between `prev` and `next` (either may be null).
+  #link(value, prev, next) {
+    const node = new ListNode(value);
+    node.list = this;
+    node.prev = prev;
+    node.next = next;
+    if (prev) prev.next = node;
+    else this.#head = node;
+    if (next) next.prev = node;
+    else this.#tail = node;
+    this.#size++;
+    return node;
+  }
+
+  push(value) {
+    return this.#link(value, this.#tail, null);
+  }
+
+  unshift(value) {
+    return this.#link(value, null, this.#head);
+  }
+
+  insertBefore(node, value) {
+    return this.#link(value, this.#own(node).prev, node);
+  }
+
+  insertAfter(node, value) {
+    return this.#link(value, this.#own(node), node.next);
+  }
+
+  /** Unlink `node`; returns its value. */
+  remove(node) {
+    this.#own(node);
+    if (node.prev) node.prev.next = node.next;
+    else this.#head = node.next;
+    if (node.next) node.next.prev = node.prev;
+    else this.#tail = node.prev;
+    node.prev = node.next = node.list = null;
+    this.#size--;
+    return node.value;
+  }
+
+  pop() {
+    return this.#tail ? this.remove(this.#tail) : undefined;
+  }
+
+  shift() {
+    return this.#head ? this.remove(this.#head) : undefined;
+  }
+
+  /** The first node whose value passes `predicate`, or null. */
+  find(predicate) {
+    for (const node of this.nodes()) if (predicate(node.value)) return node;
+    return null;
+  }
+
+  /** The value `index` places from the front; negative counts from the back. */
+  at(index) {
+    const i = Math.trunc(index);
+    let node = i < 0 ? this.#tail : this.#head;
+    for (let steps = i < 0 ? -i - 1 : i; node && steps > 0; steps--) node = i < 0 ? node.prev : node.next;
+    return node?.value;
+  }
+
+  clear() {
+    for (const node of [...this.nodes()]) node.prev = node.next = node.list = null;
+    this.#head = this.#tail = null;
+    this.#size = 0;
+  }
+
+  /** Reverse the list in place; nodes stay valid. */
+  reverse() {
+    for (let node = this.#head; node; node = node.prev) [node.prev, node.next] = [node.next, node.prev];
+    [this.#head, this.#tail] = [this.#tail, this.#head];
+    return this;
+  }
+
+  /** The nodes, front to back. Removing the current node while iterating is safe. */
+  *nodes() {
+    for (let node = this.#head; node; ) {
+      const next = node.next;
+      yield node;
+      node = next;
+    }
+  }
+
+  *[Symbol.iterator]() {
+    for (const node of this.nodes()) yield node.value;
+  }
+
+  toArray() {
+    return [...this];
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * LRUCache: a bounded cache that evicts the least recently used entry,
+ * with optional expiry. Built on a Map's insertion order: every get() or
+ * set() moves the entry to the end (delete + set), so the first entry is
+ * always the least recently used one.
+ *
+ *   const cache = new LRUCache({ max: 100, ttlMs: 60_000 });
+ *   cache.set("leo", lion);
+ *   cache.get("leo");              // lion, now the most recently used
+ *   cache.set("tmp", 1, { ttlMs: 500 });
+ *
+ * Expired entries are dropped lazily, when looked up or iterated over, or
+ * all at once with prune(); `size` may still count ones not yet dropped.
+ * A set() that needs room prunes first when something may have expired,
+ * so a live entry is never evicted to make room an expired one holds.
+ * onEvict(key, value, reason) hears about entries pushed out for room
+ * ("capacity") or found expired ("expired"), not delete() or clear().
+ *
+ *   get / set / has / peek / delete   O(1)
+ *   prune / iteration                 O(n), and so is a set() that prunes
+ */
+export class LRUCache {
+  #entries = new Map(); // key → { value, expires }, least recently used first
+  #max;
+  #ttlMs;
+  #now;
+  #onEvict;
+  #nextExpiry = Infinity; // no entry expires before this (it may be early, never late)
+
+  constructor({ max, ttlMs = Infinity, now = Date.now, onEvict } = {}) {
+    if (!Number.isInteger(max) || max < 1) throw new RangeError("max must be a positive integer");
+    this.#max = max;
+    this.#ttlMs = checkTtl(ttlMs);
+    this.#now = now;
+    this.#onEvict = onEvict;
+  }
+
+  get size() {
+    return this.#entries.size;
+  }
+
+  get max() {
+    return this.#max;
+  }
+
+  get [Symbol.toStringTag]() {
+    return "LRUCache";
+  }
+
+  // The live entry for `key`, dropping it if it has expired.
+  #live(key) {
+    const entry = this.#entries.get(key);
+    if (entry === undefined) return undefined;
+    if (entry.expires <= this.#now()) {
+      this.#entries.delete(key);
+      this.#onEvict?.(key, entry.value, "expired");
+      return undefined;
+    }
+    return entry;
+  }
+
+  /** The value (marking it most recently used), or undefined. */
+  get(key) {
+    const entry = this.#live(key);
+    if (entry === undefined) return undefined;
+    this.#entries.delete(key);
+    this.#entries.set(key, entry);
+    return entry.value;
+  }
+
+  /** The value without touching its recency, or undefined. */
+  peek(key) {
+    return this.#live(key)?.value;
+  }
+
+  has(key) {
+    return this.#live(key) !== undefined;
+  }
+
+  /** Store `value` as the most recently used entry; if that overfills the cache, expired entries go first, then the least recently used. */
+  set(key, value, { ttlMs = this.#ttlMs } = {}) {
+    const now = this.#now();
+    const expires = now + checkTtl(ttlMs);
+    this.#entries.delete(key);
+    this.#entries.set(key, { value, expires });
+    this.#nextExpiry = Math.min(this.#nextExpiry, expires);
+    if (this.#entries.size > this.#max && this.#nextExpiry <= now) this.prune();
+    if (this.#entries.size > this.#max) {
+      const [oldest, entry] = this.#entries.entries().next().value;
+      this.#entries.delete(oldest);
+      this.#onEvict?.(oldest, entry.value, "capacity");
+    }
+    return this;
+  }
+
+  delete(key) {
+    return this.#entries.delete(key);
+  }
+
+  clear() {
+    this.#entries.clear();
+    this.#nextExpiry = Infinity;
+  }
+
+  /** Drop every expired entry now; returns how many there were. */
+  prune() {
+    let dropped = 0;
+    let nextExpiry = Infinity;
+    for (const key of [...this.#entries.keys()]) {
+      const entry = this.#live(key);
+      if (entry === undefined) dropped++;
+      else nextExpiry = Math.min(nextExpiry, entry.expires);
+    }
+    this.#nextExpiry = nextExpiry;
+    return dropped;
+  }
+
+  /** [key, value] pairs, least recently used first, without changing recency. */
+  *[Symbol.iterator]() {
+    for (const key of [...this.#entries.keys()]) {
+      const entry = this.#live(key);
+      if (entry !== undefined) yield [key, entry.value];
+    }
+  }
+
+  *keys() {
+    for (const [key] of this) yield key;
+  }
+
+  *values() {
+    for (const [, value] of this) yield value;
+  }
+}
+
+function checkTtl(ttlMs) {
+  if (typeof ttlMs !== "number" || !(ttlMs > 0)) throw new RangeError("ttlMs must be a positive number (or Infinity)");
+  return ttlMs;
+}
@@ -0,0 +1,112 @@
+/**
+ * PriorityQueue: a binary min-heap ordered by a comparator.
+ *
+ *   const tasks = new PriorityQueue((a, b) => a.due - b.due);
+ *   tasks.push({ due: 3 }); tasks.push({ due: 1 });
+ *   tasks.pop(); // { due: 1 }
+ *
+ * pop() always returns the item the comparator puts first (the smallest,
+ * with the default comparator); reverse the comparator for a max-heap.
+ * Items that compare equal come out in the order they were pushed.
+ *
+ *   push / pop          O(log n)
+ *   peek / size         O(1)
+ *   PriorityQueue.from  O(n) (heapify)
+ *   iteration           O(n log n): a sorted copy, the queue is untouched
+ */
+const natural = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+export class PriorityQueue {
+  #heap = []; // [item, sequence] pairs; the sequence breaks ties first-in-first-out
+  #compare;
+  #sequence = 0;
+
+  constructor(compare = natural) {
+    if (typeof compare !== "function") throw new TypeError("the comparator must be a function");
+    this.#compare = compare;
+  }
+
+  /** A queue holding `items`, built in linear time. */
+  static from(items, compare) {
+    const queue = new PriorityQueue(compare);
+    for (const item of items) queue.#heap.push([item, queue.#sequence++]);
+    for (let i = (queue.#heap.length >>> 1) - 1; i >= 0; i--) queue.#down(i);
+    return queue;
+  }
+
+  get size() {
+    return this.#heap.length;
+  }
+
+  get [Symbol.toStringTag]() {
+    return "PriorityQueue";
+  }
+
+  #before(i, j) {
+    const [a, sa] = this.#heap[i];
+    const [b, sb] = this.#heap[j];
+    const order = this.#compare(a, b);
+    return order < 0 || (order === 0 && sa < sb);
+  }
+
+  #swap(i, j) {
+    [this.#heap[i], this.#heap[j]] = [this.#heap[j], this.#heap[i]];
+  }
+
+  #up(i) {
+    while (i > 0) {
+      const parent = (i - 1) >>> 1;
+      if (!this.#before(i, parent)) return;
+      this.#swap(i, parent);
+      i = parent;
+    }
+  }
+
+  #down(i) {
+    const n = this.#heap.length;
+    for (;;) {
+      const left = 2 * i + 1;
+      let first = i;
+      if (left < n && this.#before(left, first)) first = left;
+      if (left + 1 < n && this.#before(left + 1, first)) first = left + 1;
+      if (first === i) return;
+      this.#swap(i, first);
+      i = first;
+    }
+  }
+
+  push(item) {
+    this.#heap.push([item, this.#sequence++]);
+    this.#up(this.#heap.length - 1);
+    return this.#heap.length;
+  }
+
+  pop() {
+    if (this.#heap.length === 0) return undefined;
+    const [top] = this.#heap[0];
+    const last = this.#heap.pop();
+    if (this.#heap.length > 0) {
+      this.#heap[0] = last;
+      this.#down(0);
+    }
+    return top;
+  }
+
+  peek() {
+    return this.#heap[0]?.[0];
+  }
+
+  clear() {
+    this.#heap = [];
+  }
+
+  *[Symbol.iterator]() {
+    const entries = this.#heap.slice().sort(([a, sa], [b, sb]) => this.#compare(a, b) || sa - sb);
+    for (const [item] of entries) yield item;
+  }
+
+  /** The items in the order pop() would return them. */
+  toArray() {
+    return [...this];
+  }
+}
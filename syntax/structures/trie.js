@@ -0,0 +1,151 @@
+/**
+ * Trie: a map from strings to values, stored one character per level so
+ * that every key sharing a prefix shares a path — prefix questions cost
+ * the length of the prefix, not the number of keys.
+ *
+ *   const names = new Trie(["leo", "leopard", "lion"]);
+ *   names.hasPrefix("leo");             // true
+ *   [...names.withPrefix("le")];        // [["leo", true], ["leopard", true]]
+ *   names.longestPrefixOf("leonine");   // "leo"
+ *
+ * Characters are code points, so "🦁" is one step, not two. Keys come
+ * out in code-point order. (m = length of the key or prefix)
+ *
+ *   set / get / has / delete        O(m)
+ *   hasPrefix / longestPrefixOf     O(m)
+ *   withPrefix                      O(m + size of the matching subtree)
+ */
+const NONE = Symbol("no value");
+
+class TrieNode {
+  children = new Map(); // character → TrieNode
+  value = NONE;
+}
+
+const byCodePoint = ([a], [b]) => a.codePointAt(0) - b.codePointAt(0);
+
+export class Trie {
+  #root = new TrieNode();
+  #size = 0;
+
+  /** `entries` are keys (stored with the value true) or [key, value] pairs. */
+  constructor(entries = []) {
+    for (const entry of entries) {
+      if (typeof entry === "string") this.set(entry);
+      else this.set(entry[0], entry[1]);
+    }
+  }
+
+  get size() {
+    return this.#size;
+  }
+
+  get [Symbol.toStringTag]() {
+    return "Trie";
+  }
+
+  #find(key) {
+    let node = this.#root;
+    for (const char of checkKey(key)) {
+      node = node.children.get(char);
+      if (node === undefined) return undefined;
+    }
+    return node;
+  }
+
+  set(key, value = true) {
+    let node = this.#root;
+    for (const char of checkKey(key)) {
+      let child = node.children.get(char);
+      if (child === undefined) node.children.set(char, (child = new TrieNode()));
+      node = child;
+    }
+    if (node.value === NONE) this.#size++;
+    node.value = value;
+    return this;
+  }
+
+  get(key) {
+    const value = this.#find(key)?.value;
+    return value === NONE ? undefined : value;
+  }
+
+  has(key) {
+    const node = this.#find(key);
+    return node !== undefined && node.value !== NONE;
+  }
+
+  /** Remove `key`, pruning the branch it leaves empty. */
+  delete(key) {
+    const path = [this.#root];
+    for (const char of checkKey(key)) {
+      const next = path.at(-1).children.get(char);
+      if (next === undefined) return false;
+      path.push(next);
+    }
+    const node = path.at(-1);
+    if (node.value === NONE) return false;
+    node.value = NONE;
+    this.#size--;
+    const chars = [...key];
+    for (let i = path.length - 1; i > 0 && path[i].value === NONE && path[i].children.size === 0; i--) {
+      path[i - 1].children.delete(chars[i - 1]);
+    }
+    return true;
+  }
+
+  clear() {
+    this.#root = new TrieNode();
+    this.#size = 0;
+  }
+
+  /** True if some key starts with `prefix` (every key starts with ""). */
+  hasPrefix(prefix) {
+    const node = this.#find(prefix);
+    return node !== undefined && (node.value !== NONE || node.children.size > 0);
+  }
+
+  /** The longest key that `text` starts with, or undefined. */
+  longestPrefixOf(text) {
+    let node = this.#root;
+    let longest = node.value === NONE ? undefined : "";
+    let prefix = "";
+    for (const char of checkKey(text)) {
+      node = node.children.get(char);
+      if (node === undefined) break;
+      prefix += char;
+      if (node.value !== NONE) longest = prefix;
+    }
+    return longest;
+  }
+
+  /** [key, value] for every key starting with `prefix`, in code-point order. */
+  *withPrefix(prefix) {
+    const start = this.#find(prefix);
+    if (start === undefined) return;
+    const stack = [[prefix, start]];
+    while (stack.length > 0) {
+      const [key, node] = stack.pop();
+      if (node.value !== NONE) yield [key, node.value];
+      const children = [...node.children].sort(byCodePoint);
+      for (let i = children.length - 1; i >= 0; i--) stack.push([key + children[i][0], children[i][1]]);
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.withPrefix("");
+  }
+
+  *keys() {
+    for (const [key] of this) yield key;
+  }
+
+  *values() {
+    for (const [, value] of this) yield value;
+  }
+}
+
+function checkKey(key) {
+  if (typeof key !== "string") throw new TypeError("Trie keys must be strings");
+  return key;
+}
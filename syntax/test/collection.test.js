@@ -0,0 +1,232 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import { Collection, SortedView, UniqueConstraintError } from "syntax/collection";
+
+const animals = [
+  { id: 1, name: "Leo", species: "lion", age: 5, keeper: { id: "k1" } },
+  { id: 2, name: "Tigra", species: "tiger", age: 3, keeper: { id: "k2" } },
+  { id: 3, name: "Nala", species: "lion", age: 14, keeper: { id: "k1" } },
+  { id: 4, name: "Zed", species: "zebra", age: 5 },
+];
+
+const makeZoo = () => new Collection({
+  items: animals,
+  indexes: {
+    name: { by: "name", unique: true },
+    species: { by: "species" },
+    keeper: { by: "keeper.id" },
+    decade: { by: (a) => Math.floor(a.age / 10) },
+  },
+});
+
+describe("Collection", () => {
+  let zoo;
+  beforeEach(() => {
+    zoo = makeZoo();
+  });
+
+  describe("lookups", () => {
+    test("by primary key", () => {
+      assert.equal(zoo.size, 4);
+      assert.equal(zoo.get(2).name, "Tigra");
+      assert.ok(zoo.has(4));
+      assert.equal(zoo.get(99), undefined);
+    });
+
+    test("a unique index gives one item or undefined", () => {
+      assert.equal(zoo.lookup("name", "Nala").id, 3);
+      assert.equal(zoo.lookup("name", "Nobody"), undefined);
+    });
+
+    test("a non-unique index gives every item with the key", () => {
+      assert.deepEqual(zoo.lookup("species", "lion").map((a) => a.id), [1, 3]);
+      assert.deepEqual(zoo.lookup("species", "okapi"), []);
+      assert.deepEqual(zoo.lookup("decade", 1).map((a) => a.name), ["Nala"]);
+    });
+
+    test("paths reach nested keys, and an undefined key leaves the item out", () => {
+      assert.deepEqual(zoo.lookup("keeper", "k1").map((a) => a.id), [1, 3]);
+      assert.deepEqual(zoo.keys("keeper"), ["k1", "k2"]);
+    });
+
+    test("an unknown index is an error", () => {
+      assert.throws(() => zoo.lookup("colour", "red"), /no index named colour/);
+    });
+  });
+
+  describe("keeping indexes current", () => {
+    test("insert adds to every index", () => {
+      zoo.insert({ id: 5, name: "Kiara", species: "lion", age: 1 });
+      assert.equal(zoo.lookup("name", "Kiara").id, 5);
+      assert.deepEqual(zoo.lookup("species", "lion").map((a) => a.id), [1, 3, 5]);
+    });
+
+    test("update moves the item between keys", () => {
+      const updated = zoo.update(2, { name: "Bengal Tiger", species: "lion" });
+      assert.equal(updated.name, "Bengal Tiger");
+      assert.equal(zoo.get(2), updated);
+      assert.equal(zoo.lookup("name", "Tigra"), undefined, "the stale key is gone");
+      assert.equal(zoo.lookup("name", "Bengal Tiger"), updated);
+      assert.deepEqual(zoo.lookup("species", "tiger"), []);
+      assert.deepEqual(zoo.keys("species"), ["lion", "zebra"]);
+      assert.deepEqual(zoo.lookup("species", "lion").map((a) => a.id), [1, 3, 2]);
+    });
+
+    test("update stores a new object and leaves the old one alone", () => {
+      const before = zoo.get(1);
+      const after = zoo.update(1, (a) => ({ ...a, age: a.age + 1 }));
+      assert.notEqual(after, before);
+      assert.equal(before.age, 5);
+      assert.equal(zoo.get(1).age, 6);
+    });
+
+    test("update of a missing id gives undefined; the id itself can't change", () => {
+      assert.equal(zoo.update(99, { age: 1 }), undefined);
+      assert.throws(() => zoo.update(1, { id: 7 }), /id can't be changed/);
+      assert.equal(zoo.get(1).id, 1);
+    });
+
+    test("delete removes from every index", () => {
+      assert.equal(zoo.delete(1), true);
+      assert.equal(zoo.delete(1), false);
+      assert.equal(zoo.lookup("name", "Leo"), undefined);
+      assert.deepEqual(zoo.lookup("species", "lion").map((a) => a.id), [3]);
+      assert.equal(zoo.size, 3);
+    });
+
+    test("clear empties everything", () => {
+      zoo.clear();
+      assert.equal(zoo.size, 0);
+      assert.deepEqual(zoo.keys("species"), []);
+    });
+  });
+
+  describe("uniqueness", () => {
+    test("a duplicate primary key is refused", () => {
+      assert.throws(() => zoo.insert({ id: 1, name: "Other" }), (err) => {
+        assert.ok(err instanceof UniqueConstraintError);
+        assert.equal(err.index, "id");
+        assert.equal(err.key, 1);
+        assert.equal(err.message, "duplicate id: 1");
+        return true;
+      });
+    });
+
+    test("a duplicate unique key is refused and changes nothing", () => {
+      assert.throws(() => zoo.insert({ id: 5, name: "Leo", species: "okapi" }), { name: "UniqueConstraintError", message: 'duplicate name: "Leo"' });
+      assert.equal(zoo.has(5), false);
+      assert.deepEqual(zoo.lookup("species", "okapi"), []);
+
+      assert.throws(() => zoo.update(2, { name: "Leo", species: "okapi" }), UniqueConstraintError);
+      assert.equal(zoo.get(2).name, "Tigra");
+      assert.equal(zoo.lookup("name", "Leo").id, 1);
+      assert.deepEqual(zoo.lookup("species", "okapi"), []);
+    });
+
+    test("an item may keep its own unique key", () => {
+      assert.equal(zoo.update(1, { age: 9 }).name, "Leo");
+    });
+
+    test("addIndex fills from existing items and checks them", () => {
+      zoo.addIndex("age", { by: "age" });
+      assert.deepEqual(zoo.lookup("age", 5).map((a) => a.id), [1, 4]);
+      assert.throws(() => zoo.addIndex("uniqueAge", { by: "age", unique: true }), { message: "duplicate uniqueAge: 5" });
+      assert.throws(() => zoo.addIndex("age", { by: "age" }), /already exists/);
+    });
+
+    test("items must be objects with an id", () => {
+      assert.throws(() => zoo.insert("Leo"), TypeError);
+      assert.throws(() => zoo.insert({ name: "Anon" }), { message: "item has no id" });
+    });
+  });
+
+  describe("queries", () => {
+    test("iterates in insertion order", () => {
+      assert.deepEqual([...zoo].map((a) => a.id), [1, 2, 3, 4]);
+      assert.deepEqual(zoo.toArray().map((a) => a.id), [1, 2, 3, 4]);
+      assert.deepEqual(zoo.filter((a) => a.age === 5).map((a) => a.id), [1, 4]);
+    });
+
+    test("groupBy and countBy, from an index or computed", () => {
+      const bySpecies = zoo.groupBy("species");
+      assert.deepEqual([...bySpecies.keys()], ["lion", "tiger", "zebra"]);
+      assert.deepEqual(bySpecies.get("lion").map((a) => a.id), [1, 3]);
+      assert.deepEqual(zoo.countBy("species"), new Map([["lion", 2], ["tiger", 1], ["zebra", 1]]));
+      assert.deepEqual(zoo.countBy("name").get("Leo"), 1);
+      assert.deepEqual(zoo.countBy("age"), new Map([[5, 2], [3, 1], [14, 1]]), "a path that isn't an index");
+      assert.deepEqual(zoo.countBy((a) => a.age > 4), new Map([[true, 3], [false, 1]]));
+      assert.deepEqual([...zoo.groupBy("keeper.id").keys()], ["k1", "k2"]);
+    });
+
+    test("partition", () => {
+      const [young, old] = zoo.partition((a) => a.age < 10);
+      assert.deepEqual(young.map((a) => a.id), [1, 2, 4]);
+      assert.deepEqual(old.map((a) => a.id), [3]);
+    });
+  });
+
+  describe("sorted views", () => {
+    const ids = (view) => view.toArray().map((a) => a.id);
+
+    test("sort by a path, ties in insertion order", () => {
+      const byAge = zoo.sorted("age");
+      assert.ok(byAge instanceof SortedView);
+      assert.deepEqual(ids(byAge), [2, 1, 4, 3]);
+      assert.deepEqual(ids(zoo.sorted("age", { desc: true })), [3, 1, 4, 2]);
+      assert.equal(byAge.size, 4);
+      assert.equal(byAge.at(-1).name, "Nala");
+    });
+
+    test("sort with a comparator", () => {
+      assert.deepEqual(ids(zoo.sorted((a, b) => a.name.localeCompare(b.name))), [1, 3, 2, 4]);
+    });
+
+    test("stay sorted as the collection changes", () => {
+      const byAge = zoo.sorted("age");
+      zoo.insert({ id: 5, name: "Kiara", age: 1 });
+      zoo.update(3, { age: 4 });
+      zoo.delete(1);
+      assert.deepEqual(ids(byAge), [5, 2, 3, 4]);
+      assert.deepEqual([...byAge].map((a) => a.age), [1, 3, 4, 5]);
+    });
+
+    test("missing keys sort first", () => {
+      zoo.insert({ id: 5, name: "Ageless" });
+      assert.deepEqual(ids(zoo.sorted("age")), [5, 2, 1, 4, 3]);
+    });
+
+    test("stop following once disposed", () => {
+      const byAge = zoo.sorted("age");
+      byAge.dispose();
+      zoo.insert({ id: 5, name: "Kiara", age: 1 });
+      assert.equal(byAge.size, 4);
+      assert.equal(zoo.listenerCount("change"), 0);
+    });
+  });
+
+  describe("change events", () => {
+    test("are emitted by type and as change", () => {
+      const seen = [];
+      zoo.on("change", (e) => seen.push(["change", e.type, e.item?.id, e.previous?.id]));
+      zoo.on("update", (e) => seen.push(["update", e.item.age, e.previous.age]));
+      zoo.insert({ id: 5, name: "Kiara", age: 1 });
+      zoo.update(5, { age: 2 });
+      zoo.delete(5);
+      assert.deepEqual(seen, [
+        ["change", "insert", 5, undefined],
+        ["update", 2, 1],
+        ["change", "update", 5, 5],
+        ["change", "delete", undefined, 5],
+      ]);
+    });
+
+    test("aren't emitted for failed writes", () => {
+      let events = 0;
+      zoo.on("change", () => events++);
+      assert.throws(() => zoo.insert({ id: 1 }));
+      assert.equal(zoo.update(99, {}), undefined);
+      assert.equal(zoo.delete(99), false);
+      assert.equal(events, 0);
+    });
+  });
+});
@@ -0,0 +1,316 @@
+import assert from "node:assert/strict";
+import { before, describe, test } from "node:test";
+import { runPlayground } from "./playground.js";
+
+describe("datastructures.js", () => {
+  let run;
+  before(async () => {
+    run = await runPlayground("datastructures.js");
+  });
+
+  // Most array lines are template strings, so we check the printed text
+  const tail = (prefix) => run.line(prefix).text.slice(run.line(prefix).text.lastIndexOf(": ") + 2);
+
+  describe("arrays", () => {
+    test("new Array(3) has three empty slots", () => {
+      assert.equal(tail("Array initialized with 3 empty values"), ",,");
+    });
+
+    test("push/pop/shift/unshift mutate and return what they removed", () => {
+      assert.equal(run.line("pop() removes").text.endsWith("pop(): 1,2,3,4, popped: String type"), true);
+      assert.equal(run.line("shift() removes").text.endsWith("shift(): 2,3,4, shifted: 1"), true);
+      assert.equal(tail("unshift() added"), "1,2,3,4");
+    });
+
+    test("a Deque built from arr works both ends", () => {
+      assert.deepEqual(run.line("Deque instead of shift/unshift:").args.slice(1), [0, 1, [2, 3, 4]]);
+    });
+
+    test("splice mutates and returns the removed items", () => {
+      assert.equal(run.line("Splice result:").text, "Splice result: 1,21,4, removed: 2,3");
+      assert.equal(run.line("Element at index 2 removed").text.endsWith("1,21,30,500, removed value 4"), true);
+    });
+
+    test("slice copies primitives: changing the copy leaves the original alone", () => {
+      assert.equal(run.line("Sliced array after change:").text, "Sliced array after change: 1,2, original arr after change: 1,21,30,500");
+    });
+
+    test("slice shares object references: changing the copy changes the original", () => {
+      assert.match(run.line("Now we changed slicedArr2").text, /: Panther,Jaguar and .*: Lion,Tiger,Panther,Jaguar$/);
+    });
+
+    test("concat returns a new array and leaves both inputs unchanged", () => {
+      assert.match(run.line("concat()").text, /-> 1,2,3,21,22,23\. Original arrs not changed: 1,2,3 & 21,22,23$/);
+    });
+
+    test("includes, indexOf and join", () => {
+      assert.equal(tail(".includes(x)"), "true");
+      assert.equal(tail(".indexof(x)"), "3");
+      assert.equal(tail(".join(sep)"), "This is an array of strings");
+    });
+
+    test("forEach visits every element", () => {
+      const seen = run.logs.filter((l) => l.text.startsWith("This is an element obtained through foreach:"));
+      assert.deepEqual(seen.map((l) => l.text.split(": ")[1]), ["1", "21", "30", "500"]);
+    });
+
+    test("map, filter, find, findIndex, some/every and reduce", () => {
+      assert.equal(tail("arr.map((a) => a / 2)"), "0.5,10.5,15,250");
+      assert.equal(tail("Filter result"), "30,500");
+      assert.equal(tail("Found number"), "30");
+      assert.equal(tail("First even number index"), "2");
+      assert.equal(run.line("All numbers in").text, "All numbers in 1,21,30,500 are even: false. At least one number is odd: true");
+      assert.equal(tail("The sum of all elements"), "552");
+    });
+
+    test("flat(1) flattens one level only", () => {
+      assert.deepEqual([1, [2, 3], [4, [5, 6]]].flat(1), [1, 2, 3, 4, [5, 6]]);
+    });
+
+    test("sort and reverse mutate and return the same array", () => {
+      assert.equal(tail("Lets sort"), "1,2,20,55,100");
+      assert.equal(tail("Lets reverse"), "100,55,20,2,1");
+
+      const nums = [2, 1, 55, 20, 100];
+      assert.equal(nums.sort((a, b) => a - b), nums);
+      assert.equal(nums.reverse(), nums);
+    });
+
+    test("slice().sort() leaves the original alone, and sort() without a comparator compares as strings", () => {
+      const nums = [2, 1, 55, 20, 100];
+      assert.deepEqual(nums.slice().sort(), [1, 100, 2, 20, 55]);
+      assert.deepEqual(nums, [2, 1, 55, 20, 100]);
+    });
+
+    test("spread builds a new array, but only a shallow copy", () => {
+      assert.match(run.line("Lets mix").text, /Result 0,1,2,middle,3,4,5$/);
+      const inner = { name: "Lion" };
+      const source = [inner];
+      const copy = [...source];
+      assert.notEqual(copy, source);
+      assert.equal(copy[0], inner);
+    });
+  });
+
+  describe("objects", () => {
+    test("add, update and delete properties", () => {
+      // obj is logged live and changed afterwards, so check what was printed
+      assert.equal(run.line("After add/update:").text, "After add/update: { name: 'Leo', age: 6, breed: 'Lion' }");
+      assert.deepEqual(run.line("After delete:").args[1], { name: "Leo", age: 6, continent: "Africa" });
+    });
+
+    test("existence checks", () => {
+      assert.equal(run.line(`"age" in obj?`).args[1], true);
+      assert.equal(run.line("hasOwn (ES2022):").args[1], true);
+      assert.equal(run.line("legacy hasOwnProperty:").args[1], true);
+    });
+
+    test("optional chaining and nullish coalescing", () => {
+      assert.equal(run.line("Optional chaining: ").args[1], "big-cat");
+      assert.equal(run.line("Optional chaining miss:").args[1], undefined);
+      assert.equal(run.line("Nullish coalescing default:").args[1], "light");
+    });
+
+    test("keys, values, entries and fromEntries", () => {
+      assert.deepEqual(run.line("Object.keys:").args[1], ["name", "age", "continent"]);
+      assert.deepEqual(run.line("Object.values:").args[1], ["Leo", 6, "Africa"]);
+      assert.deepEqual(run.line("Object.entries:").args[1], [["name", "Leo"], ["age", 6], ["continent", "Africa"]]);
+      assert.deepEqual(run.line("Object.fromEntries").args[1], { species: "Panthera leo", weightKg: 190 });
+    });
+
+    test("Object.assign and spread are shallow: the nested object is shared", () => {
+      const [, merged1, merged2] = run.line("Shallow copies via assign/spread:").args;
+      assert.notEqual(merged1, merged2);
+      assert.equal(merged1.nested, merged2.nested);
+
+      const [, base, , afterMutation] = run.line("Shallow pitfall").args;
+      assert.equal(base.nested, afterMutation.nested);
+      assert.equal(base.nested.x, 99);
+    });
+
+    test("the JSON trick makes a deep copy", () => {
+      const [, base, , deepCopy] = run.line("Deep copy via JSON trick:").args;
+      assert.notEqual(base.nested, deepCopy.nested);
+      assert.equal(base.nested.x, 99);
+      assert.equal(deepCopy.nested.x, 123);
+    });
+
+    test("the JSON trick loses Dates, functions, Maps and Sets", () => {
+      const copy = JSON.parse(JSON.stringify({ d: new Date(0), fn() {}, m: new Map([[1, 2]]), s: new Set([1]) }));
+      assert.deepEqual(copy, { d: "1970-01-01T00:00:00.000Z", m: {}, s: {} });
+    });
+
+    test("structuredClone keeps Dates and copies deeply", () => {
+      const clone = run.line("structuredClone result:").args[1];
+      assert.ok(clone.d instanceof Date);
+      assert.deepEqual(clone.arr, [1, 2]);
+      assert.equal(clone.nested.y, 100);
+    });
+
+    test("a frozen object rejects every change", () => {
+      const [, frozen, , isFrozen] = run.line("Object.freeze").args;
+      assert.equal(isFrozen, true);
+      assert.throws(() => { frozen.lock = false; }, TypeError); // "would throw in strict mode" — and modules are strict
+      assert.throws(() => { frozen.extra = 1; }, TypeError);
+      assert.throws(() => { delete frozen.lock; }, TypeError);
+      assert.deepEqual(frozen, { lock: true });
+    });
+
+    test("a sealed object allows edits but no new or deleted props", () => {
+      const [, sealed, , isSealed] = run.line("Object.seal").args;
+      assert.equal(isSealed, true);
+      assert.deepEqual(sealed, { a: 2 });
+      assert.throws(() => { sealed.b = 1; }, TypeError);
+      assert.throws(() => { delete sealed.a; }, TypeError);
+    });
+
+    test("freeze is shallow", () => {
+      const frozen = Object.freeze({ inner: { x: 1 } });
+      frozen.inner.x = 2;
+      assert.equal(frozen.inner.x, 2);
+    });
+
+    test("defineProperty can make a non-writable, non-configurable prop", () => {
+      const d = run.line("defineProperty non-writable id:").args[1];
+      assert.throws(() => { d.id = 100; }, TypeError);
+      assert.throws(() => { delete d.id; }, TypeError);
+      assert.deepEqual(Object.getOwnPropertyDescriptor(d, "id"), { value: 42, writable: false, enumerable: true, configurable: false });
+    });
+
+    test("for...in with hasOwn and entries + for...of see the same own props", () => {
+      const props = run.logs.filter((l) => l.text.startsWith("  ")).map((l) => l.text.trim());
+      assert.deepEqual(props, ["name: Cheetah", "speed: 120", "name: Cheetah", "speed: 120"]);
+    });
+
+    test("for...in also walks inherited enumerable props", () => {
+      const child = Object.create({ inherited: true });
+      child.own = true;
+      const keys = [];
+      for (const k in child) keys.push(k);
+      assert.deepEqual(keys, ["own", "inherited"]);
+    });
+
+    test("entries → map → fromEntries transforms keys", () => {
+      assert.deepEqual(run.line("Transform keys to upper").args[1], { NAME: "Cheetah", SPEED: 120 });
+    });
+
+    test("indexing by id with reduce keeps the same objects", () => {
+      const [, byId, , tiger] = run.line("Index by id via reduce:").args;
+      assert.deepEqual(Object.keys(byId), ["1", "2", "3"]);
+      assert.equal(byId[2], tiger);
+      assert.equal(tiger.name, "Tiger");
+    });
+
+    test("a Collection keeps its index current through an update", () => {
+      const [, updated, , stale] = run.line("Collection after update:").args;
+      assert.deepEqual(updated, { id: 2, name: "Bengal Tiger" });
+      assert.equal(stale, undefined);
+      assert.equal(run.line("Index by id via reduce:").args[3].name, "Tiger", "the zoo array itself is untouched");
+    });
+
+    test("an immutable update replaces only the changed element", () => {
+      const [, updated, , original] = run.line("Immutable update with spread:").args;
+      assert.equal(original[1].name, "Tiger");
+      assert.equal(updated[1].name, "Bengal Tiger");
+      assert.notEqual(updated[1], original[1]);
+      assert.equal(updated[0], original[0]);
+      assert.equal(updated[2], original[2]);
+    });
+
+    test("a nested immutable update copies along the changed path", () => {
+      assert.deepEqual(run.line("Immutable nested update:").args[1], { user: { prefs: { theme: "dark", lang: "en" } } });
+    });
+
+    test("setIn makes the same nested update from a path", () => {
+      const [, viaPath, , userCopied] = run.line("Nested update via setIn:").args;
+      assert.deepEqual(viaPath, run.line("Immutable nested update:").args[1]);
+      assert.equal(userCopied, true);
+    });
+
+    test("JSON.stringify and JSON.parse round-trip plain data", () => {
+      const json = run.line("JSON.stringify").args[1];
+      assert.equal(json, `{"name":"Leo","age":6,"continent":"Africa"}`);
+      assert.deepEqual(run.line("JSON.parse").args[1], JSON.parse(json));
+    });
+  });
+});
+
+describe("datastructures.js header claims", () => {
+  test("mutating vs non-mutating array methods", () => {
+    const mutates = (method, ...args) => {
+      const arr = [3, 1, 2];
+      arr[method](...args);
+      return arr.join() !== "3,1,2";
+    };
+    for (const [method, args] of [["push", [4]], ["pop", []], ["shift", []], ["unshift", [0]], ["splice", [0, 1]], ["sort", []], ["reverse", []]]) {
+      assert.equal(mutates(method, ...args), true, `${method} should mutate`);
+    }
+    for (const [method, args] of [["slice", [1]], ["concat", [[4]]], ["map", [(x) => x]], ["filter", [Boolean]], ["flat", []], ["join", ["-"]]]) {
+      assert.equal(mutates(method, ...args), false, `${method} should not mutate`);
+    }
+  });
+
+  test("forEach returns undefined; find returns undefined when nothing matches; indexOf returns -1", () => {
+    assert.equal([1].forEach(() => 1), undefined);
+    assert.equal([1].find((x) => x > 1), undefined);
+    assert.equal([1].indexOf(2), -1);
+  });
+
+  test("Map keeps insertion order and takes keys of any type", () => {
+    const objKey = {};
+    const map = new Map([["b", 1], [objKey, 2], [1, 3]]);
+    assert.deepEqual([...map.keys()], ["b", objKey, 1]);
+    assert.equal(map.get(objKey), 2);
+    map.delete("b");
+    assert.equal(map.size, 2);
+    map.clear();
+    assert.equal(map.size, 0);
+  });
+
+  test("Set keeps unique values", () => {
+    const set = new Set([1, 2, 3, 3]);
+    assert.deepEqual([...set], [1, 2, 3]);
+    set.add(4);
+    set.delete(1);
+    set.delete(3);
+    assert.equal(set.size, 2);
+    assert.deepEqual([...new Set([1, 1, 2])], [1, 2]);
+  });
+
+  test("WeakMap and WeakSet only take objects and cannot be iterated or sized", () => {
+    assert.throws(() => new WeakMap().set("key", 1), TypeError);
+    assert.throws(() => new WeakSet().add(1), TypeError);
+    assert.equal("size" in new WeakMap(), false);
+    assert.equal(Symbol.iterator in new WeakSet(), false);
+  });
+
+  test("string methods", () => {
+    assert.equal("abc".length, 3);
+    assert.equal("abc".charAt(1), "b");
+    assert.equal("abc"[1], "b");
+    assert.equal("abc".includes("a"), true);
+    assert.equal("abc".indexOf("b"), 1);
+    assert.equal("abc".toUpperCase(), "ABC");
+    assert.deepEqual("a-b-c".split("-"), ["a", "b", "c"]);
+    assert.equal(["a", "b", "c"].join("-"), "a-b-c");
+    assert.equal("  hi  ".trim(), "hi");
+  });
+
+  test("strings are immutable", () => {
+    const s = "abc";
+    assert.throws(() => { s[0] = "z"; }, TypeError);
+    assert.equal(s, "abc");
+  });
+
+  test("primitives are copied by value, objects by reference", () => {
+    let n = 1;
+    const copyOfN = n;
+    n = 2;
+    assert.equal(copyOfN, 1);
+
+    const o = { v: 1 };
+    const alias = o;
+    o.v = 2;
+    assert.equal(alias.v, 2);
+  });
+});
@@ -0,0 +1,263 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, test } from "node:test";
+import {
+  assertDeepEqual, deepClone, deepEqual, firstDifference, isRegistered, registerClass, unregisterClass,
+} from "syntax/deep";
+import { Animal, Box, Lion } from "syntax/oop";
+
+afterEach(() => {
+  for (const C of [Animal, Box, Lion]) unregisterClass(C);
+});
+
+describe("deepClone", () => {
+  test("copies nested plain data without sharing it", () => {
+    const base = { a: 1, nested: { x: 10, list: [1, { y: 2 }] } };
+    const copy = deepClone(base);
+    assert.deepEqual(copy, base);
+    copy.nested.x = 99;
+    copy.nested.list[1].y = 3;
+    assert.equal(base.nested.x, 10);
+    assert.equal(base.nested.list[1].y, 2);
+  });
+
+  test("returns primitives, BigInts, symbols and functions as they are", () => {
+    const fn = () => 1;
+    const sym = Symbol("s");
+    for (const v of [1, "s", true, null, undefined, 10n, sym, fn]) assert.equal(deepClone(v), v);
+    assert.equal(deepClone({ fn }).fn, fn);
+  });
+
+  test("keeps cycles and shared references", () => {
+    const shared = { n: 1 };
+    const root = { a: shared, b: shared, list: [] };
+    root.self = root;
+    root.list.push(root, shared);
+    const copy = deepClone(root);
+    assert.notEqual(copy, root);
+    assert.equal(copy.self, copy);
+    assert.equal(copy.a, copy.b);
+    assert.notEqual(copy.a, shared);
+    assert.equal(copy.list[0], copy);
+    assert.equal(copy.list[1], copy.a);
+  });
+
+  test("rebuilds Maps and Sets, keys and items included", () => {
+    const key = { id: 1 };
+    const map = new Map([[key, { v: 1 }], ["k", [1, 2]]]);
+    const set = new Set([key, 2]);
+    const { map: m, set: s } = deepClone({ map, set });
+    assert.ok(m instanceof Map && s instanceof Set);
+    const [copiedKey] = m.keys();
+    assert.notEqual(copiedKey, key);
+    assert.deepEqual(copiedKey, key);
+    assert.ok(s.has(copiedKey), "the Set item and Map key were one object, and still are");
+    assert.notEqual(m.get("k"), map.get("k"));
+    assert.deepEqual(m.get("k"), [1, 2]);
+  });
+
+  test("rebuilds Dates and RegExps, lastIndex included", () => {
+    const re = /a/g;
+    re.exec("aaa");
+    const { d, r } = deepClone({ d: new Date(0), r: re });
+    assert.ok(d instanceof Date);
+    assert.equal(d.getTime(), 0);
+    assert.ok(r instanceof RegExp);
+    assert.notEqual(r, re);
+    assert.equal(String(r), "/a/g");
+    assert.equal(r.lastIndex, 1);
+  });
+
+  test("copies typed arrays, keeping views of one buffer on one buffer", () => {
+    const buffer = new ArrayBuffer(8);
+    const bytes = new Uint8Array(buffer);
+    const words = new Uint16Array(buffer, 2, 2);
+    bytes[2] = 7;
+    const copy = deepClone({ bytes, words, big: new BigInt64Array([5n]) });
+    assert.ok(copy.words instanceof Uint16Array);
+    assert.equal(copy.words.byteOffset, 2);
+    assert.equal(copy.bytes.buffer, copy.words.buffer);
+    assert.notEqual(copy.bytes.buffer, buffer);
+    copy.bytes[2] = 9;
+    assert.equal(bytes[2], 7);
+    assert.equal(copy.words[0], 9);
+    assert.equal(copy.big[0], 5n);
+  });
+
+  test("keeps symbol keys, accessors, non-enumerable properties, holes and null prototypes", () => {
+    const tag = Symbol("tag");
+    const source = Object.create(null);
+    source[tag] = { deep: true };
+    Object.defineProperty(source, "hidden", { value: [1], enumerable: false });
+    Object.defineProperty(source, "computed", { get() { return 42; }, enumerable: true });
+    source.holes = [1, , 3];
+    const copy = deepClone(source);
+    assert.equal(Object.getPrototypeOf(copy), null);
+    assert.deepEqual(copy[tag], { deep: true });
+    assert.notEqual(copy[tag], source[tag]);
+    assert.equal(Object.getOwnPropertyDescriptor(copy, "hidden").enumerable, false);
+    assert.deepEqual(copy.hidden, [1]);
+    assert.equal(copy.computed, 42);
+    assert.equal(typeof Object.getOwnPropertyDescriptor(copy, "computed").get, "function");
+    assert.equal(1 in copy.holes, false);
+    assert.equal(copy.holes.length, 3);
+  });
+
+  test("copies errors and boxed primitives", () => {
+    const error = new RangeError("too far", { cause: { at: 3 } });
+    const copy = deepClone({ error, n: Object(5), s: Object("hi") });
+    assert.ok(copy.error instanceof RangeError);
+    assert.equal(copy.error.message, "too far");
+    assert.deepEqual(copy.error.cause, { at: 3 });
+    assert.notEqual(copy.error.cause, error.cause);
+    assert.equal(typeof copy.n, "object");
+    assert.equal(copy.n.valueOf(), 5);
+    assert.equal(copy.s.valueOf(), "hi");
+  });
+
+  test("refuses an unregistered class, naming where it is", () => {
+    assert.throws(() => deepClone({ zoo: [new Animal("Leo", 5)] }), {
+      name: "TypeError",
+      message: "deepClone: can't copy Animal at $.zoo[0] (registerClass() it first)",
+    });
+    assert.throws(() => deepClone({ w: new WeakMap() }), { message: "deepClone: can't copy WeakMap at $.w" });
+  });
+
+  describe("registered classes", () => {
+    test("keep their prototype and own state", () => {
+      registerClass(Animal);
+      registerClass(Box);
+      const box = new Box(new Animal("Leo", 5));
+      const copy = deepClone(box);
+      assert.ok(copy instanceof Box);
+      assert.ok(copy.items[0] instanceof Animal);
+      assert.equal(copy.items[0].speak(), "Leo makes a sound.");
+      assert.equal(copy.items[0].secret, "(redacted)");
+      copy.add("more");
+      assert.equal(box.items.length, 1, "oop.js's shallow-copy pitfall doesn't apply");
+    });
+
+    test("only the exact class counts", () => {
+      registerClass(Animal);
+      assert.ok(isRegistered(Animal));
+      assert.equal(isRegistered(Lion), false);
+      assert.throws(() => deepClone(new Lion("Simba", 3)), /can't copy Lion/);
+    });
+
+    test("private fields only exist if create() makes them", () => {
+      const lion = new Lion("Simba", 3);
+      lion.hunt();
+      registerClass(Lion);
+      assert.throws(() => deepClone(lion).hunt(), TypeError);
+
+      registerClass(Lion, { create: () => new Lion() });
+      const copy = deepClone(lion);
+      assert.equal(copy.name, "Simba");
+      assert.equal(copy.hunt(), "Simba hunted (#1).", "starts from the initial #kills");
+    });
+
+    test("a clone() hook builds the copy itself", () => {
+      registerClass(Box, { clone: (box, clone) => Object.assign(new Box(), { items: clone(box.items).reverse() }) });
+      const shared = { n: 1 };
+      const copy = deepClone({ box: Object.assign(new Box(), { items: [1, shared] }), shared });
+      assert.deepEqual(copy.box.items, [{ n: 1 }, 1]);
+      assert.equal(copy.box.items[0], copy.shared);
+    });
+
+    test("a clone() hook that cycles back to itself is an error, not a stack overflow", () => {
+      registerClass(Box, { clone: (box, clone) => Object.assign(new Box(), { items: clone(box.items) }) });
+      const box = new Box();
+      box.add(box);
+      assert.throws(() => deepClone(box), /cycle back into the Box clone\(\) hook/);
+    });
+  });
+});
+
+describe("deepEqual / firstDifference", () => {
+  test("equal structures have no difference", () => {
+    const make = () => ({ n: 1, list: [1, [2]], m: new Map([["a", new Set([1])]]), d: new Date(5), re: /x/i, big: 3n });
+    assert.equal(firstDifference(make(), make()), undefined);
+    assert.ok(deepEqual(make(), make()));
+  });
+
+  test("reports the path to the first difference", () => {
+    const diff = firstDifference({ a: { list: [1, { b: 2 }] } }, { a: { list: [1, { b: 3 }] } });
+    assert.deepEqual(diff, { path: "$.a.list[1].b", reason: "2 !== 3", left: 2, right: 3 });
+  });
+
+  test("names missing keys on either side", () => {
+    assert.deepEqual(firstDifference({ a: 1 }, {}), { path: "$.a", reason: "missing on the right", left: 1, right: undefined });
+    assert.deepEqual(firstDifference({}, { "odd key": 1 }), { path: '$["odd key"]', reason: "missing on the left", left: undefined, right: 1 });
+  });
+
+  test("follows Map entries and symbol keys", () => {
+    const tag = Symbol("tag");
+    assert.equal(firstDifference(new Map([["leo", { age: 5 }]]), new Map([["leo", { age: 6 }]])).path, '$.get("leo").age');
+    assert.equal(firstDifference({ [tag]: 1 }, { [tag]: 2 }).path, "$[Symbol(tag)]");
+  });
+
+  test("uses Object.is for primitives", () => {
+    assert.ok(deepEqual(NaN, NaN));
+    assert.equal(firstDifference(0, -0).reason, "0 !== -0");
+    assert.equal(firstDifference(1, "1").reason, "number vs string");
+    assert.ok(deepEqual(10n, 10n));
+    assert.equal(deepEqual(Symbol("a"), Symbol("a")), false);
+  });
+
+  test("requires the same prototype", () => {
+    assert.equal(firstDifference(new Lion("Leo", 5), new Animal("Leo", 5)).reason, "Lion vs Animal");
+    assert.equal(firstDifference([1], { 0: 1, length: 1 }).reason, "Array vs Object");
+    assert.ok(deepEqual(new Animal("Leo", 5), new Animal("Leo", 5)), "no registration needed to compare");
+  });
+
+  test("compares Maps and Sets regardless of order, object keys by value", () => {
+    assert.ok(deepEqual(new Set([1, 2, 3]), new Set([3, 2, 1])));
+    assert.ok(deepEqual(new Set([{ a: 1 }, { a: 2 }]), new Set([{ a: 2 }, { a: 1 }])));
+    assert.ok(deepEqual(new Map([[{ k: 1 }, "x"]]), new Map([[{ k: 1 }, "x"]])));
+    assert.equal(firstDifference(new Set([1, 2]), new Set([1, 3])).reason, "2 missing on the right");
+    assert.equal(firstDifference(new Map([["a", 1]]), new Map([["a", 1], ["b", 2]])).reason, "sizes 1 and 2");
+    assert.equal(firstDifference(new Set([{ a: 1 }, { a: 1 }]), new Set([{ a: 1 }, { a: 2 }])).reason, "{ a: 1 } missing on the right");
+  });
+
+  test("compares Dates, RegExps, errors and typed arrays by value", () => {
+    assert.equal(deepEqual(new Date(1), new Date(2)), false);
+    assert.equal(firstDifference(/a/g, /a/i).reason, "/a/g !== /a/i");
+    assert.equal(firstDifference(new Error("a"), new Error("b")).reason, "Error: a !== Error: b");
+    assert.equal(firstDifference({ t: new Uint8Array([1, 2]) }, { t: new Uint8Array([1, 3]) }).path, "$.t[1]");
+    assert.equal(firstDifference(new Uint8Array(2), new Int8Array(2)).reason, "Uint8Array vs Int8Array");
+  });
+
+  test("tells holes from undefined", () => {
+    assert.deepEqual(firstDifference([1, , 3], [1, undefined, 3]), { path: "$[1]", reason: "missing on the left", left: undefined, right: undefined });
+  });
+
+  test("handles cycles", () => {
+    const a = { name: "a" };
+    a.self = a;
+    const b = { name: "a" };
+    b.self = b;
+    assert.ok(deepEqual(a, b));
+    b.self = { name: "a", self: { name: "b" } };
+    assert.equal(firstDifference(a, b).path, "$.self.self.name");
+  });
+
+  test("lets a registered class decide with equals()", () => {
+    registerClass(Animal, { equals: (x, y) => x.name === y.name });
+    assert.ok(deepEqual(new Animal("Leo", 5), new Animal("Leo", 6)));
+    assert.equal(firstDifference(new Animal("Leo", 5), new Animal("Nala", 5)).reason, "not equal by Animal's equals()");
+  });
+
+  test("a clone is deep-equal to its original", () => {
+    registerClass(Box);
+    const original = { box: new Box({ tags: new Set(["x"]) }), when: new Date(0), bytes: new Uint8Array([1, 2]) };
+    original.box.add(original);
+    assert.ok(deepEqual(deepClone(original), original));
+  });
+
+  test("assertDeepEqual puts the path in the failure message", () => {
+    assertDeepEqual({ a: [1] }, { a: [1] });
+    assert.throws(() => assertDeepEqual({ a: [1] }, { a: [2] }, "config"), {
+      name: "AssertionError",
+      message: "config: values differ at $.a[0]: 1 !== 2",
+    });
+  });
+});
@@ -0,0 +1,277 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { dirname, join } from "node:path";
+import { describe, mock, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { TEMP_FILE } from "../hood.js";
+import { alignLines, compareDemo, formatComparison } from "../eventloop/compare.js";
+import { RELAXATIONS, findRelaxation, loadExpectedOrder, parseExpectedOrder } from "../eventloop/expected.js";
+import { findDemo, recordDemo, runDemo, runDemos } from "../eventloop/run.js";
+import { formatReport, traceScript, verify } from "../eventloop/verify.js";
+import { buildFrames, renderFrame, snippetDemo } from "../eventloop/visualize.js";
+import { createWatchdog, formatWatchdogReport } from "../eventloop/watchdog.js";
+
+const HOOD = join(dirname(fileURLToPath(import.meta.url)), "..", "hood.js");
+
+// A trace with one log per [label] text, in the order given.
+const fakeTrace = (lines, mainTick = "sync") => ({
+  mainTick,
+  events: lines.map(([queue, text], seq) => ({ type: "log", queue, text, seq })),
+});
+
+describe("eventloop/expected.js", () => {
+  test("parseExpectedOrder reads each DEMO block's [label] lines", () => {
+    const demos = parseExpectedOrder(`
+ * EXPECTED ORDER HIGHLIGHTS:
+ * DEMO 1 (main tick):
+ *   [sync] start
+ *   [nextTick] ...
+ *   [check] setImmediate inside I/O callback   <-- typically before timeout
+ *
+ * DEMO 2:
+ *   [timer] T1 callback
+ * Takeaways:
+ *   [sync] not part of any demo
+`);
+    assert.deepEqual(demos, [
+      {
+        demo: 1,
+        entries: [
+          { label: "sync", prefix: "[sync] start" },
+          { label: "nextTick", prefix: "[nextTick]" },
+          { label: "check", prefix: "[check] setImmediate inside I/O callback" },
+        ],
+      },
+      { demo: 2, entries: [{ label: "timer", prefix: "[timer] T1 callback" }] },
+    ]);
+  });
+
+  test("parseExpectedOrder refuses a file without the block", () => {
+    assert.throws(() => parseExpectedOrder("// nothing here"), /no EXPECTED ORDER HIGHLIGHTS/);
+  });
+
+  test("hood.js lists all five demos", () => {
+    assert.deepEqual(loadExpectedOrder(HOOD).map((d) => d.demo), [1, 2, 3, 4, 5]);
+  });
+
+  test("findRelaxation matches either order, and honours `when`", () => {
+    assert.equal(findRelaxation(1, "check", "timer", fakeTrace([]))?.demo, 1);
+    assert.equal(findRelaxation(3, "check", "timer", fakeTrace([])), undefined);
+    assert.equal(findRelaxation(4, "nextTick", "microtask", fakeTrace([], "sync")), undefined);
+    assert.ok(findRelaxation(4, "microtask", "nextTick", fakeTrace([], "microtask")));
+    assert.ok(RELAXATIONS.every((r) => typeof r.why === "string" && r.between.length === 2));
+  });
+});
+
+describe("eventloop/verify.js", () => {
+  const expected = [{ demo: 1, entries: [{ label: "sync", prefix: "[sync] a" }, { label: "timer", prefix: "[timer] b" }] }];
+
+  test("passes a trace in the listed order", () => {
+    const report = verify(fakeTrace([["sync", "[sync] a"], ["timers", "[timer] b"]]), expected);
+    assert.equal(report.ok, true);
+    assert.equal(formatReport(report), "DEMO 1: PASS");
+  });
+
+  test("reports lines out of order, missing, or from the wrong queue", () => {
+    const swapped = verify(fakeTrace([["timers", "[timer] b"], ["sync", "[sync] a"]]), expected, []);
+    assert.deepEqual(swapped.demos[0].problems, ['"[timer] b" came before "[sync] a"']);
+
+    const wrong = verify(fakeTrace([["sync", "[sync] a"], ["check", "[timer] b"]]), expected);
+    assert.deepEqual(wrong.demos[0].problems, ['"[timer] b" ran in check, not [timer]']);
+
+    const missing = verify(fakeTrace([["sync", "[sync] a"]]), expected);
+    assert.equal(missing.ok, false);
+    assert.match(formatReport(missing), /DEMO 1: FAIL\n {2}✗ missing: "\[timer\] b"/);
+  });
+
+  test("a relaxation turns a swap into a note", () => {
+    const relaxed = [{ demo: 1, between: ["sync", "timer"], why: "test" }];
+    const report = verify(fakeTrace([["timers", "[timer] b"], ["sync", "[sync] a"]]), expected, relaxed);
+    assert.equal(report.ok, true);
+    assert.match(report.demos[0].notes[0], /allowed: test/);
+  });
+
+  test("hood.js, traced for real, matches its EXPECTED ORDER comment", () => {
+    const report = verify(traceScript(HOOD), loadExpectedOrder(HOOD));
+    assert.ok(report.ok, formatReport(report));
+    assert.equal(report.demos.length, 5);
+  });
+});
+
+// console.log lines written while `fn` runs, instead of printed.
+async function captureLogs(fn) {
+  const log = mock.method(console, "log", () => {});
+  try {
+    await fn();
+    return log.mock.calls.map((call) => call.arguments.join(" "));
+  } finally {
+    log.mock.restore();
+  }
+}
+
+describe("eventloop/run.js", () => {
+  test("findDemo takes a number, a numeric string or a name", () => {
+    assert.equal(findDemo(3).name, "io-callback");
+    assert.equal(findDemo("3").name, "io-callback");
+    assert.equal(findDemo("nexttick-drain").id, 4);
+    assert.throws(() => findDemo("nope"), /unknown demo "nope" — choose one of: 1 \(main-tick\), 2 \(async-await\)/);
+  });
+
+  test("runDemo waits for everything the demo scheduled, and removes the temp file", async () => {
+    const lines = await captureLogs(() => runDemo(findDemo(3)));
+    assert.deepEqual(lines.map((l) => l.split(" ")[0]), ["[I/O]", "[nextTick]", "[microtask]", "[check]", "[timer]"]);
+    assert.equal(fs.existsSync(TEMP_FILE), false);
+  });
+
+  test("runDemos prints a header over each demo's own output", async () => {
+    const lines = await captureLogs(() => runDemos(["4", "nested-drain"]));
+    const titles = lines.filter((l) => l.startsWith("DEMO"));
+    assert.deepEqual(titles, [findDemo(4).title, findDemo(5).title]);
+    const at = lines.indexOf(findDemo(5).title);
+    assert.ok(lines.slice(0, at).some((l) => l.startsWith("[nextTick] A")));
+    assert.ok(lines.slice(at).every((l) => !l.startsWith("[nextTick]")), "DEMO 4's lines all came before DEMO 5's header");
+  });
+
+  test("recordDemo captures the demo's logs with their queues, without printing them", async () => {
+    const lines = await captureLogs(async () => {
+      const trace = await recordDemo(findDemo(4));
+      const logs = trace.events.filter((e) => e.type === "log");
+      assert.deepEqual(logs.map((e) => e.queue), ["nextTick", "nextTick", "microtask"]);
+      assert.ok(trace.events.some((e) => e.type === "schedule" && e.api === "nextTick"));
+    });
+    assert.deepEqual(lines, []);
+  });
+});
+
+describe("eventloop/compare.js", () => {
+  test("alignLines keeps the longest common run and marks the rest", () => {
+    const line = (text) => ({ text });
+    const rows = alignLines(["a", "b", "c"].map(line), ["a", "c", "b"].map(line));
+    assert.deepEqual(rows.map((r) => [r.left?.text, r.right?.text]), [["a", "a"], ["b", undefined], ["c", "c"], [undefined, "b"]]);
+  });
+
+  test("hood.js DEMO 3: Node runs the immediate first, the browser the timer", async () => {
+    const result = await compareDemo(findDemo(3));
+    assert.equal(result.same, false);
+    const text = formatComparison(result);
+    const lines = text.split("\n");
+    assert.equal(lines[1], findDemo(3).title);
+    assert.match(text, /^ {2}\{check\} \[check\] setImmediate.* < $/m);
+    assert.match(text, /^ {2}\{timers\} \[timer\] setTimeout.* {3}\{timer\} \[timer\] setTimeout/m);
+    assert.match(text, /^ {47}> \{message\} \[check\] setImmediate/m);
+    assert.equal(lines.at(-4), "  → order differs");
+    assert.ok(result.substitutions.some((s) => s.startsWith("setImmediate → postMessage")));
+    assert.equal(fs.existsSync(TEMP_FILE), false);
+  });
+
+  test("hood.js DEMO 5: same order in both", async () => {
+    const result = await compareDemo(findDemo(5));
+    assert.equal(result.same, true);
+    assert.deepEqual(result.rows.map((r) => [r.left.where, r.right.where]), [
+      ["timers", "timer"], ["microtask", "microtask"], ["timers", "timer"], ["microtask", "microtask"],
+    ]);
+    assert.match(formatComparison(result), /→ same order in both$/);
+  });
+
+  test("a side that throws shows the error instead", async () => {
+    const result = await compareDemo(snippetDemo("setImmediate(() => console.log('[check] hi'))"));
+    assert.deepEqual(result.rows[0].left, { text: "[check] hi", where: "check" });
+    assert.ok(result.rows.every((r) => r.left?.where !== "error"));
+
+    const raf = await compareDemo(snippetDemo("requestAnimationFrame(() => console.log('[raf] frame'))"));
+    assert.match(raf.rows[0].left.text, /^✗ ReferenceError: requestAnimationFrame is not defined/);
+    assert.ok(raf.rows.some((r) => r.right?.text === "[raf] frame"));
+  });
+});
+
+describe("eventloop/visualize.js", () => {
+  // A hand-written trace: the main tick schedules a timer and a then.
+  const trace = {
+    mainTick: "sync",
+    events: [
+      { type: "run", queue: "sync", id: 1 },
+      { type: "schedule", api: "setTimeout", queue: "timers", id: 2, label: "[timer] t", delay: 0 },
+      { type: "schedule", api: "then", queue: "microtask", id: 3, label: "[microtask] m" },
+      { type: "done", id: 1 },
+      { type: "run", queue: "microtask", id: 3 },
+      { type: "log", queue: "microtask", text: "[microtask] m" },
+      { type: "done", id: 3 },
+      { type: "run", queue: "timers", id: 2 },
+      { type: "log", queue: "timers", text: "[timer] t" },
+      { type: "done", id: 2 },
+    ],
+  };
+
+  test("buildFrames replays the stack and queues after each event", () => {
+    const frames = buildFrames(trace);
+    assert.equal(frames.length, trace.events.length);
+    assert.deepEqual(frames[2].rows, { nextTick: [], microtask: ["[microtask] m"], waiting: [], timers: ["[timer] t (0ms)"], check: [] });
+    assert.equal(frames[1].caption, 'setTimeout("[timer] t") → Timers (setTimeout)');
+    assert.equal(frames[4].caption, 'microtask runs "[microtask] m"');
+    assert.deepEqual(frames[4].callStack, ["[microtask] m"]);
+    assert.deepEqual(frames[4].rows.microtask, []);
+    assert.equal(frames[7].phase, "timers");
+    assert.equal(frames[9].note, "after a macrotask: drain nextTick, then microtasks");
+    assert.deepEqual(frames.at(-1).output, ["[microtask] m", "[timer] t"]);
+  });
+
+  test("renderFrame draws one step", () => {
+    const frames = buildFrames(trace);
+    const text = renderFrame(frames[2], { title: "TEST", index: 2, total: frames.length });
+    assert.match(text, /^TEST +step 3\/10$/m);
+    assert.match(text, /^Loop: {2}timers → pending → poll → check → close$/m);
+    assert.match(text, /^Microtask queue\n {2}1\. \[microtask\] m$/m);
+    assert.match(text, /^Timers \(setTimeout\)\n {2}1\. \[timer\] t \(0ms\)$/m);
+    assert.match(text, /^Check \(setImmediate\): \(empty\)$/m);
+  });
+
+  test("a snippet, traced for real, ends with its output in order", async () => {
+    const demo = snippetDemo("setTimeout(() => console.log('[timer] late'), 0);\nprocess.nextTick(() => console.log('[nextTick] early'));");
+    const frames = buildFrames(await recordDemo(demo));
+    assert.deepEqual(frames.at(-1).output, ["[nextTick] early", "[timer] late"]);
+    assert.ok(frames.some((f) => f.caption === "the demo's main tick starts (plain synchronous code)"));
+  });
+});
+
+describe("eventloop/watchdog.js", () => {
+  test("a synchronous stall trips it, and every probe reports how late it ran", async () => {
+    const dog = createWatchdog({ thresholdMs: 30 });
+    dog.start();
+    assert.equal(dog.tripped(), false);
+    const started = performance.now();
+    while (!dog.tripped()) {
+      if (performance.now() - started > 5000) throw new Error("the watchdog never tripped");
+    }
+    dog.stop("test stall");
+
+    const report = await dog.done;
+    assert.equal(report.reason, "test stall");
+    assert.equal(report.thresholdMs, 30);
+    assert.ok(report.stoppedAfterMs > 30);
+    assert.ok(report.loopDelayMs > 30, `loop delay ${report.loopDelayMs}`);
+    assert.deepEqual(Object.keys(report.probes), ["setTimeout(0)", "setImmediate", "fs.stat"]);
+    for (const [name, delay] of Object.entries(report.probes)) assert.ok(delay > 30, `${name} fired after ${delay}ms`);
+
+    const lines = formatWatchdogReport(report);
+    assert.equal(lines.length, 5);
+    assert.match(lines[0], /^\[watchdog\] test stall: stopped after \d+\.\dms \(threshold 30ms\)$/);
+    assert.match(lines[4], /^\[watchdog\] fs\.stat fired \d+\.\dms after it was scheduled$/);
+  });
+
+  test("stop() is once only", async () => {
+    const dog = createWatchdog({ thresholdMs: 1 });
+    dog.start();
+    dog.stop("first");
+    dog.stop("second");
+    assert.equal((await dog.done).reason, "first");
+  });
+
+  test("formatWatchdogReport writes one line per probe", () => {
+    const report = { reason: "spin", thresholdMs: 200, stoppedAfterMs: 200.04, loopDelayMs: 201.26, probes: { "setTimeout(0)": 201.5 } };
+    assert.deepEqual(formatWatchdogReport(report), [
+      "[watchdog] spin: stopped after 200.0ms (threshold 200ms)",
+      "[watchdog] event loop went 201.3ms without a turn",
+      "[watchdog] setTimeout(0) fired 201.5ms after it was scheduled",
+    ]);
+  });
+});
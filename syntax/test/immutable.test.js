@@ -0,0 +1,222 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, test } from "node:test";
+import { freezeOutputs, getIn, mergeIn, removeIn, setIn, toPath, updateIn } from "syntax/immutable";
+
+const makeState = () => ({
+  user: { prefs: { theme: "light", lang: "en" }, tags: ["a"] },
+  zoo: [{ id: 1, name: "Leo" }, { id: 2, name: "Tigra" }],
+  byId: new Map([["leo", { visits: 1 }]]),
+});
+
+describe("toPath", () => {
+  test("splits dotted strings and passes arrays through", () => {
+    assert.deepEqual(toPath("a.b.0"), ["a", "b", "0"]);
+    assert.deepEqual(toPath(""), []);
+    const path = ["a", 0];
+    assert.equal(toPath(path), path);
+    assert.throws(() => toPath(1), TypeError);
+  });
+});
+
+describe("getIn", () => {
+  test("walks objects, arrays and Maps", () => {
+    const state = makeState();
+    assert.equal(getIn(state, "user.prefs.theme"), "light");
+    assert.equal(getIn(state, ["zoo", 1, "name"]), "Tigra");
+    assert.equal(getIn(state, "zoo.1.name"), "Tigra");
+    assert.equal(getIn(state, ["byId", "leo", "visits"]), 1);
+    assert.equal(getIn(state, []), state);
+  });
+
+  test("gives notSetValue for a missing path, but not for an explicit undefined", () => {
+    const state = { a: { b: undefined }, n: null };
+    assert.equal(getIn(state, "a.c", "none"), "none");
+    assert.equal(getIn(state, "x.y.z", "none"), "none");
+    assert.equal(getIn(state, "n.y", "none"), "none");
+    assert.equal(getIn(state, "a.b", "none"), undefined);
+  });
+
+  test("doesn't find inherited properties", () => {
+    assert.equal(getIn({}, "toString", "none"), "none");
+    assert.equal(getIn({}, "__proto__", "none"), "none");
+  });
+});
+
+describe("setIn", () => {
+  test("replaces the hand-nested spread from datastructures.js", () => {
+    const state = { user: { prefs: { theme: "light", lang: "en" } } };
+    assert.deepEqual(setIn(state, "user.prefs.theme", "dark"), { user: { prefs: { theme: "dark", lang: "en" } } });
+    assert.equal(state.user.prefs.theme, "light");
+  });
+
+  test("copies only the changed branch", () => {
+    const state = makeState();
+    const next = setIn(state, "user.prefs.theme", "dark");
+    assert.notEqual(next, state);
+    assert.notEqual(next.user, state.user);
+    assert.notEqual(next.user.prefs, state.user.prefs);
+    assert.equal(next.user.tags, state.user.tags);
+    assert.equal(next.zoo, state.zoo);
+    assert.equal(next.byId, state.byId);
+  });
+
+  test("hands back the input when nothing changes", () => {
+    const state = makeState();
+    assert.equal(setIn(state, "user.prefs.theme", "light"), state);
+    assert.equal(setIn(state, ["zoo", 0], state.zoo[0]), state);
+  });
+
+  test("goes through arrays by index, copying the array", () => {
+    const state = makeState();
+    const next = setIn(state, ["zoo", 1, "name"], "Bengal Tiger");
+    assert.ok(Array.isArray(next.zoo));
+    assert.equal(next.zoo[1].name, "Bengal Tiger");
+    assert.equal(next.zoo[0], state.zoo[0]);
+    assert.equal(state.zoo[1].name, "Tigra");
+    assert.equal(setIn(state, "zoo.2", { id: 3 }).zoo.length, 3);
+  });
+
+  test("goes through Maps, copying the Map", () => {
+    const state = makeState();
+    const next = setIn(state, ["byId", "leo", "visits"], 2);
+    assert.ok(next.byId instanceof Map);
+    assert.notEqual(next.byId, state.byId);
+    assert.equal(next.byId.get("leo").visits, 2);
+    assert.equal(state.byId.get("leo").visits, 1);
+    const key = { id: 1 };
+    assert.equal(setIn(new Map(), [key], "x").get(key), "x");
+  });
+
+  test("creates missing containers: arrays for number keys, objects otherwise", () => {
+    assert.deepEqual(setIn({}, ["a", "b"], 1), { a: { b: 1 } });
+    assert.deepEqual(setIn({}, ["list", 0, "x"], 1), { list: [{ x: 1 }] });
+    assert.deepEqual(setIn(undefined, "a", 1), { a: 1 });
+  });
+
+  test("the empty path replaces the root", () => {
+    assert.equal(setIn({ a: 1 }, [], 5), 5);
+  });
+
+  test("keeps symbol keys and null prototypes, and treats __proto__ as a plain key", () => {
+    const tag = Symbol("tag");
+    const bare = Object.assign(Object.create(null), { a: 1, [tag]: "t" });
+    const next = setIn(bare, "b", 2);
+    assert.equal(Object.getPrototypeOf(next), null);
+    assert.equal(next[tag], "t");
+    const polluted = setIn({}, "__proto__.polluted", true);
+    assert.equal({}.polluted, undefined);
+    assert.equal(Object.getPrototypeOf(polluted), Object.prototype);
+    assert.deepEqual(Object.keys(polluted), ["__proto__"]);
+  });
+
+  test("refuses to write through anything but objects, arrays and Maps", () => {
+    assert.throws(() => setIn({ a: "str" }, "a.b", 1), { name: "TypeError", message: "setIn: can't update a string at $.a" });
+    assert.throws(() => setIn({ a: null }, "a.b", 1), { message: "setIn: can't update null at $.a" });
+    assert.throws(() => setIn({ d: new Date() }, "d.x", 1), { message: "setIn: can't update a Date at $.d" });
+    assert.throws(() => setIn({ list: [] }, "list.first", 1), { message: "setIn: first is not an array index at $.list.first" });
+  });
+});
+
+describe("updateIn", () => {
+  test("applies the updater to the current value", () => {
+    const state = makeState();
+    assert.equal(updateIn(state, ["byId", "leo", "visits"], (n) => n + 1).byId.get("leo").visits, 2);
+    assert.deepEqual(updateIn(state, "user.tags", (tags) => [...tags, "b"]).user.tags, ["a", "b"]);
+  });
+
+  test("starts a missing value from notSetValue", () => {
+    assert.deepEqual(updateIn({}, "stats.visits", (n) => n + 1, 0), { stats: { visits: 1 } });
+  });
+
+  test("returns the input when the updater changes nothing", () => {
+    const state = makeState();
+    assert.equal(updateIn(state, "user.prefs", (prefs) => prefs), state);
+  });
+});
+
+describe("mergeIn", () => {
+  test("shallow-merges into an object", () => {
+    const state = makeState();
+    const next = mergeIn(state, "user.prefs", { lang: "fr", size: "xl" });
+    assert.deepEqual(next.user.prefs, { theme: "light", lang: "fr", size: "xl" });
+    assert.equal(next.zoo, state.zoo);
+  });
+
+  test("merges Maps and plain objects into a Map", () => {
+    const state = makeState();
+    const next = mergeIn(state, "byId", new Map([["nala", { visits: 0 }]]));
+    assert.deepEqual([...next.byId.keys()], ["leo", "nala"]);
+    assert.equal(next.byId.get("leo"), state.byId.get("leo"));
+    assert.deepEqual([...mergeIn(state, "byId", { zed: { visits: 3 } }).byId.keys()], ["leo", "zed"]);
+  });
+
+  test("creates the target when missing", () => {
+    assert.deepEqual(mergeIn({}, "a.b", { c: 1 }), { a: { b: { c: 1 } } });
+  });
+
+  test("returns the input when every value is already there", () => {
+    const state = makeState();
+    assert.equal(mergeIn(state, "user.prefs", { lang: "en" }), state);
+  });
+
+  test("refuses arrays and mismatched sources", () => {
+    assert.throws(() => mergeIn(makeState(), "zoo", { 0: {} }), { message: "mergeIn: can't merge into an array at $.zoo" });
+    assert.throws(() => mergeIn(makeState(), "user", new Map()), { message: "mergeIn: can't merge a Map into an object at $.user" });
+    assert.throws(() => mergeIn({}, "a", 1), TypeError);
+  });
+});
+
+describe("removeIn", () => {
+  test("deletes from objects and Maps, splices arrays", () => {
+    const state = makeState();
+    assert.deepEqual(removeIn(state, "user.prefs.lang").user.prefs, { theme: "light" });
+    assert.equal(removeIn(state, ["byId", "leo"]).byId.size, 0);
+    assert.deepEqual(removeIn(state, ["zoo", 0]).zoo, [{ id: 2, name: "Tigra" }]);
+    assert.equal(state.byId.size, 1);
+    assert.equal(state.zoo.length, 2);
+  });
+
+  test("shares the untouched branches", () => {
+    const state = makeState();
+    const next = removeIn(state, "user.tags");
+    assert.equal(next.user.prefs, state.user.prefs);
+    assert.equal(next.zoo, state.zoo);
+  });
+
+  test("leaves the input alone when the path doesn't exist", () => {
+    const state = makeState();
+    assert.equal(removeIn(state, "user.nope"), state);
+    assert.equal(removeIn(state, "x.y.z"), state);
+    assert.throws(() => removeIn(state, []), { message: "removeIn: can't remove the root" });
+  });
+});
+
+describe("freezeOutputs (dev mode)", () => {
+  afterEach(() => freezeOutputs(false));
+
+  test("is off by default", () => {
+    const next = setIn({}, "a.b", 1);
+    next.a.b = 2;
+    assert.equal(next.a.b, 2);
+  });
+
+  test("deep-freezes results, shared branches included", () => {
+    assert.equal(freezeOutputs(), false);
+    const state = makeState();
+    const next = setIn(state, "user.prefs.theme", "dark");
+    assert.throws(() => { next.user.prefs.theme = "light"; }, TypeError);
+    assert.throws(() => { next.zoo[0].name = "x"; }, TypeError, "the shared zoo is frozen, so mutating it through the old state throws too");
+    assert.throws(() => next.zoo.push({}), TypeError);
+    assert.throws(() => next.byId.set("x", 1), /frozen Map/);
+    assert.throws(() => next.byId.get("leo").visits++, TypeError);
+  });
+
+  test("frozen inputs can still be updated", () => {
+    freezeOutputs(true);
+    const once = setIn(makeState(), "user.prefs.theme", "dark");
+    const twice = updateIn(once, ["byId", "leo", "visits"], (n) => n + 1);
+    assert.equal(twice.byId.get("leo").visits, 2);
+    assert.equal(twice.user.prefs.theme, "dark");
+    assert.ok(Object.isFrozen(twice.byId));
+  });
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+describe("syntax/oop (the importable module)", () => {
+  test("importing it prints nothing", async () => {
+    const printed = [];
+    const original = { log: console.log, warn: console.warn };
+    console.log = console.warn = (...args) => printed.push(args);
+    try {
+      await import("syntax/oop");
+    } finally {
+      Object.assign(console, original);
+    }
+    assert.deepEqual(printed, []);
+  });
+
+  test("exports every pattern from the playground", async () => {
+    const oop = await import("syntax/oop");
+    assert.deepEqual(Object.keys(oop).sort(), [
+      "Animal", "AsyncCtor", "Box", "Button", "CanRun", "Car", "Counter", "DBClient", "Engine",
+      "Lion", "MemoryRepo", "OldSchoolPoint", "Repository", "Tagged", "User", "makeCounter",
+    ]);
+  });
+
+  test("Lion is an Animal and overrides speak()", async () => {
+    const { Animal, Lion } = await import("syntax/oop");
+    const lion = new Lion("Simba", 5);
+    assert.ok(lion instanceof Animal);
+    assert.equal(lion.speak(), "Simba roars!");
+    assert.equal(lion.parentSpeak(), "Simba makes a sound.");
+    assert.deepEqual(lion.toJSON(), { type: "Animal", name: "Simba", age: 5 });
+  });
+
+  test("the mixin is exported, not applied", async () => {
+    const { Animal, CanRun } = await import("syntax/oop");
+    assert.equal("run" in Animal.prototype, false);
+    class Runner extends Animal {}
+    Object.assign(Runner.prototype, CanRun);
+    assert.equal(new Runner("Cheetah", 3).run(), "Cheetah runs fast!");
+  });
+
+  test("MemoryRepo implements the Repository contract; the base class refuses", async () => {
+    const { MemoryRepo, Repository } = await import("syntax/oop");
+    const repo = new MemoryRepo();
+    await repo.save({ id: 1, n: "Leo" });
+    assert.deepEqual(await repo.findById(1), { id: 1, n: "Leo" });
+    assert.equal(await repo.findById(2), undefined);
+    assert.ok(repo instanceof Repository);
+    await assert.rejects(new Repository().save({}), /must be implemented/);
+  });
+
+  test("User.create takes a pluggable profile loader", async () => {
+    const { User } = await import("syntax/oop");
+    assert.deepEqual((await User.create(1)).profile, { handle: "big-cat", karma: 9001 });
+
+    const user = await User.create(7, async (id) => ({ handle: `user-${id}` }));
+    assert.ok(user instanceof User);
+    assert.deepEqual(user.profile, { handle: "user-7" });
+  });
+
+  test("DBClient refuses queries until init() resolves", async () => {
+    const { DBClient } = await import("syntax/oop");
+    const db = new DBClient();
+    assert.throws(() => db.query("SELECT 1"), /not connected/);
+    assert.equal(await db.init(), db);
+    assert.equal(db.query("SELECT 1"), "Result(SELECT 1)");
+  });
+
+  test("makeCounter and Counter keep their state private", async () => {
+    const { Counter, makeCounter } = await import("syntax/oop");
+    for (const counter of [makeCounter(5), new Counter(5)]) {
+      assert.equal(counter.inc(), 6);
+      assert.equal(counter.value, 6);
+      assert.deepEqual(Object.keys(counter).filter((k) => k !== "inc" && k !== "value"), []);
+    }
+  });
+});
@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import { before, describe, test } from "node:test";
+import { runPlayground } from "./playground.js";
+
+describe("oop.js", () => {
+  let run;
+  before(async () => {
+    run = await runPlayground("oop.js");
+  });
+
+  describe("1) class basics", () => {
+    test("methods, toString and static members", () => {
+      assert.ok(run.logs.some((l) => l.text === "Creature makes a sound."));
+      assert.ok(run.logs.some((l) => l.text === "Animal(Creature, 2)"));
+      assert.equal(run.line("kingdom:").text, "kingdom: Animalia | All creatures belong to Animalia.");
+    });
+
+    test("the secret getter redacts and the setter refuses writes", () => {
+      assert.equal(run.line("get secret:").text, "get secret: (redacted)");
+      assert.deepEqual(run.warnings.map((w) => w.text), ["secret is read-only; ignoring new secret"]);
+    });
+
+    test("toJSON decides what JSON.stringify sees", () => {
+      assert.deepEqual(JSON.parse(run.line("JSON:").args[1]), { type: "Animal", name: "Creature", age: 2 });
+    });
+  });
+
+  describe("2) inheritance & polymorphism", () => {
+    test("an override can still call the parent version via super", () => {
+      assert.equal(run.line("Simba roars!").text, "Simba roars! | parent: Simba makes a sound.");
+    });
+
+    test("private instance state is per object and persists between calls", () => {
+      assert.equal(run.line("Simba hunted").text, "Simba hunted (#1). Simba hunted (#2).");
+    });
+
+    test("plain JSON loses the Lion; the serialize registry keeps it", () => {
+      const [, plain, , isLion, speech] = run.line("Lion round trip:").args;
+      assert.deepEqual(plain, { type: "Animal", name: "Simba", age: 5 });
+      assert.equal(isLion, true);
+      assert.equal(speech, "Simba roars!");
+    });
+
+    test("a private static is reachable through a static method", () => {
+      assert.equal(run.line("species:").text, "species: Panthera leo");
+    });
+
+    test("dynamic dispatch picks each object's own speak()", () => {
+      const dispatched = run.logs.filter((l) => l.args[0] === " -").map((l) => l.args[1]);
+      assert.deepEqual(dispatched, ["Creature makes a sound.", "Simba roars!"]);
+    });
+  });
+
+  test("3) composition: the car delegates to its engine", () => {
+    assert.equal(run.line("Engine(").text, "Engine(200hp) started → Car driving");
+  });
+
+  test("4) prototype methods and instanceof work on function constructors", () => {
+    const [, len, , isPoint] = run.line("len:").args;
+    assert.equal(len, 5);
+    assert.equal(isPoint, true);
+  });
+
+  describe("5) this-binding", () => {
+    test("an extracted method loses this (a TypeError in strict code)", () => {
+      assert.match(run.line("lost this error:").args[1], /undefined/);
+      assert.ok(!run.logs.some((l) => l.text.startsWith("lost this:")), "calling it should have thrown");
+    });
+
+    test("bind and arrow functions keep it", () => {
+      assert.equal(run.line("bound speak:").args[1], "Creature makes a sound.");
+      assert.equal(run.line("arrow captured this:").args[1], "Clicked OK");
+    });
+  });
+
+  test("6) a mixin on Animal.prototype reaches subclasses too", () => {
+    assert.equal(run.line("mixin run():").text, "mixin run(): Creature runs fast! | Simba runs fast!");
+  });
+
+  describe("7) copying instances", () => {
+    test("a shallow copy shares the items array with the original", () => {
+      const [, b1Items, , b2Items] = run.line("b1.items:").args;
+      assert.equal(b1Items, b2Items);
+      assert.deepEqual(b1Items, ["A", "B"]);
+    });
+
+    test("structuredClone gives independent storage", () => {
+      const [, b1Items, , b3Items] = run.line("deep-ish clone").args;
+      assert.notEqual(b1Items, b3Items);
+      assert.deepEqual(b1Items, ["A", "B"]);
+      assert.deepEqual(b3Items, ["A", "B", "C"]);
+    });
+  });
+
+  test("8) the concrete repository implements the abstract methods", () => {
+    assert.deepEqual(run.line("findById:").args[1], { id: 1, n: "Leo" });
+  });
+
+  test("9) Symbol.toStringTag brands Object.prototype.toString", () => {
+    assert.ok(run.logs.some((l) => l.text === "[object TaggedThing]"));
+  });
+
+  describe("10) async init patterns", () => {
+    test("awaiting an async constructor yields the initialized instance", () => {
+      assert.equal(run.line("async-ctor data:").args[1], 42);
+    });
+
+    test("a static async factory returns a ready instance", () => {
+      assert.equal(run.line("factory user:").text, "factory user: 42 big-cat");
+    });
+
+    test("two-phase init() connects before the first query", () => {
+      assert.equal(run.line("db connected?").text, "db connected? true | Result(SELECT 1)");
+    });
+  });
+
+  test("11) the factory and the class counter behave the same", () => {
+    const [, factoryInc, factoryValue, , classInc, classValue] = run.line("factory:").args;
+    assert.deepEqual([factoryInc, factoryValue], [6, 6]);
+    assert.deepEqual([classInc, classValue], [6, 6]);
+  });
+
+  test("12) an awaited async constructor result is instanceof its class", () => {
+    assert.equal(run.line("x instanceof AsyncCtor:").args[1], true);
+  });
+
+  test("the async sections print after END (they resolve in microtasks)", () => {
+    const end = run.logs.findIndex((l) => l.text.includes("END"));
+    const asyncLines = ["async-ctor data:", "factory user:", "db connected?", "x instanceof AsyncCtor:"]
+      .map((prefix) => run.logs.indexOf(run.line(prefix)));
+    for (const at of asyncLines) assert.ok(at > end);
+  });
+});
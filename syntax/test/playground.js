@@ -0,0 +1,51 @@
+/**
+ * Runs one of the syntax playgrounds (variables.js, oop.js, ...) with the
+ * console captured, so tests can assert on what it printed — and, more
+ * usefully, on the actual values it passed to console.log.
+ *
+ *   const run = await runPlayground("oop.js");
+ *   const [, b1Items, , b2Items] = run.line("b1.items:").args;
+ *   assert.equal(b1Items, b2Items); // "(same array ref!)"
+ */
+import { dirname, join } from "node:path";
+import { setImmediate } from "node:timers/promises";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { format } from "node:util";
+
+const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+let runs = 0;
+
+/**
+ * Import `file` (relative to syntax/) afresh and wait for the async work
+ * it started (the oop.js async IIFEs) to finish.
+ * Resolves with { logs, warnings, line(prefix) } where every entry is
+ * { args, text }: the raw console arguments and their printed form.
+ */
+export async function runPlayground(file) {
+  const logs = [];
+  const warnings = [];
+  const original = { log: console.log, warn: console.warn };
+  const record = (into) => (...args) => into.push({ args, text: format(...args) });
+
+  console.log = record(logs);
+  console.warn = record(warnings);
+  try {
+    // The query string makes every run a new module instance
+    await import(`${pathToFileURL(join(root, file)).href}?run=${++runs}`);
+    await setImmediate();
+  } finally {
+    console.log = original.log;
+    console.warn = original.warn;
+  }
+
+  return {
+    logs,
+    warnings,
+    /** The first line starting with `prefix`; fails the test if there is none. */
+    line(prefix) {
+      const hit = logs.find((l) => l.text.startsWith(prefix));
+      if (!hit) throw new Error(`${file} printed no line starting with "${prefix}"`);
+      return hit;
+    },
+  };
+}
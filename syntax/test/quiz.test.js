@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import { dirname, join } from "node:path";
+import { describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { parseAnswer, scoreAnswer } from "../eventloop/quiz.js";
+
+const QUIZ = join(dirname(fileURLToPath(import.meta.url)), "..", "eventloop", "quiz.js");
+
+const trace = (texts, mainTick = "sync") => ({ mainTick, events: texts.map((text, seq) => ({ type: "log", text, seq })) });
+
+describe("parseAnswer", () => {
+  const lines = ["[sync] a", "[timer] b", "[check] c"];
+
+  test("maps numbers (spaces or commas) to the lines they point at", () => {
+    assert.deepEqual(parseAnswer("3 1 2", lines), ["[check] c", "[sync] a", "[timer] b"]);
+    assert.deepEqual(parseAnswer(" 1,2, 3 ", lines), lines);
+  });
+
+  test("refuses anything that isn't a permutation of 1..N", () => {
+    for (const bad of ["", "1 2", "1 2 3 4", "1 1 2", "0 1 2", "1 2 4", "1 2 x", "1.5 2 3"]) {
+      assert.equal(parseAnswer(bad, lines), null, JSON.stringify(bad));
+    }
+  });
+});
+
+describe("scoreAnswer", () => {
+  const actual = trace(["[sync] a", "[nextTick] b", "[microtask] c"]);
+
+  test("a perfect prediction scores every pair", () => {
+    assert.deepEqual(scoreAnswer({ id: 9 }, ["[sync] a", "[nextTick] b", "[microtask] c"], actual), {
+      score: 1, correct: 3, total: 3, mistakes: [],
+    });
+  });
+
+  test("each swapped pair is a mistake tagged with what really happens", () => {
+    const result = scoreAnswer({ id: 9 }, ["[sync] a", "[microtask] c", "[nextTick] b"], actual);
+    assert.equal(result.correct, 2);
+    assert.equal(result.total, 3);
+    assert.deepEqual(result.mistakes, [
+      { said: ["[microtask] c", "[nextTick] b"], actual: ["[nextTick] b", "[microtask] c"], concept: "nextTick before microtask" },
+    ]);
+  });
+
+  test("a pair Node may run either way counts as right both ways", () => {
+    const moduleTick = trace(["[nextTick] A", "[microtask] then"], "microtask");
+    assert.equal(scoreAnswer({ id: 4 }, ["[microtask] then", "[nextTick] A"], moduleTick).score, 1);
+    assert.equal(scoreAnswer({ id: 2 }, ["[microtask] then", "[nextTick] A"], moduleTick).score, 0);
+  });
+});
+
+describe("quiz.js --answer", () => {
+  const scores = join(os.tmpdir(), `quiz-test-${process.pid}.json`);
+  const quiz = (...args) => spawnSync(process.execPath, [QUIZ, ...args], {
+    encoding: "utf8",
+    timeout: 30_000,
+    env: { ...process.env, HOOD_QUIZ_SCORES: scores },
+  });
+
+  test("exits 1 on an invalid answer instead of asking again", () => {
+    const child = quiz("4", "--answer", "1 2");
+    assert.equal(child.status, 1);
+    assert.match(child.stderr, /invalid answer — Use each number from 1 to 3 exactly once/);
+  });
+
+  test("needs a demo to answer for", () => {
+    const child = quiz("--answer", "1 2 3");
+    assert.equal(child.status, 1);
+    assert.match(child.stderr, /--answer needs a demo/);
+  });
+
+  test("scores a valid answer and records it", () => {
+    try {
+      const child = quiz("4", "--answer", "1 2 3");
+      assert.equal(child.status, 0, child.stderr);
+      assert.match(child.stdout, /Score: 3\/3 pairs \(100%\)/);
+      assert.equal(JSON.parse(fs.readFileSync(scores, "utf8")).attempts[0].demo, 4);
+    } finally {
+      fs.rmSync(scores, { force: true });
+    }
+  });
+});
@@ -0,0 +1,292 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import { join } from "node:path";
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import { JsonFileRepo, MemoryRepo, Repository, SqlRepo } from "syntax/repository";
+
+let tmp;
+let files = 0;
+before(async () => {
+  tmp = await fs.mkdtemp(join(os.tmpdir(), "repository-test-"));
+});
+after(async () => {
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+const tmpFile = (ext) => join(tmp, `repo-${++files}.${ext}`);
+
+const backends = {
+  MemoryRepo: () => new MemoryRepo(),
+  JsonFileRepo: () => new JsonFileRepo(tmpFile("json")),
+  "SqlRepo (in memory)": () => new SqlRepo(),
+  "SqlRepo (file)": () => new SqlRepo({ file: tmpFile("sqlite"), table: "animals" }),
+};
+
+const animals = [
+  { id: 1, name: "Leo", species: "lion", age: 5, tame: false },
+  { id: 2, name: "Tigra", species: "tiger", age: 3, tame: true },
+  { id: 3, name: "Nala", species: "lion", age: 4, tame: true },
+  { id: 4, name: "Zed", species: "zebra", age: 5 },
+];
+
+/** The contract from repository/repository.js, as one suite per backend. */
+function conformance(name, makeRepo) {
+  describe(`${name} conforms to the Repository contract`, () => {
+    let repo;
+    beforeEach(() => {
+      repo = makeRepo();
+    });
+    afterEach(async () => {
+      await repo.close?.();
+    });
+    const seed = async () => {
+      for (const a of animals) await repo.save(a);
+    };
+
+    test("is a Repository", () => {
+      assert.ok(repo instanceof Repository);
+    });
+
+    describe("save", () => {
+      test("stores the entity and returns a copy", async () => {
+        const entity = { id: 1, name: "Leo", tags: ["big"] };
+        const saved = await repo.save(entity);
+        assert.deepEqual(saved, entity);
+        assert.notEqual(saved, entity);
+        assert.deepEqual(await repo.findById(1), entity);
+      });
+
+      test("generates an id when there is none", async () => {
+        const saved = await repo.save({ name: "Anon" });
+        assert.equal(typeof saved.id, "string");
+        assert.deepEqual(await repo.findById(saved.id), saved);
+      });
+
+      test("replaces an entity with the same id, keeping its place", async () => {
+        await seed();
+        await repo.save({ id: 2, name: "Tigger" });
+        assert.equal(await repo.count(), animals.length);
+        assert.deepEqual(await repo.findById(2), { id: 2, name: "Tigger" });
+        assert.deepEqual((await repo.findAll()).map((a) => a.id), [1, 2, 3, 4]);
+      });
+
+      test("treats 1 and \"1\" as different ids", async () => {
+        await repo.save({ id: 1, kind: "number" });
+        await repo.save({ id: "1", kind: "string" });
+        assert.equal((await repo.findById(1)).kind, "number");
+        assert.equal((await repo.findById("1")).kind, "string");
+      });
+
+      test("rejects what isn't a plain object with a string or number id", async () => {
+        await assert.rejects(repo.save(null), TypeError);
+        await assert.rejects(repo.save([1]), TypeError);
+        await assert.rejects(repo.save({ id: { nested: true } }), TypeError);
+        assert.equal(await repo.count(), 0);
+      });
+
+      test("concurrent saves all land", async () => {
+        await Promise.all(Array.from({ length: 20 }, (_, i) => repo.save({ id: i, n: i })));
+        assert.equal(await repo.count(), 20);
+      });
+    });
+
+    describe("findById", () => {
+      test("returns undefined for an unknown id", async () => {
+        assert.equal(await repo.findById(404), undefined);
+      });
+
+      test("returns a copy: changing it doesn't change what is stored", async () => {
+        await seed();
+        const leo = await repo.findById(1);
+        leo.name = "Changed";
+        assert.equal((await repo.findById(1)).name, "Leo");
+      });
+
+      test("rejects an invalid id", async () => {
+        await assert.rejects(repo.findById({}), TypeError);
+      });
+    });
+
+    describe("findAll", () => {
+      test("returns everything in insertion order by default", async () => {
+        await seed();
+        assert.deepEqual(await repo.findAll(), animals);
+      });
+
+      test("filters on every field in where", async () => {
+        await seed();
+        assert.deepEqual((await repo.findAll({ where: { species: "lion" } })).map((a) => a.id), [1, 3]);
+        assert.deepEqual((await repo.findAll({ where: { species: "lion", tame: true } })).map((a) => a.id), [3]);
+        assert.deepEqual(await repo.findAll({ where: { species: "bear" } }), []);
+      });
+
+      test("compares like ===: no type coercion", async () => {
+        await repo.save({ id: 1, v: 1 });
+        await repo.save({ id: 2, v: "1" });
+        await repo.save({ id: 3, v: true });
+        assert.deepEqual((await repo.findAll({ where: { v: 1 } })).map((a) => a.id), [1]);
+        assert.deepEqual((await repo.findAll({ where: { v: "1" } })).map((a) => a.id), [2]);
+        assert.deepEqual((await repo.findAll({ where: { v: true } })).map((a) => a.id), [3]);
+      });
+
+      test("null matches null and missing fields", async () => {
+        await seed();
+        await repo.save({ id: 5, name: "Ghost", tame: null });
+        assert.deepEqual((await repo.findAll({ where: { tame: null } })).map((a) => a.id), [4, 5]);
+      });
+
+      test("orders ascending and descending; ties keep insertion order", async () => {
+        await seed();
+        assert.deepEqual((await repo.findAll({ orderBy: "age" })).map((a) => a.id), [2, 3, 1, 4]);
+        assert.deepEqual((await repo.findAll({ orderBy: "-age" })).map((a) => a.id), [1, 4, 3, 2]);
+        assert.deepEqual((await repo.findAll({ orderBy: "name" })).map((a) => a.name), ["Leo", "Nala", "Tigra", "Zed"]);
+      });
+
+      test("orders mixed types: missing < numbers < strings", async () => {
+        await repo.save({ id: 1, v: "b" });
+        await repo.save({ id: 2, v: 10 });
+        await repo.save({ id: 3 });
+        await repo.save({ id: 4, v: 2 });
+        await repo.save({ id: 5, v: "a" });
+        assert.deepEqual((await repo.findAll({ orderBy: "v" })).map((a) => a.id), [3, 4, 2, 5, 1]);
+      });
+
+      test("pages with offset and limit, after filtering and ordering", async () => {
+        await seed();
+        assert.deepEqual((await repo.findAll({ orderBy: "name", offset: 1, limit: 2 })).map((a) => a.name), ["Nala", "Tigra"]);
+        assert.deepEqual((await repo.findAll({ where: { age: 5 }, offset: 1 })).map((a) => a.id), [4]);
+        assert.deepEqual(await repo.findAll({ limit: 0 }), []);
+        assert.deepEqual(await repo.findAll({ offset: 10 }), []);
+      });
+
+      test("rejects invalid queries", async () => {
+        await assert.rejects(repo.findAll({ where: { v: { $gt: 1 } } }), TypeError);
+        await assert.rejects(repo.findAll({ where: { "a.b": 1 } }), TypeError);
+        await assert.rejects(repo.findAll({ orderBy: "name; DROP TABLE x" }), TypeError);
+        await assert.rejects(repo.findAll({ offset: -1 }), TypeError);
+        await assert.rejects(repo.findAll({ limit: 1.5 }), TypeError);
+      });
+    });
+
+    describe("update", () => {
+      test("shallow-merges the patch and returns the result", async () => {
+        await seed();
+        const updated = await repo.update(1, { age: 6, mane: "golden" });
+        assert.deepEqual(updated, { ...animals[0], age: 6, mane: "golden" });
+        assert.deepEqual(await repo.findById(1), updated);
+      });
+
+      test("never changes the id", async () => {
+        await seed();
+        const updated = await repo.update(1, { id: 99 });
+        assert.equal(updated.id, 1);
+        assert.equal(await repo.findById(99), undefined);
+      });
+
+      test("returns undefined for an unknown id", async () => {
+        assert.equal(await repo.update(404, { age: 1 }), undefined);
+        assert.equal(await repo.count(), 0);
+      });
+
+      test("rejects a patch that isn't a plain object", async () => {
+        await seed();
+        await assert.rejects(repo.update(1, null), TypeError);
+      });
+    });
+
+    describe("delete", () => {
+      test("removes the entity and reports whether anything was removed", async () => {
+        await seed();
+        assert.equal(await repo.delete(2), true);
+        assert.equal(await repo.findById(2), undefined);
+        assert.equal(await repo.delete(2), false);
+        assert.equal(await repo.count(), animals.length - 1);
+      });
+    });
+
+    describe("count", () => {
+      test("counts all or only the matching entities", async () => {
+        assert.equal(await repo.count(), 0);
+        await seed();
+        assert.equal(await repo.count(), 4);
+        assert.equal(await repo.count({ species: "lion" }), 2);
+        assert.equal(await repo.count({ tame: null }), 1);
+      });
+    });
+  });
+}
+
+for (const [name, makeRepo] of Object.entries(backends)) conformance(name, makeRepo);
+
+describe("the base Repository", () => {
+  test("throws from every method until a subclass implements it", async () => {
+    const repo = new Repository();
+    for (const method of ["save", "findById", "findAll", "update", "delete", "count"]) {
+      await assert.rejects(repo[method](), { message: `${method}() must be implemented` });
+    }
+  });
+});
+
+describe("JsonFileRepo on disk", () => {
+  test("a new instance reads what an earlier one wrote", async () => {
+    const file = tmpFile("json");
+    await new JsonFileRepo(file).save({ id: 1, name: "Leo" });
+    assert.deepEqual(await new JsonFileRepo(file).findAll(), [{ id: 1, name: "Leo" }]);
+    assert.deepEqual(JSON.parse(await fs.readFile(file, "utf8")), [{ id: 1, name: "Leo" }]);
+  });
+
+  test("writes leave no temp files behind", async () => {
+    const file = join(tmp, "atomic", "animals.json");
+    const repo = new JsonFileRepo(file);
+    await Promise.all(animals.map((a) => repo.save(a)));
+    assert.deepEqual(await fs.readdir(join(tmp, "atomic")), ["animals.json"]);
+  });
+
+  const asRoot = process.getuid?.() === 0 && "root can write to read-only directories";
+  test("a failed write changes nothing", { skip: asRoot }, async () => {
+    const dir = join(tmp, "read-only");
+    const repo = new JsonFileRepo(join(dir, "animals.json"));
+    await repo.save({ id: 1 });
+    await fs.chmod(dir, 0o500);
+    try {
+      await assert.rejects(repo.save({ id: 2 }));
+      assert.equal(await repo.count(), 1);
+    } finally {
+      await fs.chmod(dir, 0o700);
+    }
+  });
+
+  test("refuses a file that isn't a JSON array", async () => {
+    const file = tmpFile("json");
+    await fs.writeFile(file, "{}");
+    await assert.rejects(new JsonFileRepo(file).findAll(), /does not contain a JSON array/);
+  });
+});
+
+describe("SqlRepo on disk", () => {
+  test("a new instance reads what an earlier one wrote", async () => {
+    const file = tmpFile("sqlite");
+    const first = new SqlRepo({ file });
+    await first.save({ id: 1, name: "Leo" });
+    await first.close();
+
+    const second = new SqlRepo({ file });
+    assert.deepEqual(await second.findAll(), [{ id: 1, name: "Leo" }]);
+    await second.close();
+  });
+
+  test("tables in one file are separate repositories", async () => {
+    const file = tmpFile("sqlite");
+    const lions = new SqlRepo({ file, table: "lions" });
+    await lions.save({ id: 1 });
+    await lions.close();
+
+    const zebras = new SqlRepo({ file, table: "zebras" });
+    assert.equal(await zebras.count(), 0);
+    await zebras.close();
+  });
+
+  test("rejects an unsafe table name", () => {
+    assert.throws(() => new SqlRepo({ table: "x\"; DROP TABLE y" }), TypeError);
+  });
+});
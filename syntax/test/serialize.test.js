@@ -0,0 +1,214 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { Animal, Box, Lion } from "syntax/oop";
+import { DecodeError, parse, registerType, replacer, reviver, Serializer, stringify, unregisterType } from "syntax/serialize";
+
+const roundTrip = (value) => parse(stringify(value));
+
+describe("built-in codecs", () => {
+  test("Map, Set, Date, BigInt and undefined come back as themselves", () => {
+    const value = {
+      when: new Date("2024-05-06T07:08:09.010Z"),
+      big: -(2n ** 70n),
+      missing: undefined,
+      list: [1, undefined, 3],
+      byKey: new Map([[1, new Set(["a", "b"])], [{ compound: true }, new Map([["deep", 5n]])]]),
+    };
+    const back = roundTrip(value);
+    assert.deepEqual(back, value);
+    assert.ok(Object.hasOwn(back, "missing"));
+    assert.equal(back.list.length, 3);
+  });
+
+  test("the wire format is plain JSON with $type tags", () => {
+    assert.equal(
+      stringify({ at: new Date(0), ids: new Set([1n]) }),
+      '{"at":{"$type":"Date","value":"1970-01-01T00:00:00.000Z"},"ids":{"$type":"Set","value":[{"$type":"BigInt","value":"1"}]}}',
+    );
+  });
+
+  test("an invalid date and a top-level undefined survive", () => {
+    assert.ok(Number.isNaN(roundTrip(new Date(NaN)).getTime()));
+    assert.equal(stringify(undefined), '{"$type":"undefined"}');
+    assert.equal(roundTrip(undefined), undefined);
+    assert.deepEqual(roundTrip({ "": undefined }), { "": undefined });
+  });
+
+  test("a plain object with its own $type key is escaped and comes back unchanged", () => {
+    const value = { $type: "Map", value: [["looks", "tagged"]] };
+    assert.match(stringify(value), /^\{"\$type":"Object"/);
+    assert.deepEqual(roundTrip(value), value);
+  });
+
+  test("a cycle through a Map is still caught", () => {
+    const map = new Map();
+    map.set("self", map);
+    assert.throws(() => stringify(map), /circular/);
+    assert.equal(stringify(new Map([["ok", 1]])), '{"$type":"Map","value":[["ok",1]]}', "the next call starts afresh");
+  });
+
+  test("a stringify() inside an encode() hook leaves the outer call's cycle check alone", () => {
+    class Note {
+      constructor(text) {
+        this.text = text;
+      }
+    }
+    const s = new Serializer();
+    s.register(Note, { encode: (note) => s.stringify(new Map([["text", note.text]])) });
+    const map = new Map([["note", new Note("hi")]]);
+    map.set("self", map);
+    assert.throws(() => s.stringify(map), { name: "TypeError", message: /circular/ });
+    assert.throws(() => JSON.stringify(map, s.replacer), { name: "TypeError", message: /circular/ });
+
+    registerType(Note, { encode: (note) => JSON.stringify(new Set([note.text]), replacer) });
+    try {
+      assert.throws(() => stringify(map), { name: "TypeError", message: /circular/ });
+      assert.throws(() => JSON.stringify(map, replacer), { name: "TypeError", message: /circular/ });
+      map.delete("self");
+      const [[, note]] = JSON.parse(stringify(map)).value;
+      assert.deepEqual(parse(note.value), new Set(["hi"]), "the nested call's output is intact too");
+    } finally {
+      unregisterType(Note);
+    }
+  });
+
+  test("a Map shared by two branches is written twice, not mistaken for a cycle", () => {
+    const shared = new Map([["k", 1]]);
+    const back = roundTrip([shared, shared]);
+    assert.deepEqual(back, [shared, shared]);
+  });
+});
+
+describe("registered classes", () => {
+  before(() => {
+    registerType(Animal, { decode: ({ name, age }) => new Animal(name, age) });
+    registerType(Lion, { decode: ({ name, age }) => new Lion(name, age) });
+  });
+  after(() => {
+    unregisterType(Animal);
+    unregisterType(Lion);
+  });
+
+  test("a Lion stays a Lion, though it inherits Animal's toJSON()", () => {
+    assert.deepEqual(new Lion("Simba", 5).toJSON().type, "Animal");
+    const text = stringify({ pride: new Map([["leader", new Lion("Simba", 5)]]), elder: new Animal("Rafiki", 40) });
+    assert.match(text, /\{"\$type":"Lion","value":\{"name":"Simba","age":5\}\}/);
+    const { pride, elder } = parse(text);
+    const leader = pride.get("leader");
+    assert.equal(Object.getPrototypeOf(leader), Lion.prototype);
+    assert.equal(Object.getPrototypeOf(elder), Animal.prototype);
+    assert.equal(leader.speak(), "Simba roars!");
+    assert.equal(leader.hunt(), "Simba hunted (#1).", "decode() ran the constructor, so #kills exists");
+  });
+
+  test("an unregistered subclass is written as plain JSON would write it", () => {
+    class Cub extends Lion {}
+    assert.equal(stringify(new Cub("Kiara", 1)), '{"type":"Animal","name":"Kiara","age":1}');
+  });
+
+  test("the default hooks copy own properties onto the prototype", () => {
+    registerType(Box, { tag: "oop.Box" });
+    try {
+      const box = roundTrip(new Box("a"));
+      assert.ok(box instanceof Box);
+      box.add("b");
+      assert.deepEqual(box.items, ["a", "b"]);
+    } finally {
+      unregisterType(Box);
+    }
+  });
+
+  test("the default decode() leaves a __proto__ key a plain property", () => {
+    class Bag {}
+    registerType(Bag);
+    try {
+      const bag = parse('{"$type":"Bag","value":{"__proto__":{"polluted":true}}}');
+      assert.equal(Object.getPrototypeOf(bag), Bag.prototype);
+      assert.ok(Object.hasOwn(bag, "__proto__"));
+      assert.equal(bag.polluted, undefined);
+    } finally {
+      unregisterType(Bag);
+    }
+  });
+
+  test("hooks can pick the wire format", () => {
+    class Money {
+      constructor(cents) {
+        this.cents = cents;
+      }
+    }
+    registerType(Money, { tag: "money", encode: (m) => `${m.cents / 100}`, decode: (text) => new Money(Math.round(Number(text) * 100)) });
+    try {
+      assert.equal(stringify(new Money(995)), '{"$type":"money","value":"9.95"}');
+      assert.equal(roundTrip([new Money(995)])[0].cents, 995);
+    } finally {
+      unregisterType(Money);
+    }
+  });
+
+  test("a tag belongs to one class, and the built-ins are fixed", () => {
+    class Other {}
+    assert.throws(() => registerType(Other, { tag: "Lion" }), /already registered/);
+    assert.throws(() => registerType(Other, { tag: "Date" }), /already built in/);
+    assert.throws(() => registerType(Map), /built-in codec/);
+    assert.throws(() => registerType(Other, { tag: "" }), TypeError);
+    assert.throws(() => registerType(Other, { decode: "new" }), /decode must be a function/);
+    assert.throws(() => registerType({}), TypeError);
+    assert.equal(unregisterType(Map), false);
+  });
+});
+
+describe("reading is strict", () => {
+  test("an unknown tag throws", () => {
+    assert.throws(() => parse('{"$type":"Zebra","value":{}}'), { name: "DecodeError", message: 'unknown type tag "Zebra"' });
+    assert.throws(() => parse('{"$type":"Zebra","value":{}}'), TypeError, "a DecodeError is a TypeError");
+    assert.throws(() => parse('{"$type":7}'), /unknown type tag 7/);
+  });
+
+  test("so does a class that was unregistered", () => {
+    class Gone {}
+    registerType(Gone);
+    const text = stringify(new Gone());
+    unregisterType(Gone);
+    assert.throws(() => parse(text), /unknown type tag "Gone"/);
+  });
+
+  test("so does a tagged value of the wrong shape", () => {
+    assert.throws(() => parse('{"$type":"Map","value":[],"extra":1}'), /malformed Map/);
+    assert.throws(() => parse('{"$type":"Set"}'), /malformed Set/);
+    assert.throws(() => parse('{"$type":"Map","value":[[1]]}'), /Map: expected/);
+    assert.throws(() => parse('{"$type":"BigInt","value":"1.5"}'), /BigInt/);
+    assert.throws(() => parse('{"$type":"Date","value":0}'), /Date/);
+  });
+});
+
+describe("replacer and reviver", () => {
+  test("plug into JSON.stringify and JSON.parse", () => {
+    const value = { at: new Date(0), tags: new Set(["x"]), n: 1n };
+    assert.deepEqual(JSON.parse(JSON.stringify(value, replacer, 2), reviver), value);
+    assert.equal(JSON.parse(JSON.stringify(undefined, replacer), reviver), undefined);
+  });
+
+  test("on their own, { '': undefined } loses its key (parse() doesn't)", () => {
+    assert.deepEqual(JSON.parse(stringify({ "": undefined }), reviver), {});
+  });
+});
+
+describe("Serializer instances", () => {
+  test("each has a registry of its own, apart from the shared one", () => {
+    const mine = new Serializer();
+    mine.register(Lion, { decode: ({ name, age }) => new Lion(name, age) });
+    const text = mine.stringify(new Lion("Nala", 4));
+    assert.equal(Object.getPrototypeOf(mine.parse(text)), Lion.prototype);
+    assert.throws(() => parse(text), DecodeError);
+    assert.throws(() => new Serializer().parse(text), /unknown type tag "Lion"/);
+    assert.equal(mine.unregister(Lion), true);
+  });
+
+  test("revive() decodes a tree JSON.parse() already built", () => {
+    const s = new Serializer();
+    const value = { at: new Date(0), missing: undefined, ids: new Set([1n]) };
+    assert.deepEqual(s.revive(JSON.parse(s.stringify(value))), value);
+    assert.equal(s.revive(JSON.parse(s.stringify(undefined))), undefined);
+  });
+});
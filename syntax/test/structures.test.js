@@ -0,0 +1,325 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { Deque, LinkedList, LRUCache, PriorityQueue, Trie } from "syntax/structures";
+
+describe("every structure", () => {
+  const all = {
+    Deque: () => new Deque([1, 2]),
+    PriorityQueue: () => PriorityQueue.from([2, 1]),
+    LRUCache: () => new LRUCache({ max: 2 }).set("a", 1).set("b", 2),
+    Trie: () => new Trie(["a", "b"]),
+    LinkedList: () => new LinkedList([1, 2]),
+  };
+  for (const [name, make] of Object.entries(all)) {
+    test(`${name} is tagged and iterable`, () => {
+      const structure = make();
+      assert.equal(Object.prototype.toString.call(structure), `[object ${name}]`);
+      assert.equal(typeof structure[Symbol.iterator], "function");
+      assert.equal([...structure].length, 2);
+      assert.equal(structure.size, 2);
+    });
+  }
+});
+
+describe("Deque", () => {
+  test("works at both ends", () => {
+    const d = new Deque();
+    d.pushBack(2);
+    d.pushBack(3);
+    d.pushFront(1);
+    assert.deepEqual([...d], [1, 2, 3]);
+    assert.equal(d.peekFront(), 1);
+    assert.equal(d.peekBack(), 3);
+    assert.equal(d.popFront(), 1);
+    assert.equal(d.popBack(), 3);
+    assert.equal(d.popBack(), 2);
+    assert.equal(d.popBack(), undefined);
+    assert.equal(d.popFront(), undefined);
+    assert.equal(d.size, 0);
+  });
+
+  test("grows past its initial capacity across the wrap-around", () => {
+    const d = new Deque();
+    for (let i = 0; i < 5; i++) d.pushBack(i);
+    for (let i = 0; i < 3; i++) d.popFront();
+    for (let i = 5; i < 20; i++) d.pushBack(i);
+    for (let i = -1; i > -5; i--) d.pushFront(i);
+    assert.deepEqual(d.toArray(), [-4, -3, -2, -1, ...Array.from({ length: 17 }, (_, i) => i + 3)]);
+    assert.equal(d.size, 21);
+  });
+
+  test("indexes from either end", () => {
+    const d = new Deque(["a", "b", "c"]);
+    d.pushFront("z");
+    assert.equal(d.at(0), "z");
+    assert.equal(d.at(3), "c");
+    assert.equal(d.at(-1), "c");
+    assert.equal(d.at(4), undefined);
+    assert.equal(d.at(-5), undefined);
+  });
+
+  test("behaves like an array used as a queue", () => {
+    const d = new Deque();
+    const arr = [];
+    for (let i = 0; i < 200; i++) {
+      if (i % 3 === 2) assert.equal(d.popFront(), arr.shift());
+      else if (i % 7 === 0) {
+        d.pushFront(i);
+        arr.unshift(i);
+      } else {
+        d.pushBack(i);
+        arr.push(i);
+      }
+    }
+    assert.deepEqual(d.toArray(), arr);
+  });
+
+  test("clear empties it", () => {
+    const d = new Deque([1, 2, 3]);
+    d.clear();
+    assert.equal(d.size, 0);
+    assert.deepEqual([...d], []);
+  });
+});
+
+describe("PriorityQueue", () => {
+  test("pops smallest first with the default comparator", () => {
+    const q = new PriorityQueue();
+    for (const n of [5, 1, 4, 2, 3]) q.push(n);
+    assert.equal(q.peek(), 1);
+    assert.deepEqual([q.pop(), q.pop(), q.pop(), q.pop(), q.pop(), q.pop()], [1, 2, 3, 4, 5, undefined]);
+  });
+
+  test("takes a comparator; reversing it makes a max-heap", () => {
+    const q = PriorityQueue.from([3, 9, 1, 7], (a, b) => b - a);
+    assert.deepEqual([q.pop(), q.pop()], [9, 7]);
+  });
+
+  test("pops equal priorities first-in first-out", () => {
+    const q = new PriorityQueue((a, b) => a.priority - b.priority);
+    ["a", "b", "c", "d"].forEach((name, i) => q.push({ name, priority: i % 2 }));
+    assert.deepEqual(Array.from({ length: 4 }, () => q.pop().name), ["a", "c", "b", "d"]);
+  });
+
+  test("iterates in pop order without consuming anything", () => {
+    const q = PriorityQueue.from([4, 2, 8, 6]);
+    assert.deepEqual([...q], [2, 4, 6, 8]);
+    assert.equal(q.size, 4);
+  });
+
+  test("sorts like Array.prototype.sort", () => {
+    const numbers = Array.from({ length: 300 }, (_, i) => (i * 7919) % 1000);
+    const q = PriorityQueue.from(numbers.slice(0, 150));
+    for (const n of numbers.slice(150)) q.push(n);
+    const out = [];
+    while (q.size > 0) out.push(q.pop());
+    assert.deepEqual(out, numbers.slice().sort((a, b) => a - b));
+  });
+
+  test("refuses a comparator that isn't a function", () => {
+    assert.throws(() => new PriorityQueue("asc"), TypeError);
+  });
+});
+
+describe("LRUCache", () => {
+  test("evicts the least recently used entry", () => {
+    const evicted = [];
+    const cache = new LRUCache({ max: 2, onEvict: (key, value, reason) => evicted.push([key, value, reason]) });
+    cache.set("a", 1).set("b", 2);
+    assert.equal(cache.get("a"), 1); // a is now the most recent
+    cache.set("c", 3);
+    assert.deepEqual(evicted, [["b", 2, "capacity"]]);
+    assert.deepEqual([...cache.keys()], ["a", "c"]);
+  });
+
+  test("peek and has don't change recency", () => {
+    const cache = new LRUCache({ max: 2 });
+    cache.set("a", 1).set("b", 2);
+    assert.equal(cache.peek("a"), 1);
+    assert.ok(cache.has("a"));
+    cache.set("c", 3);
+    assert.equal(cache.has("a"), false);
+  });
+
+  test("setting an existing key refreshes it", () => {
+    const cache = new LRUCache({ max: 2 });
+    cache.set("a", 1).set("b", 2).set("a", 10).set("c", 3);
+    assert.deepEqual([...cache], [["a", 10], ["c", 3]]);
+  });
+
+  test("expires entries after their TTL", () => {
+    let now = 0;
+    const evicted = [];
+    const cache = new LRUCache({ max: 10, ttlMs: 100, now: () => now, onEvict: (key, _, reason) => evicted.push([key, reason]) });
+    cache.set("a", 1);
+    cache.set("b", 2, { ttlMs: 500 });
+    now = 99;
+    assert.equal(cache.get("a"), 1);
+    now = 100;
+    assert.equal(cache.get("a"), undefined);
+    assert.equal(cache.get("b"), 2);
+    assert.deepEqual(evicted, [["a", "expired"]]);
+    now = 1000;
+    assert.equal(cache.size, 1, "b hasn't been looked at yet");
+    assert.equal(cache.prune(), 1);
+    assert.equal(cache.size, 0);
+  });
+
+  test("makes room by dropping expired entries before a live one", () => {
+    let now = 0;
+    const evicted = [];
+    const cache = new LRUCache({ max: 3, now: () => now, onEvict: (key, _, reason) => evicted.push([key, reason]) });
+    cache.set("old", 1).set("brief", 2, { ttlMs: 10 }).set("new", 3);
+    now = 50;
+    cache.set("more", 4);
+    assert.deepEqual(evicted, [["brief", "expired"]], "old is the least recently used, but still live");
+    assert.deepEqual([...cache.keys()], ["old", "new", "more"]);
+
+    cache.set("most", 5);
+    assert.deepEqual(evicted.at(-1), ["old", "capacity"], "with nothing expired, the oldest goes");
+    assert.equal(cache.size, 3);
+  });
+
+  test("iteration skips expired entries", () => {
+    let now = 0;
+    const cache = new LRUCache({ max: 10, now: () => now });
+    cache.set("short", 1, { ttlMs: 10 }).set("long", 2);
+    now = 50;
+    assert.deepEqual([...cache.values()], [2]);
+  });
+
+  test("validates its options", () => {
+    assert.throws(() => new LRUCache({ max: 0 }), RangeError);
+    assert.throws(() => new LRUCache(), RangeError);
+    assert.throws(() => new LRUCache({ max: 1, ttlMs: -1 }), RangeError);
+    assert.throws(() => new LRUCache({ max: 1 }).set("a", 1, { ttlMs: 0 }), RangeError);
+  });
+});
+
+describe("Trie", () => {
+  const names = () => new Trie(["leo", "leopard", "lion", "tiger", "le"]);
+
+  test("answers exact lookups", () => {
+    const t = names();
+    assert.equal(t.size, 5);
+    assert.ok(t.has("leo"));
+    assert.equal(t.has("leop"), false);
+    assert.equal(t.get("lion"), true);
+    assert.equal(t.get("li"), undefined);
+  });
+
+  test("stores values", () => {
+    const t = new Trie([["leo", 5], ["nala", 4]]);
+    t.set("leo", 6);
+    assert.equal(t.get("leo"), 6);
+    assert.equal(t.size, 2);
+  });
+
+  test("finds everything under a prefix, in order", () => {
+    const t = names();
+    assert.deepEqual([...t.withPrefix("le")].map(([key]) => key), ["le", "leo", "leopard"]);
+    assert.deepEqual([...t.withPrefix("x")], []);
+    assert.deepEqual([...t.keys()], ["le", "leo", "leopard", "lion", "tiger"]);
+    assert.ok(t.hasPrefix("tig"));
+    assert.equal(t.hasPrefix("tix"), false);
+  });
+
+  test("finds the longest key a text starts with", () => {
+    const t = names();
+    assert.equal(t.longestPrefixOf("leopards"), "leopard");
+    assert.equal(t.longestPrefixOf("leon"), "leo");
+    assert.equal(t.longestPrefixOf("lynx"), undefined);
+  });
+
+  test("delete prunes the branch it empties", () => {
+    const t = names();
+    assert.equal(t.delete("leopard"), true);
+    assert.equal(t.delete("leopard"), false);
+    assert.equal(t.hasPrefix("leop"), false);
+    assert.ok(t.has("leo"));
+    assert.equal(t.delete("le"), true);
+    assert.ok(t.hasPrefix("le"), "leo is still under it");
+    assert.equal(t.delete("l"), false);
+    assert.equal(t.size, 3);
+  });
+
+  test("treats a code point as one character", () => {
+    const t = new Trie(["🦁", "🦁🐯"]);
+    assert.deepEqual([...t.withPrefix("🦁")].map(([key]) => key), ["🦁", "🦁🐯"]);
+    assert.ok(t.delete("🦁🐯"));
+    assert.deepEqual([...t.keys()], ["🦁"]);
+  });
+
+  test("only takes string keys", () => {
+    assert.throws(() => new Trie().set(1), TypeError);
+  });
+});
+
+describe("LinkedList", () => {
+  test("works at both ends", () => {
+    const list = new LinkedList([2]);
+    list.push(3);
+    list.unshift(1);
+    assert.deepEqual([...list], [1, 2, 3]);
+    assert.equal(list.first.value, 1);
+    assert.equal(list.last.value, 3);
+    assert.equal(list.shift(), 1);
+    assert.equal(list.pop(), 3);
+    assert.equal(list.pop(), 2);
+    assert.equal(list.pop(), undefined);
+    assert.equal(list.first, null);
+    assert.equal(list.last, null);
+  });
+
+  test("inserts and removes next to a node in O(1)", () => {
+    const list = new LinkedList(["a", "c"]);
+    const a = list.first;
+    const b = list.insertAfter(a, "b");
+    list.insertBefore(a, "start");
+    list.insertAfter(list.last, "end");
+    assert.deepEqual(list.toArray(), ["start", "a", "b", "c", "end"]);
+    assert.equal(list.remove(b), "b");
+    assert.equal(b.list, null);
+    assert.deepEqual(list.toArray(), ["start", "a", "c", "end"]);
+    assert.equal(list.size, 4);
+  });
+
+  test("refuses nodes that aren't in it", () => {
+    const list = new LinkedList([1]);
+    const other = new LinkedList([1]);
+    assert.throws(() => list.remove(other.first), /not in this list/);
+    const node = list.first;
+    list.remove(node);
+    assert.throws(() => list.remove(node), /not in this list/);
+    assert.throws(() => list.insertAfter(node, 2), /not in this list/);
+  });
+
+  test("finds, indexes and reverses", () => {
+    const list = new LinkedList([1, 2, 3, 4]);
+    assert.equal(list.find((v) => v > 2).value, 3);
+    assert.equal(list.find((v) => v > 9), null);
+    assert.equal(list.at(1), 2);
+    assert.equal(list.at(-1), 4);
+    assert.equal(list.at(9), undefined);
+    const two = list.find((v) => v === 2);
+    list.reverse();
+    assert.deepEqual([...list], [4, 3, 2, 1]);
+    assert.equal(two.next.value, 1, "nodes stay valid");
+    list.remove(two);
+    assert.deepEqual([...list], [4, 3, 1]);
+  });
+
+  test("can remove nodes while iterating them", () => {
+    const list = new LinkedList([1, 2, 3, 4]);
+    for (const node of list.nodes()) if (node.value % 2 === 0) list.remove(node);
+    assert.deepEqual([...list], [1, 3]);
+  });
+
+  test("clear detaches every node", () => {
+    const list = new LinkedList([1, 2]);
+    const first = list.first;
+    list.clear();
+    assert.equal(list.size, 0);
+    assert.equal(first.list, null);
+  });
+});
@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { before, describe, test } from "node:test";
+import { runPlayground } from "./playground.js";
+
+describe("variables.js", () => {
+  let run;
+  before(async () => {
+    run = await runPlayground("variables.js");
+  });
+
+  test("10 + 3.14 prints 13.14", () => {
+    assert.equal(run.line("Num3:").text, "Num3: 13.14");
+  });
+
+  test("+ concatenates strings, and a number is coerced to a string", () => {
+    assert.equal(run.line("String concatenation:").text, "String concatenation: Hello world");
+    assert.equal(run.line("String concatenation with a number:").text, "String concatenation with a number: Hello world500");
+  });
+
+  test("var is hoisted: readable before its declaration, as undefined", () => {
+    assert.equal(run.line("Hoisted variable pre-definition:").text, "Hoisted variable pre-definition: undefined");
+    assert.equal(run.line("Hoisted variable post-definition:").text, "Hoisted variable post-definition: This is a hoisted variable");
+  });
+});
+
+describe("variables.js header claims", () => {
+  test("const cannot be rebound", () => {
+    assert.throws(() => {
+      const fixed = 1;
+      fixed = 2;
+    }, TypeError);
+  });
+
+  test("const does not make an object or array immutable", () => {
+    const person = { name: "Leo" };
+    const list = [1];
+    person.name = "Simba";
+    list.push(2);
+    assert.deepEqual(person, { name: "Simba" });
+    assert.deepEqual(list, [1, 2]);
+  });
+
+  test("Object.freeze gives full (shallow) immutability", () => {
+    const person = Object.freeze({ name: "Leo" });
+    assert.throws(() => { person.name = "Simba"; }, TypeError); // modules are strict
+    assert.equal(person.name, "Leo");
+  });
+
+  test("let can be rebound", () => {
+    let n = 1;
+    n = 2;
+    assert.equal(n, 2);
+  });
+
+  test("unlike var, let is not readable before its declaration", () => {
+    assert.throws(() => {
+      late;
+      let late = 1;
+    }, ReferenceError);
+  });
+
+  test("there are 7 primitive types", () => {
+    const primitives = ["hello", 42, 123n, true, undefined, Symbol("Id"), null];
+    assert.deepEqual(
+      primitives.map((p) => typeof p),
+      ["string", "number", "bigint", "boolean", "undefined", "symbol", "object"], // typeof null is a famous bug
+    );
+    for (const p of primitives) assert.notEqual(Object(p), p, `${String(p)} should be a primitive`);
+  });
+
+  test("number has no int/float distinction", () => {
+    assert.equal(42, 42.0);
+    assert.equal(Number.isInteger(42.0), true);
+    assert.equal(typeof NaN, "number");
+    assert.equal(typeof Infinity, "number");
+  });
+
+  test("bigint is arbitrary-length", () => {
+    assert.equal(2n ** 100n, 1267650600228229401496703205376n);
+  });
+
+  test("every symbol is unique", () => {
+    assert.notEqual(Symbol("Id"), Symbol("Id"));
+  });
+
+  test("objects, arrays, functions, Date, Map, Set and RegExp are non-primitive", () => {
+    for (const value of [{}, [], function () {}, new Date(), new Map(), new Set(), /x/]) {
+      assert.equal(Object(value), value);
+    }
+  });
+});